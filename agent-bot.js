@@ -5,6 +5,7 @@
  *
  * This is a template for creating automated agents that can work with the TaskManager system.
  * Agents can run this script periodically (via cron or task scheduler) to automatically:
+ * - Create recurring tasks that are due
  * - Check for new task assignments
  * - Get recommendations and self-assign work
  * - Update task progress
@@ -98,6 +99,27 @@ class AgentBot {
     }
   }
 
+  async materializeRecurring() {
+    try {
+      const { created, failed } = this.tm.materializeRecurring();
+      if (created.length > 0) {
+        this.info(`Created ${created.length} recurring tasks`, {
+          taskIds: created.map(task => task.id)
+        });
+      }
+      failed.forEach(failure => {
+        this.warn('Failed to materialize recurring task', {
+          recurringId: failure.recurring_id,
+          error: failure.error
+        });
+      });
+      return created;
+    } catch (error) {
+      this.error('Failed to materialize recurring tasks', { error: error.message });
+      return [];
+    }
+  }
+
   async processNotifications() {
     try {
       const notifications = this.tm.getMyNotifications();
@@ -168,6 +190,8 @@ class AgentBot {
         }
 
         try {
+          // A competing bot that took the task first makes this one lose
+          // cleanly (TASK_TAKEN)
           this.tm.takeSelfAssignedTask(task.id);
           tasksToAssign.push(task);
 
@@ -250,21 +274,25 @@ class AgentBot {
     this.info('Starting bot cycle');
 
     try {
-      // 1. Check in and get status
+      // 1. Create recurring tasks that are due
+      const recurringTasks = await this.materializeRecurring();
+
+      // 2. Check in and get status
       const checkInData = await this.checkIn();
 
-      // 2. Process any notifications
+      // 3. Process any notifications
       await this.processNotifications();
 
-      // 3. Auto-assign new tasks if below capacity
+      // 4. Auto-assign new tasks if below capacity
       const newTasks = await this.autoAssignTasks();
 
-      // 4. Auto-start todo tasks
+      // 5. Auto-start todo tasks
       const startedTasks = await this.autoStartTasks();
 
-      // 5. Report cycle summary
+      // 6. Report cycle summary
       this.info('Bot cycle completed', {
         activeTasks: checkInData.status.active_tasks,
+        recurringTasks: recurringTasks.length,
         newAssignments: newTasks.length,
         startedTasks: startedTasks.length,
         recommendations: checkInData.status.pending_recommendations
@@ -272,6 +300,7 @@ class AgentBot {
 
       return {
         checkIn: checkInData,
+        recurringTasks,
         newTasks,
         startedTasks
       };
@@ -404,9 +404,9 @@ class WorkflowShowcase {
     console.log(
       `   Tasks Completed: ${status.progress.completed}/${status.progress.total_tasks}`,
     );
-    console.log(`   Active Tasks: ${status.tasks.by_status.in_progress}`);
-    console.log(`   Todo Tasks: ${status.tasks.by_status.todo}`);
-    console.log(`   Blocked Tasks: ${status.tasks.by_status.blocked}`);
+    console.log(`   Active Tasks: ${status.tasks.by_category.active}`);
+    console.log(`   Todo Tasks: ${status.tasks.by_category.open}`);
+    console.log(`   Blocked Tasks: ${status.tasks.by_category.blocked}`);
 
     console.log("\n🎯 Priority Breakdown:");
     console.log(`   Critical: ${status.tasks.by_priority.critical} tasks`);
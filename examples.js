@@ -65,13 +65,19 @@ function example2_TaskManagement() {
     ]
   });
 
+  const frontend = tm.createTask({
+    title: 'Frontend Integration',
+    category: 'coding',
+    priority: 'medium'
+  });
+
   const task3 = tm.createTask({
     title: 'API Endpoints',
     category: 'coding',
     priority: 'medium',
     assignees: ['ai-dev-1'],
     dependencies: [task2.id],
-    blocks: ['TASK-999'], // This task blocks a future task
+    blocks: [frontend.id], // Linked tasks have to exist
     completion_criteria: [
       'CRUD endpoints',
       'Authentication middleware',
@@ -80,7 +86,7 @@ function example2_TaskManagement() {
   });
 
   console.log('✅ Created task dependency chain');
-  console.log(`   ${task1.id} → ${task2.id} → ${task3.id}`);
+  console.log(`   ${task1.id} → ${task2.id} → ${task3.id} → ${frontend.id}`);
   console.log();
 }
 
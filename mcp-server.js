@@ -16,6 +16,11 @@ const {
   migrateLegacyData,
   getDirectoryInfo,
 } = require("./src/utils/directory-utils.js");
+const { STATUSES } = require("./src/workflow/status-machine.js");
+const { describeSchedule } = require("./src/workflow/recurrence.js");
+const { describeChange } = require("./src/workflow/activity.js");
+const { CRITERION_TYPES } = require("./src/workflow/criteria.js");
+const { listScoringStrategies } = require("./src/workflow/recommendations.js");
 
 class TaskManagerMCPServer {
   constructor() {
@@ -171,6 +176,49 @@ class TaskManagerMCPServer {
   setupToolHandlers() {
     // List available tools
     this.server.setRequestHandler(global.ListToolsRequestSchema, async () => {
+      // Status enums follow the project's workflow once it is known
+      const statuses = this.taskManager
+        ? this.taskManager.statusMachine.statuses
+        : STATUSES;
+      const criteriaSchema = {
+        type: "array",
+        items: {
+          oneOf: [
+            { type: "string", description: "Checked by hand" },
+            {
+              type: "object",
+              properties: {
+                type: { type: "string", enum: CRITERION_TYPES },
+                path: {
+                  type: "string",
+                  description:
+                    "Project-relative file (file_exists, file_contains, test_report)",
+                },
+                pattern: {
+                  type: "string",
+                  description: "Regular expression the file must match",
+                },
+                command: {
+                  type: "string",
+                  description:
+                    "Shell command run in the project directory; passes on exit code 0. Refused unless the server sets TASK_MANAGER_ALLOW_COMMAND_CRITERIA=true",
+                },
+                timeout_ms: { type: "number" },
+                min_passed: {
+                  type: "number",
+                  description:
+                    "Passing tests a test_report needs (default 1); JUnit XML, TAP or Jest/Mocha JSON",
+                },
+                description: { type: "string" },
+              },
+              required: ["type"],
+            },
+          ],
+        },
+        description:
+          "Completion criteria: text, or checks that complete_task runs before accepting completion",
+      };
+
       return {
         tools: [
           {
@@ -230,11 +278,34 @@ class TaskManagerMCPServer {
                   items: { type: "string" },
                   description: "Array of task IDs this task depends on",
                 },
-                completion_criteria: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "Array of completion criteria",
+                estimated_hours: {
+                  type: "number",
+                  description:
+                    "Estimated effort in hours (used for critical path analysis)",
+                },
+                parent_id: {
+                  type: "string",
+                  description: "Parent task ID (creates the task as a subtask)",
+                },
+                milestone_id: {
+                  type: "string",
+                  description: "Milestone the task belongs to",
+                },
+                epic_id: {
+                  type: "string",
+                  description: "Epic the task belongs to",
+                },
+                start_date: {
+                  type: "string",
+                  description:
+                    "Planned start date (YYYY-MM-DD or ISO timestamp)",
+                },
+                due_date: {
+                  type: "string",
+                  description:
+                    "Due date (YYYY-MM-DD or ISO timestamp); without one, the SLA for the task's priority applies",
                 },
+                completion_criteria: criteriaSchema,
               },
               required: ["title"],
             },
@@ -251,7 +322,7 @@ class TaskManagerMCPServer {
                 },
                 status: {
                   type: "string",
-                  enum: ["todo", "in-progress", "completed", "blocked"],
+                  enum: statuses,
                   description: "Filter by task status",
                 },
                 priority: {
@@ -278,8 +349,9 @@ class TaskManagerMCPServer {
                 },
                 status: {
                   type: "string",
-                  enum: ["todo", "in-progress", "completed", "blocked"],
-                  description: "New task status",
+                  enum: statuses,
+                  description:
+                    "New task status (must be reachable from the current status, see get_task)",
                 },
                 priority: {
                   type: "string",
@@ -291,6 +363,43 @@ class TaskManagerMCPServer {
                   items: { type: "string" },
                   description: "New assignees",
                 },
+                parent_id: {
+                  type: ["string", "null"],
+                  description:
+                    "Move the task under another task (null for the top level)",
+                },
+                milestone_id: {
+                  type: ["string", "null"],
+                  description: "Milestone the task belongs to (null to unlink)",
+                },
+                epic_id: {
+                  type: ["string", "null"],
+                  description: "Epic the task belongs to (null to unlink)",
+                },
+                start_date: {
+                  type: ["string", "null"],
+                  description: "Planned start date (null to clear)",
+                },
+                due_date: {
+                  type: ["string", "null"],
+                  description: "Due date (null to clear)",
+                },
+                completion_criteria: criteriaSchema,
+                cascade: {
+                  type: "boolean",
+                  description:
+                    "When completing a task with open subtasks, complete them too instead of failing",
+                },
+                waiver: {
+                  type: "string",
+                  description:
+                    "When completing, the reason to accept failing completion criteria (recorded on the task)",
+                },
+                expectedRevision: {
+                  type: "number",
+                  description:
+                    "Reject the change if the task's revision no longer matches (optimistic concurrency)",
+                },
               },
               required: ["taskId"],
             },
@@ -309,6 +418,11 @@ class TaskManagerMCPServer {
                   type: "string",
                   description: "Agent ID to assign",
                 },
+                expectedRevision: {
+                  type: "number",
+                  description:
+                    "Reject the change if the task's revision no longer matches (optimistic concurrency)",
+                },
               },
               required: ["taskId", "agentId"],
             },
@@ -363,10 +477,45 @@ class TaskManagerMCPServer {
                   type: "number",
                   description: "Maximum number of recommendations",
                 },
+                strategy: {
+                  type: "string",
+                  enum: listScoringStrategies().map(
+                    (strategy) => strategy.name,
+                  ),
+                  description:
+                    "Scoring strategy to rank with instead of the project's default",
+                },
               },
               required: ["agentId"],
             },
           },
+          {
+            name: "explain_recommendation",
+            description:
+              "Explain why a task is or isn't recommended to an agent: points per factor, capability fit and what keeps it out",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID",
+                },
+                agentId: {
+                  type: "string",
+                  description: "Agent ID",
+                },
+                strategy: {
+                  type: "string",
+                  enum: listScoringStrategies().map(
+                    (strategy) => strategy.name,
+                  ),
+                  description:
+                    "Scoring strategy to explain instead of the project's default",
+                },
+              },
+              required: ["taskId", "agentId"],
+            },
+          },
           {
             name: "get_project_status",
             description: "Get overall project status and metrics",
@@ -417,6 +566,11 @@ class TaskManagerMCPServer {
                   type: "string",
                   description: "Agent ID (or use current agent)",
                 },
+                expectedRevision: {
+                  type: "number",
+                  description:
+                    "Reject the change if the task's revision no longer matches (optimistic concurrency)",
+                },
               },
               required: ["taskId"],
             },
@@ -435,6 +589,63 @@ class TaskManagerMCPServer {
                   type: "string",
                   description: "Agent ID (or use current agent)",
                 },
+                cascade: {
+                  type: "boolean",
+                  description: "Also complete open subtasks instead of failing",
+                },
+                requireArtifacts: {
+                  type: "boolean",
+                  description:
+                    "Refuse to complete while files_affected are not covered by attached artifacts",
+                },
+                waiver: {
+                  type: "string",
+                  description:
+                    "Reason to complete even though completion criteria fail (recorded on the task); without it failing checks refuse completion",
+                },
+                expectedRevision: {
+                  type: "number",
+                  description:
+                    "Reject the change if the task's revision no longer matches (optimistic concurrency)",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "pause_task",
+            description:
+              "Stop the agent's clock on a task without changing its status (agent-centric)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID to pause",
+                },
+                agentId: {
+                  type: "string",
+                  description: "Agent ID (or use current agent)",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "resume_task",
+            description:
+              "Restart the agent's clock on a paused task (agent-centric)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID to resume",
+                },
+                agentId: {
+                  type: "string",
+                  description: "Agent ID (or use current agent)",
+                },
               },
               required: ["taskId"],
             },
@@ -477,7 +688,8 @@ class TaskManagerMCPServer {
           },
           {
             name: "get_task",
-            description: "Get details of a specific task",
+            description:
+              "Get details of a specific task, including the statuses it may move to next",
             inputSchema: {
               type: "object",
               properties: {
@@ -508,134 +720,935 @@ class TaskManagerMCPServer {
             },
           },
           {
-            name: "get_my_tasks",
-            description: "Get tasks for the current agent",
+            name: "add_dependency",
+            description:
+              "Make a task depend on another task. Updates the other task's blocks and rejects dependency cycles",
             inputSchema: {
               type: "object",
               properties: {
-                agentId: {
+                taskId: {
                   type: "string",
-                  description: "Agent ID (or use current agent)",
+                  description: "Task that depends on the other",
                 },
-                status: {
+                dependencyId: {
                   type: "string",
-                  enum: ["todo", "in-progress", "completed", "blocked"],
-                  description: "Filter by status",
+                  description: "Task that must be completed first",
                 },
               },
+              required: ["taskId", "dependencyId"],
             },
           },
           {
-            name: "get_my_notifications",
-            description: "Get notifications for the current agent",
+            name: "create_milestone",
+            description: "Create a milestone with an optional target date",
             inputSchema: {
               type: "object",
               properties: {
-                agentId: {
+                title: {
                   type: "string",
-                  description: "Agent ID (or use current agent)",
+                  description: "Milestone title",
+                },
+                description: {
+                  type: "string",
+                  description: "Milestone description",
+                },
+                target_date: {
+                  type: "string",
+                  description: "Target date (YYYY-MM-DD)",
                 },
               },
+              required: ["title"],
             },
           },
           {
-            name: "clear_my_notifications",
-            description: "Clear notifications for the current agent",
+            name: "list_milestones",
+            description:
+              "List milestones with completion percentage, remaining estimated hours and status",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "update_milestone",
+            description:
+              "Update a milestone's title, description or target date",
             inputSchema: {
               type: "object",
               properties: {
-                agentId: {
+                milestoneId: {
                   type: "string",
-                  description: "Agent ID (or use current agent)",
+                  description: "Milestone ID",
+                },
+                title: {
+                  type: "string",
+                  description: "New title",
+                },
+                description: {
+                  type: "string",
+                  description: "New description",
+                },
+                target_date: {
+                  type: "string",
+                  description: "New target date (YYYY-MM-DD)",
                 },
               },
+              required: ["milestoneId"],
             },
           },
           {
-            name: "transfer_task",
-            description: "Transfer a task from one agent to another",
+            name: "delete_milestone",
+            description: "Delete a milestone. Its tasks are kept and unlinked",
             inputSchema: {
               type: "object",
               properties: {
-                taskId: {
+                milestoneId: {
                   type: "string",
-                  description: "Task ID to transfer",
+                  description: "Milestone ID",
                 },
-                fromAgentId: {
+              },
+              required: ["milestoneId"],
+            },
+          },
+          {
+            name: "create_epic",
+            description: "Create an epic that groups tasks across phases",
+            inputSchema: {
+              type: "object",
+              properties: {
+                title: {
                   type: "string",
-                  description: "Current agent ID",
+                  description: "Epic title",
                 },
-                toAgentId: {
+                description: {
                   type: "string",
-                  description: "Target agent ID",
+                  description: "Epic description",
+                },
+                target_date: {
+                  type: "string",
+                  description: "Target date (YYYY-MM-DD)",
                 },
               },
-              required: ["taskId", "fromAgentId", "toAgentId"],
+              required: ["title"],
             },
           },
           {
-            name: "set_current_agent",
-            description: "Set the current agent ID for the session",
+            name: "list_epics",
+            description:
+              "List epics with completion percentage, remaining estimated hours and status",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "update_epic",
+            description: "Update a epic's title, description or target date",
             inputSchema: {
               type: "object",
               properties: {
-                agentId: {
+                epicId: {
                   type: "string",
-                  description: "Agent ID to set as current",
+                  description: "Epic ID",
+                },
+                title: {
+                  type: "string",
+                  description: "New title",
+                },
+                description: {
+                  type: "string",
+                  description: "New description",
+                },
+                target_date: {
+                  type: "string",
+                  description: "New target date (YYYY-MM-DD)",
                 },
               },
-              required: ["agentId"],
+              required: ["epicId"],
             },
           },
           {
-            name: "get_current_agent",
-            description: "Get the current agent information",
+            name: "delete_epic",
+            description: "Delete a epic. Its tasks are kept and unlinked",
+            inputSchema: {
+              type: "object",
+              properties: {
+                epicId: {
+                  type: "string",
+                  description: "Epic ID",
+                },
+              },
+              required: ["epicId"],
+            },
+          },
+          {
+            name: "list_phases",
+            description:
+              "List phases in order with completion, the active phase and the required tasks still open in it",
             inputSchema: {
               type: "object",
               properties: {},
             },
           },
-        ],
-      };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(
-      global.CallToolRequestSchema,
-      async (request) => {
-        const { name, arguments: args } = request.params;
-
-        try {
-          switch (name) {
-            case "init_task_manager":
-              return await this.handleInitTaskManager(args);
-            case "create_task":
-              return await this.handleCreateTask(args);
-            case "list_tasks":
-              return await this.handleListTasks(args);
-            case "update_task":
-              return await this.handleUpdateTask(args);
-            case "assign_agent":
-              return await this.handleAssignAgent(args);
-            case "add_agent":
-              return await this.handleAddAgent(args);
-            case "list_agents":
-              return await this.handleListAgents(args);
-            case "get_recommendations":
-              return await this.handleGetRecommendations(args);
-            case "get_project_status":
-              return await this.handleGetProjectStatus(args);
-            case "get_agent_workload":
-              return await this.handleGetAgentWorkload(args);
-            case "agent_check_in":
-              return await this.handleAgentCheckIn(args);
-            case "start_task":
-              return await this.handleStartTask(args);
-            case "complete_task":
-              return await this.handleCompleteTask(args);
-            case "export_project":
-              return await this.handleExportProject(args);
-            case "remove_agent":
+          {
+            name: "create_phase",
+            description: "Add a phase to the project's ordered phase list",
+            inputSchema: {
+              type: "object",
+              properties: {
+                id: {
+                  type: "string",
+                  description: "Phase ID (defaults to the next phase-N)",
+                },
+                name: {
+                  type: "string",
+                  description: "Phase name",
+                },
+                description: {
+                  type: "string",
+                  description: "Phase description",
+                },
+                deliverables: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Expected deliverables",
+                },
+                position: {
+                  type: "number",
+                  description:
+                    "Zero-based position in the phase order (defaults to the end)",
+                },
+              },
+              required: ["name"],
+            },
+          },
+          {
+            name: "update_phase",
+            description:
+              "Update a phase's name, description or deliverables, or move it to another position",
+            inputSchema: {
+              type: "object",
+              properties: {
+                phaseId: {
+                  type: "string",
+                  description: "Phase ID",
+                },
+                name: {
+                  type: "string",
+                  description: "New name",
+                },
+                description: {
+                  type: "string",
+                  description: "New description",
+                },
+                deliverables: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "New deliverables",
+                },
+                position: {
+                  type: "number",
+                  description: "New zero-based position in the phase order",
+                },
+              },
+              required: ["phaseId"],
+            },
+          },
+          {
+            name: "delete_phase",
+            description: "Delete a phase that is not active and has no tasks",
+            inputSchema: {
+              type: "object",
+              properties: {
+                phaseId: {
+                  type: "string",
+                  description: "Phase ID",
+                },
+              },
+              required: ["phaseId"],
+            },
+          },
+          {
+            name: "advance_phase",
+            description:
+              "Complete the active phase and activate the next one. Refused while required tasks (those not tagged optional) are open, unless force is set",
+            inputSchema: {
+              type: "object",
+              properties: {
+                force: {
+                  type: "boolean",
+                  description: "Advance even though required tasks are open",
+                },
+              },
+            },
+          },
+          {
+            name: "create_recurring",
+            description:
+              "Define a task that is created again on an interval or cron schedule",
+            inputSchema: {
+              type: "object",
+              properties: {
+                title: {
+                  type: "string",
+                  description: "Title of the created tasks",
+                },
+                description: {
+                  type: "string",
+                  description: "Description of the created tasks",
+                },
+                category: {
+                  type: "string",
+                  description: "Task category",
+                },
+                priority: {
+                  type: "string",
+                  enum: ["critical", "high", "medium", "low"],
+                  description: "Task priority",
+                },
+                tags: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Tags carried over to every created task",
+                },
+                assignees: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Agent IDs assigned to every created task",
+                },
+                estimated_hours: {
+                  type: "number",
+                  description: "Estimated effort in hours",
+                },
+                every: {
+                  type: "string",
+                  description: "Interval schedule, e.g. 1d, 2w or 12h",
+                },
+                cron: {
+                  type: "string",
+                  description:
+                    "Cron schedule (minute hour day month weekday, UTC), e.g. '0 9 * * 1'",
+                },
+                start_date: {
+                  type: "string",
+                  description:
+                    "First occurrence for interval schedules (defaults to now)",
+                },
+              },
+              required: ["title"],
+            },
+          },
+          {
+            name: "list_recurring",
+            description:
+              "List recurring task definitions with their schedule and next run",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "update_recurring",
+            description:
+              "Update a recurring task definition, its schedule, or pause/resume it",
+            inputSchema: {
+              type: "object",
+              properties: {
+                recurringId: {
+                  type: "string",
+                  description: "Recurring task ID",
+                },
+                title: {
+                  type: "string",
+                  description: "Title of the created tasks",
+                },
+                description: {
+                  type: "string",
+                  description: "Description of the created tasks",
+                },
+                category: {
+                  type: "string",
+                  description: "Task category",
+                },
+                priority: {
+                  type: "string",
+                  enum: ["critical", "high", "medium", "low"],
+                  description: "Task priority",
+                },
+                tags: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Tags carried over to every created task",
+                },
+                assignees: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Agent IDs assigned to every created task",
+                },
+                estimated_hours: {
+                  type: "number",
+                  description: "Estimated effort in hours",
+                },
+                every: {
+                  type: "string",
+                  description: "Interval schedule, e.g. 1d, 2w or 12h",
+                },
+                cron: {
+                  type: "string",
+                  description:
+                    "Cron schedule (minute hour day month weekday, UTC), e.g. '0 9 * * 1'",
+                },
+                active: {
+                  type: "boolean",
+                  description: "false pauses the schedule, true resumes it",
+                },
+              },
+              required: ["recurringId"],
+            },
+          },
+          {
+            name: "delete_recurring",
+            description:
+              "Delete a recurring task definition. Tasks already created are kept",
+            inputSchema: {
+              type: "object",
+              properties: {
+                recurringId: {
+                  type: "string",
+                  description: "Recurring task ID",
+                },
+              },
+              required: ["recurringId"],
+            },
+          },
+          {
+            name: "materialize_recurring",
+            description:
+              "Create the tasks of all recurring definitions that are due. Safe to call repeatedly: an occurrence is never created twice",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "create_subtask",
+            description:
+              "Create a task under a parent task. Category and phase default to the parent's",
+            inputSchema: {
+              type: "object",
+              properties: {
+                parentId: {
+                  type: "string",
+                  description: "Parent task ID",
+                },
+                title: {
+                  type: "string",
+                  description: "Subtask title",
+                },
+                description: {
+                  type: "string",
+                  description: "Subtask description",
+                },
+                priority: {
+                  type: "string",
+                  enum: ["critical", "high", "medium", "low"],
+                  description: "Subtask priority",
+                },
+                assignees: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Array of agent IDs to assign to this subtask",
+                },
+                estimated_hours: {
+                  type: "number",
+                  description: "Estimated effort in hours",
+                },
+              },
+              required: ["parentId", "title"],
+            },
+          },
+          {
+            name: "get_task_tree",
+            description:
+              "Get the task hierarchy with progress rolled up from subtasks",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Root task (omit for the whole project)",
+                },
+              },
+            },
+          },
+          {
+            name: "get_critical_path",
+            description:
+              "Get the critical path of the remaining work: the longest dependency chain weighted by estimated_hours, its total duration, and each task's slack",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "get_deadlines",
+            description:
+              "List open tasks that are overdue or at risk (due soon, or past their planned start). Assignees of overdue tasks are notified",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Only include tasks assigned to this agent",
+                },
+              },
+            },
+          },
+          {
+            name: "get_timesheet",
+            description:
+              "List logged work sessions (from start/pause/resume/complete) with total hours per agent and task",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Only include this agent's work",
+                },
+                since: {
+                  type: "string",
+                  description: "Start of the period (ISO date or timestamp)",
+                },
+                until: {
+                  type: "string",
+                  description: "End of the period (ISO date or timestamp)",
+                },
+              },
+            },
+          },
+          {
+            name: "get_estimate_accuracy",
+            description:
+              "Compare estimated with actual hours on completed tasks, per agent, agent type (human/ai) or category",
+            inputSchema: {
+              type: "object",
+              properties: {
+                groupBy: {
+                  type: "string",
+                  enum: ["agent", "type", "category"],
+                  description: "How to group the report (default: agent)",
+                },
+              },
+            },
+          },
+          {
+            name: "remove_dependency",
+            description:
+              "Remove a dependency between two tasks (and the matching blocks entry)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task that depends on the other",
+                },
+                dependencyId: {
+                  type: "string",
+                  description: "Task to remove from its dependencies",
+                },
+              },
+              required: ["taskId", "dependencyId"],
+            },
+          },
+          {
+            name: "get_my_tasks",
+            description: "Get tasks for the current agent",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Agent ID (or use current agent)",
+                },
+                status: {
+                  type: "string",
+                  enum: statuses,
+                  description: "Filter by status",
+                },
+              },
+            },
+          },
+          {
+            name: "get_my_notifications",
+            description: "Get notifications for the current agent",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Agent ID (or use current agent)",
+                },
+              },
+            },
+          },
+          {
+            name: "clear_my_notifications",
+            description: "Clear notifications for the current agent",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Agent ID (or use current agent)",
+                },
+              },
+            },
+          },
+          {
+            name: "transfer_task",
+            description: "Transfer a task from one agent to another",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID to transfer",
+                },
+                fromAgentId: {
+                  type: "string",
+                  description: "Current agent ID",
+                },
+                toAgentId: {
+                  type: "string",
+                  description: "Target agent ID",
+                },
+                note: {
+                  type: "string",
+                  description:
+                    "Handoff note, left as a comment that mentions the target agent",
+                },
+              },
+              required: ["taskId", "fromAgentId", "toAgentId"],
+            },
+          },
+          {
+            name: "add_comment",
+            description:
+              "Comment on a task. Agents mentioned as @agent-id are notified. Comments cannot be edited or deleted",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID to comment on",
+                },
+                body: {
+                  type: "string",
+                  description: "Comment text",
+                },
+                agentId: {
+                  type: "string",
+                  description: "Author agent ID (or use current agent)",
+                },
+                mentions: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Additional agent IDs to notify",
+                },
+              },
+              required: ["taskId", "body"],
+            },
+          },
+          {
+            name: "attach_artifact",
+            description:
+              "Attach an output to a task: a file in the project (path) or inline content such as a patch or report. Artifacts are checksummed and cannot be removed",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID",
+                },
+                agentId: {
+                  type: "string",
+                  description: "Producing agent ID (or use current agent)",
+                },
+                path: {
+                  type: "string",
+                  description:
+                    "Project-relative path of a file to attach (instead of content)",
+                },
+                content: {
+                  type: "string",
+                  description:
+                    "Inline content to store under tasks-data/artifacts (instead of path)",
+                },
+                name: {
+                  type: "string",
+                  description: "Artifact name (defaults to the file name)",
+                },
+                type: {
+                  type: "string",
+                  enum: ["patch", "report", "file", "log", "other"],
+                  description:
+                    "Artifact type (defaults to file for paths, patch for diffs)",
+                },
+                description: {
+                  type: "string",
+                  description: "What the artifact is",
+                },
+                files: {
+                  type: "array",
+                  items: { type: "string" },
+                  description:
+                    "Project files the artifact covers (defaults to the path, or the files in a diff)",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "verify_task",
+            description:
+              "Run a task's completion criteria (files, patterns, commands, test reports) and report each result without changing the task",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "detect_completions",
+            description:
+              "Find open tasks whose checks pass (rules in tasks-data/completion-rules.json plus the tasks' own completion criteria) and propose moving them to a done status; nothing changes unless apply is true",
+            inputSchema: {
+              type: "object",
+              properties: {
+                apply: {
+                  type: "boolean",
+                  description: "Make the proposed status changes",
+                },
+              },
+            },
+          },
+          {
+            name: "list_artifacts",
+            description:
+              "List a task's artifacts and the files_affected they do not cover yet",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "read_artifact",
+            description:
+              "Read an artifact's content and check it against the checksum taken when it was attached",
+            inputSchema: {
+              type: "object",
+              properties: {
+                artifactId: {
+                  type: "string",
+                  description: "Artifact ID (e.g. ART-001)",
+                },
+              },
+              required: ["artifactId"],
+            },
+          },
+          {
+            name: "get_task_activity",
+            description:
+              "Get a task's full history: comments interleaved with every recorded change (who changed which field, from what to what). Read this before picking up someone else's task",
+            inputSchema: {
+              type: "object",
+              properties: {
+                taskId: {
+                  type: "string",
+                  description: "Task ID",
+                },
+                limit: {
+                  type: "number",
+                  description: "Only return the latest N entries",
+                },
+              },
+              required: ["taskId"],
+            },
+          },
+          {
+            name: "set_current_agent",
+            description: "Set the current agent ID for the session",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description: "Agent ID to set as current",
+                },
+              },
+              required: ["agentId"],
+            },
+          },
+          {
+            name: "get_current_agent",
+            description: "Get the current agent information",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "undo",
+            description:
+              "Undo the last N changes made by an agent, restoring deleted tasks, removed agents and the dependency/blocks/assignee links they held",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description:
+                    "Agent whose changes to undo (or use current agent)",
+                },
+                count: {
+                  type: "number",
+                  description: "Number of changes to undo (default: 1)",
+                },
+                force: {
+                  type: "boolean",
+                  description:
+                    "Overwrite records that were changed after the undone change",
+                },
+              },
+            },
+          },
+          {
+            name: "redo",
+            description: "Redo the last N changes undone for an agent",
+            inputSchema: {
+              type: "object",
+              properties: {
+                agentId: {
+                  type: "string",
+                  description:
+                    "Agent whose undone changes to redo (or use current agent)",
+                },
+                count: {
+                  type: "number",
+                  description: "Number of changes to redo (default: 1)",
+                },
+                force: {
+                  type: "boolean",
+                  description:
+                    "Overwrite records that were changed after the undo",
+                },
+              },
+            },
+          },
+          {
+            name: "list_backups",
+            description: "List project backups in tasks-data/backups",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "create_backup",
+            description: "Create a snapshot of the current project state",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+          },
+          {
+            name: "restore_backup",
+            description:
+              "Validate a backup and replace the current project state with it (the current state is backed up first)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: {
+                  type: "string",
+                  description: "Backup name as shown by list_backups",
+                },
+              },
+              required: ["name"],
+            },
+          },
+          {
+            name: "doctor",
+            description:
+              "Check project data for integrity issues (dangling dependencies, unmirrored blocks, unknown assignees, stale progress) and optionally repair them",
+            inputSchema: {
+              type: "object",
+              properties: {
+                fix: {
+                  type: "boolean",
+                  description:
+                    "Repair fixable issues after backing up the current state",
+                  default: false,
+                },
+              },
+            },
+          },
+        ],
+      };
+    });
+
+    // Handle tool calls
+    this.server.setRequestHandler(
+      global.CallToolRequestSchema,
+      async (request) => {
+        const { name, arguments: args } = request.params;
+
+        try {
+          switch (name) {
+            case "init_task_manager":
+              return await this.handleInitTaskManager(args);
+            case "create_task":
+              return await this.handleCreateTask(args);
+            case "list_tasks":
+              return await this.handleListTasks(args);
+            case "update_task":
+              return await this.handleUpdateTask(args);
+            case "assign_agent":
+              return await this.handleAssignAgent(args);
+            case "add_agent":
+              return await this.handleAddAgent(args);
+            case "list_agents":
+              return await this.handleListAgents(args);
+            case "get_recommendations":
+              return await this.handleGetRecommendations(args);
+            case "explain_recommendation":
+              return await this.handleExplainRecommendation(args);
+            case "get_project_status":
+              return await this.handleGetProjectStatus(args);
+            case "get_agent_workload":
+              return await this.handleGetAgentWorkload(args);
+            case "agent_check_in":
+              return await this.handleAgentCheckIn(args);
+            case "start_task":
+              return await this.handleStartTask(args);
+            case "complete_task":
+              return await this.handleCompleteTask(args);
+            case "pause_task":
+              return await this.handlePauseTask(args);
+            case "resume_task":
+              return await this.handleResumeTask(args);
+            case "export_project":
+              return await this.handleExportProject(args);
+            case "remove_agent":
               return await this.handleRemoveAgent(args);
             case "delete_task":
               return await this.handleDeleteTask(args);
@@ -643,6 +1656,58 @@ class TaskManagerMCPServer {
               return await this.handleGetTask(args);
             case "unassign_agent":
               return await this.handleUnassignAgent(args);
+            case "add_dependency":
+              return await this.handleAddDependency(args);
+            case "remove_dependency":
+              return await this.handleRemoveDependency(args);
+            case "get_critical_path":
+              return await this.handleGetCriticalPath(args);
+            case "get_deadlines":
+              return await this.handleGetDeadlines(args);
+            case "get_timesheet":
+              return await this.handleGetTimesheet(args);
+            case "get_estimate_accuracy":
+              return await this.handleGetEstimateAccuracy(args);
+            case "create_milestone":
+              return await this.handleCreateGroup("milestone", args);
+            case "list_milestones":
+              return await this.handleListGroups("milestone");
+            case "update_milestone":
+              return await this.handleUpdateGroup("milestone", args);
+            case "delete_milestone":
+              return await this.handleDeleteGroup("milestone", args);
+            case "create_epic":
+              return await this.handleCreateGroup("epic", args);
+            case "list_epics":
+              return await this.handleListGroups("epic");
+            case "update_epic":
+              return await this.handleUpdateGroup("epic", args);
+            case "delete_epic":
+              return await this.handleDeleteGroup("epic", args);
+            case "list_phases":
+              return await this.handleListPhases(args);
+            case "create_phase":
+              return await this.handleCreatePhase(args);
+            case "update_phase":
+              return await this.handleUpdatePhase(args);
+            case "delete_phase":
+              return await this.handleDeletePhase(args);
+            case "advance_phase":
+              return await this.handleAdvancePhase(args);
+            case "create_recurring":
+              return await this.handleCreateRecurring(args);
+            case "list_recurring":
+              return await this.handleListRecurring(args);
+            case "update_recurring":
+              return await this.handleUpdateRecurring(args);
+            case "delete_recurring":
+              return await this.handleDeleteRecurring(args);
+            case "materialize_recurring":
+              return await this.handleMaterializeRecurring(args);
+            case "create_subtask":
+              return await this.handleCreateSubtask(args);
+            case "get_task_tree":
+              return await this.handleGetTaskTree(args);
             case "get_my_tasks":
               return await this.handleGetMyTasks(args);
             case "get_my_notifications":
@@ -651,10 +1716,36 @@ class TaskManagerMCPServer {
               return await this.handleClearMyNotifications(args);
             case "transfer_task":
               return await this.handleTransferTask(args);
+            case "add_comment":
+              return await this.handleAddComment(args);
+            case "get_task_activity":
+              return await this.handleGetTaskActivity(args);
+            case "attach_artifact":
+              return await this.handleAttachArtifact(args);
+            case "verify_task":
+              return await this.handleVerifyTask(args);
+            case "detect_completions":
+              return await this.handleDetectCompletions(args);
+            case "list_artifacts":
+              return await this.handleListArtifacts(args);
+            case "read_artifact":
+              return await this.handleReadArtifact(args);
             case "set_current_agent":
               return await this.handleSetCurrentAgent(args);
             case "get_current_agent":
               return await this.handleGetCurrentAgent(args);
+            case "undo":
+              return await this.handleUndo(args);
+            case "redo":
+              return await this.handleRedo(args);
+            case "list_backups":
+              return await this.handleListBackups(args);
+            case "create_backup":
+              return await this.handleCreateBackup(args);
+            case "restore_backup":
+              return await this.handleRestoreBackup(args);
+            case "doctor":
+              return await this.handleDoctor(args);
             default:
               throw new Error(`Unknown tool: ${name}`);
           }
@@ -669,761 +1760,1614 @@ class TaskManagerMCPServer {
             isError: true,
           };
         }
-      },
+      },
+    );
+  }
+
+  ensureTaskManager(options = {}) {
+    if (!this.taskManager) {
+      try {
+        // Enhanced logging for debugging directory issues
+        const cwd = process.cwd();
+        const homeDir = process.env.HOME;
+        const taskManagerDataDir = process.env.TASK_MANAGER_DATA_DIR;
+
+        console.log(`[MCP Server] Directory Detection Debug:`);
+        console.log(`  Current Working Directory: ${cwd}`);
+        console.log(`  HOME environment variable: ${homeDir}`);
+        console.log(`  TASK_MANAGER_DATA_DIR: ${taskManagerDataDir}`);
+        console.log(`  Options passed: ${JSON.stringify(options, null, 2)}`);
+
+        // Default to current directory for MCP server usage, with safety checks
+        const defaultOptions = { useCurrentDir: true, ...options };
+
+        // Enhanced safety check for problematic directories
+        const isSystemDirectory =
+          cwd === "/" ||
+          !cwd ||
+          cwd.startsWith("/usr/") ||
+          cwd.startsWith("/opt/") ||
+          cwd.startsWith("/var/") ||
+          cwd.startsWith("/tmp/") ||
+          cwd.startsWith("/etc/") ||
+          cwd.startsWith("/bin/") ||
+          cwd.startsWith("/sbin/") ||
+          cwd.includes("node_modules") ||
+          cwd.includes("/.npm/") ||
+          cwd.includes("/.cache/");
+
+        if (isSystemDirectory) {
+          console.log(
+            `[MCP Server] WARNING: Detected unsafe directory: ${cwd}`,
+          );
+          console.log(`[MCP Server] Falling back to safe directory...`);
+
+          // Priority order for fallback directories
+          let fallbackDir;
+          if (taskManagerDataDir) {
+            fallbackDir = taskManagerDataDir;
+            console.log(
+              `[MCP Server] Using TASK_MANAGER_DATA_DIR: ${fallbackDir}`,
+            );
+          } else if (homeDir) {
+            fallbackDir = `${homeDir}/TaskManager`;
+            console.log(`[MCP Server] Using HOME directory: ${fallbackDir}`);
+          } else {
+            fallbackDir = "./tasks-data";
+            console.log(`[MCP Server] Using relative fallback: ${fallbackDir}`);
+          }
+
+          defaultOptions.dataDir = fallbackDir;
+          defaultOptions.useCurrentDir = false;
+        } else {
+          console.log(`[MCP Server] Using current directory: ${cwd}`);
+        }
+
+        console.log(
+          `[MCP Server] Final options: ${JSON.stringify(defaultOptions, null, 2)}`,
+        );
+        this.taskManager = new TaskManager(defaultOptions);
+        console.log(
+          `[MCP Server] TaskManager initialized with dataDir: ${this.taskManager.dataDir}`,
+        );
+      } catch (error) {
+        console.error(
+          `[MCP Server] Error in ensureTaskManager: ${error.message}`,
+        );
+        console.error(`[MCP Server] Stack trace: ${error.stack}`);
+
+        // Enhanced fallback to a safe directory
+        const fallbackOptions = {
+          dataDir:
+            process.env.TASK_MANAGER_DATA_DIR ||
+            (process.env.HOME
+              ? `${process.env.HOME}/TaskManager`
+              : "./tasks-data"),
+          useCurrentDir: false,
+        };
+
+        console.log(
+          `[MCP Server] Using fallback options: ${JSON.stringify(fallbackOptions, null, 2)}`,
+        );
+        this.taskManager = new TaskManager(fallbackOptions);
+        console.log(
+          `[MCP Server] Fallback TaskManager initialized with dataDir: ${this.taskManager.dataDir}`,
+        );
+      }
+    } else {
+      // The CLI, bots and other servers may have written since the last
+      // call, so reads are served from the latest data
+      this.taskManager.refreshData();
+    }
+  }
+
+  async handleInitTaskManager(args) {
+    const { dataDir, useCurrentDir, agentId } = args;
+
+    try {
+      console.log(
+        `[MCP Server] handleInitTaskManager called with args: ${JSON.stringify(args, null, 2)}`,
+      );
+
+      const cwd = process.cwd();
+      const homeDir = process.env.HOME;
+      const taskManagerDataDir = process.env.TASK_MANAGER_DATA_DIR;
+
+      console.log(`[MCP Server] Init Environment Debug:`);
+      console.log(`  Current Working Directory: ${cwd}`);
+      console.log(`  HOME: ${homeDir}`);
+      console.log(`  TASK_MANAGER_DATA_DIR: ${taskManagerDataDir}`);
+
+      // MCP servers run from root, so we need intelligent directory resolution
+      let resolvedDataDir = dataDir;
+
+      if (!resolvedDataDir) {
+        // For MCP, default to user's home directory instead of current working directory
+        if (homeDir) {
+          resolvedDataDir = `${homeDir}/TaskManager`;
+          console.log(
+            `[MCP Server] No dataDir specified, using default: ${resolvedDataDir}`,
+          );
+        } else {
+          resolvedDataDir = "./tasks-data";
+          console.log(
+            `[MCP Server] No HOME directory found, using relative path: ${resolvedDataDir}`,
+          );
+        }
+      } else {
+        console.log(`[MCP Server] Using specified dataDir: ${resolvedDataDir}`);
+      }
+
+      // Check if the resolved directory is safe
+      const isResolvedDirSafe = this.isDirectorySafe(resolvedDataDir);
+      if (!isResolvedDirSafe) {
+        console.log(
+          `[MCP Server] Unsafe directory detected: ${resolvedDataDir}`,
+        );
+        console.log(`[MCP Server] Auto-selecting safe fallback directory`);
+
+        const fallbackDir = homeDir ? `${homeDir}/TaskManager` : "./tasks-data";
+        return await this.handleInitTaskManager({
+          ...args,
+          dataDir: fallbackDir,
+        });
+      }
+
+      const options = {};
+      if (agentId) {
+        options.agentId = agentId;
+        console.log(`[MCP Server] Setting agentId: ${agentId}`);
+      }
+
+      // Use enhanced directory resolution with MCP-safe defaults
+      const { directory, projectRoot, resolution } = this.resolveDirectory({
+        dataDir: resolvedDataDir,
+        useCurrentDir: false, // Never use current dir in MCP since it's always root
+      });
+
+      console.log(`[MCP Server] Directory resolution completed:`);
+      console.log(`  Resolved directory: ${directory}`);
+      console.log(`  Project root: ${projectRoot || "Not found"}`);
+      console.log(`  Strategy used: ${resolution.strategy}`);
+      console.log(`  Fallback used: ${resolution.fallbackUsed}`);
+      console.log(`  Directory safe: ${resolution.safe}`);
+
+      options.dataDir = directory;
+      options.useCurrentDir = false; // Always use resolved directory
+
+      console.log(
+        `[MCP Server] Final TaskManager options: ${JSON.stringify(options, null, 2)}`,
+      );
+
+      // Basic directory creation will be handled by TaskManager itself
+      console.log(
+        `[MCP Server] Using basic directory structure for: ${directory}`,
+      );
+
+      // Migrate legacy data if needed
+      if (projectRoot && projectRoot !== directory) {
+        const migrationResult = migrateLegacyData(projectRoot, directory);
+        if (migrationResult.migrated.length > 0) {
+          console.log(
+            `[MCP Server] Legacy data migrated:`,
+            migrationResult.migrated,
+          );
+        }
+      }
+
+      // Create new TaskManager instance with enhanced error handling
+      try {
+        this.taskManager = new TaskManager(options);
+        console.log(`[MCP Server] TaskManager created successfully`);
+        console.log(`  Final dataDir: ${this.taskManager.dataDir}`);
+        console.log(`  Project root: ${projectRoot || "Not detected"}`);
+        console.log(`  Resolution strategy: ${resolution.strategy}`);
+      } catch (tmError) {
+        console.error(
+          `[MCP Server] TaskManager creation failed: ${tmError.message}`,
+        );
+        console.error(`[MCP Server] Attempting emergency recovery...`);
+
+        // Emergency fallback
+        const emergencyDir = homeDir
+          ? `${homeDir}/emergency-tasks-data`
+          : "./emergency-tasks-data";
+        const emergencyOptions = {
+          dataDir: emergencyDir,
+          useCurrentDir: false,
+          agentId: options.agentId,
+        };
+        console.log(
+          `[MCP Server] Emergency options: ${JSON.stringify(emergencyOptions, null, 2)}`,
+        );
+        this.taskManager = new TaskManager(emergencyOptions);
+        console.log(
+          `[MCP Server] Emergency TaskManager created with dataDir: ${this.taskManager.dataDir}`,
+        );
+      }
+
+      const initOptions = {
+        useCurrentDir: false, // Never use current dir in MCP
+        dataDir: options.dataDir,
+      };
+
+      console.log(
+        `[MCP Server] Calling smartInit with options: ${JSON.stringify(initOptions, null, 2)}`,
+      );
+      const results = this.taskManager.smartInit(initOptions);
+      console.log(`[MCP Server] smartInit completed successfully`);
+      console.log(`[MCP Server] Results: ${JSON.stringify(results, null, 2)}`);
+
+      const successMessage = `✅ Task Manager initialized successfully!
+
+🏠 Directory Information:
+- Data directory: ${this.taskManager.dataDir}
+- Current working directory: ${cwd}
+- Project root: ${projectRoot || "Not detected"}
+- Resolution strategy: ${resolution.strategy}
+- Directory safety validated: ✅
+- Fallback used: ${resolution.fallbackUsed ? "Yes" : "No"}
+
+📋 Initialization Summary:
+${results.created.length > 0 ? `✨ Created: ${results.created.join(", ")}\n` : ""}${results.existed.length > 0 ? `📁 Already existed: ${results.existed.join(", ")}\n` : ""}${results.updated.length > 0 ? `🔄 Updated: ${results.updated.join(", ")}\n` : ""}
+👤 Agent ID: ${this.taskManager.currentAgentId || "Not set"}
+
+🎯 Ready to manage tasks with enhanced directory handling!`;
+
+      console.log(`[MCP Server] Returning success response`);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: successMessage,
+          },
+        ],
+      };
+    } catch (error) {
+      console.error(
+        `[MCP Server] handleInitTaskManager fatal error: ${error.message}`,
+      );
+      console.error(`[MCP Server] Error stack: ${error.stack}`);
+
+      const errorMessage = `❌ Failed to initialize Task Manager: ${error.message}
+
+🔍 Debug Information:
+- Current directory: ${process.cwd()}
+- HOME directory: ${process.env.HOME || "Not set"}
+- TASK_MANAGER_DATA_DIR: ${process.env.TASK_MANAGER_DATA_DIR || "Not set"}
+- Project root detection: ${findProjectRoot() || "Failed"}
+- Args provided: ${JSON.stringify(args, null, 2)}
+
+💡 Troubleshooting Steps:
+1. Set TASK_MANAGER_DATA_DIR environment variable to a writable directory
+   Example: export TASK_MANAGER_DATA_DIR="$HOME/TaskManager"
+
+2. Ensure you're running from a user directory (not system directories like /, /usr/, etc.)
+
+3. Provide a custom dataDir in the initialization call:
+   Example: {"dataDir": "$HOME/MyTaskManager"}
+
+4. Check directory permissions for write access
+
+5. Run from a project directory with package.json or .git
+
+🔧 Enhanced Solutions:
+- For macOS: export TASK_MANAGER_DATA_DIR="$HOME/TaskManager"
+- For Linux: export TASK_MANAGER_DATA_DIR="$HOME/taskmanager"
+- For Windows: set TASK_MANAGER_DATA_DIR=%USERPROFILE%\\TaskManager
+- Project-based: Run from directory with package.json or .git for automatic detection
+
+🆕 New Features:
+- Automatic project root detection
+- Smart directory structure migration
+- Enhanced safety validation`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: errorMessage,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  async handleCreateTask(args) {
+    this.ensureTaskManager();
+
+    const task = this.taskManager.createTask(args);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Task created successfully!\n\nTask ID: ${task.id}\nTitle: ${task.title}\nPriority: ${task.priority}\nStatus: ${task.status}\nAssignees: ${task.assignees.map((a) => a.name).join(", ") || "None"}`,
+        },
+      ],
+    };
+  }
+
+  async handleListTasks(args) {
+    this.ensureTaskManager();
+
+    const tasks = this.taskManager.listTasks(args);
+
+    if (tasks.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "No tasks found matching the criteria.",
+          },
+        ],
+      };
+    }
+
+    const taskList = tasks
+      .map((task) => {
+        const priority =
+          task.priority === "critical"
+            ? "🔴"
+            : task.priority === "high"
+              ? "🟠"
+              : task.priority === "medium"
+                ? "🟡"
+                : "🟢";
+        const assignees = task.assignees
+          ? task.assignees.map((a) => a.name).join(", ")
+          : "Unassigned";
+
+        return `${priority} ${task.id}: ${task.title} [${task.status}] - ${assignees}`;
+      })
+      .join("\n");
+
+    const filterDesc =
+      Object.keys(args).length > 0
+        ? ` (filtered by: ${Object.entries(args)
+            .map(([k, v]) => `${k}=${v}`)
+            .join(", ")})`
+        : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Tasks${filterDesc}:\n\n${taskList}`,
+        },
+      ],
+    };
+  }
+
+  async handleUpdateTask(args) {
+    this.ensureTaskManager();
+
+    const { taskId, expectedRevision, cascade, waiver, ...updates } = args;
+    const task = this.taskManager.updateTask(taskId, updates, {
+      expectedRevision,
+      cascade,
+      waiver,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Task ${taskId} updated successfully!\n\nTitle: ${task.title}\nStatus: ${task.status}\nPriority: ${task.priority}\nRevision: ${task.revision}`,
+        },
+      ],
+    };
+  }
+
+  async handleAssignAgent(args) {
+    this.ensureTaskManager();
+
+    const { taskId, agentId, expectedRevision } = args;
+    const task = this.taskManager.assignAgentToTask(
+      taskId,
+      { id: agentId },
+      { expectedRevision },
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Agent ${agentId} assigned to task ${taskId}!\n\nTask: ${task.title}\nAssignees: ${task.assignees.map((a) => a.name).join(", ")}\nRevision: ${task.revision}`,
+        },
+      ],
+    };
+  }
+
+  async handleAddAgent(args) {
+    this.ensureTaskManager();
+
+    const agent = this.taskManager.addAgent(args);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Agent added successfully!\n\nID: ${agent.id}\nName: ${agent.name}\nType: ${agent.type}\nCapabilities: ${agent.capabilities.join(", ") || "None specified"}`,
+        },
+      ],
+    };
+  }
+
+  async handleListAgents(args) {
+    this.ensureTaskManager();
+
+    const agents = this.taskManager.listAgents();
+
+    if (agents.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "No agents found.",
+          },
+        ],
+      };
+    }
+
+    const agentList = agents
+      .map((agent) => {
+        const icon = agent.type === "ai" ? "🤖" : "👤";
+        const status = agent.status === "active" ? "✅" : "⏸️";
+
+        return `${status} ${icon} ${agent.name} (${agent.id})\n   Type: ${agent.type}, Active: ${agent.workload.active_tasks}, Completed: ${agent.workload.completed_tasks}${
+          agent.capabilities && agent.capabilities.length > 0
+            ? `\n   Capabilities: ${agent.capabilities.join(", ")}`
+            : ""
+        }`;
+      })
+      .join("\n\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `👥 Agents:\n\n${agentList}`,
+        },
+      ],
+    };
+  }
+
+  async handleGetRecommendations(args) {
+    this.ensureTaskManager();
+
+    const { agentId, limit, strategy } = args;
+    const recommendations = this.taskManager.getRecommendationsForAgent(
+      agentId,
+      limit,
+      { strategy },
     );
+
+    if (recommendations.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `No recommendations available for agent ${agentId}.`,
+          },
+        ],
+      };
+    }
+
+    const recList = recommendations
+      .map((task, index) => {
+        const priority =
+          task.priority === "critical"
+            ? "🔴"
+            : task.priority === "high"
+              ? "🟠"
+              : task.priority === "medium"
+                ? "🟡"
+                : "🟢";
+
+        const factors = task.score_factors
+          .map(
+            (factor) =>
+              `   • ${factor.factor}: ${factor.points}${factor.detail ? ` (${factor.detail})` : ""}`,
+          )
+          .join("\n");
+        return `${index + 1}. ${priority} ${task.id}: ${task.title} (Score: ${task.recommendation_score})\n   ${task.recommendation_reason}\n${factors}`;
+      })
+      .join("\n\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🎯 Recommendations for ${agentId} (${recommendations[0].recommendation_strategy}):\n\n${recList}`,
+        },
+      ],
+    };
+  }
+
+  async handleExplainRecommendation(args) {
+    this.ensureTaskManager();
+    const { taskId, agentId, strategy } = args;
+
+    try {
+      const explanation = this.taskManager.explainRecommendation(
+        taskId,
+        agentId,
+        { strategy },
+      );
+      const factors = explanation.factors
+        .map(
+          (factor) =>
+            `• ${factor.factor}: ${factor.points}${factor.detail ? ` (${factor.detail})` : ""}`,
+        )
+        .join("\n");
+      const verdict = explanation.recommended
+        ? `✅ Recommended (#${explanation.rank})`
+        : `⛔ Not recommended:\n${explanation.excluded_because.map((reason) => `- ${reason}`).join("\n")}`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🔍 ${explanation.task_id}: ${explanation.title} for ${explanation.agent_id}\n\n${verdict}\n\n📊 Score: ${explanation.score} (${explanation.strategy})\n${factors}\n\n💡 ${explanation.reason}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to explain recommendation: ${error.message}`);
+    }
+  }
+
+  async handleGetProjectStatus(args) {
+    this.ensureTaskManager();
+
+    const status = this.taskManager.getProjectStatus();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📊 Project Status:
+
+Progress: ${status.progress.completion_percentage}% (${status.progress.completed}/${status.progress.total_tasks} tasks)
+Agents: ${status.agents.total} (${status.agents.by_type.human} human, ${status.agents.by_type.ai} AI)
+Tasks: ${status.tasks.by_category.active} active, ${status.tasks.by_category.open} todo, ${status.tasks.by_category.done} completed
+Deadlines: ${status.deadlines.overdue.length} overdue, ${status.deadlines.at_risk.length} at risk
+
+Priority Breakdown:
+• Critical: ${status.tasks.by_priority.critical} tasks
+• High: ${status.tasks.by_priority.high} tasks
+• Medium: ${status.tasks.by_priority.medium} tasks
+• Low: ${status.tasks.by_priority.low} tasks${
+            status.phases.length > 0
+              ? `\n\nPhases:\n${status.phases
+                  .map(
+                    (p) =>
+                      `• ${p.id}: ${p.name} [${p.status}]${p.active ? " (active)" : ""} ${p.completion_percentage}%${p.open_required_tasks > 0 ? `, ${p.open_required_tasks} required task(s) open` : ""}`,
+                  )
+                  .join("\n")}`
+              : ""
+          }${
+            status.milestones.length > 0
+              ? `\n\nMilestones:\n${status.milestones
+                  .map(
+                    (m) =>
+                      `• ${m.id}: ${m.title} [${m.status}] ${m.completion_percentage}%, ${m.remaining_hours}h remaining${m.target_date ? `, due ${m.target_date}` : ""}`,
+                  )
+                  .join("\n")}`
+              : ""
+          }`,
+        },
+      ],
+    };
+  }
+
+  async handleGetAgentWorkload(args) {
+    this.ensureTaskManager();
+
+    const { agentId } = args;
+    const workload = this.taskManager.getAgentWorkload(agentId);
+
+    const activeTasks =
+      workload.tasks.active.length > 0
+        ? "\n\nActive Tasks:\n" +
+          workload.tasks.active
+            .map((task) => {
+              const priority =
+                task.priority === "critical"
+                  ? "🔴"
+                  : task.priority === "high"
+                    ? "🟠"
+                    : task.priority === "medium"
+                      ? "🟡"
+                      : "🟢";
+              return `• ${priority} ${task.id}: ${task.title} [${task.status}]`;
+            })
+            .join("\n")
+        : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📊 Workload for ${workload.agent.name}:
+
+Active tasks: ${workload.workload.active_tasks}
+Completed tasks: ${workload.workload.completed_tasks}
+Total score: ${workload.workload.total_score}${activeTasks}`,
+        },
+      ],
+    };
+  }
+
+  async handleAgentCheckIn(args) {
+    this.ensureTaskManager();
+
+    const { agentId } = args;
+    if (agentId) {
+      this.taskManager.setCurrentAgent(agentId);
+    }
+
+    const checkIn = this.taskManager.checkIn();
+    const agent = checkIn.agent;
+    const icon = agent.type === "ai" ? "🤖" : "👤";
+
+    const recommendations =
+      checkIn.recommendations.length > 0
+        ? "\n\nTop Recommendations:\n" +
+          checkIn.recommendations
+            .slice(0, 2)
+            .map((task, index) => {
+              const priority =
+                task.priority === "critical"
+                  ? "🔴"
+                  : task.priority === "high"
+                    ? "🟠"
+                    : task.priority === "medium"
+                      ? "🟡"
+                      : "🟢";
+              return `${index + 1}. ${priority} ${task.id}: ${task.title}`;
+            })
+            .join("\n")
+        : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${icon} Check-in for ${agent.name} (${agent.id})
+
+Status: ${agent.status}
+Active tasks: ${checkIn.status.active_tasks}
+Todo tasks: ${checkIn.status.todo_tasks}
+Pending recommendations: ${checkIn.status.pending_recommendations}
+Overdue tasks: ${checkIn.status.overdue_tasks}
+At-risk tasks: ${checkIn.status.at_risk_tasks}${recommendations}`,
+        },
+      ],
+    };
   }
 
-  ensureTaskManager(options = {}) {
-    if (!this.taskManager) {
-      try {
-        // Enhanced logging for debugging directory issues
-        const cwd = process.cwd();
-        const homeDir = process.env.HOME;
-        const taskManagerDataDir = process.env.TASK_MANAGER_DATA_DIR;
+  async handleStartTask(args) {
+    this.ensureTaskManager();
 
-        console.log(`[MCP Server] Directory Detection Debug:`);
-        console.log(`  Current Working Directory: ${cwd}`);
-        console.log(`  HOME environment variable: ${homeDir}`);
-        console.log(`  TASK_MANAGER_DATA_DIR: ${taskManagerDataDir}`);
-        console.log(`  Options passed: ${JSON.stringify(options, null, 2)}`);
+    const { taskId, agentId, expectedRevision } = args;
+    if (agentId) {
+      this.taskManager.setCurrentAgent(agentId);
+    }
 
-        // Default to current directory for MCP server usage, with safety checks
-        const defaultOptions = { useCurrentDir: true, ...options };
+    const task = this.taskManager.startTask(taskId, { expectedRevision });
 
-        // Enhanced safety check for problematic directories
-        const isSystemDirectory =
-          cwd === "/" ||
-          !cwd ||
-          cwd.startsWith("/usr/") ||
-          cwd.startsWith("/opt/") ||
-          cwd.startsWith("/var/") ||
-          cwd.startsWith("/tmp/") ||
-          cwd.startsWith("/etc/") ||
-          cwd.startsWith("/bin/") ||
-          cwd.startsWith("/sbin/") ||
-          cwd.includes("node_modules") ||
-          cwd.includes("/.npm/") ||
-          cwd.includes("/.cache/");
+    return {
+      content: [
+        {
+          type: "text",
+          text: `⚡ Started working on: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}`,
+        },
+      ],
+    };
+  }
 
-        if (isSystemDirectory) {
-          console.log(
-            `[MCP Server] WARNING: Detected unsafe directory: ${cwd}`,
-          );
-          console.log(`[MCP Server] Falling back to safe directory...`);
+  async handleCompleteTask(args) {
+    this.ensureTaskManager();
 
-          // Priority order for fallback directories
-          let fallbackDir;
-          if (taskManagerDataDir) {
-            fallbackDir = taskManagerDataDir;
-            console.log(
-              `[MCP Server] Using TASK_MANAGER_DATA_DIR: ${fallbackDir}`,
-            );
-          } else if (homeDir) {
-            fallbackDir = `${homeDir}/TaskManager`;
-            console.log(`[MCP Server] Using HOME directory: ${fallbackDir}`);
-          } else {
-            fallbackDir = "./tasks-data";
-            console.log(`[MCP Server] Using relative fallback: ${fallbackDir}`);
-          }
+    const {
+      taskId,
+      agentId,
+      expectedRevision,
+      cascade,
+      requireArtifacts,
+      waiver,
+    } = args;
+    if (agentId) {
+      this.taskManager.setCurrentAgent(agentId);
+    }
 
-          defaultOptions.dataDir = fallbackDir;
-          defaultOptions.useCurrentDir = false;
-        } else {
-          console.log(`[MCP Server] Using current directory: ${cwd}`);
-        }
+    const task = this.taskManager.completeTask(taskId, {
+      expectedRevision,
+      cascade,
+      requireArtifacts,
+      waiver,
+    });
+    const missing = task.missing_artifacts || [];
+    const waived = task.criteria_waiver;
 
-        console.log(
-          `[MCP Server] Final options: ${JSON.stringify(defaultOptions, null, 2)}`,
-        );
-        this.taskManager = new TaskManager(defaultOptions);
-        console.log(
-          `[MCP Server] TaskManager initialized with dataDir: ${this.taskManager.dataDir}`,
-        );
-      } catch (error) {
-        console.error(
-          `[MCP Server] Error in ensureTaskManager: ${error.message}`,
-        );
-        console.error(`[MCP Server] Stack trace: ${error.stack}`);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Completed: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}\nCompleted: ${task.completed}${waived ? `\n⚠️ Completion criteria waived (${waived.reason}): ${waived.failed.join("; ")}` : ""}${missing.length > 0 ? `\n⚠️ No artifact attached for: ${missing.join(", ")}` : ""}`,
+        },
+      ],
+    };
+  }
 
-        // Enhanced fallback to a safe directory
-        const fallbackOptions = {
-          dataDir:
-            process.env.TASK_MANAGER_DATA_DIR ||
-            (process.env.HOME
-              ? `${process.env.HOME}/TaskManager`
-              : "./tasks-data"),
-          useCurrentDir: false,
-        };
+  async handlePauseTask(args) {
+    this.ensureTaskManager();
 
-        console.log(
-          `[MCP Server] Using fallback options: ${JSON.stringify(fallbackOptions, null, 2)}`,
-        );
-        this.taskManager = new TaskManager(fallbackOptions);
-        console.log(
-          `[MCP Server] Fallback TaskManager initialized with dataDir: ${this.taskManager.dataDir}`,
-        );
-      }
+    const { taskId, agentId } = args;
+    if (agentId) {
+      this.taskManager.setCurrentAgent(agentId);
     }
+
+    const task = this.taskManager.pauseTask(taskId);
+    const tracking = this.taskManager.getTimeTracking(taskId);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `⏸️ Paused: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}\nLogged: ${tracking.actual_hours}h of ${tracking.estimated_hours}h estimated`,
+        },
+      ],
+    };
   }
 
-  async handleInitTaskManager(args) {
-    const { dataDir, useCurrentDir, agentId } = args;
+  async handleResumeTask(args) {
+    this.ensureTaskManager();
 
-    try {
-      console.log(
-        `[MCP Server] handleInitTaskManager called with args: ${JSON.stringify(args, null, 2)}`,
-      );
+    const { taskId, agentId } = args;
+    if (agentId) {
+      this.taskManager.setCurrentAgent(agentId);
+    }
 
-      const cwd = process.cwd();
-      const homeDir = process.env.HOME;
-      const taskManagerDataDir = process.env.TASK_MANAGER_DATA_DIR;
+    const task = this.taskManager.resumeTask(taskId);
+    const tracking = this.taskManager.getTimeTracking(taskId);
 
-      console.log(`[MCP Server] Init Environment Debug:`);
-      console.log(`  Current Working Directory: ${cwd}`);
-      console.log(`  HOME: ${homeDir}`);
-      console.log(`  TASK_MANAGER_DATA_DIR: ${taskManagerDataDir}`);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `▶️ Resumed: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}\nLogged: ${tracking.actual_hours}h of ${tracking.estimated_hours}h estimated`,
+        },
+      ],
+    };
+  }
 
-      // MCP servers run from root, so we need intelligent directory resolution
-      let resolvedDataDir = dataDir;
+  async handleExportProject(args) {
+    this.ensureTaskManager();
 
-      if (!resolvedDataDir) {
-        // For MCP, default to user's home directory instead of current working directory
-        if (homeDir) {
-          resolvedDataDir = `${homeDir}/TaskManager`;
-          console.log(
-            `[MCP Server] No dataDir specified, using default: ${resolvedDataDir}`,
-          );
-        } else {
-          resolvedDataDir = "./tasks-data";
-          console.log(
-            `[MCP Server] No HOME directory found, using relative path: ${resolvedDataDir}`,
-          );
-        }
-      } else {
-        console.log(`[MCP Server] Using specified dataDir: ${resolvedDataDir}`);
-      }
+    const exportData = {
+      project: this.taskManager.taskTracker.project,
+      agents: this.taskManager.agents,
+      tasks: this.taskManager.taskTracker.tasks,
+      progress: this.taskManager.taskTracker.progress,
+      exported: new Date().toISOString(),
+    };
 
-      // Check if the resolved directory is safe
-      const isResolvedDirSafe = this.isDirectorySafe(resolvedDataDir);
-      if (!isResolvedDirSafe) {
-        console.log(
-          `[MCP Server] Unsafe directory detected: ${resolvedDataDir}`,
-        );
-        console.log(`[MCP Server] Auto-selecting safe fallback directory`);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📤 Project Export Data:\n\n\`\`\`json\n${JSON.stringify(exportData, null, 2)}\n\`\`\``,
+        },
+      ],
+    };
+  }
+
+  async handleRemoveAgent(args) {
+    this.ensureTaskManager();
+    const { agentId } = args;
+
+    try {
+      this.taskManager.removeAgent(agentId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Agent ${agentId} removed successfully`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to remove agent: ${error.message}`);
+    }
+  }
+
+  async handleDeleteTask(args) {
+    this.ensureTaskManager();
+    const { taskId } = args;
+
+    try {
+      this.taskManager.deleteTask(taskId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Task ${taskId} deleted successfully`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete task: ${error.message}`);
+    }
+  }
+
+  async handleGetTask(args) {
+    this.ensureTaskManager();
+    const { taskId } = args;
 
-        const fallbackDir = homeDir ? `${homeDir}/TaskManager` : "./tasks-data";
-        return await this.handleInitTaskManager({
-          ...args,
-          dataDir: fallbackDir,
-        });
+    try {
+      const task = this.taskManager.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
       }
 
-      const options = {};
-      if (agentId) {
-        options.agentId = agentId;
-        console.log(`[MCP Server] Setting agentId: ${agentId}`);
-      }
+      // Sessions are already part of the task
+      const { sessions, ...timeTracking } =
+        this.taskManager.getTimeTracking(taskId);
+      const details = {
+        ...task,
+        allowed_next_statuses: this.taskManager.getNextStatuses(taskId),
+        progress: this.taskManager.getTaskProgress(taskId),
+        deadline: this.taskManager.getDeadline(taskId),
+        time_tracking: timeTracking,
+      };
 
-      // Use enhanced directory resolution with MCP-safe defaults
-      const { directory, projectRoot, resolution } = this.resolveDirectory({
-        dataDir: resolvedDataDir,
-        useCurrentDir: false, // Never use current dir in MCP since it's always root
-      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(details, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to get task: ${error.message}`);
+    }
+  }
 
-      console.log(`[MCP Server] Directory resolution completed:`);
-      console.log(`  Resolved directory: ${directory}`);
-      console.log(`  Project root: ${projectRoot || "Not found"}`);
-      console.log(`  Strategy used: ${resolution.strategy}`);
-      console.log(`  Fallback used: ${resolution.fallbackUsed}`);
-      console.log(`  Directory safe: ${resolution.safe}`);
+  async handleUnassignAgent(args) {
+    this.ensureTaskManager();
+    const { taskId, agentId } = args;
 
-      options.dataDir = directory;
-      options.useCurrentDir = false; // Always use resolved directory
+    try {
+      this.taskManager.unassignAgentFromTask(taskId, agentId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Agent ${agentId} unassigned from task ${taskId}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to unassign agent: ${error.message}`);
+    }
+  }
 
-      console.log(
-        `[MCP Server] Final TaskManager options: ${JSON.stringify(options, null, 2)}`,
-      );
+  async handleAddDependency(args) {
+    this.ensureTaskManager();
+    const { taskId, dependencyId } = args;
 
-      // Basic directory creation will be handled by TaskManager itself
-      console.log(
-        `[MCP Server] Using basic directory structure for: ${directory}`,
-      );
+    try {
+      const task = this.taskManager.addDependency(taskId, dependencyId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Task ${taskId} now depends on ${dependencyId}\n\nDependencies: ${task.dependencies.join(", ")}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to add dependency: ${error.message}`);
+    }
+  }
 
-      // Migrate legacy data if needed
-      if (projectRoot && projectRoot !== directory) {
-        const migrationResult = migrateLegacyData(projectRoot, directory);
-        if (migrationResult.migrated.length > 0) {
-          console.log(
-            `[MCP Server] Legacy data migrated:`,
-            migrationResult.migrated,
-          );
-        }
-      }
+  async handleRemoveDependency(args) {
+    this.ensureTaskManager();
+    const { taskId, dependencyId } = args;
 
-      // Create new TaskManager instance with enhanced error handling
-      try {
-        this.taskManager = new TaskManager(options);
-        console.log(`[MCP Server] TaskManager created successfully`);
-        console.log(`  Final dataDir: ${this.taskManager.dataDir}`);
-        console.log(`  Project root: ${projectRoot || "Not detected"}`);
-        console.log(`  Resolution strategy: ${resolution.strategy}`);
-      } catch (tmError) {
-        console.error(
-          `[MCP Server] TaskManager creation failed: ${tmError.message}`,
-        );
-        console.error(`[MCP Server] Attempting emergency recovery...`);
+    try {
+      const task = this.taskManager.removeDependency(taskId, dependencyId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Task ${taskId} no longer depends on ${dependencyId}\n\nDependencies: ${task.dependencies.join(", ") || "none"}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to remove dependency: ${error.message}`);
+    }
+  }
 
-        // Emergency fallback
-        const emergencyDir = homeDir
-          ? `${homeDir}/emergency-tasks-data`
-          : "./emergency-tasks-data";
-        const emergencyOptions = {
-          dataDir: emergencyDir,
-          useCurrentDir: false,
-          agentId: options.agentId,
-        };
-        console.log(
-          `[MCP Server] Emergency options: ${JSON.stringify(emergencyOptions, null, 2)}`,
-        );
-        this.taskManager = new TaskManager(emergencyOptions);
-        console.log(
-          `[MCP Server] Emergency TaskManager created with dataDir: ${this.taskManager.dataDir}`,
-        );
-      }
+  async handleCreateGroup(type, args) {
+    this.ensureTaskManager();
 
-      const initOptions = {
-        useCurrentDir: false, // Never use current dir in MCP
-        dataDir: options.dataDir,
+    try {
+      const group = this.taskManager.createGroup(type, args);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ ${this.formatGroup(group)}`,
+          },
+        ],
       };
+    } catch (error) {
+      throw new Error(`Failed to create ${type}: ${error.message}`);
+    }
+  }
 
-      console.log(
-        `[MCP Server] Calling smartInit with options: ${JSON.stringify(initOptions, null, 2)}`,
-      );
-      const results = this.taskManager.smartInit(initOptions);
-      console.log(`[MCP Server] smartInit completed successfully`);
-      console.log(`[MCP Server] Results: ${JSON.stringify(results, null, 2)}`);
-
-      const successMessage = `✅ Task Manager initialized successfully!
+  async handleListGroups(type) {
+    this.ensureTaskManager();
 
-🏠 Directory Information:
-- Data directory: ${this.taskManager.dataDir}
-- Current working directory: ${cwd}
-- Project root: ${projectRoot || "Not detected"}
-- Resolution strategy: ${resolution.strategy}
-- Directory safety validated: ✅
-- Fallback used: ${resolution.fallbackUsed ? "Yes" : "No"}
+    const groups = this.taskManager.listGroups(type);
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            groups.length > 0
+              ? groups.map((group) => this.formatGroup(group)).join("\n")
+              : `No ${type}s defined.`,
+        },
+      ],
+    };
+  }
 
-📋 Initialization Summary:
-${results.created.length > 0 ? `✨ Created: ${results.created.join(", ")}\n` : ""}${results.existed.length > 0 ? `📁 Already existed: ${results.existed.join(", ")}\n` : ""}${results.updated.length > 0 ? `🔄 Updated: ${results.updated.join(", ")}\n` : ""}
-👤 Agent ID: ${this.taskManager.currentAgentId || "Not set"}
+  async handleUpdateGroup(type, args) {
+    this.ensureTaskManager();
+    const { [`${type}Id`]: id, ...updates } = args;
 
-🎯 Ready to manage tasks with enhanced directory handling!`;
+    try {
+      const group = this.taskManager.updateGroup(type, id, updates);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ ${this.formatGroup(group)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to update ${type}: ${error.message}`);
+    }
+  }
 
-      console.log(`[MCP Server] Returning success response`);
+  async handleDeleteGroup(type, args) {
+    this.ensureTaskManager();
+    const id = args[`${type}Id`];
 
+    try {
+      this.taskManager.deleteGroup(type, id);
       return {
         content: [
           {
             type: "text",
-            text: successMessage,
+            text: `✅ Deleted ${type} ${id}`,
           },
         ],
       };
     } catch (error) {
-      console.error(
-        `[MCP Server] handleInitTaskManager fatal error: ${error.message}`,
-      );
-      console.error(`[MCP Server] Error stack: ${error.stack}`);
+      throw new Error(`Failed to delete ${type}: ${error.message}`);
+    }
+  }
 
-      const errorMessage = `❌ Failed to initialize Task Manager: ${error.message}
+  formatGroup(group) {
+    const due = group.target_date ? `, due ${group.target_date}` : "";
+    return `${group.id}: ${group.title} [${group.status}] ${group.completion_percentage}% of ${group.task_count} tasks, ${group.remaining_hours}h remaining${due}`;
+  }
 
-🔍 Debug Information:
-- Current directory: ${process.cwd()}
-- HOME directory: ${process.env.HOME || "Not set"}
-- TASK_MANAGER_DATA_DIR: ${process.env.TASK_MANAGER_DATA_DIR || "Not set"}
-- Project root detection: ${findProjectRoot() || "Failed"}
-- Args provided: ${JSON.stringify(args, null, 2)}
+  async handleListPhases(args) {
+    this.ensureTaskManager();
 
-💡 Troubleshooting Steps:
-1. Set TASK_MANAGER_DATA_DIR environment variable to a writable directory
-   Example: export TASK_MANAGER_DATA_DIR="$HOME/TaskManager"
+    const phases = this.taskManager.listPhases();
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            phases.length > 0
+              ? phases.map((phase) => this.formatPhase(phase)).join("\n")
+              : "No phases defined.",
+        },
+      ],
+    };
+  }
 
-2. Ensure you're running from a user directory (not system directories like /, /usr/, etc.)
+  async handleCreatePhase(args) {
+    this.ensureTaskManager();
 
-3. Provide a custom dataDir in the initialization call:
-   Example: {"dataDir": "$HOME/MyTaskManager"}
+    try {
+      const phase = this.taskManager.createPhase(args);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ ${this.formatPhase(phase)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to create phase: ${error.message}`);
+    }
+  }
 
-4. Check directory permissions for write access
+  async handleUpdatePhase(args) {
+    this.ensureTaskManager();
+    const { phaseId, ...updates } = args;
 
-5. Run from a project directory with package.json or .git
+    try {
+      const phase = this.taskManager.updatePhase(phaseId, updates);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ ${this.formatPhase(phase)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to update phase: ${error.message}`);
+    }
+  }
 
-🔧 Enhanced Solutions:
-- For macOS: export TASK_MANAGER_DATA_DIR="$HOME/TaskManager"
-- For Linux: export TASK_MANAGER_DATA_DIR="$HOME/taskmanager"
-- For Windows: set TASK_MANAGER_DATA_DIR=%USERPROFILE%\\TaskManager
-- Project-based: Run from directory with package.json or .git for automatic detection
+  async handleDeletePhase(args) {
+    this.ensureTaskManager();
+
+    try {
+      this.taskManager.deletePhase(args.phaseId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Deleted phase ${args.phaseId}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete phase: ${error.message}`);
+    }
+  }
 
-🆕 New Features:
-- Automatic project root detection
-- Smart directory structure migration
-- Enhanced safety validation`;
+  async handleAdvancePhase(args) {
+    this.ensureTaskManager();
 
+    try {
+      const result = this.taskManager.advancePhase({
+        force: Boolean(args.force),
+      });
+      const forced =
+        result.forced.length > 0
+          ? `\n⚠️  Forced past open tasks: ${result.forced.join(", ")}`
+          : "";
       return {
         content: [
           {
             type: "text",
-            text: errorMessage,
+            text: result.to
+              ? `✅ Phase ${result.from} completed; ${result.to} is now active${forced}`
+              : `🎉 Phase ${result.from} completed; it was the last phase${forced}`,
           },
         ],
-        isError: true,
       };
+    } catch (error) {
+      throw new Error(`Failed to advance phase: ${error.message}`);
     }
   }
 
-  async handleCreateTask(args) {
-    this.ensureTaskManager();
-
-    const task = this.taskManager.createTask(args);
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `✅ Task created successfully!\n\nTask ID: ${task.id}\nTitle: ${task.title}\nPriority: ${task.priority}\nStatus: ${task.status}\nAssignees: ${task.assignees.map((a) => a.name).join(", ") || "None"}`,
-        },
-      ],
-    };
+  formatPhase(phase) {
+    const open =
+      phase.active && phase.open_required_tasks.length > 0
+        ? `, open required: ${phase.open_required_tasks.join(", ")}`
+        : "";
+    return `${phase.order + 1}. ${phase.id}: ${phase.name} [${phase.status}]${phase.active ? " (active)" : ""} ${phase.completion_percentage}% of ${phase.task_count} tasks${open}`;
   }
 
-  async handleListTasks(args) {
+  async handleCreateRecurring(args) {
     this.ensureTaskManager();
 
-    const tasks = this.taskManager.listTasks(args);
-
-    if (tasks.length === 0) {
+    try {
+      const definition = this.taskManager.createRecurring(args);
       return {
         content: [
           {
             type: "text",
-            text: "No tasks found matching the criteria.",
+            text: `✅ ${this.formatRecurring(definition)}`,
           },
         ],
       };
+    } catch (error) {
+      throw new Error(`Failed to create recurring task: ${error.message}`);
     }
-
-    const taskList = tasks
-      .map((task) => {
-        const priority =
-          task.priority === "critical"
-            ? "🔴"
-            : task.priority === "high"
-              ? "🟠"
-              : task.priority === "medium"
-                ? "🟡"
-                : "🟢";
-        const assignees = task.assignees
-          ? task.assignees.map((a) => a.name).join(", ")
-          : "Unassigned";
-
-        return `${priority} ${task.id}: ${task.title} [${task.status}] - ${assignees}`;
-      })
-      .join("\n");
-
-    const filterDesc =
-      Object.keys(args).length > 0
-        ? ` (filtered by: ${Object.entries(args)
-            .map(([k, v]) => `${k}=${v}`)
-            .join(", ")})`
-        : "";
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `📋 Tasks${filterDesc}:\n\n${taskList}`,
-        },
-      ],
-    };
   }
 
-  async handleUpdateTask(args) {
+  async handleListRecurring(args) {
     this.ensureTaskManager();
 
-    const { taskId, ...updates } = args;
-    const task = this.taskManager.updateTask(taskId, updates);
-
+    const definitions = this.taskManager.listRecurring();
     return {
       content: [
         {
           type: "text",
-          text: `✅ Task ${taskId} updated successfully!\n\nTitle: ${task.title}\nStatus: ${task.status}\nPriority: ${task.priority}`,
+          text:
+            definitions.length > 0
+              ? definitions
+                  .map((definition) => this.formatRecurring(definition))
+                  .join("\n")
+              : "No recurring tasks defined.",
         },
       ],
     };
   }
 
-  async handleAssignAgent(args) {
+  async handleUpdateRecurring(args) {
     this.ensureTaskManager();
+    const { recurringId, ...updates } = args;
 
-    const { taskId, agentId } = args;
-    const task = this.taskManager.assignAgentToTask(taskId, { id: agentId });
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `✅ Agent ${agentId} assigned to task ${taskId}!\n\nTask: ${task.title}\nAssignees: ${task.assignees.map((a) => a.name).join(", ")}`,
-        },
-      ],
-    };
+    try {
+      const definition = this.taskManager.updateRecurring(recurringId, updates);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ ${this.formatRecurring(definition)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to update recurring task: ${error.message}`);
+    }
   }
 
-  async handleAddAgent(args) {
+  async handleDeleteRecurring(args) {
     this.ensureTaskManager();
 
-    const agent = this.taskManager.addAgent(args);
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `✅ Agent added successfully!\n\nID: ${agent.id}\nName: ${agent.name}\nType: ${agent.type}\nCapabilities: ${agent.capabilities.join(", ") || "None specified"}`,
-        },
-      ],
-    };
+    try {
+      this.taskManager.deleteRecurring(args.recurringId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Deleted recurring task ${args.recurringId}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete recurring task: ${error.message}`);
+    }
   }
 
-  async handleListAgents(args) {
+  async handleMaterializeRecurring(args) {
     this.ensureTaskManager();
 
-    const agents = this.taskManager.listAgents();
-
-    if (agents.length === 0) {
+    try {
+      const { created, failed } = this.taskManager.materializeRecurring();
+      const lines = [
+        created.length > 0 || failed.length > 0
+          ? `🔁 Created ${created.length} recurring task(s)`
+          : "🔁 No recurring tasks due",
+        ...created.map((task) => `• ${task.id}: ${task.title}`),
+        ...failed.map(
+          (failure) =>
+            `❌ ${failure.recurring_id} (${failure.title}): ${failure.error}`,
+        ),
+      ];
       return {
         content: [
           {
             type: "text",
-            text: "No agents found.",
+            text: lines.join("\n"),
           },
         ],
       };
+    } catch (error) {
+      throw new Error(
+        `Failed to materialize recurring tasks: ${error.message}`,
+      );
     }
+  }
 
-    const agentList = agents
-      .map((agent) => {
-        const icon = agent.type === "ai" ? "🤖" : "👤";
-        const status = agent.status === "active" ? "✅" : "⏸️";
-
-        return `${status} ${icon} ${agent.name} (${agent.id})\n   Type: ${agent.type}, Active: ${agent.workload.active_tasks}, Completed: ${agent.workload.completed_tasks}${
-          agent.capabilities && agent.capabilities.length > 0
-            ? `\n   Capabilities: ${agent.capabilities.join(", ")}`
-            : ""
-        }`;
-      })
-      .join("\n\n");
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `👥 Agents:\n\n${agentList}`,
-        },
-      ],
-    };
+  formatRecurring(definition) {
+    const next = definition.active
+      ? `next ${definition.next_run || "never"}`
+      : "paused";
+    return `${definition.id}: ${definition.title} (${describeSchedule(definition.schedule)}, ${next}), ${definition.task_ids.length} created`;
   }
 
-  async handleGetRecommendations(args) {
+  async handleCreateSubtask(args) {
     this.ensureTaskManager();
+    const { parentId, ...taskData } = args;
 
-    const { agentId, limit } = args;
-    const recommendations = this.taskManager.getRecommendationsForAgent(
-      agentId,
-      limit,
-    );
-
-    if (recommendations.length === 0) {
+    try {
+      const task = this.taskManager.createSubtask(parentId, taskData);
       return {
         content: [
           {
             type: "text",
-            text: `No recommendations available for agent ${agentId}.`,
+            text: `✅ Subtask created!\n\nTask ID: ${task.id}\nTitle: ${task.title}\nParent: ${task.parent_id}\nStatus: ${task.status}`,
           },
         ],
       };
+    } catch (error) {
+      throw new Error(`Failed to create subtask: ${error.message}`);
     }
+  }
 
-    const recList = recommendations
-      .map((task, index) => {
-        const priority =
-          task.priority === "critical"
-            ? "🔴"
-            : task.priority === "high"
-              ? "🟠"
-              : task.priority === "medium"
-                ? "🟡"
-                : "🟢";
+  async handleGetTaskTree(args) {
+    this.ensureTaskManager();
+    const { taskId } = args;
 
-        return `${index + 1}. ${priority} ${task.id}: ${task.title} (Score: ${task.recommendation_score})\n   ${task.recommendation_reason}`;
-      })
-      .join("\n\n");
+    try {
+      const tree = this.taskManager.getTaskTree(taskId || null);
+      const lines = [];
+      const printNode = (node, depth) => {
+        const progress =
+          node.children.length > 0
+            ? ` (${node.progress.completed}/${node.progress.total} done, ${node.progress.percentage}%)`
+            : "";
+        lines.push(
+          `${"  ".repeat(depth)}- ${node.id}: ${node.title} [${node.status}]${progress}`,
+        );
+        node.children.forEach((child) => printNode(child, depth + 1));
+      };
+      (Array.isArray(tree) ? tree : [tree]).forEach((node) =>
+        printNode(node, 0),
+      );
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `🎯 Recommendations for ${agentId}:\n\n${recList}`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🌳 Task Tree\n\n${lines.join("\n") || "No tasks found"}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to get task tree: ${error.message}`);
+    }
   }
 
-  async handleGetProjectStatus(args) {
+  async handleGetDeadlines(args) {
     this.ensureTaskManager();
 
-    const status = this.taskManager.getProjectStatus();
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `📊 Project Status:
-
-Progress: ${status.progress.completion_percentage}% (${status.progress.completed}/${status.progress.total_tasks} tasks)
-Agents: ${status.agents.total} (${status.agents.by_type.human} human, ${status.agents.by_type.ai} AI)
-Tasks: ${status.tasks.by_status.in_progress} active, ${status.tasks.by_status.todo} todo, ${status.tasks.by_status.completed} completed
+    try {
+      this.taskManager.escalateOverdueTasks();
+      const deadlines = this.taskManager.getDeadlines({
+        agentId: args.agentId,
+      });
+      const describe = (entry) => {
+        const task = this.taskManager.getTask(entry.task_id);
+        const due = entry.due_date
+          ? `due ${entry.due_date}${entry.source === "sla" ? " (SLA)" : ""}`
+          : `planned start ${task.start_date}`;
+        return `• ${task.id}: ${task.title} [${task.status}] ${due}`;
+      };
 
-Priority Breakdown:
-• Critical: ${status.tasks.by_priority.critical} tasks
-• High: ${status.tasks.by_priority.high} tasks
-• Medium: ${status.tasks.by_priority.medium} tasks
-• Low: ${status.tasks.by_priority.low} tasks`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `⏰ Overdue:\n${deadlines.overdue.map(describe).join("\n") || "None"}\n\n⚠️ At risk:\n${deadlines.at_risk.map(describe).join("\n") || "None"}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to get deadlines: ${error.message}`);
+    }
   }
 
-  async handleGetAgentWorkload(args) {
+  async handleAddComment(args) {
     this.ensureTaskManager();
+    const { taskId, body, agentId, mentions } = args;
 
-    const { agentId } = args;
-    const workload = this.taskManager.getAgentWorkload(agentId);
-
-    const activeTasks =
-      workload.tasks.active.length > 0
-        ? "\n\nActive Tasks:\n" +
-          workload.tasks.active
-            .map((task) => {
-              const priority =
-                task.priority === "critical"
-                  ? "🔴"
-                  : task.priority === "high"
-                    ? "🟠"
-                    : task.priority === "medium"
-                      ? "🟡"
-                      : "🟢";
-              return `• ${priority} ${task.id}: ${task.title} [${task.status}]`;
-            })
-            .join("\n")
-        : "";
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: `📊 Workload for ${workload.agent.name}:
+    try {
+      if (agentId) {
+        this.taskManager.setCurrentAgent(agentId);
+      }
+      const comment = this.taskManager.addComment(taskId, body, { mentions });
 
-Active tasks: ${workload.workload.active_tasks}
-Completed tasks: ${workload.workload.completed_tasks}
-Total score: ${workload.workload.total_score}${activeTasks}`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `💬 Comment ${comment.id} added to task ${taskId}${comment.mentions.length > 0 ? `\nNotified: ${comment.mentions.join(", ")}` : ""}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to add comment: ${error.message}`);
+    }
   }
 
-  async handleAgentCheckIn(args) {
+  async handleGetTaskActivity(args) {
     this.ensureTaskManager();
+    const { taskId, limit } = args;
 
-    const { agentId } = args;
-    if (agentId) {
-      this.taskManager.setCurrentAgent(agentId);
-    }
+    try {
+      const entries = this.taskManager.getTaskActivity(taskId, { limit });
+      const text =
+        entries
+          .map((entry) => {
+            if (entry.kind === "comment") {
+              return `${entry.timestamp} 💬 ${entry.author}: ${entry.body}`;
+            }
+            return [
+              `${entry.timestamp} ${entry.actor || "system"} ${entry.action} (${entry.type})`,
+              ...entry.changes.map((change) => `  ${describeChange(change)}`),
+            ].join("\n");
+          })
+          .join("\n") || "No activity";
 
-    const checkIn = this.taskManager.checkIn();
-    const agent = checkIn.agent;
-    const icon = agent.type === "ai" ? "🤖" : "👤";
+      return {
+        content: [
+          {
+            type: "text",
+            text: `📜 Activity for ${taskId}\n\n${text}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to get task activity: ${error.message}`);
+    }
+  }
 
-    const recommendations =
-      checkIn.recommendations.length > 0
-        ? "\n\nTop Recommendations:\n" +
-          checkIn.recommendations
-            .slice(0, 2)
-            .map((task, index) => {
-              const priority =
-                task.priority === "critical"
-                  ? "🔴"
-                  : task.priority === "high"
-                    ? "🟠"
-                    : task.priority === "medium"
-                      ? "🟡"
-                      : "🟢";
-              return `${index + 1}. ${priority} ${task.id}: ${task.title}`;
-            })
-            .join("\n")
-        : "";
+  async handleAttachArtifact(args) {
+    this.ensureTaskManager();
+    const { taskId, agentId, ...data } = args;
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `${icon} Check-in for ${agent.name} (${agent.id})
+    try {
+      if (agentId) {
+        this.taskManager.setCurrentAgent(agentId);
+      }
+      const artifact = this.taskManager.attachArtifact(taskId, data);
 
-Status: ${agent.status}
-Active tasks: ${checkIn.status.active_tasks}
-Todo tasks: ${checkIn.status.todo_tasks}
-Pending recommendations: ${checkIn.status.pending_recommendations}${recommendations}`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `📎 Artifact attached to task ${taskId}\n\n${this.formatArtifact(artifact)}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to attach artifact: ${error.message}`);
+    }
   }
 
-  async handleStartTask(args) {
+  async handleVerifyTask(args) {
     this.ensureTaskManager();
+    const { taskId } = args;
 
-    const { taskId, agentId } = args;
-    if (agentId) {
-      this.taskManager.setCurrentAgent(agentId);
-    }
-
-    const task = this.taskManager.startTask(taskId);
+    try {
+      const verification = this.taskManager.verifyTask(taskId);
+      const icons = { passed: "✅", failed: "❌", manual: "📝" };
+      const lines = verification.results.map(
+        (result) =>
+          `${icons[result.status]} ${result.description} [${result.status}] - ${result.message}`,
+      );
+      const summary = verification.passed
+        ? `All checks passed (${verification.manual} to check by hand)`
+        : `${verification.failed} check(s) failed; complete_task refuses unless a waiver is given`;
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `⚡ Started working on: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🔎 Completion criteria for ${taskId}\n\n${lines.join("\n") || "None"}\n\n${summary}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to verify task: ${error.message}`);
+    }
   }
 
-  async handleCompleteTask(args) {
+  async handleDetectCompletions(args) {
     this.ensureTaskManager();
+    const { apply } = args;
 
-    const { taskId, agentId } = args;
-    if (agentId) {
-      this.taskManager.setCurrentAgent(agentId);
-    }
-
-    const task = this.taskManager.completeTask(taskId);
+    try {
+      const proposals = this.taskManager.detectCompletions({ apply });
+      const lines = proposals.map((proposal) => {
+        const state = proposal.error
+          ? `not applied: ${proposal.error}`
+          : proposal.applied
+            ? "applied"
+            : "proposed";
+        return `• ${proposal.task_id}: ${proposal.from} → ${proposal.to} (${state})\n  ${proposal.title}\n  Checks: ${proposal.checks.join("; ")}${proposal.rules.length > 0 ? `\n  Rules: ${proposal.rules.join(", ")}` : ""}`;
+      });
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `✅ Completed: ${task.title}\n\nTask ID: ${task.id}\nStatus: ${task.status}\nCompleted: ${task.completed}`,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text:
+              proposals.length === 0
+                ? "No task has passing checks to act on"
+                : `🔍 ${apply ? "Status changes" : "Proposed status changes (call again with apply: true to make them)"}\n\n${lines.join("\n\n")}`,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to detect completions: ${error.message}`);
+    }
   }
 
-  async handleExportProject(args) {
+  async handleListArtifacts(args) {
     this.ensureTaskManager();
+    const { taskId } = args;
 
-    const exportData = {
-      project: this.taskManager.taskTracker.project,
-      agents: this.taskManager.agents,
-      tasks: this.taskManager.taskTracker.tasks,
-      progress: this.taskManager.taskTracker.progress,
-      exported: new Date().toISOString(),
-    };
+    try {
+      const artifacts = this.taskManager.listArtifacts(taskId);
+      const missing = this.taskManager.findMissingArtifacts(
+        this.taskManager.getTask(taskId),
+      );
+      let text = `📎 Artifacts for ${taskId}\n\n${artifacts.map((artifact) => this.formatArtifact(artifact)).join("\n\n") || "None"}`;
+      if (missing.length > 0) {
+        text += `\n\n⚠️ files_affected without an artifact: ${missing.join(", ")}`;
+      }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `📤 Project Export Data:\n\n\`\`\`json\n${JSON.stringify(exportData, null, 2)}\n\`\`\``,
-        },
-      ],
-    };
+      return {
+        content: [
+          {
+            type: "text",
+            text,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to list artifacts: ${error.message}`);
+    }
   }
 
-  async handleRemoveAgent(args) {
+  async handleReadArtifact(args) {
     this.ensureTaskManager();
-    const { agentId } = args;
+    const { artifactId } = args;
 
     try {
-      this.taskManager.removeAgent(agentId);
+      const { artifact, content, modified } =
+        this.taskManager.readArtifact(artifactId);
+      let status = "✅ Matches its checksum";
+      if (content === null) {
+        status = "⚠️ The file no longer exists";
+      } else if (modified) {
+        status = "⚠️ Changed since it was attached";
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Agent ${agentId} removed successfully`,
+            text: `${this.formatArtifact(artifact)}\n${status}${content !== null ? `\n\n${content}` : ""}`,
           },
         ],
       };
     } catch (error) {
-      throw new Error(`Failed to remove agent: ${error.message}`);
+      throw new Error(`Failed to read artifact: ${error.message}`);
     }
   }
 
-  async handleDeleteTask(args) {
+  formatArtifact(artifact) {
+    return [
+      `• ${artifact.id}: ${artifact.name} [${artifact.type}]`,
+      `  Location: ${artifact.path || `tasks-data/${artifact.stored_path}`} (${artifact.size} bytes)`,
+      `  Checksum: ${artifact.checksum}`,
+      `  By: ${artifact.agent_id} at ${artifact.created}`,
+      ...(artifact.files.length > 0
+        ? [`  Files: ${artifact.files.join(", ")}`]
+        : []),
+    ].join("\n");
+  }
+
+  async handleGetTimesheet(args) {
     this.ensureTaskManager();
-    const { taskId } = args;
 
     try {
-      this.taskManager.deleteTask(taskId);
+      const timesheet = this.taskManager.getTimesheet({
+        agentId: args.agentId,
+        since: args.since,
+        until: args.until,
+      });
+      const entries =
+        timesheet.entries
+          .map(
+            (entry) =>
+              `• ${entry.started} ${entry.agent_id} ${entry.task_id}: ${entry.task_title} - ${entry.hours}h${entry.ended ? "" : " (running)"}`,
+          )
+          .join("\n") || "No work logged";
+      const totals = Object.entries(timesheet.by_agent)
+        .map(([agentId, hours]) => `${agentId}: ${hours}h`)
+        .join("\n");
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Task ${taskId} deleted successfully`,
+            text: `⏱️ Timesheet (${timesheet.total_hours}h total)\n\n${entries}${totals ? `\n\nBy agent:\n${totals}` : ""}`,
           },
         ],
       };
     } catch (error) {
-      throw new Error(`Failed to delete task: ${error.message}`);
+      throw new Error(`Failed to get timesheet: ${error.message}`);
     }
   }
 
-  async handleGetTask(args) {
+  async handleGetEstimateAccuracy(args) {
     this.ensureTaskManager();
-    const { taskId } = args;
 
     try {
-      const task = this.taskManager.getTask(taskId);
-      if (!task) {
-        throw new Error(`Task ${taskId} not found`);
-      }
+      const accuracy = this.taskManager.getEstimateAccuracy({
+        groupBy: args.groupBy,
+      });
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(task, null, 2),
+            text: JSON.stringify(accuracy, null, 2),
           },
         ],
       };
     } catch (error) {
-      throw new Error(`Failed to get task: ${error.message}`);
+      throw new Error(`Failed to get estimate accuracy: ${error.message}`);
     }
   }
 
-  async handleUnassignAgent(args) {
+  async handleGetCriticalPath(args) {
     this.ensureTaskManager();
-    const { taskId, agentId } = args;
 
     try {
-      this.taskManager.unassignAgentFromTask(taskId, agentId);
+      const criticalPath = this.taskManager.getCriticalPath();
+      const chain =
+        criticalPath.chain
+          .map(
+            (task, index) =>
+              `${index + 1}. ${task.id}: ${task.title} (${task.duration}h${task.estimated ? "" : " assumed"}, start ${task.earliest_start}h)`,
+          )
+          .join("\n") || "No remaining tasks";
+      const slack = Object.entries(criticalPath.tasks)
+        .filter(([, schedule]) => !schedule.critical)
+        .map(([id, schedule]) => `${id}: ${schedule.slack}h slack`)
+        .join("\n");
+
+      let text = `🛤️ Critical Path (${criticalPath.duration}h total)\n\n${chain}`;
+      if (slack) {
+        text += `\n\nOther tasks:\n${slack}`;
+      }
+      if (criticalPath.unresolved.length > 0) {
+        text += `\n\n⚠️ Skipped (dependency cycle): ${criticalPath.unresolved.join(", ")}`;
+      }
+      if (criticalPath.unestimated.length > 0) {
+        text += `\n\n⚠️ No estimate (default duration assumed): ${criticalPath.unestimated.join(", ")}`;
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Agent ${agentId} unassigned from task ${taskId}`,
+            text,
           },
         ],
       };
     } catch (error) {
-      throw new Error(`Failed to unassign agent: ${error.message}`);
+      throw new Error(`Failed to get critical path: ${error.message}`);
     }
   }
 
@@ -1510,13 +3454,10 @@ Pending recommendations: ${checkIn.status.pending_recommendations}${recommendati
 
   async handleTransferTask(args) {
     this.ensureTaskManager();
-    const { taskId, fromAgentId, toAgentId } = args;
+    const { taskId, fromAgentId, toAgentId, note } = args;
 
     try {
-      // Unassign from source agent
-      this.taskManager.unassignAgentFromTask(taskId, fromAgentId);
-      // Assign to target agent
-      this.taskManager.assignAgentToTask(taskId, toAgentId);
+      this.taskManager.transferTask(taskId, fromAgentId, toAgentId, note);
 
       return {
         content: [
@@ -1570,6 +3511,143 @@ Pending recommendations: ${checkIn.status.pending_recommendations}${recommendati
     }
   }
 
+  async handleUndo(args) {
+    this.ensureTaskManager();
+    const { agentId, count, force } = args;
+
+    const results = this.taskManager.undo(
+      agentId || this.taskManager.currentAgentId,
+      count || 1,
+      { force },
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            results.length > 0
+              ? results
+                  .map((result) => this.taskManager.formatRevertResult(result))
+                  .join("\n\n")
+              : "Nothing to undo",
+        },
+      ],
+    };
+  }
+
+  async handleRedo(args) {
+    this.ensureTaskManager();
+    const { agentId, count, force } = args;
+
+    const results = this.taskManager.redo(
+      agentId || this.taskManager.currentAgentId,
+      count || 1,
+      { force },
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            results.length > 0
+              ? results
+                  .map((result) => this.taskManager.formatRevertResult(result))
+                  .join("\n\n")
+              : "Nothing to redo",
+        },
+      ],
+    };
+  }
+
+  async handleListBackups(args) {
+    this.ensureTaskManager();
+
+    const backups = this.taskManager.listBackups();
+    const text =
+      backups.length > 0
+        ? backups
+            .map(
+              (backup) =>
+                `${backup.valid ? "✅" : "❌"} ${backup.name}\n   Created: ${backup.created} (${backup.reason || "unknown"})\n   ${backup.tasks || 0} tasks, ${backup.agents || 0} agents`,
+            )
+            .join("\n\n")
+        : "No backups found";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `💾 Backups:\n\n${text}`,
+        },
+      ],
+    };
+  }
+
+  async handleCreateBackup(args) {
+    this.ensureTaskManager();
+
+    const backup = this.taskManager.createBackup();
+    const pruned =
+      backup.pruned.length > 0 ? `\nPruned: ${backup.pruned.join(", ")}` : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Backup created: ${backup.name}${pruned}`,
+        },
+      ],
+    };
+  }
+
+  async handleRestoreBackup(args) {
+    this.ensureTaskManager();
+    const { name } = args;
+
+    const restored = this.taskManager.restoreBackup(name);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Restored backup ${restored.restored}\n\nTasks: ${restored.tasks}\nAgents: ${restored.agents}\nSnapshot taken: ${restored.created}\nPrevious state saved as: ${restored.safetyBackup}`,
+        },
+      ],
+    };
+  }
+
+  async handleDoctor(args) {
+    this.ensureTaskManager();
+    const { fix = false } = args;
+
+    const doctor = this.taskManager.runDoctor({ fix });
+    const formatIssue = (issue) =>
+      `- [${issue.severity}] ${issue.code}: ${issue.message}${issue.fixable ? " (fixable)" : ""}`;
+
+    let text = "";
+    if (doctor.fixed.length > 0) {
+      text += `🔧 Fixed ${doctor.fixed.length} issue(s):\n${doctor.fixed.map(formatIssue).join("\n")}\n\nPrevious state saved as: ${doctor.backup}\n\n`;
+    }
+
+    if (doctor.issues.length === 0) {
+      text += "✅ No integrity issues found";
+    } else {
+      const { error, warning, info } = doctor.summary;
+      text += `🩺 ${doctor.issues.length} issue(s): ${error} error(s), ${warning} warning(s), ${info} info\n\n${doctor.issues.map(formatIssue).join("\n")}`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text,
+        },
+      ],
+    };
+  }
+
   async run() {
     await this.initialize();
     const transport = new global.StdioServerTransport();
@@ -1654,6 +3732,7 @@ Available Tools:
 - list_tasks: List and filter tasks
 - add_agent: Add team members
 - get_recommendations: Get AI recommendations
+- explain_recommendation: Explain why a task is or isn't recommended
 - get_project_status: View project status
 - And many more...
 
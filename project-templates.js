@@ -45,11 +45,14 @@ class ProjectTemplates {
 
     // Create phases
     const phases = this.getWebAppPhases();
-    if (this.tm.taskTracker && this.tm.taskTracker.phases) {
-      phases.forEach(phase => {
-        this.tm.taskTracker.phases[phase.id] = phase;
-      });
-    }
+    phases.forEach((phase, position) => {
+      const { id, name, deliverables } = phase;
+      if (this.tm.getPhase(id)) {
+        this.tm.updatePhase(id, { name, deliverables, position });
+      } else {
+        this.tm.createPhase({ id, name, deliverables, position });
+      }
+    });
 
     // Create tasks
     const tasks = this.getWebAppTasks(config);
@@ -122,51 +125,26 @@ class ProjectTemplates {
       {
         id: 'phase-1',
         name: 'Project Setup',
-        status: 'active',
-        priority: 'high',
-        completion_percentage: 0,
-        tasks: [],
-        dependencies: [],
         deliverables: ['Project structure', 'Development environment', 'CI/CD pipeline']
       },
       {
         id: 'phase-2',
         name: 'Backend Development',
-        status: 'todo',
-        priority: 'high',
-        completion_percentage: 0,
-        tasks: [],
-        dependencies: ['phase-1'],
         deliverables: ['API endpoints', 'Database schema', 'Authentication']
       },
       {
         id: 'phase-3',
         name: 'Frontend Development',
-        status: 'todo',
-        priority: 'high',
-        completion_percentage: 0,
-        tasks: [],
-        dependencies: ['phase-2'],
         deliverables: ['User interface', 'API integration', 'Responsive design']
       },
       {
         id: 'phase-4',
         name: 'Testing & QA',
-        status: 'todo',
-        priority: 'medium',
-        completion_percentage: 0,
-        tasks: [],
-        dependencies: ['phase-3'],
         deliverables: ['Test suite', 'Performance tests', 'Security audit']
       },
       {
         id: 'phase-5',
         name: 'Deployment',
-        status: 'todo',
-        priority: 'medium',
-        completion_percentage: 0,
-        tasks: [],
-        dependencies: ['phase-4'],
         deliverables: ['Production deployment', 'Monitoring setup', 'Documentation']
       }
     ];
@@ -9,12 +9,14 @@ const TASKMANAGER_AGENTS_DIR = "tasks-data/agents";
 const TASKMANAGER_REPORTS_DIR = "tasks-data/reports";
 const TASKMANAGER_TEMPLATES_DIR = "tasks-data/templates";
 const TASKMANAGER_BACKUPS_DIR = "tasks-data/backups";
+const TASKMANAGER_ARTIFACTS_DIR = "tasks-data/artifacts";
 
 // Task Manager configuration files
 const TASKMANAGER_CONFIG_FILE = "tasks-data/config.json";
 const TASKMANAGER_TRACKER_FILE = "tasks-data/task-tracker.json";
 const TASKMANAGER_AGENTS_FILE = "tasks-data/agents.json";
 const TASKMANAGER_STATE_FILE = "tasks-data/state.json";
+const TASKMANAGER_RULES_FILE = "tasks-data/completion-rules.json";
 
 // Legacy file paths (for backward compatibility)
 const LEGACY_TRACKER_FILE = "task-tracker.json";
@@ -118,6 +120,8 @@ const ENV_VARS = {
   DEBUG: "TASK_MANAGER_DEBUG",
   BACKUP_ENABLED: "TASK_MANAGER_BACKUP_ENABLED",
   BACKUP_INTERVAL: "TASK_MANAGER_BACKUP_INTERVAL",
+  STORAGE: "TASK_MANAGER_STORAGE",
+  ALLOW_COMMAND_CRITERIA: "TASK_MANAGER_ALLOW_COMMAND_CRITERIA",
 };
 
 /**
@@ -158,10 +162,12 @@ module.exports = {
   TASKMANAGER_REPORTS_DIR,
   TASKMANAGER_TEMPLATES_DIR,
   TASKMANAGER_BACKUPS_DIR,
+  TASKMANAGER_ARTIFACTS_DIR,
   TASKMANAGER_CONFIG_FILE,
   TASKMANAGER_TRACKER_FILE,
   TASKMANAGER_AGENTS_FILE,
   TASKMANAGER_STATE_FILE,
+  TASKMANAGER_RULES_FILE,
   LEGACY_TRACKER_FILE,
   LEGACY_AGENTS_FILE,
   WORKLOAD_REPORT_FILE,
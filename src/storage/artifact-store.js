@@ -0,0 +1,159 @@
+/**
+ * Artifact store for Multiagent Task Manager
+ * Artifacts are outputs tied to a task: a file in the project (referenced by
+ * its path) or inline content such as a patch or report, which is written to
+ * tasks-data/artifacts/<TASK_ID>/. Both are fingerprinted with a SHA-256
+ * checksum so later changes to the file can be detected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('../utils/file-lock.js');
+const { TASKMANAGER_DIR, TASKMANAGER_ARTIFACTS_DIR } = require('../constants/paths.js');
+
+const ARTIFACT_TYPES = ['patch', 'report', 'file', 'log', 'other'];
+
+/**
+ * Journal event type of an attached artifact
+ */
+const ARTIFACT_EVENT = 'task.artifact_attached';
+
+/**
+ * @param {string|Buffer} content - Content to fingerprint
+ * @returns {string} e.g. sha256:9f86d08...
+ */
+function checksum(content) {
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Normalizes a project-relative path for comparison (forward slashes, no ./)
+ */
+function normalizeProjectPath(filePath) {
+    return path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/\/$/, '');
+}
+
+/**
+ * @param {string} content - Unified diff
+ * @returns {string[]} Files the diff touches, taken from its +++ / --- headers
+ */
+function extractPatchFiles(content) {
+    const files = new Set();
+    for (const line of String(content).split('\n')) {
+        const match = line.match(/^(?:\+\+\+|---) (?:[ab]\/)?([^\t\n]+)/);
+        if (match && match[1].trim() !== '/dev/null') {
+            files.add(normalizeProjectPath(match[1].trim()));
+        }
+    }
+    return [...files];
+}
+
+/**
+ * @param {string[]} filesAffected - A task's files_affected (files or directories)
+ * @param {Object[]} artifacts - The task's artifacts
+ * @returns {string[]} Entries of filesAffected that no artifact covers
+ */
+function findUncoveredFiles(filesAffected, artifacts) {
+    const covered = artifacts.flatMap(artifact => artifact.files || []).map(normalizeProjectPath);
+    return (filesAffected || []).filter(entry => {
+        const target = normalizeProjectPath(entry);
+        return !covered.some(file => file === target || file.startsWith(`${target}/`));
+    });
+}
+
+class ArtifactStore {
+    /**
+     * @param {string} dataDir - Data directory (tasks-data)
+     */
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.dir = path.join(dataDir, path.relative(TASKMANAGER_DIR, TASKMANAGER_ARTIFACTS_DIR));
+        // Artifact paths are relative to the project, which holds tasks-data
+        this.projectDir = path.dirname(path.resolve(dataDir));
+    }
+
+    /**
+     * Stores inline content
+     * @returns {Object} { stored_path (relative to tasks-data), size, checksum }
+     */
+    write(taskId, artifactId, name, content) {
+        const safeName = path.basename(name).replace(/[^\w.-]+/g, '_');
+        const fileName = safeName.startsWith(artifactId) ? safeName : `${artifactId}-${safeName}`;
+        const filePath = path.join(this.dir, taskId, fileName);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        writeFileAtomic(filePath, content);
+
+        return {
+            stored_path: path.relative(this.dataDir, filePath).split(path.sep).join('/'),
+            size: Buffer.byteLength(content),
+            checksum: checksum(content)
+        };
+    }
+
+    /**
+     * Fingerprints a file in the project
+     * @returns {Object} { path (relative to the project), size, checksum }
+     * @throws {Error} If the file does not exist
+     */
+    inspect(filePath) {
+        const absolute = path.resolve(this.projectDir, filePath);
+        const relative = path.relative(this.projectDir, absolute);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Artifact file ${filePath} is outside the project (${this.projectDir})`);
+        }
+        if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+            throw new Error(`Artifact file not found: ${filePath}`);
+        }
+
+        const content = fs.readFileSync(absolute);
+        return {
+            path: normalizeProjectPath(relative),
+            size: content.length,
+            checksum: checksum(content)
+        };
+    }
+
+    /**
+     * Deletes the stored copy of inline content, and the task's directory once
+     * it is empty. Files in the project are left alone.
+     * @param {Object} artifact - Artifact record
+     */
+    remove(artifact) {
+        if (!artifact.stored_path) return;
+
+        const filePath = path.join(this.dataDir, artifact.stored_path);
+        fs.rmSync(filePath, { force: true });
+        const taskDir = path.dirname(filePath);
+        if (fs.existsSync(taskDir) && fs.readdirSync(taskDir).length === 0) {
+            fs.rmdirSync(taskDir);
+        }
+    }
+
+    /**
+     * @param {Object} artifact - Artifact record
+     * @returns {Object} { content (utf8, or null if the file is gone), checksum, modified }
+     */
+    read(artifact) {
+        const absolute = artifact.stored_path
+            ? path.join(this.dataDir, artifact.stored_path)
+            : path.resolve(this.projectDir, artifact.path);
+        if (!fs.existsSync(absolute)) {
+            return { content: null, checksum: null, modified: true };
+        }
+
+        const content = fs.readFileSync(absolute);
+        const current = checksum(content);
+        return { content: content.toString('utf8'), checksum: current, modified: current !== artifact.checksum };
+    }
+}
+
+module.exports = {
+    ARTIFACT_TYPES,
+    ARTIFACT_EVENT,
+    ArtifactStore,
+    checksum,
+    normalizeProjectPath,
+    extractPatchFiles,
+    findUncoveredFiles
+};
@@ -0,0 +1,292 @@
+/**
+ * Rotating backups for Multiagent Task Manager
+ * Snapshots the tracker and agents into tasks-data/backups as single JSON
+ * files, independent of the storage backend, and prunes old snapshots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils/file-lock.js');
+const {
+    TASKMANAGER_DIR,
+    TASKMANAGER_BACKUPS_DIR,
+    BACKUP_PREFIX,
+    BACKUP_DATE_FORMAT,
+    ENV_VARS,
+    FILE_EXTENSIONS,
+    DEFAULTS
+} = require('../constants/paths.js');
+
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Reasons of the backups taken before the Task Manager replaces data itself.
+ * They are rotated separately, so routine backups never push them out.
+ */
+const SAFETY_REASONS = ['pre-restore', 'pre-migration', 'pre-doctor'];
+
+/**
+ * Resolves backup settings from options, then environment, then defaults
+ * @param {Object} options - { enabled, interval, count }
+ * @returns {Object} { enabled, interval (minutes, 0 = every save), count }
+ */
+function resolveBackupOptions(options = {}) {
+    const envEnabled = process.env[ENV_VARS.BACKUP_ENABLED];
+    const envInterval = process.env[ENV_VARS.BACKUP_INTERVAL];
+
+    const enabled =
+        options.enabled !== undefined ? options.enabled !== false : envEnabled !== 'false';
+    const interval = Number(
+        options.interval !== undefined ? options.interval : envInterval !== undefined ? envInterval : 60
+    );
+
+    return {
+        enabled,
+        interval: Number.isFinite(interval) && interval >= 0 ? interval : 60,
+        count: options.count || DEFAULTS.BACKUP_COUNT
+    };
+}
+
+/**
+ * Formats a date using the tokens of BACKUP_DATE_FORMAT
+ * @param {Date} date - Date to format (local time)
+ * @returns {string} Formatted date, e.g. 2024-05-01_14-03-22
+ */
+function formatBackupDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+        YYYY: date.getFullYear(),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+
+    return BACKUP_DATE_FORMAT.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Checks a snapshot before it is restored
+ * @param {Object} snapshot - Parsed backup file
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateSnapshot(snapshot) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(snapshot)) {
+        return ['backup is not a JSON object'];
+    }
+
+    const { taskTracker, agents } = snapshot;
+    if (!isObject(taskTracker)) {
+        errors.push('missing taskTracker');
+    } else {
+        if (!isObject(taskTracker.project)) errors.push('taskTracker.project is missing');
+        if (!isObject(taskTracker.tasks)) {
+            errors.push('taskTracker.tasks is missing');
+        } else {
+            for (const [id, task] of Object.entries(taskTracker.tasks)) {
+                if (!isObject(task) || task.id !== id) {
+                    errors.push(`task ${id} is malformed`);
+                } else if (!task.title || !task.status) {
+                    errors.push(`task ${id} has no title or status`);
+                }
+            }
+        }
+    }
+
+    if (!isObject(agents)) {
+        errors.push('missing agents');
+    } else if (!isObject(agents.registry)) {
+        errors.push('agents.registry is missing');
+    } else {
+        for (const [id, agent] of Object.entries(agents.registry)) {
+            if (!isObject(agent) || agent.id !== id) {
+                errors.push(`agent ${id} is malformed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+class BackupManager {
+    /**
+     * @param {string} dataDir - Data directory (tasks-data)
+     * @param {Object} options - { enabled, interval, count }
+     */
+    constructor(dataDir, options = {}) {
+        this.dir = path.join(dataDir, path.relative(TASKMANAGER_DIR, TASKMANAGER_BACKUPS_DIR));
+        this.options = resolveBackupOptions(options);
+        this.lastBackupAt = null;
+    }
+
+    /**
+     * Lists backups, newest first
+     * @returns {Object[]} { name, created, reason, size, tasks, agents, valid }
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs
+            .readdirSync(this.dir)
+            .filter(name => this.isBackupName(name))
+            .map(name => {
+                const filePath = path.join(this.dir, name);
+                const stats = fs.statSync(filePath);
+                const info = { name, created: stats.mtime.toISOString(), size: stats.size, valid: false };
+
+                try {
+                    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                    info.created = snapshot.created || info.created;
+                    info.reason = snapshot.reason;
+                    info.valid = validateSnapshot(snapshot).length === 0;
+                    info.tasks = info.valid ? Object.keys(snapshot.taskTracker.tasks).length : 0;
+                    info.agents = info.valid ? Object.keys(snapshot.agents.registry).length : 0;
+                } catch (error) {
+                    info.reason = `unreadable: ${error.message}`;
+                }
+
+                return info;
+            })
+            .sort((a, b) => b.created.localeCompare(a.created) || b.name.localeCompare(a.name));
+    }
+
+    /**
+     * Writes a snapshot and prunes old ones beyond the retention count
+     * @param {Object} taskTracker - Tracker document
+     * @param {Object} agents - Agents document
+     * @param {string} reason - Why the backup was taken (manual, auto, pre-restore)
+     * @param {string[]} keep - Other backup names that must survive pruning,
+     *   e.g. the backup being restored
+     * @returns {Object} { name, path, created, pruned }
+     */
+    create(taskTracker, agents, reason = 'manual', keep = []) {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const created = new Date();
+        const base = `${BACKUP_PREFIX}${formatBackupDate(created)}`;
+        let name = `${base}${FILE_EXTENSIONS.JSON}`;
+        for (let i = 1; fs.existsSync(path.join(this.dir, name)); i++) {
+            name = `${base}-${i}${FILE_EXTENSIONS.JSON}`;
+        }
+
+        const snapshot = {
+            version: BACKUP_FORMAT_VERSION,
+            created: created.toISOString(),
+            reason,
+            taskTracker,
+            agents
+        };
+        const filePath = path.join(this.dir, name);
+        writeFileAtomic(filePath, JSON.stringify(snapshot, null, 2));
+        this.lastBackupAt = created.getTime();
+
+        return {
+            name,
+            path: filePath,
+            created: snapshot.created,
+            pruned: this.prune([name, ...keep.map(kept => this.toFileName(kept))])
+        };
+    }
+
+    /**
+     * Creates a backup if automatic backups are enabled and due
+     * @returns {Object|null} Backup result, or null if none was taken
+     */
+    createIfDue(taskTracker, agents) {
+        if (!this.options.enabled) {
+            return null;
+        }
+
+        if (this.lastBackupAt === null) {
+            const latest = this.list()[0];
+            this.lastBackupAt = latest ? new Date(latest.created).getTime() : 0;
+        }
+
+        if (Date.now() - this.lastBackupAt < this.options.interval * 60 * 1000) {
+            return null;
+        }
+
+        return this.create(taskTracker, agents, 'auto');
+    }
+
+    /**
+     * Deletes the oldest backups beyond the retention count. Safety backups
+     * (see SAFETY_REASONS) and the others are each kept up to that count.
+     * @param {string[]} keep - Backup names that must survive pruning; they
+     *   count towards the retention count
+     * @returns {string[]} Names of deleted backups
+     */
+    prune(keep = []) {
+        const backups = this.list();
+        const stale = [];
+        for (const safety of [false, true]) {
+            const pool = backups.filter(backup => SAFETY_REASONS.includes(backup.reason) === safety);
+            const limit = this.options.count - pool.filter(backup => keep.includes(backup.name)).length;
+            stale.push(...pool.filter(backup => !keep.includes(backup.name)).slice(Math.max(limit, 0)));
+        }
+
+        for (const backup of stale) {
+            fs.unlinkSync(path.join(this.dir, backup.name));
+        }
+
+        return stale.map(backup => backup.name);
+    }
+
+    /**
+     * Reads and validates a backup
+     * @param {string} name - Backup name, with or without .json
+     * @returns {Object} Snapshot { taskTracker, agents, created, reason }
+     * @throws {Error} If the backup does not exist or fails validation
+     */
+    read(name) {
+        const fileName = this.toFileName(name);
+        if (!this.isBackupName(fileName)) {
+            throw new Error(`Invalid backup name: ${name}`);
+        }
+
+        const filePath = path.join(this.dir, fileName);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Backup ${name} not found`);
+        }
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Backup ${name} is not valid JSON: ${error.message}`);
+        }
+
+        const errors = validateSnapshot(snapshot);
+        if (errors.length > 0) {
+            throw new Error(`Backup ${name} failed validation: ${errors.join('; ')}`);
+        }
+
+        return snapshot;
+    }
+
+    toFileName(name) {
+        return name.endsWith(FILE_EXTENSIONS.JSON) ? name : `${name}${FILE_EXTENSIONS.JSON}`;
+    }
+
+    isBackupName(name) {
+        return (
+            path.basename(name) === name &&
+            name.startsWith(BACKUP_PREFIX) &&
+            name.endsWith(FILE_EXTENSIONS.JSON)
+        );
+    }
+}
+
+module.exports = {
+    BackupManager,
+    SAFETY_REASONS,
+    resolveBackupOptions,
+    validateSnapshot,
+    formatBackupDate
+};
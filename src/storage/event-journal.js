@@ -0,0 +1,285 @@
+/**
+ * Append-only event journal for Multiagent Task Manager
+ * Every mutation is appended to journal.jsonl in the data directory, one JSON
+ * event per line. Replaying the journal rebuilds the project state, either
+ * up to the latest event (crash recovery) or up to a point in time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+/**
+ * Event type of the snapshot written when journaling starts. Any event that
+ * carries a full taskTracker/agents pair resets the replayed state the same
+ * way; journals written before state-wide changes were diffed contain those.
+ */
+const SNAPSHOT_EVENT = 'journal.started';
+
+class EventJournal {
+    /**
+     * @param {string} dataDir - Data directory holding journal.jsonl
+     */
+    constructor(dataDir) {
+        this.file = path.join(dataDir, JOURNAL_FILE);
+    }
+
+    /**
+     * @returns {boolean} True if at least one event has been written
+     */
+    exists() {
+        try {
+            return fs.statSync(this.file).size > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Appends events, numbering them after the last event on disk.
+     * Callers must hold the data directory lock.
+     * @param {Object[]} events - Events without sequence numbers
+     * @returns {number} Sequence number of the last appended event
+     */
+    append(events) {
+        let seq = this.getLastSeq();
+        const lines = events.map(event => JSON.stringify({ seq: ++seq, ...event })).join('\n');
+
+        const fd = fs.openSync(this.file, 'a');
+        try {
+            fs.writeSync(fd, `${lines}\n`);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        return seq;
+    }
+
+    /**
+     * Reads the sequence number of the last event without loading the journal
+     * @returns {number} Last sequence number, or 0 for an empty journal
+     */
+    getLastSeq() {
+        if (!this.exists()) {
+            return 0;
+        }
+
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            const size = fs.fstatSync(fd).size;
+            let chunkSize = 4096;
+
+            while (true) {
+                const length = Math.min(chunkSize, size);
+                const buffer = Buffer.alloc(length);
+                fs.readSync(fd, buffer, 0, length, size - length);
+
+                const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+                // The first line of a partial chunk may be cut off
+                const complete = length === size ? lines : lines.slice(1);
+                for (let i = complete.length - 1; i >= 0; i--) {
+                    const event = parseEvent(complete[i]);
+                    if (event) {
+                        return event.seq;
+                    }
+                }
+
+                if (length === size) {
+                    return 0;
+                }
+                chunkSize *= 4;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Reads events in journal order
+     * @param {Object} options - { asOf: Date|string, since: number, type: string }
+     * @returns {Object[]} Matching events
+     */
+    read(options = {}) {
+        if (!this.exists()) {
+            return [];
+        }
+
+        const asOf = options.asOf ? new Date(options.asOf).getTime() : null;
+        const events = [];
+
+        for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+            // A torn final line from a crash is skipped rather than fatal
+            const event = parseEvent(line);
+            if (!event) continue;
+            if (asOf !== null && new Date(event.timestamp).getTime() > asOf) break;
+            if (options.since && event.seq <= options.since) continue;
+            if (options.type && event.type !== options.type) continue;
+            events.push(event);
+        }
+
+        return events;
+    }
+
+    /**
+     * Rebuilds project state from the journal
+     * @param {Object} options - { asOf: Date|string } to stop at a point in time
+     * @returns {Object} { taskTracker, agents, lastSeq, eventCount }
+     */
+    replay(options = {}) {
+        return replayEvents(this.read({ asOf: options.asOf }));
+    }
+}
+
+/**
+ * Parses one journal line
+ * @param {string} line - Raw line
+ * @returns {Object|null} Event, or null if the line is empty or corrupt
+ */
+function parseEvent(line) {
+    if (!line || !line.trim()) {
+        return null;
+    }
+
+    try {
+        const event = JSON.parse(line);
+        return Number.isInteger(event.seq) ? event : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Applies events to an empty state. The first event must be a snapshot;
+ * later events carry the resulting version of every record they touched
+ * (null when the record was deleted), and state-wide changes also carry the
+ * top-level fields they changed. Events are left unmodified.
+ * @param {Object[]} events - Events in journal order
+ * @returns {Object} { taskTracker, agents, lastSeq, eventCount }
+ */
+function replayEvents(events) {
+    const state = { taskTracker: null, agents: null, lastSeq: 0, eventCount: 0 };
+
+    for (const event of events) {
+        if (event.taskTracker) {
+            state.taskTracker = clone(event.taskTracker);
+            state.agents = clone(event.agents);
+        } else {
+            if (!state.taskTracker || !state.agents) {
+                throw new Error(`Journal event ${event.seq} precedes the initial snapshot`);
+            }
+            applyRecords(state.taskTracker, 'tasks', event.tasks);
+            applyRecords(state.agents, 'registry', event.agents);
+            applyRecords(state.taskTracker, 'notifications', event.notifications);
+            applyRecords(state.taskTracker, 'milestones', event.milestones);
+            applyRecords(state.taskTracker, 'epics', event.epics);
+            applyRecords(state.taskTracker, 'phases', event.phases);
+            applyRecords(state.taskTracker, 'recurring', event.recurring);
+            applyRecords(state.taskTracker, 'comments', event.comments);
+            applyRecords(state.taskTracker, 'artifacts', event.artifacts);
+            applyFields(state.taskTracker, event.tracker_fields);
+            applyFields(state.agents, event.agents_fields);
+        }
+
+        state.lastSeq = event.seq;
+        state.eventCount++;
+    }
+
+    return state;
+}
+
+/**
+ * Overwrites or deletes records in a keyed collection
+ * @param {Object} document - Document owning the collection
+ * @param {string} key - Collection property name
+ * @param {Object} records - Map of record ID to record (null = deleted)
+ */
+function applyRecords(document, key, records) {
+    if (!records) return;
+
+    if (!document[key]) {
+        document[key] = {};
+    }
+
+    for (const [id, record] of Object.entries(records)) {
+        if (record === null) {
+            delete document[key][id];
+        } else {
+            document[key][id] = clone(record);
+        }
+    }
+}
+
+/**
+ * Overwrites or deletes top-level fields of a document
+ * @param {Object} document - taskTracker or agents
+ * @param {Object} fields - Map of field name to value (null = deleted)
+ */
+function applyFields(document, fields) {
+    if (!fields) return;
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null) {
+            delete document[key];
+        } else {
+            document[key] = clone(value);
+        }
+    }
+}
+
+/**
+ * Finds the version records had just before an event by scanning back to
+ * their last change, so undo does not have to replay the whole journal
+ * @param {Object[]} events - Events in journal order
+ * @param {number} seq - Sequence number of the event
+ * @param {Object} wanted - Map of event record key to IDs, e.g. { tasks: ['TASK-001'] }
+ * @returns {Object} Map of event record key to { id: record|null }
+ */
+function findRecordsBefore(events, seq, wanted) {
+    const found = {};
+    const missing = [];
+    for (const [key, ids] of Object.entries(wanted)) {
+        found[key] = {};
+        ids.forEach(id => missing.push([key, id]));
+    }
+
+    let index = events.findIndex(event => event.seq >= seq);
+    if (index === -1) index = events.length;
+
+    while (missing.length > 0 && --index >= 0) {
+        const event = events[index];
+        for (let i = missing.length - 1; i >= 0; i--) {
+            const [key, id] = missing[i];
+            let record;
+            if (event.taskTracker) {
+                // A snapshot holds every record, so nothing older matters
+                const collection = key === 'agents' ? event.agents.registry : event.taskTracker[key];
+                record = (collection && collection[id]) || null;
+            } else if (event[key] && event[key][id] !== undefined) {
+                record = event[key][id];
+            } else {
+                continue;
+            }
+            found[key][id] = clone(record);
+            missing.splice(i, 1);
+        }
+    }
+
+    missing.forEach(([key, id]) => {
+        found[key][id] = null;
+    });
+    return found;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    EventJournal,
+    replayEvents,
+    findRecordsBefore,
+    JOURNAL_FILE,
+    SNAPSHOT_EVENT
+};
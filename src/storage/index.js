@@ -0,0 +1,58 @@
+/**
+ * Storage backends for Multiagent Task Manager
+ *
+ * A storage adapter persists the tracker and agents documents. Adapters are
+ * synchronous and expose:
+ *   hasTracker(), hasAgents()        - whether each document exists
+ *   load()                           - { taskTracker, agents } (null if missing)
+ *   saveTracker(doc), saveAgents(doc), save(tracker, agents)
+ *   getStamp()                       - changes when another process writes
+ *   queryTaskIds(filters)            - matching task IDs, or null if unsupported
+ *   close()
+ *   trackerLabel, agentsLabel        - human readable names for init output
+ */
+
+const { JsonStorageAdapter } = require('./json-storage.js');
+
+const adapters = {
+    json: JsonStorageAdapter,
+    // Loaded lazily so the native driver is only needed when selected
+    sqlite: () => require('./sqlite-storage.js').SqliteStorageAdapter
+};
+
+/**
+ * Registers a custom storage adapter
+ * @param {string} name - Name used in the `storage` option / TASK_MANAGER_STORAGE
+ * @param {Function} AdapterClass - Class constructed with (dataDir, options)
+ */
+function registerStorageAdapter(name, AdapterClass) {
+    adapters[name] = AdapterClass;
+}
+
+/**
+ * Creates a storage adapter for a data directory
+ * @param {string} name - Adapter name ('json' or 'sqlite')
+ * @param {string} dataDir - Data directory
+ * @param {Object} options - Adapter specific options
+ * @returns {Object} Storage adapter instance
+ */
+function createStorage(name, dataDir, options = {}) {
+    let AdapterClass = adapters[name];
+    if (!AdapterClass) {
+        throw new Error(
+            `Unknown storage backend: ${name} (available: ${Object.keys(adapters).join(', ')})`
+        );
+    }
+
+    if (!AdapterClass.prototype) {
+        AdapterClass = AdapterClass();
+    }
+
+    return new AdapterClass(dataDir, options);
+}
+
+module.exports = {
+    createStorage,
+    registerStorageAdapter,
+    JsonStorageAdapter
+};
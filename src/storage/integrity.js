@@ -0,0 +1,417 @@
+/**
+ * Data integrity checks for Multiagent Task Manager ("doctor")
+ * Each check inspects the tracker and agents documents and reports issues
+ * with a severity. Fixable issues carry a fix() that repairs them in place.
+ */
+
+const { normalizeStatus } = require('../workflow/status-machine.js');
+const { DependencyGraph } = require('../workflow/dependency-graph.js');
+const { GROUP_TYPES } = require('../workflow/groups.js');
+const { sortPhases } = require('../workflow/phases.js');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const LINK_FIELDS = ['dependencies', 'blocks', 'subtasks'];
+const ARRAY_FIELDS = ['assignees', 'dependencies', 'blocks', 'subtasks', 'tags'];
+
+/**
+ * Checks run in order; structural problems come first so that later checks
+ * see a normalized shape once earlier fixes are applied.
+ */
+const checks = [
+    function topLevelTasks({ taskTracker }, report) {
+        for (const [key, value] of Object.entries(taskTracker)) {
+            if (!/^TASK-/.test(key) || !value || typeof value !== 'object' || !value.id) continue;
+
+            const duplicate = Boolean(taskTracker.tasks[key]);
+            report('error', 'top_level_task', {
+                taskId: key,
+                message: duplicate
+                    ? `${key} exists both inside tasks and at the top level of the tracker`
+                    : `${key} is stored at the top level of the tracker instead of under tasks`,
+                fix() {
+                    if (!duplicate) taskTracker.tasks[key] = value;
+                    delete taskTracker[key];
+                }
+            });
+        }
+    },
+
+    function taskIds({ taskTracker }, report) {
+        for (const [key, task] of Object.entries(taskTracker.tasks)) {
+            if (task.id === key) continue;
+            report('error', 'task_id_mismatch', {
+                taskId: key,
+                message: `${key} has id "${task.id}"`,
+                fix: () => (task.id = key)
+            });
+        }
+    },
+
+    function agentIds({ agents }, report) {
+        for (const [key, agent] of Object.entries(agents.registry)) {
+            if (agent.id === key) continue;
+            report('error', 'agent_id_mismatch', {
+                agentId: key,
+                message: `Agent ${key} has id "${agent.id}"`,
+                fix: () => (agent.id = key)
+            });
+        }
+    },
+
+    function arrayFields({ taskTracker }, report) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            for (const field of ARRAY_FIELDS) {
+                if (Array.isArray(task[field])) continue;
+                report('warning', 'malformed_field', {
+                    taskId: id,
+                    message: `${id}.${field} is not a list`,
+                    fix: () => (task[field] = task[field] === undefined || task[field] === null ? [] : [task[field]])
+                });
+            }
+        }
+    },
+
+    function links({ taskTracker }, report) {
+        const tasks = taskTracker.tasks;
+        for (const [id, task] of Object.entries(tasks)) {
+            for (const field of LINK_FIELDS) {
+                if (!Array.isArray(task[field])) continue;
+
+                for (const target of task[field]) {
+                    if (target === id) {
+                        report('error', 'self_link', {
+                            taskId: id,
+                            message: `${id} lists itself in ${field}`,
+                            fix: () => (task[field] = task[field].filter(link => link !== id))
+                        });
+                    } else if (!tasks[target]) {
+                        report('error', 'dangling_link', {
+                            taskId: id,
+                            message: `${id}.${field} points at missing task ${target}`,
+                            fix: () => (task[field] = task[field].filter(link => link !== target))
+                        });
+                    }
+                }
+            }
+        }
+    },
+
+    function mirroredLinks({ taskTracker }, report) {
+        const tasks = taskTracker.tasks;
+        const mirrors = { dependencies: 'blocks', blocks: 'dependencies' };
+
+        for (const [id, task] of Object.entries(tasks)) {
+            for (const [field, mirror] of Object.entries(mirrors)) {
+                if (!Array.isArray(task[field])) continue;
+
+                for (const target of task[field]) {
+                    const other = tasks[target];
+                    if (!other || target === id || !Array.isArray(other[mirror])) continue;
+                    if (other[mirror].includes(id)) continue;
+
+                    report('warning', 'unmirrored_link', {
+                        taskId: target,
+                        message: `${id}.${field} has ${target} but ${target}.${mirror} lacks ${id}`,
+                        fix: () => {
+                            if (!other[mirror].includes(id)) other[mirror].push(id);
+                        }
+                    });
+                }
+            }
+        }
+    },
+
+    function hierarchy({ taskTracker }, report) {
+        const tasks = taskTracker.tasks;
+
+        for (const [id, task] of Object.entries(tasks)) {
+            const parentId = task.parent_id;
+            if (parentId === undefined || parentId === null) continue;
+
+            if (parentId === id || !tasks[parentId]) {
+                report('error', 'dangling_parent', {
+                    taskId: id,
+                    message:
+                        parentId === id ? `${id} is its own parent` : `${id}.parent_id points at missing task ${parentId}`,
+                    fix: () => (task.parent_id = null)
+                });
+                continue;
+            }
+
+            const parent = tasks[parentId];
+            if (Array.isArray(parent.subtasks) && !parent.subtasks.includes(id)) {
+                report('warning', 'unmirrored_subtask', {
+                    taskId: parentId,
+                    message: `${id} has parent ${parentId} but ${parentId}.subtasks lacks ${id}`,
+                    fix: () => {
+                        if (!parent.subtasks.includes(id)) parent.subtasks.push(id);
+                    }
+                });
+            }
+        }
+
+        for (const [id, task] of Object.entries(tasks)) {
+            if (!Array.isArray(task.subtasks)) continue;
+
+            for (const childId of task.subtasks) {
+                const child = tasks[childId];
+                if (!child || childId === id || child.parent_id === id) continue;
+
+                // A child without a parent is adopted; one claimed by another
+                // parent keeps it
+                report('warning', 'unmirrored_subtask', {
+                    taskId: id,
+                    message: child.parent_id
+                        ? `${id}.subtasks has ${childId}, whose parent is ${child.parent_id}`
+                        : `${id}.subtasks has ${childId}, which has no parent_id`,
+                    fix: () => {
+                        if (!child.parent_id) {
+                            child.parent_id = id;
+                        } else if (child.parent_id !== id) {
+                            task.subtasks = task.subtasks.filter(link => link !== childId);
+                        }
+                    }
+                });
+            }
+        }
+
+        // Not fixable: which task should become the top level is a planning decision
+        const reported = new Set();
+        for (const id of Object.keys(tasks)) {
+            const chain = [id];
+            for (let next = tasks[id].parent_id; next && tasks[next]; next = tasks[next].parent_id) {
+                if (next === id) {
+                    const key = [...chain].sort().join(',');
+                    if (!reported.has(key)) {
+                        reported.add(key);
+                        report('error', 'hierarchy_cycle', {
+                            taskId: id,
+                            message: `Parent cycle ${[...chain, id].join(' → ')}`
+                        });
+                    }
+                    break;
+                }
+                if (chain.includes(next)) break;
+                chain.push(next);
+            }
+        }
+    },
+
+    function groupLinks({ taskTracker }, report) {
+        for (const { collection, field, label } of Object.values(GROUP_TYPES)) {
+            const records = taskTracker[collection] || {};
+            for (const [id, task] of Object.entries(taskTracker.tasks)) {
+                if (!task[field] || records[task[field]]) continue;
+                report('warning', 'dangling_group', {
+                    taskId: id,
+                    message: `${id}.${field} points at missing ${label.toLowerCase()} ${task[field]}`,
+                    fix: () => (task[field] = null)
+                });
+            }
+        }
+    },
+
+    function phases({ taskTracker }, report) {
+        const defined = taskTracker.phases || {};
+        const activeId = taskTracker.current_state && taskTracker.current_state.active_phase;
+        const used = new Set(Object.values(taskTracker.tasks).map(task => task.phase));
+        if (activeId) used.add(activeId);
+
+        for (const id of used) {
+            if (!id || defined[id]) continue;
+            report('warning', 'undefined_phase', {
+                message: `Phase ${id} is ${id === activeId ? 'active' : 'used by tasks'} but not defined`,
+                fix: () => {
+                    const phases = taskTracker.phases || (taskTracker.phases = {});
+                    phases[id] = {
+                        id,
+                        name: id,
+                        description: '',
+                        status: id === activeId ? 'active' : 'todo',
+                        order: sortPhases(phases).length,
+                        deliverables: [],
+                        start_date: null,
+                        end_date: null,
+                        revision: 1
+                    };
+                }
+            });
+        }
+    },
+
+    function cycles({ taskTracker }, report) {
+        // Not fixable: which edge to drop is a planning decision
+        for (const cycle of new DependencyGraph(taskTracker.tasks).findCycles()) {
+            report('error', 'dependency_cycle', {
+                taskId: cycle[0],
+                message: `Dependency cycle ${cycle.join(' → ')} leaves these tasks permanently ineligible`
+            });
+        }
+    },
+
+    function assignees({ taskTracker, agents }, report) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            if (!Array.isArray(task.assignees)) continue;
+
+            const seen = new Set();
+            task.assignees.forEach((assignee, index) => {
+                if (typeof assignee === 'string') {
+                    report('warning', 'malformed_assignee', {
+                        taskId: id,
+                        message: `${id} has assignee "${assignee}" stored as a plain string`,
+                        fix: () => {
+                            const agent = agents.registry[assignee];
+                            task.assignees[index] = {
+                                id: assignee,
+                                name: agent ? agent.name : assignee,
+                                type: agent ? agent.type : 'ai',
+                                role: 'primary',
+                                assigned_date: task.updated || new Date().toISOString()
+                            };
+                        }
+                    });
+                    return;
+                }
+
+                const agentId = assignee && assignee.id;
+                if (!agentId) {
+                    report('error', 'malformed_assignee', {
+                        taskId: id,
+                        message: `${id} has an assignee without an id`,
+                        fix: () => (task.assignees = task.assignees.filter(a => a && (typeof a === 'string' || a.id)))
+                    });
+                } else if (seen.has(agentId)) {
+                    report('info', 'duplicate_assignee', {
+                        taskId: id,
+                        message: `${id} lists ${agentId} more than once`,
+                        fix: () => {
+                            const kept = new Set();
+                            task.assignees = task.assignees.filter(a => {
+                                const key = typeof a === 'string' ? a : a && a.id;
+                                if (kept.has(key)) return false;
+                                kept.add(key);
+                                return true;
+                            });
+                        }
+                    });
+                } else if (!agents.registry[agentId]) {
+                    report('warning', 'unknown_assignee', {
+                        taskId: id,
+                        agentId,
+                        message: `${id} is assigned to unknown agent ${agentId}`,
+                        fix: () => (task.assignees = task.assignees.filter(a => (a && a.id) !== agentId))
+                    });
+                }
+                seen.add(agentId);
+            });
+        }
+    },
+
+    function statuses({ taskTracker }, report, options) {
+        if (!options.statuses) return;
+
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            if (options.statuses.includes(task.status)) continue;
+
+            const canonical = normalizeStatus(task.status);
+            const fixable = options.statuses.includes(canonical);
+            report(fixable ? 'warning' : 'error', 'invalid_status', {
+                taskId: id,
+                message: fixable
+                    ? `${id} has status "${task.status}" instead of "${canonical}"`
+                    : `${id} has unknown status "${task.status}"`,
+                fix: fixable ? () => (task.status = canonical) : undefined
+            });
+        }
+    },
+
+    function completionTimestamps({ taskTracker }, report) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            if (task.status === 'completed' && !task.completed) {
+                report('info', 'missing_completed_date', {
+                    taskId: id,
+                    message: `${id} is completed but has no completion date`,
+                    fix: () => (task.completed = task.updated || new Date().toISOString())
+                });
+            }
+        }
+    },
+
+    function notifications({ taskTracker, agents }, report) {
+        for (const agentId of Object.keys(taskTracker.notifications || {})) {
+            if (agents.registry[agentId]) continue;
+            report('info', 'orphaned_notifications', {
+                agentId,
+                message: `Notifications are stored for unknown agent ${agentId}`,
+                fix: () => delete taskTracker.notifications[agentId]
+            });
+        }
+    },
+
+    function progress({ taskTracker }, report, options) {
+        if (!options.expectedProgress) return;
+
+        const expected = options.expectedProgress;
+        const actual = taskTracker.progress || {};
+        const stale = Object.keys(expected).filter(key => actual[key] !== expected[key]);
+        if (stale.length === 0) return;
+
+        report('warning', 'stale_progress', {
+            message: `Progress counters are out of date (${stale
+                .map(key => `${key}: ${actual[key]} → ${expected[key]}`)
+                .join(', ')})`,
+            fix: () => (taskTracker.progress = { ...expected })
+        });
+    }
+];
+
+/**
+ * Runs all integrity checks
+ * @param {Object} taskTracker - Tracker document
+ * @param {Object} agents - Agents document
+ * @param {Object} options - { expectedProgress, statuses } from the caller
+ * @returns {Object[]} Issues: { severity, code, message, taskId, agentId, fixable, fix }
+ */
+function diagnose(taskTracker, agents, options = {}) {
+    const issues = [];
+    // Fixes mutate the documents themselves, so the sections must exist on them
+    taskTracker.tasks = taskTracker.tasks || {};
+    agents.registry = agents.registry || {};
+    const state = { taskTracker, agents };
+
+    const report = (severity, code, details) => {
+        issues.push({
+            severity,
+            code,
+            message: details.message,
+            taskId: details.taskId || null,
+            agentId: details.agentId || null,
+            fixable: typeof details.fix === 'function',
+            fix: details.fix
+        });
+    };
+
+    for (const check of checks) {
+        check(state, report, options);
+    }
+
+    return issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Counts issues per severity
+ * @param {Object[]} issues - Issues from diagnose
+ * @returns {Object} { error, warning, info }
+ */
+function summarize(issues) {
+    const summary = { error: 0, warning: 0, info: 0 };
+    issues.forEach(issue => summary[issue.severity]++);
+    return summary;
+}
+
+module.exports = {
+    diagnose,
+    summarize,
+    SEVERITIES
+};
@@ -0,0 +1,95 @@
+/**
+ * JSON file storage adapter for Multiagent Task Manager
+ * Default backend: task-tracker.json and agents.json in the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, getFileStamp } = require('../utils/file-lock.js');
+
+class JsonStorageAdapter {
+    /**
+     * @param {string} dataDir - Data directory holding the JSON files
+     */
+    constructor(dataDir) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.trackerFile = path.join(dataDir, 'task-tracker.json');
+        this.agentsFile = path.join(dataDir, 'agents.json');
+        this.trackerLabel = 'task-tracker.json';
+        this.agentsLabel = 'agents.json';
+    }
+
+    /**
+     * @returns {boolean} True if tracker data has been stored
+     */
+    hasTracker() {
+        return fs.existsSync(this.trackerFile);
+    }
+
+    /**
+     * @returns {boolean} True if agent data has been stored
+     */
+    hasAgents() {
+        return fs.existsSync(this.agentsFile);
+    }
+
+    /**
+     * Reads the full project state
+     * @returns {Object} { taskTracker, agents } - either may be null if missing
+     */
+    load() {
+        return {
+            taskTracker: this.hasTracker()
+                ? JSON.parse(fs.readFileSync(this.trackerFile, 'utf8'))
+                : null,
+            agents: this.hasAgents()
+                ? JSON.parse(fs.readFileSync(this.agentsFile, 'utf8'))
+                : null
+        };
+    }
+
+    /**
+     * @param {Object} taskTracker - Tracker document to persist
+     */
+    saveTracker(taskTracker) {
+        writeFileAtomic(this.trackerFile, JSON.stringify(taskTracker, null, 2));
+    }
+
+    /**
+     * @param {Object} agents - Agents document to persist
+     */
+    saveAgents(agents) {
+        writeFileAtomic(this.agentsFile, JSON.stringify(agents, null, 2));
+    }
+
+    /**
+     * Persists the full project state
+     * @param {Object} taskTracker - Tracker document
+     * @param {Object} agents - Agents document
+     */
+    save(taskTracker, agents) {
+        this.saveTracker(taskTracker);
+        this.saveAgents(agents);
+    }
+
+    /**
+     * Fingerprint used to detect writes made by other processes
+     * @returns {string} Opaque change stamp
+     */
+    getStamp() {
+        return `${getFileStamp(this.trackerFile)}|${getFileStamp(this.agentsFile)}`;
+    }
+
+    /**
+     * JSON files have no indexes, so filtering stays in memory
+     * @returns {null} Always null - caller filters itself
+     */
+    queryTaskIds() {
+        return null;
+    }
+
+    close() {}
+}
+
+module.exports = { JsonStorageAdapter };
@@ -0,0 +1,406 @@
+/**
+ * Schema migrations for Multiagent Task Manager
+ * task-tracker.json and agents.json carry a `schema_version`. Migrations are
+ * applied in version order on load so older data directories gain the fields
+ * that newer code expects.
+ */
+
+const { normalizeStatus } = require('../workflow/status-machine.js');
+const { sortPhases } = require('../workflow/phases.js');
+
+/**
+ * Ordered migration registry. Each migration mutates the documents in place
+ * and reports what it changed via changes.push(description).
+ */
+const migrations = [];
+
+/**
+ * Adds a migration to the registry
+ * @param {Object} migration - { version, description, up(taskTracker, agents, changes) }
+ */
+function registerMigration(migration) {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration version must be a positive integer: ${migration.version}`);
+    }
+    if (migrations.some(existing => existing.version === migration.version)) {
+        throw new Error(`Migration ${migration.version} is already registered`);
+    }
+
+    migrations.push(migration);
+    migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @returns {number} Schema version written by this version of the code
+ */
+function getCurrentSchemaVersion() {
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * @param {Object} taskTracker - Tracker document
+ * @param {Object} agents - Agents document
+ * @returns {number} Lowest schema version of the two documents
+ */
+function getSchemaVersion(taskTracker, agents) {
+    return Math.min(
+        (taskTracker && taskTracker.schema_version) || 0,
+        (agents && agents.schema_version) || 0
+    );
+}
+
+/**
+ * @returns {Object[]} Migrations that still have to run, in order
+ * @throws {Error} If the data was written by a newer schema
+ */
+function getPendingMigrations(taskTracker, agents) {
+    const version = getSchemaVersion(taskTracker, agents);
+    const current = getCurrentSchemaVersion();
+    if (version > current) {
+        throw new Error(
+            `Data schema version ${version} is newer than this Task Manager supports (${current}). Please upgrade.`
+        );
+    }
+
+    return migrations.filter(migration => migration.version > version);
+}
+
+/**
+ * Applies pending migrations in place
+ * @param {Object} taskTracker - Tracker document
+ * @param {Object} agents - Agents document
+ * @returns {Object} { from, to, applied: [{ version, description, changes }] }
+ */
+function runMigrations(taskTracker, agents) {
+    const from = getSchemaVersion(taskTracker, agents);
+    const applied = [];
+
+    for (const migration of getPendingMigrations(taskTracker, agents)) {
+        const changes = [];
+        migration.up(taskTracker, agents, changes);
+        taskTracker.schema_version = migration.version;
+        agents.schema_version = migration.version;
+        applied.push({ version: migration.version, description: migration.description, changes });
+    }
+
+    return { from, to: getSchemaVersion(taskTracker, agents), applied };
+}
+
+/**
+ * Reports what runMigrations would do without touching the documents
+ * @returns {Object} Same shape as runMigrations
+ */
+function planMigrations(taskTracker, agents) {
+    const clone = value => JSON.parse(JSON.stringify(value));
+    return runMigrations(clone(taskTracker), clone(agents));
+}
+
+/**
+ * Sets missing fields on a record to their defaults
+ * @param {Object} record - Record to fill
+ * @param {Object} defaults - Field defaults (functions are called for fresh values)
+ * @param {string} label - Record label used in change descriptions
+ * @param {string[]} changes - Change log to append to
+ */
+function fillDefaults(record, defaults, label, changes) {
+    const added = [];
+    for (const [field, value] of Object.entries(defaults)) {
+        if (record[field] === undefined || record[field] === null) {
+            if (value === null && record[field] === null) continue;
+            record[field] = typeof value === 'function' ? value() : value;
+            added.push(field);
+        }
+    }
+
+    if (added.length > 0) {
+        changes.push(`${label}: added ${added.join(', ')}`);
+    }
+}
+
+// ==================== MIGRATIONS ====================
+
+registerMigration({
+    version: 1,
+    description: 'Add missing tracker and agents sections',
+    up(taskTracker, agents, changes) {
+        fillDefaults(
+            taskTracker,
+            {
+                tasks: () => ({}),
+                phases: () => ({}),
+                notifications: () => ({}),
+                recommendation_history: () => []
+            },
+            'task-tracker.json',
+            changes
+        );
+        fillDefaults(
+            taskTracker.current_state || (taskTracker.current_state = {}),
+            {
+                active_phase: 'phase-1',
+                active_tasks: () => [],
+                next_recommended_tasks: () => [],
+                blocking_issues: () => []
+            },
+            'current_state',
+            changes
+        );
+        fillDefaults(agents, { registry: () => ({}) }, 'agents.json', changes);
+    }
+});
+
+registerMigration({
+    version: 2,
+    description: 'Fill default task fields (dependencies, blocks, tags, ...)',
+    up(taskTracker, agents, changes) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(
+                task,
+                {
+                    id,
+                    category: 'general',
+                    status: 'todo',
+                    priority: 'medium',
+                    assignees: () => [],
+                    dependencies: () => [],
+                    blocks: () => [],
+                    subtasks: () => [],
+                    files_affected: () => [],
+                    completion_criteria: () => [],
+                    tags: () => [],
+                    description: '',
+                    risk_level: 'medium',
+                    estimated_hours: 0,
+                    recommendation_score: 0,
+                    completed: null
+                },
+                id,
+                changes
+            );
+        }
+    }
+});
+
+registerMigration({
+    version: 3,
+    description: 'Fill default agent fields and record revisions',
+    up(taskTracker, agents, changes) {
+        for (const [id, agent] of Object.entries(agents.registry)) {
+            fillDefaults(
+                agent,
+                {
+                    id,
+                    type: 'ai',
+                    capabilities: () => [],
+                    status: 'active',
+                    workload: () => ({ active_tasks: 0, completed_tasks: 0, total_score: 0 }),
+                    revision: 1
+                },
+                `agent ${id}`,
+                changes
+            );
+        }
+
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { revision: 1 }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 4,
+    description: 'Normalize task status spellings (in_progress → in-progress, ...)',
+    up(taskTracker, agents, changes) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            const status = normalizeStatus(task.status);
+            if (status !== task.status) {
+                changes.push(`${id}: status ${task.status} → ${status}`);
+                task.status = status;
+            }
+        }
+    }
+});
+
+registerMigration({
+    version: 5,
+    description: 'Turn subtasks into links to child tasks with a parent_id',
+    up(taskTracker, agents, changes) {
+        const tasks = taskTracker.tasks;
+        for (const [id, task] of Object.entries(tasks)) {
+            fillDefaults(task, { parent_id: null }, id, changes);
+        }
+
+        // Entries naming an existing task become parent links; anything else
+        // was free-form data and is kept aside in legacy_subtasks
+        for (const [id, task] of Object.entries(tasks)) {
+            const entries = Array.isArray(task.subtasks) ? task.subtasks : [];
+            const childIds = [];
+            const legacy = [];
+            for (const entry of entries) {
+                const childId = typeof entry === 'string' ? entry : entry && entry.id;
+                const child = tasks[childId];
+                if (child && childId !== id && (!child.parent_id || child.parent_id === id)) {
+                    child.parent_id = id;
+                    if (!childIds.includes(childId)) childIds.push(childId);
+                } else if (!child) {
+                    legacy.push(entry);
+                }
+            }
+
+            task.subtasks = childIds;
+            if (legacy.length > 0) {
+                task.legacy_subtasks = legacy;
+                changes.push(`${id}: moved ${legacy.length} free-form subtask(s) to legacy_subtasks`);
+            }
+        }
+
+        // Children that name a parent must appear in its subtasks
+        for (const [id, task] of Object.entries(tasks)) {
+            const parent = tasks[task.parent_id];
+            if (!task.parent_id) continue;
+            if (!parent) {
+                changes.push(`${id}: cleared parent_id ${task.parent_id} (task not found)`);
+                task.parent_id = null;
+            } else if (!parent.subtasks.includes(id)) {
+                parent.subtasks.push(id);
+                changes.push(`${task.parent_id}: added subtask ${id}`);
+            }
+        }
+    }
+});
+
+registerMigration({
+    version: 6,
+    description: 'Add milestones and epics',
+    up(taskTracker, agents, changes) {
+        fillDefaults(taskTracker, { milestones: () => ({}), epics: () => ({}) }, 'task-tracker.json', changes);
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { milestone_id: null, epic_id: null }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 7,
+    description: 'Give phases an order and define every phase in use',
+    up(taskTracker, agents, changes) {
+        const phases = taskTracker.phases || (taskTracker.phases = {});
+        const activeId = taskTracker.current_state.active_phase;
+
+        const used = new Set([activeId, ...Object.values(taskTracker.tasks).map(task => task.phase)]);
+        for (const id of used) {
+            if (!id || phases[id]) continue;
+            phases[id] = { id, name: id };
+            changes.push(`phases: defined ${id}`);
+        }
+
+        for (const [id, phase] of Object.entries(phases)) {
+            fillDefaults(
+                phase,
+                {
+                    id,
+                    name: id,
+                    description: '',
+                    status: 'todo',
+                    deliverables: () => [],
+                    start_date: null,
+                    end_date: null,
+                    revision: 1
+                },
+                `phase ${id}`,
+                changes
+            );
+
+            // Task lists were never filled in and completion is now computed
+            for (const field of ['tasks', 'completion_percentage']) {
+                if (field in phase) {
+                    delete phase[field];
+                    changes.push(`phase ${id}: removed ${field}`);
+                }
+            }
+
+            const status = ['in_progress', 'in-progress'].includes(phase.status) ? 'active' : phase.status;
+            const expected = id === activeId ? 'active' : status === 'active' ? 'todo' : status;
+            if (expected !== phase.status) {
+                changes.push(`phase ${id}: status ${phase.status} → ${expected}`);
+                phase.status = expected;
+            }
+        }
+
+        sortPhases(phases).forEach((phase, index) => {
+            if (phase.order !== index) {
+                phase.order = index;
+                changes.push(`phase ${phase.id}: order ${index}`);
+            }
+        });
+    }
+});
+
+registerMigration({
+    version: 8,
+    description: 'Add task start and due dates',
+    up(taskTracker, agents, changes) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { start_date: null, due_date: null }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 9,
+    description: 'Add recurring task definitions',
+    up(taskTracker, agents, changes) {
+        fillDefaults(taskTracker, { recurring: () => ({}) }, 'task-tracker.json', changes);
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { recurring_id: null, occurrence: null }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 10,
+    description: 'Add task work sessions and actual hours',
+    up(taskTracker, agents, changes) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { actual_hours: 0, work_sessions: () => [] }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 11,
+    description: 'Add task comment threads',
+    up(taskTracker, agents, changes) {
+        fillDefaults(taskTracker, { comments: () => ({}) }, 'task-tracker.json', changes);
+    }
+});
+
+registerMigration({
+    version: 12,
+    description: 'Add task artifacts',
+    up(taskTracker, agents, changes) {
+        fillDefaults(taskTracker, { artifacts: () => ({}) }, 'task-tracker.json', changes);
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { missing_artifacts: null }, id, changes);
+        }
+    }
+});
+
+registerMigration({
+    version: 13,
+    description: 'Add completion criteria waivers',
+    up(taskTracker, agents, changes) {
+        for (const [id, task] of Object.entries(taskTracker.tasks)) {
+            fillDefaults(task, { criteria_waiver: null }, id, changes);
+        }
+    }
+});
+
+module.exports = {
+    registerMigration,
+    getCurrentSchemaVersion,
+    getSchemaVersion,
+    getPendingMigrations,
+    runMigrations,
+    planMigrations
+};
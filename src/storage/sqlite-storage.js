@@ -0,0 +1,302 @@
+/**
+ * SQLite storage adapter for Multiagent Task Manager
+ * Stores tasks and agents as individual rows so saves only touch what changed,
+ * and indexes the columns listTasks filters on.
+ *
+ * Requires the optional `better-sqlite3` package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JsonStorageAdapter } = require('./json-storage.js');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        status TEXT,
+        priority TEXT,
+        phase TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks (status);
+    CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks (priority);
+    CREATE INDEX IF NOT EXISTS idx_tasks_phase ON tasks (phase);
+    CREATE TABLE IF NOT EXISTS task_assignees (
+        task_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, agent_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_assignees_agent ON task_assignees (agent_id);
+    CREATE TABLE IF NOT EXISTS agents (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+`;
+
+/**
+ * Loads better-sqlite3 or explains how to get it
+ * @returns {Function} better-sqlite3 Database constructor
+ */
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error(
+            "SQLite storage requires the optional 'better-sqlite3' package. Install it with: npm install better-sqlite3"
+        );
+    }
+}
+
+class SqliteStorageAdapter {
+    /**
+     * @param {string} dataDir - Data directory holding tasks.db
+     */
+    constructor(dataDir) {
+        const Database = loadDriver();
+
+        this.name = 'sqlite';
+        this.dataDir = dataDir;
+        this.dbFile = path.join(dataDir, 'tasks.db');
+        this.trackerLabel = 'tasks.db (tracker)';
+        this.agentsLabel = 'tasks.db (agents)';
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.db = new Database(this.dbFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+
+        // Serialized rows as last seen on disk, used to write only changes
+        this.cache = { tracker: null, agents: null, tasks: new Map(), registry: new Map() };
+    }
+
+    hasTracker() {
+        return Boolean(this.db.prepare("SELECT 1 FROM meta WHERE key = 'tracker'").get());
+    }
+
+    hasAgents() {
+        return Boolean(this.db.prepare("SELECT 1 FROM meta WHERE key = 'agents'").get());
+    }
+
+    /**
+     * Reads the full project state, importing existing JSON files on first use
+     * @returns {Object} { taskTracker, agents } - either may be null if missing
+     */
+    load() {
+        if (!this.hasTracker() && !this.hasAgents()) {
+            const legacy = new JsonStorageAdapter(this.dataDir).load();
+            if (legacy.taskTracker || legacy.agents) {
+                this.save(legacy.taskTracker, legacy.agents);
+            }
+        }
+
+        return { taskTracker: this.loadTracker(), agents: this.loadAgents() };
+    }
+
+    loadTracker() {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = 'tracker'").get();
+        if (!row) {
+            this.cache.tracker = null;
+            return null;
+        }
+
+        const taskTracker = JSON.parse(row.value);
+        taskTracker.tasks = {};
+        this.cache.tasks = new Map();
+        for (const task of this.db.prepare('SELECT id, data FROM tasks ORDER BY rowid').all()) {
+            taskTracker.tasks[task.id] = JSON.parse(task.data);
+            this.cache.tasks.set(task.id, task.data);
+        }
+
+        this.cache.tracker = row.value;
+        return taskTracker;
+    }
+
+    loadAgents() {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = 'agents'").get();
+        if (!row) {
+            this.cache.agents = null;
+            return null;
+        }
+
+        const agents = JSON.parse(row.value);
+        agents.registry = {};
+        this.cache.registry = new Map();
+        for (const agent of this.db.prepare('SELECT id, data FROM agents ORDER BY rowid').all()) {
+            agents.registry[agent.id] = JSON.parse(agent.data);
+            this.cache.registry.set(agent.id, agent.data);
+        }
+
+        this.cache.agents = row.value;
+        return agents;
+    }
+
+    /**
+     * Writes the tracker document, touching only tasks that changed
+     * @param {Object} taskTracker - Tracker document to persist
+     */
+    saveTracker(taskTracker) {
+        this.db.transaction(() => this.writeTracker(taskTracker))();
+    }
+
+    /**
+     * Writes the agents document, touching only agents that changed
+     * @param {Object} agents - Agents document to persist
+     */
+    saveAgents(agents) {
+        this.db.transaction(() => this.writeAgents(agents))();
+    }
+
+    /**
+     * Persists the full project state in a single transaction
+     * @param {Object} taskTracker - Tracker document (skipped if null)
+     * @param {Object} agents - Agents document (skipped if null)
+     */
+    save(taskTracker, agents) {
+        this.db.transaction(() => {
+            if (taskTracker) this.writeTracker(taskTracker);
+            if (agents) this.writeAgents(agents);
+        })();
+    }
+
+    writeTracker(taskTracker) {
+        const { tasks = {}, ...document } = taskTracker;
+        const value = JSON.stringify(document);
+        if (value !== this.cache.tracker) {
+            this.writeMeta('tracker', value);
+            this.cache.tracker = value;
+        }
+
+        const upsertTask = this.db.prepare(`
+            INSERT INTO tasks (id, status, priority, phase, data)
+            VALUES (@id, @status, @priority, @phase, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status,
+                priority = excluded.priority,
+                phase = excluded.phase,
+                data = excluded.data
+        `);
+        const clearAssignees = this.db.prepare('DELETE FROM task_assignees WHERE task_id = ?');
+        const insertAssignee = this.db.prepare(
+            'INSERT OR IGNORE INTO task_assignees (task_id, agent_id) VALUES (?, ?)'
+        );
+        const deleteTask = this.db.prepare('DELETE FROM tasks WHERE id = ?');
+
+        for (const [id, task] of Object.entries(tasks)) {
+            const data = JSON.stringify(task);
+            if (this.cache.tasks.get(id) === data) {
+                continue;
+            }
+
+            upsertTask.run({
+                id,
+                status: task.status || null,
+                priority: task.priority || null,
+                phase: task.phase || null,
+                data
+            });
+            clearAssignees.run(id);
+            for (const assignee of task.assignees || []) {
+                insertAssignee.run(id, assignee.id);
+            }
+            this.cache.tasks.set(id, data);
+        }
+
+        for (const id of [...this.cache.tasks.keys()]) {
+            if (!tasks[id]) {
+                deleteTask.run(id);
+                clearAssignees.run(id);
+                this.cache.tasks.delete(id);
+            }
+        }
+    }
+
+    writeAgents(agents) {
+        const { registry = {}, ...document } = agents;
+        const value = JSON.stringify(document);
+        if (value !== this.cache.agents) {
+            this.writeMeta('agents', value);
+            this.cache.agents = value;
+        }
+
+        const upsertAgent = this.db.prepare(`
+            INSERT INTO agents (id, data) VALUES (?, ?)
+            ON CONFLICT (id) DO UPDATE SET data = excluded.data
+        `);
+        const deleteAgent = this.db.prepare('DELETE FROM agents WHERE id = ?');
+
+        for (const [id, agent] of Object.entries(registry)) {
+            const data = JSON.stringify(agent);
+            if (this.cache.registry.get(id) !== data) {
+                upsertAgent.run(id, data);
+                this.cache.registry.set(id, data);
+            }
+        }
+
+        for (const id of [...this.cache.registry.keys()]) {
+            if (!registry[id]) {
+                deleteAgent.run(id);
+                this.cache.registry.delete(id);
+            }
+        }
+    }
+
+    writeMeta(key, value) {
+        this.db
+            .prepare(
+                'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+            )
+            .run(key, value);
+    }
+
+    /**
+     * SQLite bumps data_version whenever another connection commits
+     * @returns {string} Opaque change stamp
+     */
+    getStamp() {
+        return `sqlite:${this.db.pragma('data_version', { simple: true })}`;
+    }
+
+    /**
+     * Resolves listTasks filters with indexed queries
+     * @param {Object} filters - { agent, status, priority, phase }
+     * @returns {string[]} Matching task IDs in creation order
+     */
+    queryTaskIds(filters = {}) {
+        const joins = [];
+        const conditions = [];
+        const params = [];
+
+        if (filters.agent) {
+            joins.push('JOIN task_assignees a ON a.task_id = t.id AND a.agent_id = ?');
+            params.push(filters.agent);
+        }
+        for (const column of ['status', 'priority', 'phase']) {
+            if (filters[column]) {
+                conditions.push(`t.${column} = ?`);
+                params.push(filters[column]);
+            }
+        }
+
+        const sql = [
+            'SELECT t.id FROM tasks t',
+            ...joins,
+            conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            'ORDER BY t.rowid'
+        ].join(' ');
+
+        return this.db.prepare(sql).all(...params).map(row => row.id);
+    }
+
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = { SqliteStorageAdapter };
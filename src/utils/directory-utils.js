@@ -379,9 +379,11 @@ function createTaskManagerStructure(baseDir) {
  * Migrates data from legacy locations to new structure
  * @param {string} projectRoot - Project root directory
  * @param {string} newDataDir - New data directory location
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report what would be copied without copying
  * @returns {Object} Migration result
  */
-function migrateLegacyData(projectRoot, newDataDir) {
+function migrateLegacyData(projectRoot, newDataDir, options = {}) {
     const result = {
         success: false,
         migrated: [],
@@ -401,7 +403,9 @@ function migrateLegacyData(projectRoot, newDataDir) {
         try {
             if (fs.existsSync(legacyPath) && !fs.existsSync(newPath)) {
                 // Copy legacy file to new location
-                fs.copyFileSync(legacyPath, newPath);
+                if (!options.dryRun) {
+                    fs.copyFileSync(legacyPath, newPath);
+                }
                 result.migrated.push({ from: legacyPath, to: newPath });
             } else if (fs.existsSync(newPath)) {
                 result.skipped.push({ file: mapping.to, reason: 'already exists in new location' });
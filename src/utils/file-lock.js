@@ -0,0 +1,276 @@
+/**
+ * File locking utilities for Multiagent Task Manager
+ * Lets several processes (CLI, agent bots, MCP server) share one data directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Default lock behaviour
+ */
+const LOCK_DEFAULTS = {
+    timeout: 5000, // Give up acquiring after this many ms
+    stale: 10000, // Treat locks older than this many ms as abandoned
+    retryInterval: 25 // Wait between acquisition attempts
+};
+
+/**
+ * Merges lock options with the defaults, ignoring unset values
+ * @param {Object} options - Partial lock options
+ * @returns {Object} Complete lock options
+ */
+function resolveLockOptions(options = {}) {
+    const resolved = { ...LOCK_DEFAULTS };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) {
+            resolved[key] = value;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Blocks the current thread for the given number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a process is still running on this host
+ * @param {number} pid - Process ID to check
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) {
+        return false;
+    }
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Determines whether an existing lock file was abandoned by its owner
+ * @param {string} lockPath - Path to the lock file
+ * @param {number} staleMs - Age after which a lock is considered stale
+ * @returns {boolean} True if the lock can safely be removed
+ */
+function isLockStale(lockPath, staleMs) {
+    let stats;
+    try {
+        stats = fs.statSync(lockPath);
+    } catch (error) {
+        // Lock disappeared in the meantime
+        return false;
+    }
+
+    if (Date.now() - stats.mtimeMs > staleMs) {
+        return true;
+    }
+
+    try {
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        if (owner.hostname === os.hostname() && !isProcessAlive(owner.pid)) {
+            return true;
+        }
+    } catch (error) {
+        // Owner is still writing the lock file; let the age check decide
+    }
+
+    return false;
+}
+
+/**
+ * Removes a lock found to be stale. Two waiters can both find the same lock
+ * stale, and by the time one removes it the other may already have taken a
+ * new lock in its place. The lock is therefore renamed to a unique name
+ * first, which only one waiter can do, and checked again once it can no
+ * longer change; a live lock taken by mistake is put back.
+ * @param {string} lockPath - Path to the lock file
+ * @param {number} staleMs - Age after which a lock is considered stale
+ */
+function removeStaleLock(lockPath, staleMs) {
+    const claimed = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+    try {
+        fs.renameSync(lockPath, claimed);
+    } catch (error) {
+        // Another process removed it first
+        return;
+    }
+
+    if (!isLockStale(claimed, staleMs)) {
+        try {
+            // Fails if the lock was taken again meanwhile
+            fs.linkSync(claimed, lockPath);
+        } catch (error) {
+            // Nothing to restore
+        }
+    }
+    try {
+        fs.unlinkSync(claimed);
+    } catch (error) {
+        // Already gone
+    }
+}
+
+/**
+ * Marks a lock held by this process as in use, so that waiters do not take
+ * it over while a long operation runs under it
+ * @param {string} lockPath - Path to the lock file
+ * @param {number} holdMs - How much longer the lock may be held without
+ *   another refresh; the stale period only starts after that
+ * @returns {boolean} False if the lock is no longer held by this process
+ */
+function refreshLock(lockPath, holdMs = 0) {
+    try {
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        if (owner.pid !== process.pid || owner.hostname !== os.hostname()) {
+            return false;
+        }
+        const until = new Date(Date.now() + holdMs);
+        fs.utimesSync(lockPath, until, until);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Acquires an exclusive lock file, waiting until it becomes available
+ * @param {string} lockPath - Path to the lock file
+ * @param {Object} options - Lock options (timeout, stale, retryInterval)
+ * @throws {Error} If the lock could not be acquired before the timeout
+ */
+function acquireLock(lockPath, options = {}) {
+    const { timeout, stale, retryInterval } = resolveLockOptions(options);
+    const deadline = Date.now() + timeout;
+    const owner = JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquired: new Date().toISOString()
+    });
+
+    while (true) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            try {
+                fs.writeSync(fd, owner);
+            } finally {
+                fs.closeSync(fd);
+            }
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        if (isLockStale(lockPath, stale)) {
+            removeStaleLock(lockPath, stale);
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+
+        sleepSync(retryInterval);
+    }
+}
+
+/**
+ * Releases a lock file previously acquired by this process
+ * @param {string} lockPath - Path to the lock file
+ */
+function releaseLock(lockPath) {
+    try {
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        if (owner.pid !== process.pid) {
+            return;
+        }
+        fs.unlinkSync(lockPath);
+    } catch (error) {
+        // Lock already gone or unreadable - nothing to release
+    }
+}
+
+/**
+ * Runs a function while holding an exclusive lock file
+ * @param {string} lockPath - Path to the lock file
+ * @param {Function} fn - Function to run under the lock
+ * @param {Object} options - Lock options (timeout, stale, retryInterval)
+ * @returns {*} Return value of fn
+ */
+function withFileLock(lockPath, fn, options = {}) {
+    acquireLock(lockPath, options);
+    try {
+        return fn();
+    } finally {
+        releaseLock(lockPath);
+    }
+}
+
+/**
+ * Writes a file atomically by writing a temporary sibling and renaming it
+ * @param {string} filePath - Destination file path
+ * @param {string} data - File contents
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+    );
+
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        try {
+            fs.unlinkSync(tempPath);
+        } catch (cleanupError) {
+            // Temporary file was never created
+        }
+        throw error;
+    }
+}
+
+/**
+ * Returns a cheap fingerprint of a file used to detect external changes
+ * @param {string} filePath - File to fingerprint
+ * @returns {string|null} Fingerprint, or null if the file does not exist
+ */
+function getFileStamp(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    LOCK_DEFAULTS,
+    acquireLock,
+    releaseLock,
+    refreshLock,
+    withFileLock,
+    isLockStale,
+    removeStaleLock,
+    writeFileAtomic,
+    getFileStamp
+};
@@ -0,0 +1,34 @@
+/**
+ * Project configuration for Multiagent Task Manager
+ * Reads tasks-data/config.json, where a project keeps its workflow and SLA
+ * settings next to its data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TASKMANAGER_DIR, TASKMANAGER_CONFIG_FILE } = require('../constants/paths.js');
+
+/**
+ * @param {string} dataDir - Data directory (tasks-data)
+ * @returns {Object} Parsed config.json, or an empty object if there is none
+ * @throws {Error} If config.json exists but is not valid JSON
+ */
+function loadProjectConfig(dataDir) {
+    const configFile = path.join(dataDir, path.relative(TASKMANAGER_DIR, TASKMANAGER_CONFIG_FILE));
+    if (!fs.existsSync(configFile)) {
+        return {};
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid ${configFile}: ${error.message}`);
+    }
+
+    return config || {};
+}
+
+module.exports = {
+    loadProjectConfig
+};
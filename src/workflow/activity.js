@@ -0,0 +1,111 @@
+/**
+ * Task activity for Multiagent Task Manager
+ * Comments are kept per task in `comments` and are append-only. The activity
+ * feed is not stored: it is derived from the event journal, which holds the
+ * version of a task after every change.
+ */
+
+/**
+ * Journal event type of a new comment
+ */
+const COMMENT_EVENT = 'task.commented';
+
+/**
+ * Fields that change as a side effect of other changes and are left out of the feed
+ */
+const IGNORED_FIELDS = ['updated', 'revision', 'recommendation_score', 'work_sessions', 'overdue_notified_for'];
+
+/**
+ * @param {string} body - Comment text
+ * @returns {string[]} Agent IDs mentioned as @agent-id, in order, without duplicates
+ */
+function parseMentions(body) {
+    const mentions = [];
+    for (const match of String(body).matchAll(/(^|[^\w@])@([A-Za-z0-9][\w.-]*[A-Za-z0-9_]|[A-Za-z0-9])/g)) {
+        if (!mentions.includes(match[2])) {
+            mentions.push(match[2]);
+        }
+    }
+    return mentions;
+}
+
+/**
+ * @param {Object|null} before - Task before the change
+ * @param {Object|null} after - Task after the change
+ * @returns {Object[]} { field, from, to } for every field that differs
+ */
+function diffTask(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+        .map(field => ({
+            field,
+            from: before ? (before[field] ?? null) : null,
+            to: after ? (after[field] ?? null) : null
+        }));
+}
+
+/**
+ * Walks the journal and lists every event that changed a task
+ * @param {Object[]} events - Journal events in order
+ * @param {string} taskId - Task to follow
+ * @returns {Object[]} { seq, timestamp, actor, type, action: 'created'|'updated'|'deleted', changes }
+ */
+function buildActivity(events, taskId) {
+    const activity = [];
+    let previous = null;
+
+    for (const event of events) {
+        if (event.taskTracker) {
+            // Snapshots reset the baseline without being activity themselves
+            previous = (event.taskTracker.tasks || {})[taskId] || null;
+            continue;
+        }
+        if (!event.tasks || !(taskId in event.tasks)) continue;
+
+        const current = event.tasks[taskId];
+        const action = !previous ? 'created' : !current ? 'deleted' : 'updated';
+        const changes = action === 'updated' ? diffTask(previous, current) : [];
+        previous = current;
+
+        // Updates that only touched bookkeeping fields are noise
+        if (action === 'updated' && changes.length === 0 && event.type === 'task.updated') continue;
+
+        activity.push({
+            seq: event.seq,
+            timestamp: event.timestamp,
+            actor: event.actor || null,
+            type: event.type,
+            action,
+            changes
+        });
+    }
+
+    return activity;
+}
+
+/**
+ * @param {Object} change - { field, from, to }
+ * @returns {string} e.g. "status: todo → in-progress" or "assignees: none → agent-1"
+ */
+function describeChange(change) {
+    return `${change.field}: ${describeValue(change.from)} → ${describeValue(change.to)}`;
+}
+
+function describeValue(value) {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (Array.isArray(value)) {
+        return value.length === 0 ? 'none' : value.map(item => (item && item.id) || describeValue(item)).join(', ');
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+module.exports = {
+    COMMENT_EVENT,
+    IGNORED_FIELDS,
+    parseMentions,
+    diffTask,
+    buildActivity,
+    describeChange
+};
@@ -0,0 +1,233 @@
+/**
+ * Completion criteria for Multiagent Task Manager
+ * A criterion is either free text, which a person has to judge, or a check
+ * that can be run against the project:
+ *   { type: 'file_exists', path }
+ *   { type: 'file_contains', path, pattern }         pattern is a regular expression
+ *   { type: 'command', command, timeout_ms }         passes when it exits with 0
+ *   { type: 'test_report', path, min_passed }        JUnit XML, TAP, or Jest/Mocha JSON
+ * Paths and commands are relative to the project directory (the one that
+ * holds tasks-data). Every check may carry a `description`. Command checks
+ * run a shell, so callers handling task data from agents pass
+ * `allowCommands: false` unless the project opted in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CRITERION_TYPES = ['file_exists', 'file_contains', 'command', 'test_report'];
+
+const DEFAULT_COMMAND_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Fields each check requires
+ */
+const REQUIRED_FIELDS = {
+    file_exists: ['path'],
+    file_contains: ['path', 'pattern'],
+    command: ['command'],
+    test_report: ['path']
+};
+
+/**
+ * @returns {string} Why a command check is refused
+ */
+function commandsDisabledMessage() {
+    return 'Command checks are disabled (set allowCommandCriteria or TASK_MANAGER_ALLOW_COMMAND_CRITERIA=true)';
+}
+
+/**
+ * Validates a criteria list
+ * @param {Array} criteria - Strings and check objects
+ * @param {Object} options - { allowCommands: false to refuse command checks }
+ * @returns {Array} The criteria, unchanged
+ * @throws {Error} If a check has an unknown type, misses a field, has an invalid pattern or is a
+ *   refused command
+ */
+function normalizeCriteria(criteria, options = {}) {
+    if (!Array.isArray(criteria)) {
+        throw new Error('completion_criteria must be an array');
+    }
+
+    criteria.forEach((criterion, index) => {
+        if (typeof criterion === 'string') return;
+        if (!criterion || typeof criterion !== 'object' || !CRITERION_TYPES.includes(criterion.type)) {
+            throw new Error(
+                `Invalid completion criterion ${index + 1}: expected text or a check of type ${CRITERION_TYPES.join(', ')}`
+            );
+        }
+        if (criterion.type === 'command' && options.allowCommands === false) {
+            throw new Error(`Completion criterion ${index + 1}: ${commandsDisabledMessage()}`);
+        }
+        for (const field of REQUIRED_FIELDS[criterion.type]) {
+            if (!criterion[field]) {
+                throw new Error(`Completion criterion ${index + 1} (${criterion.type}) needs ${field}`);
+            }
+        }
+        if (criterion.type === 'file_contains') {
+            try {
+                new RegExp(criterion.pattern);
+            } catch (error) {
+                throw new Error(`Completion criterion ${index + 1} has an invalid pattern: ${error.message}`);
+            }
+        }
+    });
+
+    return criteria;
+}
+
+/**
+ * @returns {string} A one-line description of a criterion
+ */
+function describeCriterion(criterion) {
+    if (typeof criterion === 'string') return criterion;
+    if (criterion.description) return criterion.description;
+
+    switch (criterion.type) {
+        case 'file_exists':
+            return `${criterion.path} exists`;
+        case 'file_contains':
+            return `${criterion.path} matches /${criterion.pattern}/`;
+        case 'command':
+            return `\`${criterion.command}\` succeeds`;
+        default:
+            return `${criterion.path} reports passing tests`;
+    }
+}
+
+/**
+ * Counts passed and failed tests in a report
+ * @param {string} content - JUnit XML, TAP, or Jest/Mocha JSON
+ * @returns {Object|null} { passed, failed }, or null if the format is not recognized
+ */
+function parseTestReport(content) {
+    const text = String(content).trim();
+
+    if (text.startsWith('{')) {
+        const report = JSON.parse(text);
+        if (report.numPassedTests !== undefined) {
+            return { passed: report.numPassedTests, failed: report.numFailedTests || 0 };
+        }
+        if (report.stats && report.stats.passes !== undefined) {
+            return { passed: report.stats.passes, failed: report.stats.failures || 0 };
+        }
+        if (report.passed !== undefined) {
+            return { passed: report.passed, failed: report.failed || 0 };
+        }
+        return null;
+    }
+
+    if (text.startsWith('<')) {
+        const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+        let suites = 0;
+        for (const match of text.matchAll(/<testsuite\b([^>]*)>/g)) {
+            suites++;
+            for (const key of Object.keys(totals)) {
+                const attribute = match[1].match(new RegExp(`\\b${key}="(\\d+)"`));
+                totals[key] += attribute ? parseInt(attribute[1], 10) : 0;
+            }
+        }
+        if (suites === 0) return null;
+        const failed = totals.failures + totals.errors;
+        return { passed: totals.tests - failed - totals.skipped, failed };
+    }
+
+    const lines = text.split('\n');
+    const passed = lines.filter(line => /^ok\b/.test(line)).length;
+    const failed = lines.filter(line => /^not ok\b/.test(line)).length;
+    return passed + failed > 0 ? { passed, failed } : null;
+}
+
+/**
+ * Runs one criterion
+ * @param {string|Object} criterion - Criterion to check
+ * @param {Object} options - { projectDir, allowCommands: false to fail command checks without running
+ *   them, beforeCommand: called with a command's timeout in ms before it runs }
+ * @returns {Object} { description, status: 'passed'|'failed'|'manual', message }
+ */
+function checkCriterion(criterion, options = {}) {
+    const projectDir = options.projectDir || process.cwd();
+    const result = status => message => ({ description: describeCriterion(criterion), status, message });
+    const passed = result('passed');
+    const failed = result('failed');
+
+    if (typeof criterion === 'string') {
+        return result('manual')('Needs to be checked by hand');
+    }
+
+    const filePath = criterion.path ? path.resolve(projectDir, criterion.path) : null;
+    try {
+        switch (criterion.type) {
+            case 'file_exists':
+                return fs.existsSync(filePath) ? passed('File exists') : failed(`${criterion.path} not found`);
+
+            case 'file_contains': {
+                if (!fs.existsSync(filePath)) return failed(`${criterion.path} not found`);
+                const content = fs.readFileSync(filePath, 'utf8');
+                return new RegExp(criterion.pattern, 'm').test(content)
+                    ? passed('Pattern found')
+                    : failed(`/${criterion.pattern}/ not found in ${criterion.path}`);
+            }
+
+            case 'command': {
+                if (options.allowCommands === false) return failed(commandsDisabledMessage());
+                const timeout = criterion.timeout_ms || DEFAULT_COMMAND_TIMEOUT_MS;
+                if (options.beforeCommand) options.beforeCommand(timeout);
+                const run = spawnSync(criterion.command, {
+                    cwd: projectDir,
+                    shell: true,
+                    encoding: 'utf8',
+                    timeout
+                });
+                if (run.error) {
+                    return failed(run.error.code === 'ETIMEDOUT' ? 'Timed out' : run.error.message);
+                }
+                if (run.status === 0) return passed('Exited with 0');
+                const output = `${run.stderr || ''}${run.stdout || ''}`.trim().split('\n').pop();
+                return failed(`Exited with ${run.status ?? run.signal}${output ? `: ${output}` : ''}`);
+            }
+
+            default: {
+                if (!fs.existsSync(filePath)) return failed(`${criterion.path} not found`);
+                const counts = parseTestReport(fs.readFileSync(filePath, 'utf8'));
+                if (!counts) return failed(`${criterion.path} is not a recognized test report`);
+                const minPassed = criterion.min_passed ?? 1;
+                const summary = `${counts.passed} passed, ${counts.failed} failed`;
+                return counts.failed === 0 && counts.passed >= minPassed
+                    ? passed(summary)
+                    : failed(counts.failed > 0 ? summary : `${summary} (expected at least ${minPassed} passing)`);
+            }
+        }
+    } catch (error) {
+        return failed(error.message);
+    }
+}
+
+/**
+ * Runs every criterion of a task
+ * @param {Array} criteria - The task's completion_criteria
+ * @param {Object} options - { projectDir, allowCommands, beforeCommand }, see checkCriterion
+ * @returns {Object} { passed, results: [{ index, description, status, message }], failed, manual }
+ *   where passed is true when no check failed (text criteria do not count)
+ */
+function verifyCriteria(criteria, options = {}) {
+    const results = (criteria || []).map((criterion, index) => ({ index, ...checkCriterion(criterion, options) }));
+    const failed = results.filter(result => result.status === 'failed');
+
+    return {
+        passed: failed.length === 0,
+        results,
+        failed: failed.length,
+        manual: results.filter(result => result.status === 'manual').length
+    };
+}
+
+module.exports = {
+    CRITERION_TYPES,
+    normalizeCriteria,
+    describeCriterion,
+    parseTestReport,
+    checkCriterion,
+    verifyCriteria
+};
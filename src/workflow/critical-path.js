@@ -0,0 +1,129 @@
+/**
+ * Critical path analysis for Multiagent Task Manager
+ * Runs the critical path method over the dependency DAG, using each task's
+ * estimated_hours as its duration. Closed tasks are left out, so the result
+ * describes the work that remains. Tasks without an estimate are scheduled
+ * with DEFAULT_DURATION and reported as unestimated.
+ */
+
+/**
+ * Hours assumed for tasks without estimated_hours
+ */
+const DEFAULT_DURATION = 8;
+
+/**
+ * Tasks whose slack is within this share of the project duration count as
+ * near the critical path
+ */
+const NEAR_PATH_RATIO = 0.2;
+
+/**
+ * @param {Object} tasks - Map of task ID to task
+ * @param {Object} options - { isClosed(task) } to skip finished tasks,
+ *   { defaultDuration } for tasks without an estimate
+ * @returns {Object} {
+ *   duration,                     total hours of the remaining work
+ *   path,                         task IDs of the critical chain, in order
+ *   tasks: { [id]: { duration, estimated, earliest_start, earliest_finish,
+ *                    latest_start, latest_finish, slack, critical, position } },
+ *   unresolved,                   task IDs skipped because they sit on a cycle
+ *   unestimated                   task IDs scheduled with the default duration
+ * }
+ */
+function analyzeCriticalPath(tasks, options = {}) {
+    const isClosed = options.isClosed || (() => false);
+    const defaultDuration = options.defaultDuration !== undefined ? options.defaultDuration : DEFAULT_DURATION;
+    const open = Object.values(tasks).filter(task => !isClosed(task));
+    const ids = new Set(open.map(task => task.id));
+
+    const predecessors = new Map();
+    const successors = new Map(open.map(task => [task.id, []]));
+    for (const task of open) {
+        const deps = (task.dependencies || []).filter(id => ids.has(id) && id !== task.id);
+        predecessors.set(task.id, deps);
+        deps.forEach(id => successors.get(id).push(task.id));
+    }
+
+    // Kahn's algorithm; whatever is left over sits on (or behind) a cycle
+    const remaining = new Map(open.map(task => [task.id, predecessors.get(task.id).length]));
+    const queue = open.filter(task => remaining.get(task.id) === 0).map(task => task.id);
+    const order = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        for (const next of successors.get(id)) {
+            remaining.set(next, remaining.get(next) - 1);
+            if (remaining.get(next) === 0) queue.push(next);
+        }
+    }
+    const resolved = new Set(order);
+    const unresolved = open.map(task => task.id).filter(id => !resolved.has(id));
+
+    const schedule = {};
+    for (const id of order) {
+        const estimated = Number(tasks[id].estimated_hours) > 0;
+        const duration = estimated ? Number(tasks[id].estimated_hours) : defaultDuration;
+        const start = Math.max(0, ...predecessors.get(id).map(dep => schedule[dep].earliest_finish));
+        schedule[id] = { duration, estimated, earliest_start: start, earliest_finish: start + duration };
+    }
+
+    const duration = Math.max(0, ...order.map(id => schedule[id].earliest_finish));
+
+    for (const id of [...order].reverse()) {
+        const next = successors.get(id).filter(successor => resolved.has(successor));
+        const finish = Math.min(duration, ...next.map(successor => schedule[successor].latest_start));
+        const entry = schedule[id];
+        entry.latest_finish = finish;
+        entry.latest_start = finish - entry.duration;
+        entry.slack = round(entry.latest_start - entry.earliest_start);
+        entry.critical = entry.slack === 0;
+        entry.position = entry.critical
+            ? 'onPath'
+            : entry.slack <= duration * NEAR_PATH_RATIO
+              ? 'nearPath'
+              : 'offPath';
+    }
+
+    return {
+        duration,
+        path: tracePath(order, schedule, predecessors, duration),
+        tasks: schedule,
+        unresolved,
+        unestimated: order.filter(id => !schedule[id].estimated)
+    };
+}
+
+/**
+ * Walks back from the critical task that finishes last, following critical
+ * predecessors that finish exactly when the current task can start
+ */
+function tracePath(order, schedule, predecessors, duration) {
+    const byLongest = (a, b) => schedule[b].duration - schedule[a].duration || a.localeCompare(b);
+    const ends = order.filter(id => schedule[id].critical && schedule[id].earliest_finish === duration).sort(byLongest);
+    if (ends.length === 0) {
+        return [];
+    }
+
+    const path = [ends[0]];
+    for (;;) {
+        const current = schedule[path[0]];
+        const previous = predecessors
+            .get(path[0])
+            .filter(id => schedule[id] && schedule[id].critical && schedule[id].earliest_finish === current.earliest_start)
+            .sort(byLongest)[0];
+        if (!previous) break;
+        path.unshift(previous);
+    }
+
+    return path;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    analyzeCriticalPath,
+    DEFAULT_DURATION,
+    NEAR_PATH_RATIO
+};
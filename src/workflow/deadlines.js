@@ -0,0 +1,118 @@
+/**
+ * Deadlines for Multiagent Task Manager
+ * A task's deadline is its `due_date`, or else its creation time plus the SLA
+ * configured for its priority. Open tasks are classified as overdue, at risk
+ * (due soon, or past their planned `start_date` without having started) or
+ * on track.
+ */
+
+/**
+ * Default window before the deadline in which a task counts as at risk
+ */
+const DEFAULT_AT_RISK_HOURS = 24;
+
+const DEADLINE_STATES = ['overdue', 'at-risk', 'on-track'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Validates an SLA configuration
+ * @param {Object} sla - { priorities: { [priority]: hours }, at_risk_hours }
+ * @returns {Object} { priorities, at_risk_hours } with defaults filled in
+ * @throws {Error} If a duration is not a positive number
+ */
+function normalizeSla(sla = {}) {
+    const config = sla || {};
+    const priorities = {};
+    for (const [priority, hours] of Object.entries(config.priorities || {})) {
+        if (hours === null || hours === undefined) continue;
+        if (!(Number(hours) > 0)) {
+            throw new Error(`Invalid SLA for ${priority} priority: ${hours} (expected hours > 0)`);
+        }
+        priorities[priority] = Number(hours);
+    }
+
+    const atRiskHours = config.at_risk_hours ?? DEFAULT_AT_RISK_HOURS;
+    if (!(Number(atRiskHours) >= 0)) {
+        throw new Error(`Invalid SLA at_risk_hours: ${atRiskHours}`);
+    }
+
+    return { priorities, at_risk_hours: Number(atRiskHours) };
+}
+
+/**
+ * A due date given without a time (YYYY-MM-DD) lasts until the end of that day (UTC)
+ */
+function parseDueDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999Z`) : new Date(value);
+}
+
+/**
+ * @param {Object} task - Task to check
+ * @param {Object} sla - Normalized SLA configuration
+ * @returns {Object|null} { due_date, source: 'due_date'|'sla' }, or null if the task has no deadline
+ */
+function getDeadline(task, sla) {
+    if (task.due_date) {
+        return { due_date: parseDueDate(task.due_date).toISOString(), source: 'due_date' };
+    }
+
+    const hours = sla.priorities[task.priority];
+    if (hours && task.created) {
+        return {
+            due_date: new Date(new Date(task.created).getTime() + hours * HOUR_MS).toISOString(),
+            source: 'sla'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * @param {Object} task - Task to check
+ * @param {Object} sla - Normalized SLA configuration
+ * @param {Object} options - { categoryOf(status), now }
+ * @returns {Object|null} { task_id, due_date, source, hours_left, late_start, state },
+ *   or null if the task is closed or has neither a deadline nor a start date
+ */
+function assessDeadline(task, sla, options = {}) {
+    const categoryOf = options.categoryOf || (() => null);
+    const now = options.now || new Date();
+    const category = categoryOf(task.status);
+    if (category === 'done' || category === 'cancelled') {
+        return null;
+    }
+
+    const deadline = getDeadline(task, sla);
+    const lateStart = Boolean(
+        task.start_date && new Date(task.start_date) < now && ['open', 'blocked'].includes(category)
+    );
+    if (!deadline && !lateStart) {
+        return null;
+    }
+
+    const hoursLeft = deadline ? Math.round(((new Date(deadline.due_date) - now) / HOUR_MS) * 10) / 10 : null;
+    let state = 'on-track';
+    if (hoursLeft !== null && hoursLeft < 0) {
+        state = 'overdue';
+    } else if (lateStart || (hoursLeft !== null && hoursLeft <= sla.at_risk_hours)) {
+        state = 'at-risk';
+    }
+
+    return {
+        task_id: task.id,
+        due_date: deadline ? deadline.due_date : null,
+        source: deadline ? deadline.source : null,
+        hours_left: hoursLeft,
+        late_start: lateStart,
+        state
+    };
+}
+
+module.exports = {
+    DEFAULT_AT_RISK_HOURS,
+    DEADLINE_STATES,
+    normalizeSla,
+    getDeadline,
+    assessDeadline
+};
@@ -0,0 +1,149 @@
+/**
+ * Task dependency graph for Multiagent Task Manager
+ * `A.dependencies` containing B is an edge A → B ("A depends on B"); the
+ * mirrored `B.blocks` contains A. The graph validates edits before they are
+ * applied so the dependency relation stays acyclic.
+ */
+
+class DependencyGraph {
+    /**
+     * @param {Object} tasks - Map of task ID to task (only `dependencies` is read)
+     */
+    constructor(tasks = {}) {
+        this.edges = new Map();
+        for (const [id, task] of Object.entries(tasks)) {
+            this.edges.set(id, new Set(Array.isArray(task.dependencies) ? task.dependencies : []));
+        }
+    }
+
+    has(taskId) {
+        return this.edges.has(taskId);
+    }
+
+    /**
+     * Adds a task without dependencies (e.g. one that is about to be created)
+     */
+    addTask(taskId) {
+        if (!this.edges.has(taskId)) {
+            this.edges.set(taskId, new Set());
+        }
+        return this;
+    }
+
+    /**
+     * Finds a path that follows dependencies from one task to another
+     * @param {string} from - Start task
+     * @param {string} to - Task to reach
+     * @returns {string[]|null} Task IDs from `from` to `to`, or null if unreachable
+     */
+    findPath(from, to) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === to) {
+                const path = [];
+                for (let node = to; node !== null; node = previous.get(node)) {
+                    path.unshift(node);
+                }
+                return path;
+            }
+
+            for (const next of this.edges.get(current) || []) {
+                if (!previous.has(next)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds the edge taskId → dependencyId after validating it
+     * @throws {Error} If either task is unknown, the task would depend on
+     *                 itself, or the edge would close a cycle (code
+     *                 DEPENDENCY_CYCLE, with the offending path in error.cycle)
+     */
+    addDependency(taskId, dependencyId) {
+        for (const id of [taskId, dependencyId]) {
+            if (!this.edges.has(id)) {
+                throw new Error(`Task ${id} not found`);
+            }
+        }
+        if (taskId === dependencyId) {
+            throw new Error(`Task ${taskId} cannot depend on itself`);
+        }
+
+        // The new edge closes a cycle if the dependency already reaches the task
+        const path = this.findPath(dependencyId, taskId);
+        if (path) {
+            const cycle = [taskId, ...path];
+            const error = new Error(
+                `${taskId} cannot depend on ${dependencyId}: this would create a dependency cycle (${cycle.join(' → ')})`
+            );
+            error.code = 'DEPENDENCY_CYCLE';
+            error.cycle = cycle;
+            throw error;
+        }
+
+        this.edges.get(taskId).add(dependencyId);
+        return this;
+    }
+
+    removeDependency(taskId, dependencyId) {
+        if (this.edges.has(taskId)) {
+            this.edges.get(taskId).delete(dependencyId);
+        }
+        return this;
+    }
+
+    /**
+     * Replaces all dependencies of a task, validating each new edge
+     */
+    setDependencies(taskId, dependencyIds) {
+        this.addTask(taskId);
+        this.edges.set(taskId, new Set());
+        dependencyIds.forEach(dependencyId => this.addDependency(taskId, dependencyId));
+        return this;
+    }
+
+    /**
+     * Finds the cycles already present in the graph (for integrity checks)
+     * @returns {string[][]} One path per cycle, e.g. [A, B, A]
+     */
+    findCycles() {
+        const cycles = [];
+        const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+        const stack = [];
+
+        const visit = node => {
+            state.set(node, 1);
+            stack.push(node);
+
+            for (const next of this.edges.get(node) || []) {
+                if (!this.edges.has(next)) continue;
+                if (state.get(next) === 1) {
+                    cycles.push([...stack.slice(stack.indexOf(next)), next]);
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+            }
+
+            stack.pop();
+            state.set(node, 2);
+        };
+
+        for (const node of this.edges.keys()) {
+            if (!state.has(node)) visit(node);
+        }
+
+        return cycles;
+    }
+}
+
+module.exports = {
+    DependencyGraph
+};
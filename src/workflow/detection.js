@@ -0,0 +1,130 @@
+/**
+ * Completion detection for Multiagent Task Manager
+ * tasks-data/completion-rules.json maps tasks to checks that show their work
+ * is done, so that progress can be picked up from the project itself:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "Cleanup migration",
+ *         "match": { "category": "database", "tag": ["privacy"] },
+ *         "checks": [{ "type": "file_exists", "path": "db/migrations/cleanup.ts" }],
+ *         "status": "completed"
+ *       }
+ *     ]
+ *   }
+ *
+ * `match` selects tasks by `task` (IDs), `category` and `tag`; each takes a
+ * value or a list of alternatives, and a task has to match every selector
+ * given. Checks use the completion criteria types. A task's own checks in
+ * completion_criteria are added to those of the rules it matches. Command
+ * checks in the rules file always run, as the file belongs to the project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TASKMANAGER_DIR, TASKMANAGER_RULES_FILE } = require('../constants/paths.js');
+const { normalizeCriteria, verifyCriteria } = require('./criteria.js');
+
+const MATCH_KEYS = ['task', 'category', 'tag'];
+
+/**
+ * @param {Object} rule - Rule as written in the rules file
+ * @param {number} index - Position, used to name unnamed rules
+ * @returns {Object} { name, match: { task, category, tag } as arrays, checks, status }
+ * @throws {Error} If the rule matches nothing or has no checks
+ */
+function normalizeRule(rule, index) {
+    const name = (rule && rule.name) || `rule ${index + 1}`;
+    const match = (rule && rule.match) || {};
+    const keys = Object.keys(match).filter(key => MATCH_KEYS.includes(key));
+    if (keys.length === 0) {
+        throw new Error(`Completion rule "${name}" needs a match on ${MATCH_KEYS.join(', ')}`);
+    }
+    if (!Array.isArray(rule.checks) || rule.checks.length === 0) {
+        throw new Error(`Completion rule "${name}" needs at least one check`);
+    }
+    if (rule.checks.some(check => typeof check === 'string')) {
+        throw new Error(`Completion rule "${name}" has a text check; rules can only use checks that run`);
+    }
+    normalizeCriteria(rule.checks);
+
+    return {
+        name,
+        match: Object.fromEntries(keys.map(key => [key, [].concat(match[key]).map(String)])),
+        checks: rule.checks,
+        status: rule.status || null
+    };
+}
+
+/**
+ * @param {string} dataDir - Data directory (tasks-data)
+ * @returns {Object[]} Normalized rules, or none if there is no rules file
+ * @throws {Error} If the file is not valid JSON or a rule is invalid
+ */
+function loadCompletionRules(dataDir) {
+    const rulesFile = path.join(dataDir, path.relative(TASKMANAGER_DIR, TASKMANAGER_RULES_FILE));
+    if (!fs.existsSync(rulesFile)) {
+        return [];
+    }
+
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid ${rulesFile}: ${error.message}`);
+    }
+
+    const rules = Array.isArray(content) ? content : (content && content.rules) || [];
+    return rules.map(normalizeRule);
+}
+
+/**
+ * @returns {boolean} Whether the task meets every selector of the rule
+ */
+function ruleMatches(rule, task) {
+    const { task: ids, category, tag } = rule.match;
+    return (
+        (!ids || ids.includes(task.id)) &&
+        (!category || category.includes(task.category)) &&
+        (!tag || (task.tags || []).some(value => tag.includes(value)))
+    );
+}
+
+/**
+ * Runs the checks that apply to a task
+ * @param {Object} task - Task to check
+ * @param {Object[]} rules - Normalized rules
+ * @param {Object} options - { projectDir, allowCommands }, where allowCommands
+ *   only applies to the task's own checks
+ * @returns {Object|null} { rules (names), status (from the first rule that sets one),
+ *   passed, failed, results }, or null if no check applies
+ */
+function detectCompletion(task, rules, options = {}) {
+    const matched = rules.filter(rule => ruleMatches(rule, task));
+    const ruleChecks = matched.flatMap(rule => rule.checks);
+    const taskChecks = (task.completion_criteria || []).filter(criterion => typeof criterion !== 'string');
+    if (ruleChecks.length + taskChecks.length === 0) {
+        return null;
+    }
+
+    const results = [
+        ...verifyCriteria(ruleChecks, { ...options, allowCommands: true }).results,
+        ...verifyCriteria(taskChecks, options).results
+    ].map((result, index) => ({ ...result, index }));
+    const failed = results.filter(result => result.status === 'failed').length;
+    return {
+        rules: matched.map(rule => rule.name),
+        status: (matched.find(rule => rule.status) || {}).status || null,
+        passed: failed === 0,
+        failed,
+        results
+    };
+}
+
+module.exports = {
+    normalizeRule,
+    loadCompletionRules,
+    ruleMatches,
+    detectCompletion
+};
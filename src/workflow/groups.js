@@ -0,0 +1,74 @@
+/**
+ * Milestones and epics for Multiagent Task Manager
+ * Both group tasks independently of their phase: a task points at its group
+ * through `milestone_id` / `epic_id`. Completion, remaining hours and status
+ * are computed from the grouped tasks rather than stored.
+ */
+
+const GROUP_TYPES = {
+    milestone: { collection: 'milestones', field: 'milestone_id', prefix: 'MS', label: 'Milestone' },
+    epic: { collection: 'epics', field: 'epic_id', prefix: 'EPIC', label: 'Epic' }
+};
+
+/**
+ * Computed group statuses:
+ * - planned: no task has been started
+ * - in-progress: work has started
+ * - completed: every task that was not cancelled is done
+ * - overdue: past the target date and not completed (milestones only)
+ */
+const GROUP_STATUSES = ['planned', 'in-progress', 'completed', 'overdue'];
+
+/**
+ * @param {Object} group - Milestone or epic record
+ * @param {Object[]} tasks - Tasks in the group
+ * @param {Object} options - { categoryOf(status), now }
+ * @returns {Object} { task_count, completed_tasks, completion_percentage, remaining_hours, status }
+ */
+function summarizeGroup(group, tasks, options = {}) {
+    const categoryOf = options.categoryOf || (() => null);
+    const now = options.now || new Date();
+
+    const counted = tasks.filter(task => categoryOf(task.status) !== 'cancelled');
+    const done = counted.filter(task => categoryOf(task.status) === 'done');
+    const started = counted.some(task => ['active', 'done'].includes(categoryOf(task.status)));
+    const remainingHours = counted
+        .filter(task => categoryOf(task.status) !== 'done')
+        .reduce((sum, task) => sum + (Number(task.estimated_hours) || 0), 0);
+
+    let status = started ? 'in-progress' : 'planned';
+    if (counted.length > 0 && done.length === counted.length) {
+        status = 'completed';
+    } else if (group.target_date && new Date(group.target_date) < now) {
+        status = 'overdue';
+    }
+
+    return {
+        task_count: tasks.length,
+        completed_tasks: done.length,
+        completion_percentage: counted.length > 0 ? Math.round((done.length / counted.length) * 100) : 0,
+        remaining_hours: remainingHours,
+        status
+    };
+}
+
+/**
+ * Generates the next sequential ID for a collection, e.g. MS-003
+ * @param {Object} records - Existing records keyed by ID
+ * @param {string} prefix - ID prefix
+ */
+function nextGroupId(records, prefix) {
+    const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+    const max = Object.keys(records || {}).reduce((highest, id) => {
+        const match = id.match(pattern);
+        return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+    }, 0);
+    return `${prefix}-${String(max + 1).padStart(3, '0')}`;
+}
+
+module.exports = {
+    GROUP_TYPES,
+    GROUP_STATUSES,
+    summarizeGroup,
+    nextGroupId
+};
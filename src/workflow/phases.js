@@ -0,0 +1,65 @@
+/**
+ * Project phases for Multiagent Task Manager
+ * Phases are ordered by their `order` field; exactly one is active at a time
+ * (current_state.active_phase). Tasks belong to a phase through `task.phase`,
+ * and a phase can only be left once its required tasks are done.
+ */
+
+/**
+ * Stored phase statuses: todo (not started), active, completed
+ */
+const PHASE_STATUSES = ['todo', 'active', 'completed'];
+
+/**
+ * Tasks with this tag never block phase advancement
+ */
+const OPTIONAL_TAG = 'optional';
+
+/**
+ * @param {Object} phases - Map of phase ID to phase
+ * @returns {Object[]} Phases by order, then by the number in their ID
+ */
+function sortPhases(phases) {
+    return Object.values(phases || {}).sort(
+        (a, b) =>
+            (a.order ?? Infinity) - (b.order ?? Infinity) ||
+            a.id.localeCompare(b.id, undefined, { numeric: true })
+    );
+}
+
+/**
+ * @returns {Object|null} The phase after phaseId in order, or null if it is the last
+ */
+function getNextPhase(phases, phaseId) {
+    const ordered = sortPhases(phases);
+    const index = ordered.findIndex(phase => phase.id === phaseId);
+    return index === -1 ? null : ordered[index + 1] || null;
+}
+
+/**
+ * Generates the next phase ID, e.g. phase-4
+ */
+function nextPhaseId(phases) {
+    const max = Object.keys(phases || {}).reduce((highest, id) => {
+        const match = id.match(/^phase-(\d+)$/);
+        return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+    }, 0);
+    return `phase-${max + 1}`;
+}
+
+/**
+ * @param {Object} task - Task in the phase
+ * @returns {boolean} True if the task has to be finished before the phase ends
+ */
+function isRequired(task) {
+    return !(Array.isArray(task.tags) && task.tags.includes(OPTIONAL_TAG));
+}
+
+module.exports = {
+    PHASE_STATUSES,
+    OPTIONAL_TAG,
+    sortPhases,
+    getNextPhase,
+    nextPhaseId,
+    isRequired
+};
@@ -0,0 +1,428 @@
+/**
+ * Task recommendations for Multiagent Task Manager
+ * The scoring model and selection rules shared by TaskManager (and so the CLI
+ * and MCP server) and the standalone task-recommender script. A task is scored
+ * by a named scoring strategy, which gives points per factor; each factor's
+ * points are multiplied by its weight and the total is their sum. Scoring and
+ * which scored tasks are recommended follow the `recommendations` section of
+ * tasks-data/config.json:
+ *   strategy                 Default scoring strategy (default 'balanced')
+ *   weights                  Weight per factor, e.g. { "deadline": 2 }, on top
+ *                            of the strategy's own weights (default 1)
+ *   max_recommendations      How many tasks to recommend (default 3)
+ *   max_parallel_high_risk   High-risk tasks in progress at once, counting the
+ *                            recommended ones (default 1, null for no limit)
+ *   require_current_phase    Only recommend tasks from other phases once every
+ *                            eligible task of the active phase is recommended
+ *                            (default true)
+ */
+
+const { getNextPhase } = require('./phases.js');
+
+const ALGORITHM_VERSION = '2.2.0';
+
+/**
+ * Points per factor
+ */
+const DEFAULT_SCORING = {
+    priority: { critical: 10, high: 7, medium: 5, low: 2 },
+    dependency: { blocking: 8, dependent: 3, independent: 1 },
+    criticalPath: { onPath: 5, nearPath: 3, offPath: 1 },
+    risk: { high: 8, medium: 5, low: 2 },
+    phase: { active: 10, next: 7, future: 3, completed: 0 },
+    deadline: { overdue: 10, atRisk: 7, onTrack: 2, none: 0 }
+};
+
+/**
+ * Size assumed for tasks without estimated_hours by the strategies that
+ * weigh job size
+ */
+const DEFAULT_JOB_HOURS = 8;
+
+const DEFAULT_STRATEGY = 'balanced';
+
+const DEFAULT_RECOMMENDATION_RULES = {
+    strategy: DEFAULT_STRATEGY,
+    weights: {},
+    max_recommendations: 3,
+    max_parallel_high_risk: 1,
+    require_current_phase: true
+};
+
+/**
+ * @param {Object} rules - The `recommendations` section of config.json
+ * @returns {Object} Rules with defaults filled in
+ * @throws {Error} If a rule has an invalid value
+ */
+function normalizeRecommendationRules(rules = {}) {
+    const normalized = { ...DEFAULT_RECOMMENDATION_RULES, ...rules };
+
+    if (!strategies.has(normalized.strategy)) {
+        throw new Error(
+            `Invalid recommendations.strategy: ${normalized.strategy} (expected one of ${[...strategies.keys()].join(', ')})`
+        );
+    }
+    normalized.weights = normalizeWeights(normalized.weights, 'recommendations.weights');
+
+    if (!Number.isInteger(normalized.max_recommendations) || normalized.max_recommendations < 1) {
+        throw new Error(
+            `Invalid recommendations.max_recommendations: ${normalized.max_recommendations} (expected a positive integer)`
+        );
+    }
+    if (
+        normalized.max_parallel_high_risk !== null &&
+        (!Number.isInteger(normalized.max_parallel_high_risk) || normalized.max_parallel_high_risk < 0)
+    ) {
+        throw new Error(
+            `Invalid recommendations.max_parallel_high_risk: ${normalized.max_parallel_high_risk} (expected a non-negative integer or null)`
+        );
+    }
+    if (typeof normalized.require_current_phase !== 'boolean') {
+        throw new Error(
+            `Invalid recommendations.require_current_phase: ${normalized.require_current_phase} (expected true or false)`
+        );
+    }
+
+    return normalized;
+}
+
+/**
+ * @returns {string} 'active', 'next', 'completed' or 'future'
+ */
+function getPhasePosition(phaseId, currentPhase, phases = {}) {
+    if (phaseId === currentPhase) return 'active';
+    if (phases[phaseId] && phases[phaseId].status === 'completed') return 'completed';
+    const next = getNextPhase(phases, currentPhase);
+    return next && next.id === phaseId ? 'next' : 'future';
+}
+
+/**
+ * @param {Object} weights - Weight per factor
+ * @param {string} label - Where the weights come from, for errors
+ * @returns {Object} The weights
+ * @throws {Error} If a weight is not a non-negative number
+ */
+function normalizeWeights(weights, label = 'weights') {
+    if (weights === null || weights === undefined) {
+        return {};
+    }
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new Error(`Invalid ${label}: expected an object of factor weights`);
+    }
+    for (const [factor, weight] of Object.entries(weights)) {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Invalid ${label}.${factor}: ${weight} (expected a non-negative number)`);
+        }
+    }
+    return { ...weights };
+}
+
+/**
+ * Scoring strategies by name. A strategy's score(task, context) returns the
+ * unweighted points per factor; scoreTask applies the weights.
+ */
+const strategies = new Map();
+
+/**
+ * Adds a scoring strategy to the registry
+ * @param {Object} strategy - { name, description, weights, score(task, context) }
+ *   where weights are the strategy's default weight per factor (1 if not given)
+ */
+function registerScoringStrategy(strategy) {
+    if (!strategy || typeof strategy.name !== 'string' || strategy.name === '') {
+        throw new Error('Scoring strategy needs a name');
+    }
+    if (typeof strategy.score !== 'function') {
+        throw new Error(`Scoring strategy ${strategy.name} needs a score function`);
+    }
+    if (strategies.has(strategy.name)) {
+        throw new Error(`Scoring strategy ${strategy.name} is already registered`);
+    }
+
+    strategies.set(strategy.name, {
+        name: strategy.name,
+        description: strategy.description || '',
+        weights: normalizeWeights(strategy.weights, `scoring strategy ${strategy.name} weights`),
+        score: strategy.score
+    });
+}
+
+/**
+ * @param {string} name - Strategy name
+ * @returns {Object} The registered strategy
+ * @throws {Error} If no strategy has that name
+ */
+function getScoringStrategy(name) {
+    const strategy = strategies.get(name);
+    if (!strategy) {
+        throw new Error(`Unknown scoring strategy: ${name} (available: ${[...strategies.keys()].join(', ')})`);
+    }
+    return strategy;
+}
+
+/**
+ * Removes a strategy from the registry
+ * @param {string} name - Strategy name
+ * @throws {Error} If no strategy has that name, or it is the default strategy
+ */
+function unregisterScoringStrategy(name) {
+    getScoringStrategy(name);
+    if (name === DEFAULT_STRATEGY) {
+        throw new Error(`The default scoring strategy ${name} cannot be unregistered`);
+    }
+    strategies.delete(name);
+}
+
+/**
+ * @returns {Object[]} { name, description, weights } of every registered strategy
+ */
+function listScoringStrategies() {
+    return [...strategies.values()].map(({ name, description, weights }) => ({ name, description, weights }));
+}
+
+/**
+ * Points of every factor in the scoring tables
+ * @returns {Object} { priority, dependency, critical_path, risk, phase, deadline }
+ */
+function getFactorPoints(task, context) {
+    const scoring = context.scoring || DEFAULT_SCORING;
+    const schedule = context.criticalPath ? context.criticalPath.tasks[task.id] : null;
+    const deadline = context.deadline;
+
+    return {
+        priority: scoring.priority[task.priority] || 0,
+        dependency:
+            task.blocks && task.blocks.length > 0 ? scoring.dependency.blocking : scoring.dependency.independent,
+        critical_path: scoring.criticalPath[schedule ? schedule.position : 'offPath'],
+        risk: scoring.risk[task.risk_level] || 0,
+        phase: scoring.phase[getPhasePosition(task.phase, context.currentPhase, context.phases)],
+        deadline: deadline
+            ? { overdue: scoring.deadline.overdue, 'at-risk': scoring.deadline.atRisk, 'on-track': scoring.deadline.onTrack }[
+                  deadline.state
+              ]
+            : scoring.deadline.none
+    };
+}
+
+/**
+ * @returns {number} The task's estimated hours, or DEFAULT_JOB_HOURS if it has no estimate
+ */
+function getJobHours(task) {
+    return task.estimated_hours > 0 ? task.estimated_hours : DEFAULT_JOB_HOURS;
+}
+
+registerScoringStrategy({
+    name: 'balanced',
+    description: 'Sum of priority, dependency, critical path, risk, phase and deadline points',
+    score: getFactorPoints
+});
+
+registerScoringStrategy({
+    name: 'priority',
+    description: 'Priority points only',
+    score: (task, context) => ({ priority: getFactorPoints(task, context).priority })
+});
+
+registerScoringStrategy({
+    name: 'wsjf',
+    description:
+        'Weighted shortest job first: cost of delay (priority, deadline, dependency and risk points) divided by estimated hours',
+    score: (task, context) => {
+        const { priority, deadline, dependency, risk } = getFactorPoints(task, context);
+        const hours = getJobHours(task);
+        return {
+            priority: priority / hours,
+            deadline: deadline / hours,
+            dependency: dependency / hours,
+            risk: risk / hours
+        };
+    }
+});
+
+registerScoringStrategy({
+    name: 'shortest-job-first',
+    description: `Smallest estimated_hours first (tasks without an estimate count as ${DEFAULT_JOB_HOURS}h)`,
+    score: task => ({ job_size: 100 / getJobHours(task) })
+});
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Scores a task
+ * @param {Object} task - Task to score
+ * @param {Object} context - { strategy, weights, scoring, criticalPath, currentPhase, phases, deadline }
+ *   where deadline is the task's assessed deadline (or null) and weights add
+ *   to the strategy's own
+ * @returns {Object} { strategy, total, breakdown } where breakdown has the
+ *   weighted points of every factor the strategy scores
+ * @throws {Error} If the strategy is not registered
+ */
+function scoreTask(task, context) {
+    const strategy = getScoringStrategy(context.strategy || DEFAULT_STRATEGY);
+    const weights = { ...strategy.weights, ...context.weights };
+    const points = strategy.score(task, context);
+
+    const breakdown = {};
+    for (const [factor, value] of Object.entries(points)) {
+        breakdown[factor] = round(value * (weights[factor] ?? 1));
+    }
+
+    return {
+        strategy: strategy.name,
+        total: round(Object.values(breakdown).reduce((sum, value) => sum + value, 0)),
+        breakdown
+    };
+}
+
+/**
+ * @param {Object} task - Scored task
+ * @param {Object} context - Same as for scoreTask
+ * @returns {string[]} Why the task is worth doing next
+ */
+function describeScore(task, context) {
+    const scoring = context.scoring || DEFAULT_SCORING;
+    const reasons = [];
+
+    if (scoring.priority[task.priority] >= scoring.priority.high) {
+        reasons.push(`High priority (${task.priority})`);
+    }
+
+    if (task.blocks && task.blocks.length > 0) {
+        reasons.push(`Blocks ${task.blocks.length} other task(s)`);
+    }
+
+    const schedule = context.criticalPath ? context.criticalPath.tasks[task.id] : null;
+    if (schedule && schedule.critical) {
+        reasons.push('On the critical path');
+    } else if (schedule && schedule.position === 'nearPath') {
+        reasons.push(`Near the critical path (${schedule.slack}h slack)`);
+    }
+
+    const position = getPhasePosition(task.phase, context.currentPhase, context.phases);
+    if (position === 'active') {
+        reasons.push('In active phase');
+    } else if (position === 'next') {
+        reasons.push('In the next phase');
+    }
+
+    if (task.risk_level === 'high') {
+        reasons.push('High risk - needs attention');
+    }
+
+    const deadline = context.deadline;
+    if (deadline && deadline.state === 'overdue') {
+        reasons.push(`Overdue (was due ${deadline.due_date})`);
+    } else if (deadline && deadline.state === 'at-risk') {
+        reasons.push(deadline.hours_left !== null ? `Due in ${deadline.hours_left}h` : 'Past its planned start');
+    }
+
+    return reasons;
+}
+
+/**
+ * Pairs each factor of a score with what it is based on
+ * @param {Object} task - Scored task
+ * @param {Object} score - Result of scoreTask
+ * @param {Object} context - Same as for scoreTask
+ * @returns {Object[]} { factor, points, detail } for every factor of the breakdown
+ */
+function explainFactors(task, score, context) {
+    const schedule = context.criticalPath ? context.criticalPath.tasks[task.id] : null;
+    const blocks = (task.blocks || []).length;
+    const details = {
+        priority: `${task.priority} priority`,
+        dependency: blocks > 0 ? `Blocks ${blocks} other task(s)` : 'Blocks no other tasks',
+        critical_path: !schedule
+            ? 'Not scheduled'
+            : schedule.critical
+              ? 'On the critical path'
+              : `${schedule.slack}h slack`,
+        risk: `${task.risk_level || 'medium'} risk`,
+        phase: `${getPhasePosition(task.phase, context.currentPhase, context.phases)}: ${task.phase}`,
+        deadline: context.deadline ? context.deadline.state : 'No deadline',
+        job_size:
+            task.estimated_hours > 0
+                ? `${task.estimated_hours}h estimated`
+                : `No estimate (counted as ${DEFAULT_JOB_HOURS}h)`
+    };
+
+    return Object.entries(score.breakdown).map(([factor, points]) => ({
+        factor,
+        points,
+        detail: details[factor] || null
+    }));
+}
+
+/**
+ * Picks the recommendations from scored tasks
+ * @param {Object[]} scored - { task, score } where score is a number
+ * @param {Object} options - { rules, limit, currentPhase, activeHighRisk } where
+ *   activeHighRisk counts high-risk tasks already in progress
+ * @returns {Object} { selected, skipped: [{ task, score, reason }] }, selected
+ *   ordered by score (highest first)
+ */
+function selectRecommendations(scored, options = {}) {
+    const rules = options.rules || DEFAULT_RECOMMENDATION_RULES;
+    const limit = options.limit || rules.max_recommendations;
+    const sorted = [...scored].sort((a, b) => b.score - a.score);
+    const selected = [];
+    const skipped = [];
+    let highRisk = options.activeHighRisk || 0;
+
+    const take = entries => {
+        for (const entry of entries) {
+            if (selected.length >= limit) {
+                skipped.push({ ...entry, reason: `Outranked (only ${limit} recommended)` });
+                continue;
+            }
+            if (entry.task.risk_level === 'high' && rules.max_parallel_high_risk !== null) {
+                if (highRisk >= rules.max_parallel_high_risk) {
+                    skipped.push({
+                        ...entry,
+                        reason: `High-risk limit reached (${rules.max_parallel_high_risk} at a time)`
+                    });
+                    continue;
+                }
+                highRisk++;
+            }
+            selected.push(entry);
+        }
+    };
+
+    if (rules.require_current_phase) {
+        const current = sorted.filter(entry => entry.task.phase === options.currentPhase);
+        const others = sorted.filter(entry => entry.task.phase !== options.currentPhase);
+        take(current);
+        if (selected.length === current.length) {
+            take(others);
+        } else {
+            others.forEach(entry =>
+                skipped.push({ ...entry, reason: `Not in the active phase (${options.currentPhase})` })
+            );
+        }
+        selected.sort((a, b) => b.score - a.score);
+    } else {
+        take(sorted);
+    }
+
+    return { selected, skipped };
+}
+
+module.exports = {
+    ALGORITHM_VERSION,
+    DEFAULT_SCORING,
+    DEFAULT_JOB_HOURS,
+    DEFAULT_STRATEGY,
+    DEFAULT_RECOMMENDATION_RULES,
+    normalizeRecommendationRules,
+    normalizeWeights,
+    registerScoringStrategy,
+    unregisterScoringStrategy,
+    getScoringStrategy,
+    listScoringStrategies,
+    getPhasePosition,
+    scoreTask,
+    describeScore,
+    explainFactors,
+    selectRecommendations
+};
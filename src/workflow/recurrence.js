@@ -0,0 +1,201 @@
+/**
+ * Recurring task schedules for Multiagent Task Manager
+ * A schedule is either an interval ({ every: '7d' }) counted from the
+ * definition's start date, or a five-field cron expression
+ * ({ cron: '0 9 * * 1' }) evaluated in UTC.
+ */
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+/**
+ * Cron fields in order, with their allowed ranges
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Give up looking for a cron match after this many years (e.g. 0 0 31 2 *)
+ */
+const CRON_SEARCH_YEARS = 5;
+
+/**
+ * @param {string} every - Interval such as 30m, 12h, 1d or 2w
+ * @returns {number} Interval in milliseconds
+ * @throws {Error} If the interval cannot be parsed
+ */
+function parseInterval(every) {
+    const match = String(every).trim().match(/^(\d+)\s*([mhdw])$/i);
+    if (!match || parseInt(match[1], 10) === 0) {
+        throw new Error(`Invalid interval "${every}" (expected e.g. 30m, 12h, 1d or 2w)`);
+    }
+    return parseInt(match[1], 10) * UNIT_MS[match[2].toLowerCase()];
+}
+
+/**
+ * @param {string} expression - Five-field cron expression or an alias such as @weekly
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } as Sets, plus
+ *   domRestricted / dowRestricted flags for the day-of-month / day-of-week rule
+ * @throws {Error} If the expression cannot be parsed
+ */
+function parseCron(expression) {
+    const source = CRON_ALIASES[String(expression).trim()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) =>
+        parseCronField(part, CRON_FIELDS[index], expression)
+    );
+    // Sunday can be written as 0 or 7
+    if (dayOfWeek.has(7)) {
+        dayOfWeek.add(0);
+        dayOfWeek.delete(7);
+    }
+
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        domRestricted: !parts[2].startsWith('*'),
+        dowRestricted: !parts[4].startsWith('*')
+    };
+}
+
+function parseCronField(part, field, expression) {
+    const values = new Set();
+    for (const item of part.split(',')) {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron ${field.name} "${item}" in "${expression}"`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (match[2] !== undefined) {
+            start = parseInt(match[2], 10);
+            end = match[3] !== undefined ? parseInt(match[3], 10) : match[4] !== undefined ? field.max : start;
+        }
+        const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error(`Invalid cron ${field.name} "${item}" in "${expression}" (allowed ${field.min}-${field.max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Validates a schedule
+ * @param {Object} schedule - { every } or { cron }
+ * @returns {Object} The schedule with only the field in use
+ * @throws {Error} If neither or both are given, or the value is invalid
+ */
+function normalizeSchedule(schedule) {
+    const { every, cron } = schedule || {};
+    if (Boolean(every) === Boolean(cron)) {
+        throw new Error('A schedule needs either an interval (every, e.g. 7d) or a cron expression');
+    }
+
+    if (every) {
+        parseInterval(every);
+        return { every: String(every).trim() };
+    }
+    parseCron(cron);
+    return { cron: String(cron).trim() };
+}
+
+/**
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} after - Occurrences at or before this time are skipped
+ * @param {Date} anchor - Start of an interval schedule (its first occurrence)
+ * @returns {Date|null} The first occurrence after `after`, or null if a cron
+ *   expression never matches
+ */
+function nextOccurrence(schedule, after, anchor = after) {
+    if (schedule.every) {
+        const interval = parseInterval(schedule.every);
+        if (anchor > after) {
+            return new Date(anchor.getTime());
+        }
+        const steps = Math.floor((after - anchor) / interval) + 1;
+        return new Date(anchor.getTime() + steps * interval);
+    }
+
+    return nextCronMatch(parseCron(schedule.cron), after);
+}
+
+function nextCronMatch(cron, after) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = new Date(after.getTime());
+    limit.setUTCFullYear(limit.getUTCFullYear() + CRON_SEARCH_YEARS);
+
+    while (date <= limit) {
+        if (!cron.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!cron.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!cron.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Standard cron rule: when both day fields are restricted, either may match
+ */
+function matchesDay(cron, date) {
+    const dom = cron.dayOfMonth.has(date.getUTCDate());
+    const dow = cron.dayOfWeek.has(date.getUTCDay());
+    if (cron.domRestricted && cron.dowRestricted) {
+        return dom || dow;
+    }
+    return dom && dow;
+}
+
+/**
+ * @returns {string} Human-readable schedule, e.g. "every 7d" or "cron 0 9 * * 1"
+ */
+function describeSchedule(schedule) {
+    return schedule.every ? `every ${schedule.every}` : `cron ${schedule.cron}`;
+}
+
+module.exports = {
+    parseInterval,
+    parseCron,
+    normalizeSchedule,
+    nextOccurrence,
+    describeSchedule
+};
@@ -0,0 +1,338 @@
+/**
+ * Task status workflow for Multiagent Task Manager
+ * A workflow declares the project's statuses, the category each belongs to
+ * (open, active, blocked, done, cancelled), which status changes are allowed,
+ * and which statuses are terminal. Counting, eligibility and recommendations
+ * work on categories so projects can use their own status names.
+ */
+
+const { loadProjectConfig } = require('../utils/project-config.js');
+
+/**
+ * Status categories:
+ * - open: ready to be picked up
+ * - active: being worked on (including review/QA stages)
+ * - blocked: waiting on something outside the task
+ * - done: finished; satisfies dependencies and counts towards completion
+ * - cancelled: closed without being done; excluded from completion
+ */
+const CATEGORIES = ['open', 'active', 'blocked', 'done', 'cancelled'];
+
+/**
+ * Default workflow: todo → in-progress → review → completed, with blocked
+ * reachable from any open state and finished tasks reopenable.
+ */
+const DEFAULT_WORKFLOW = {
+    initial: 'todo',
+    statuses: {
+        todo: { category: 'open', next: ['in-progress', 'blocked', 'cancelled'] },
+        'in-progress': { category: 'active', next: ['review', 'completed', 'blocked', 'todo', 'cancelled'] },
+        review: { category: 'active', next: ['completed', 'in-progress', 'blocked', 'cancelled'] },
+        blocked: { category: 'blocked', next: ['todo', 'in-progress', 'cancelled'] },
+        completed: { category: 'done', next: ['todo'] },
+        cancelled: { category: 'cancelled', next: ['todo'] }
+    }
+};
+
+const STATUSES = Object.keys(DEFAULT_WORKFLOW.statuses);
+
+const DEFAULT_TRANSITIONS = Object.fromEntries(
+    Object.entries(DEFAULT_WORKFLOW.statuses).map(([status, definition]) => [status, definition.next])
+);
+
+/**
+ * Spellings found in older data and other tools, mapped to canonical statuses
+ */
+const STATUS_ALIASES = {
+    in_progress: 'in-progress',
+    inprogress: 'in-progress',
+    doing: 'in-progress',
+    done: 'completed',
+    complete: 'completed',
+    canceled: 'cancelled',
+    'to-do': 'todo',
+    to_do: 'todo'
+};
+
+/**
+ * Maps a status spelling to its canonical default form
+ * @param {string} status - Status as given
+ * @returns {string} Canonical status, or the trimmed input if unknown
+ */
+function normalizeStatus(status) {
+    if (typeof status !== 'string') {
+        return status;
+    }
+
+    const key = status.trim().toLowerCase();
+    return STATUS_ALIASES[key] || key;
+}
+
+/**
+ * Reads the workflow section of tasks-data/config.json
+ * @param {string} dataDir - Data directory (tasks-data)
+ * @returns {Object|null} Workflow definition, or null if none is configured
+ * @throws {Error} If config.json exists but is not valid JSON
+ */
+function loadWorkflowConfig(dataDir) {
+    return loadProjectConfig(dataDir).workflow || null;
+}
+
+class StatusMachine {
+    /**
+     * @param {Object} workflow - { initial, statuses: { name: { category, next, terminal } } }
+     *                            (defaults to DEFAULT_WORKFLOW)
+     */
+    constructor(workflow = DEFAULT_WORKFLOW) {
+        this.definitions = {};
+        for (const [status, definition] of Object.entries((workflow && workflow.statuses) || {})) {
+            this.definitions[status] = {
+                category: definition.category,
+                next: definition.terminal ? [] : [...(definition.next || [])],
+                terminal: Boolean(definition.terminal)
+            };
+        }
+
+        this.statuses = Object.keys(this.definitions);
+        this.initial = (workflow && workflow.initial) || this.statuses[0];
+        this.validate();
+    }
+
+    /**
+     * Builds a workflow from a plain transition map. Status names are
+     * normalized; statuses without a default category become open, or done
+     * if nothing follows them.
+     * @param {Object} transitions - Map of status to allowed next statuses
+     */
+    static fromTransitions(transitions) {
+        const statuses = {};
+        for (const [from, targets] of Object.entries(transitions)) {
+            const status = normalizeStatus(from);
+            const next = (targets || []).map(normalizeStatus);
+            const known = DEFAULT_WORKFLOW.statuses[status];
+            statuses[status] = {
+                category: known ? known.category : next.length === 0 ? 'done' : 'open',
+                next
+            };
+        }
+
+        const initial = statuses[DEFAULT_WORKFLOW.initial] ? DEFAULT_WORKFLOW.initial : undefined;
+        return new StatusMachine({ initial, statuses });
+    }
+
+    /**
+     * @throws {Error} If the workflow is inconsistent
+     */
+    validate() {
+        const problems = [];
+        if (this.statuses.length === 0) {
+            problems.push('no statuses defined');
+        }
+
+        for (const [status, definition] of Object.entries(this.definitions)) {
+            if (!CATEGORIES.includes(definition.category)) {
+                problems.push(`${status} has category "${definition.category}" (expected ${CATEGORIES.join(', ')})`);
+            }
+            const unknown = definition.next.filter(target => !this.definitions[target]);
+            if (unknown.length > 0) {
+                problems.push(`${status} leads to undefined statuses ${unknown.join(', ')}`);
+            }
+        }
+
+        if (!this.definitions[this.initial]) {
+            problems.push(`initial status "${this.initial}" is not defined`);
+        } else if (this.definitions[this.initial].category !== 'open') {
+            problems.push(`initial status "${this.initial}" must be in the open category`);
+        }
+        if (!this.statuses.some(status => this.definitions[status].category === 'done')) {
+            problems.push('no status in the done category');
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid workflow: ${problems.join('; ')}`);
+        }
+    }
+
+    /**
+     * Maps a status to the spelling used by this workflow
+     * @param {string} status - Status as given
+     * @returns {string} Workflow status, or the trimmed input if unknown
+     */
+    resolve(status) {
+        if (typeof status !== 'string') {
+            return status;
+        }
+
+        const trimmed = status.trim();
+        if (this.definitions[trimmed]) {
+            return trimmed;
+        }
+        const normalized = normalizeStatus(trimmed);
+        return this.definitions[normalized] ? normalized : trimmed;
+    }
+
+    /**
+     * @returns {boolean} True if status belongs to this workflow
+     */
+    isValid(status) {
+        return Boolean(this.definitions[this.resolve(status)]);
+    }
+
+    /**
+     * @returns {string|null} Category of the status, or null if unknown
+     */
+    getCategory(status) {
+        const definition = this.definitions[this.resolve(status)];
+        return definition ? definition.category : null;
+    }
+
+    /**
+     * @param {string} status - Status to check
+     * @param {...string} categories - Categories to match
+     * @returns {boolean} True if the status belongs to one of the categories
+     */
+    isIn(status, ...categories) {
+        return categories.includes(this.getCategory(status));
+    }
+
+    /**
+     * @returns {string[]} Statuses in the given category, in workflow order
+     */
+    getStatusesIn(category) {
+        return this.statuses.filter(status => this.definitions[status].category === category);
+    }
+
+    isTerminal(status) {
+        const definition = this.definitions[this.resolve(status)];
+        return Boolean(definition && definition.terminal);
+    }
+
+    /**
+     * @param {string} from - Current status
+     * @returns {string[]} Statuses reachable in one step
+     */
+    getNextStatuses(from) {
+        const definition = this.definitions[this.resolve(from)];
+        return definition ? [...definition.next] : [];
+    }
+
+    canTransition(from, to) {
+        return this.getNextStatuses(from).includes(this.resolve(to));
+    }
+
+    /**
+     * Validates a status and returns its workflow spelling
+     * @throws {Error} INVALID_STATUS if the status is not part of the workflow
+     */
+    assertValid(status) {
+        const resolved = this.resolve(status);
+        if (!this.definitions[resolved]) {
+            const error = new Error(`Invalid status "${status}". Valid statuses: ${this.statuses.join(', ')}`);
+            error.code = 'INVALID_STATUS';
+            throw error;
+        }
+        return resolved;
+    }
+
+    /**
+     * Validates a status change and returns the target status
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @param {string} label - Record label used in the error message
+     * @throws {Error} INVALID_TRANSITION if the change is not allowed
+     */
+    assertTransition(from, to, label = 'Task') {
+        const target = this.assertValid(to);
+        const current = this.resolve(from);
+        if (current === target || !this.definitions[current]) {
+            // Records with an unknown status may move to any valid one
+            return target;
+        }
+
+        if (!this.canTransition(current, target)) {
+            throw this.transitionError(current, target, label);
+        }
+
+        return target;
+    }
+
+    /**
+     * Picks the first status in a category reachable from the current one,
+     * e.g. where "start" or "complete" should move a task
+     * @param {string} from - Current status
+     * @param {string} category - Target category
+     * @param {string} label - Record label used in the error message
+     * @returns {string} Target status (the current one if already in the category)
+     * @throws {Error} INVALID_TRANSITION if no status in the category is reachable
+     */
+    resolveNext(from, category, label = 'Task') {
+        if (this.getCategory(from) === category) {
+            return this.resolve(from);
+        }
+
+        const target = this.getNextStatuses(from).find(status => this.definitions[status].category === category);
+        if (!target) {
+            throw this.transitionError(this.resolve(from), `a ${category} status`, label);
+        }
+        return target;
+    }
+
+    /**
+     * Finds the shortest chain of allowed transitions between two statuses
+     * @returns {string[]|null} Statuses from `from` to `to`, or null if unreachable
+     */
+    findPath(from, to) {
+        const start = this.resolve(from);
+        const target = this.resolve(to);
+        const previous = new Map([[start, null]]);
+        const queue = [start];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === target) {
+                const path = [];
+                for (let status = target; status !== null; status = previous.get(status)) {
+                    path.unshift(status);
+                }
+                return path;
+            }
+
+            for (const next of this.getNextStatuses(current)) {
+                if (!previous.has(next)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    transitionError(from, to, label) {
+        const allowed = this.getNextStatuses(from);
+        const error = new Error(`${label} cannot move from ${from} to ${to} (allowed: ${allowed.join(', ') || 'none'})`);
+        error.code = 'INVALID_TRANSITION';
+        error.from = from;
+        error.to = to;
+        error.allowed = allowed;
+        return error;
+    }
+
+    /**
+     * @returns {Object} Workflow definition, as accepted by the constructor
+     */
+    toJSON() {
+        return { initial: this.initial, statuses: this.definitions };
+    }
+}
+
+module.exports = {
+    StatusMachine,
+    normalizeStatus,
+    loadWorkflowConfig,
+    CATEGORIES,
+    STATUSES,
+    DEFAULT_WORKFLOW,
+    DEFAULT_TRANSITIONS,
+    STATUS_ALIASES
+};
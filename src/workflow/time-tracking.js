@@ -0,0 +1,74 @@
+/**
+ * Time tracking for Multiagent Task Manager
+ * Work on a task is logged as sessions ({ agent_id, started, ended }) in
+ * `task.work_sessions`; a session without `ended` is still running. Actual
+ * hours are the sum of the sessions, and estimate accuracy compares them
+ * with `estimated_hours`.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rounds hours to two decimals (36 seconds)
+ */
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+/**
+ * @param {Object} session - Work session
+ * @param {Date} now - End of a running session
+ * @param {Object} window - Optional { since, until } Dates to clip the session to
+ * @returns {number} Hours worked in the session (within the window)
+ */
+function sessionHours(session, now = new Date(), window = {}) {
+    let start = new Date(session.started).getTime();
+    let end = session.ended ? new Date(session.ended).getTime() : now.getTime();
+    if (window.since) start = Math.max(start, window.since.getTime());
+    if (window.until) end = Math.min(end, window.until.getTime());
+    return end > start ? (end - start) / HOUR_MS : 0;
+}
+
+/**
+ * @param {Object} task - Task with work_sessions
+ * @param {Object} options - { agentId, now, finishedOnly }; agentId limits to one
+ *   agent's sessions, finishedOnly leaves out running sessions
+ * @returns {number} Rounded hours logged on the task
+ */
+function getActualHours(task, options = {}) {
+    const total = (task.work_sessions || [])
+        .filter(session => !options.agentId || session.agent_id === options.agentId)
+        .filter(session => !options.finishedOnly || session.ended)
+        .reduce((sum, session) => sum + sessionHours(session, options.now), 0);
+    return roundHours(total);
+}
+
+/**
+ * @param {Object[]} samples - { estimated_hours, actual_hours } per task
+ * @returns {Object} { tasks, estimated_hours, actual_hours, ratio, mean_error_percent }
+ *   where ratio is actual / estimated (above 1 means underestimated) and
+ *   mean_error_percent is the average of |actual - estimated| / estimated
+ */
+function summarizeAccuracy(samples) {
+    const estimated = samples.reduce((sum, sample) => sum + sample.estimated_hours, 0);
+    const actual = samples.reduce((sum, sample) => sum + sample.actual_hours, 0);
+    const errors = samples.map(
+        sample => Math.abs(sample.actual_hours - sample.estimated_hours) / sample.estimated_hours
+    );
+
+    return {
+        tasks: samples.length,
+        estimated_hours: roundHours(estimated),
+        actual_hours: roundHours(actual),
+        ratio: estimated > 0 ? roundHours(actual / estimated) : null,
+        mean_error_percent:
+            errors.length > 0 ? Math.round((errors.reduce((sum, error) => sum + error, 0) / errors.length) * 100) : null
+    };
+}
+
+module.exports = {
+    roundHours,
+    sessionHours,
+    getActualHours,
+    summarizeAccuracy
+};
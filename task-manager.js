@@ -3,6 +3,92 @@
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
+const { withFileLock, refreshLock } = require("./src/utils/file-lock.js");
+const { createStorage } = require("./src/storage/index.js");
+const {
+  EventJournal,
+  findRecordsBefore,
+  SNAPSHOT_EVENT,
+} = require("./src/storage/event-journal.js");
+const { BackupManager } = require("./src/storage/backups.js");
+const {
+  ARTIFACT_TYPES,
+  ARTIFACT_EVENT,
+  ArtifactStore,
+  extractPatchFiles,
+  normalizeProjectPath,
+  findUncoveredFiles,
+} = require("./src/storage/artifact-store.js");
+const { diagnose, summarize } = require("./src/storage/integrity.js");
+const { ENV_VARS } = require("./src/constants/paths.js");
+const {
+  StatusMachine,
+  loadWorkflowConfig,
+  CATEGORIES,
+} = require("./src/workflow/status-machine.js");
+const { DependencyGraph } = require("./src/workflow/dependency-graph.js");
+const {
+  analyzeCriticalPath,
+  DEFAULT_DURATION,
+} = require("./src/workflow/critical-path.js");
+const {
+  GROUP_TYPES,
+  summarizeGroup,
+  nextGroupId,
+} = require("./src/workflow/groups.js");
+const {
+  sortPhases,
+  getNextPhase,
+  nextPhaseId,
+  isRequired,
+} = require("./src/workflow/phases.js");
+const { normalizeSla, assessDeadline } = require("./src/workflow/deadlines.js");
+const {
+  normalizeSchedule,
+  nextOccurrence,
+  describeSchedule,
+} = require("./src/workflow/recurrence.js");
+const {
+  roundHours,
+  sessionHours,
+  getActualHours,
+  summarizeAccuracy,
+} = require("./src/workflow/time-tracking.js");
+const {
+  COMMENT_EVENT,
+  parseMentions,
+  buildActivity,
+  describeChange,
+} = require("./src/workflow/activity.js");
+const {
+  normalizeCriteria,
+  verifyCriteria,
+} = require("./src/workflow/criteria.js");
+const {
+  loadCompletionRules,
+  detectCompletion,
+} = require("./src/workflow/detection.js");
+const {
+  ALGORITHM_VERSION,
+  DEFAULT_SCORING,
+  normalizeRecommendationRules,
+  normalizeWeights,
+  getScoringStrategy,
+  listScoringStrategies,
+  scoreTask,
+  describeScore,
+  explainFactors,
+  selectRecommendations,
+} = require("./src/workflow/recommendations.js");
+const { loadProjectConfig } = require("./src/utils/project-config.js");
+const {
+  getCurrentSchemaVersion,
+  getSchemaVersion,
+  getPendingMigrations,
+  runMigrations,
+  planMigrations,
+} = require("./src/storage/migrations.js");
+const { migrateLegacyData } = require("./src/utils/directory-utils.js");
 
 /**
  * Task Manager - Multi-Agent Task Management System
@@ -12,12 +98,22 @@ const { v4: uuidv4 } = require("uuid");
 class TaskManager {
   constructor(options = {}) {
     this.config = {
-      maxRecommendations: options.maxRecommendations || 3,
       autoSave: options.autoSave !== false,
       useCurrentDir:
         options.useCurrentDir ||
         process.env.TASK_MANAGER_USE_CURRENT_DIR === "true",
       ...options,
+      storage: options.storage || process.env[ENV_VARS.STORAGE] || "json",
+      journal: options.journal !== false,
+      autoMigrate: options.autoMigrate !== false,
+      // Copying files from outside the data directory is opt-in; the MCP
+      // server and `migrate` import explicitly
+      importLegacy: options.importLegacy === true,
+      // Command checks in task criteria run a shell, so they are opt-in
+      allowCommandCriteria:
+        options.allowCommandCriteria !== undefined
+          ? Boolean(options.allowCommandCriteria)
+          : process.env[ENV_VARS.ALLOW_COMMAND_CRITERIA] === "true",
     };
 
     this.dataDir = options.dataDir || process.env.TASK_MANAGER_DATA_DIR || "./";
@@ -36,18 +132,25 @@ class TaskManager {
         this.dataDir = path.join(this.dataDir, "tasks-data");
       }
     }
-    this.trackerFile = path.join(this.dataDir, "task-tracker.json");
-    this.agentsFile = path.join(this.dataDir, "agents.json");
+    this.setDataDir(this.dataDir);
     this.currentAgentId =
       options.agentId || process.env.TASK_MANAGER_AGENT_ID || null;
 
-    this.scoring = {
-      priority: { critical: 10, high: 7, medium: 5, low: 2 },
-      dependency: { blocking: 8, dependent: 3, independent: 1 },
-      criticalPath: { onPath: 5, nearPath: 3, offPath: 1 },
-      risk: { high: 8, medium: 5, low: 2 },
-      phase: { active: 10, next: 7, future: 3, completed: 0 },
+    this.scoring = JSON.parse(JSON.stringify(DEFAULT_SCORING));
+
+    // Cross-process locking (see withLock)
+    this.lockOptions = {
+      timeout: options.lockTimeout,
+      stale: options.lockStaleMs,
     };
+    this.lockDepth = 0;
+    this.dataStamp = null;
+
+    // Event journal (see recordEvent)
+    this.pendingEvents = [];
+    this.currentBatch = null;
+    this.asOf = null;
+    this.legacyImport = null;
 
     this.taskTracker = null;
     this.agents = null;
@@ -56,6 +159,54 @@ class TaskManager {
 
   // ==================== INITIALIZATION ====================
 
+  setDataDir(dataDir) {
+    this.dataDir = dataDir;
+    this.trackerFile = path.join(this.dataDir, "task-tracker.json");
+    this.agentsFile = path.join(this.dataDir, "agents.json");
+    this.lockFile = path.join(this.dataDir, ".task-manager.lock");
+
+    if (this.storage) {
+      this.storage.close();
+    }
+    this.storage = createStorage(this.config.storage, this.dataDir);
+    this.journal = new EventJournal(this.dataDir);
+    this.backups = new BackupManager(this.dataDir, {
+      enabled: this.config.backupEnabled,
+      interval: this.config.backupInterval,
+      count: this.config.backupCount,
+    });
+    this.artifactStore = new ArtifactStore(this.dataDir);
+    this.statusMachine = this.createStatusMachine();
+    const projectConfig = loadProjectConfig(dataDir);
+    this.sla = normalizeSla(this.config.sla || projectConfig.sla);
+    this.recommendationRules = normalizeRecommendationRules({
+      ...(this.config.recommendations || projectConfig.recommendations),
+      ...(this.config.maxRecommendations
+        ? { max_recommendations: this.config.maxRecommendations }
+        : {}),
+    });
+    this.dataStamp = null;
+  }
+
+  /**
+   * Workflow precedence: the `workflow` option, then the workflow section of
+   * tasks-data/config.json, then `statusTransitions`, then the default.
+   */
+  createStatusMachine() {
+    const workflow = this.config.workflow || loadWorkflowConfig(this.dataDir);
+    if (workflow) {
+      return new StatusMachine(workflow);
+    }
+    if (this.config.statusTransitions) {
+      return StatusMachine.fromTransitions(this.config.statusTransitions);
+    }
+    return new StatusMachine();
+  }
+
+  getWorkflow() {
+    return this.statusMachine.toJSON();
+  }
+
   init() {
     this.ensureDataDirectory();
     this.loadData();
@@ -64,7 +215,14 @@ class TaskManager {
   ensureDataDirectory() {
     if (!fs.existsSync(this.dataDir)) {
       fs.mkdirSync(this.dataDir, { recursive: true });
-      this.createInitialFiles();
+      // Without autoMigrate the caller imports and migrates, see migrateData
+      if (!this.config.autoMigrate) return;
+      if (
+        !this.config.importLegacy ||
+        this.importLegacyData().migrated.length === 0
+      ) {
+        this.createInitialFiles();
+      }
     }
   }
 
@@ -93,9 +251,7 @@ class TaskManager {
 
     // Update paths if different from constructor
     if (targetDir !== this.dataDir) {
-      this.dataDir = targetDir;
-      this.trackerFile = path.join(this.dataDir, "task-tracker.json");
-      this.agentsFile = path.join(this.dataDir, "agents.json");
+      this.setDataDir(targetDir);
     }
 
     const results = {
@@ -114,24 +270,26 @@ class TaskManager {
       console.log(`📁 Directory exists: ${this.dataDir}`);
     }
 
-    // Handle task tracker file
-    if (!fs.existsSync(this.trackerFile)) {
+    // Handle task tracker data
+    const trackerLabel = this.storage.trackerLabel;
+    if (!this.storage.hasTracker()) {
       this.createTaskTracker();
-      results.created.push("task-tracker.json");
-      console.log(`✅ Created: task-tracker.json`);
+      results.created.push(trackerLabel);
+      console.log(`✅ Created: ${trackerLabel}`);
     } else {
-      results.existed.push("task-tracker.json");
-      console.log(`📄 Exists: task-tracker.json`);
+      results.existed.push(trackerLabel);
+      console.log(`📄 Exists: ${trackerLabel}`);
     }
 
-    // Handle agents file
-    if (!fs.existsSync(this.agentsFile)) {
+    // Handle agents data
+    const agentsLabel = this.storage.agentsLabel;
+    if (!this.storage.hasAgents()) {
       this.createAgentsFile();
-      results.created.push("agents.json");
-      console.log(`✅ Created: agents.json`);
+      results.created.push(agentsLabel);
+      console.log(`✅ Created: ${agentsLabel}`);
     } else {
-      results.existed.push("agents.json");
-      console.log(`📄 Exists: agents.json`);
+      results.existed.push(agentsLabel);
+      console.log(`📄 Exists: ${agentsLabel}`);
     }
 
     // Handle README in data directory
@@ -235,8 +393,12 @@ class TaskManager {
     console.log(`✅ Task Manager initialized in ${this.dataDir}`);
   }
 
-  createTaskTracker() {
+  /**
+   * @param {boolean} save - Write the new tracker to storage
+   */
+  createTaskTracker(save = true) {
     const initialTracker = {
+      schema_version: getCurrentSchemaVersion(),
       project: {
         name: "New Project",
         code: "NEW-PROJ",
@@ -260,11 +422,30 @@ class TaskManager {
         blocking_issues: [],
         latest_update: new Date().toISOString(),
         recommendation_algorithm: {
-          version: "2.0.0",
-          max_recommendations: this.config.maxRecommendations,
+          version: ALGORITHM_VERSION,
+          max_recommendations: this.recommendationRules.max_recommendations,
         },
       },
-      phases: {},
+      phases: {
+        "phase-1": {
+          id: "phase-1",
+          name: "Phase 1",
+          description: "",
+          status: "active",
+          order: 0,
+          deliverables: [],
+          start_date: new Date().toISOString(),
+          end_date: null,
+          created: new Date().toISOString(),
+          updated: new Date().toISOString(),
+          revision: 1,
+        },
+      },
+      milestones: {},
+      epics: {},
+      recurring: {},
+      comments: {},
+      artifacts: {},
       tasks: {},
       agents: {},
       recommendation_history: [],
@@ -275,11 +456,18 @@ class TaskManager {
       },
     };
 
-    fs.writeFileSync(this.trackerFile, JSON.stringify(initialTracker, null, 2));
+    if (save) {
+      this.storage.saveTracker(initialTracker);
+    }
+    return initialTracker;
   }
 
-  createAgentsFile() {
+  /**
+   * @param {boolean} save - Write the new registry to storage
+   */
+  createAgentsFile(save = true) {
     const initialAgents = {
+      schema_version: getCurrentSchemaVersion(),
       registry: {},
       types: {
         human: { icon: "👤", capabilities: ["all"] },
@@ -289,7 +477,10 @@ class TaskManager {
       updated: new Date().toISOString(),
     };
 
-    fs.writeFileSync(this.agentsFile, JSON.stringify(initialAgents, null, 2));
+    if (save) {
+      this.storage.saveAgents(initialAgents);
+    }
+    return initialAgents;
   }
 
   createDataReadme() {
@@ -302,6 +493,9 @@ Welcome to your TaskManager project! This directory contains all your project da
 ### Core Files
 - \`task-tracker.json\`: Main project and task data
 - \`agents.json\`: Agent registry and capabilities
+- \`journal.jsonl\`: Append-only history of every change
+- \`backups/\`: Rotating snapshots (\`npx task-manager backup list\`)
+- \`config.json\` (optional): Project workflow (\`npx task-manager workflow\`) and SLAs
 - \`README.md\`: This comprehensive guide
 
 This simple structure keeps everything organized in one place for easy management.
@@ -490,6 +684,11 @@ npx multiagent-task-manager clear-notifications
 - \`completed\` → Successfully finished
 - \`cancelled\` → No longer needed
 
+Status changes follow todo → in-progress → review → completed. \`blocked\` and
+\`cancelled\` are reachable from any open state, and finished tasks can be
+reopened to \`todo\`. Other changes are rejected. Projects can declare their
+own statuses in \`config.json\` (see \`npx task-manager workflow\`).
+
 ### Priority Levels
 - \`critical\` 🔴: Drop everything and fix now
 - \`high\` 🟠: Important and urgent, work on soon
@@ -897,8 +1096,10 @@ npx multiagent-task-manager clear-notifications   # Clear notifications
 ### Status Values
 - \`todo\` - Ready to start
 - \`in-progress\` - Currently being worked on
+- \`review\` - Waiting for review
 - \`completed\` - Finished successfully
 - \`blocked\` - Cannot proceed
+- \`cancelled\` - No longer needed
 
 ### Priority Values
 - \`critical\` - Drop everything
@@ -922,25 +1123,31 @@ Happy task managing! 🚀
 
   loadData() {
     try {
-      if (fs.existsSync(this.trackerFile)) {
-        this.taskTracker = JSON.parse(
-          fs.readFileSync(this.trackerFile, "utf8"),
-        );
-      } else {
-        this.taskTracker = null;
-      }
-      if (fs.existsSync(this.agentsFile)) {
-        this.agents = JSON.parse(fs.readFileSync(this.agentsFile, "utf8"));
-      } else {
-        this.agents = null;
+      if (
+        this.config.importLegacy &&
+        !this.storage.hasTracker() &&
+        !this.storage.hasAgents()
+      ) {
+        this.importLegacyData();
       }
 
-      // Ensure data structures exist
+      const data = this.storage.load();
+      this.taskTracker = data.taskTracker;
+      this.agents = data.agents;
+
+      // Ensure data structures exist. Without autoMigrate they are only
+      // kept in memory until migrateData has had the chance to import.
       if (!this.taskTracker) {
-        this.createInitialFiles();
+        this.taskTracker = this.createTaskTracker(this.config.autoMigrate);
       }
       if (!this.agents) {
-        this.createInitialFiles();
+        this.agents = this.createAgentsFile(this.config.autoMigrate);
+      }
+
+      this.recordDataStamp();
+
+      if (this.config.autoMigrate) {
+        this.applySchemaMigrations();
       }
     } catch (error) {
       console.error("Error loading data:", error.message);
@@ -949,338 +1156,3618 @@ Happy task managing! 🚀
   }
 
   saveData() {
-    if (!this.config.autoSave) return;
+    if (!this.config.autoSave) {
+      this.pendingEvents = [];
+      return;
+    }
 
-    try {
+    const write = () => {
       this.taskTracker.project.updated = new Date().toISOString();
       this.agents.updated = new Date().toISOString();
 
-      fs.writeFileSync(
-        this.trackerFile,
-        JSON.stringify(this.taskTracker, null, 2),
-      );
-      fs.writeFileSync(this.agentsFile, JSON.stringify(this.agents, null, 2));
+      // Write-ahead: the journal is appended before the state it describes
+      this.flushEvents();
+      this.storage.save(this.taskTracker, this.agents);
+      this.recordDataStamp();
+
+      try {
+        this.backups.createIfDue(this.taskTracker, this.agents);
+      } catch (error) {
+        // The save itself succeeded; a failed snapshot must not undo it
+        console.log(`⚠️  Automatic backup failed: ${error.message}`);
+      }
+    };
+
+    try {
+      if (this.lockDepth > 0) {
+        write();
+      } else {
+        withFileLock(this.lockFile, write, this.lockOptions);
+      }
     } catch (error) {
       console.error("Error saving data:", error.message);
       throw error;
     }
   }
 
-  // ==================== AGENT MANAGEMENT ====================
-
-  addAgent(agentInfo) {
-    const agent = {
-      id: agentInfo.id || `agent-${Date.now()}`,
-      name: agentInfo.name,
-      type: agentInfo.type || "ai", // 'ai' or 'human'
-      capabilities: agentInfo.capabilities || [],
-      status: "active",
-      created: new Date().toISOString(),
-      updated: new Date().toISOString(),
-      workload: {
-        active_tasks: 0,
-        completed_tasks: 0,
-        total_score: 0,
-      },
-      ...agentInfo,
-    };
-
-    this.agents.registry[agent.id] = agent;
-    this.saveData();
-
-    console.log(`✅ Agent ${agent.name} (${agent.id}) added successfully`);
-    return agent;
-  }
-
-  getAgent(agentId) {
-    if (!this.agents || !this.agents.registry) {
-      return null;
+  // ==================== SCHEMA MIGRATIONS ====================
+
+  /**
+   * Copies task-tracker.json/agents.json from the pre-tasks-data layout
+   * (the parent of the data directory) when the data directory has none
+   * @param {Object} options - { dryRun: only report what would be copied }
+   */
+  importLegacyData(options = {}) {
+    const projectRoot = path.dirname(path.resolve(this.dataDir));
+    const result = migrateLegacyData(projectRoot, this.dataDir, {
+      dryRun: Boolean(options.dryRun),
+    });
+    if (options.dryRun) {
+      return result;
     }
-    return this.agents.registry[agentId] || null;
-  }
 
-  listAgents() {
-    if (!this.agents || !this.agents.registry) {
-      return [];
+    result.migrated.forEach((file) =>
+      console.log(`📦 Imported legacy ${path.basename(file.from)}`),
+    );
+    if (result.migrated.length > 0) {
+      this.legacyImport = result;
     }
-    return Object.values(this.agents.registry);
+    return result;
   }
 
-  updateAgent(agentId, updates) {
-    if (!this.agents.registry[agentId]) {
-      throw new Error(`Agent ${agentId} not found`);
+  /**
+   * Brings the loaded data up to the current schema version. The data is
+   * backed up before anything is written.
+   */
+  applySchemaMigrations() {
+    if (getPendingMigrations(this.taskTracker, this.agents).length === 0) {
+      return null;
     }
 
-    if (!this.agents || !this.agents.registry) {
-      throw new Error("Agents registry not initialized");
+    if (!this.config.autoSave) {
+      return runMigrations(this.taskTracker, this.agents);
     }
 
-    this.agents.registry[agentId] = {
-      ...this.agents.registry[agentId],
-      ...updates,
-      updated: new Date().toISOString(),
-    };
+    return this.withLock(() => {
+      // Another process may have migrated while we waited for the lock
+      if (getPendingMigrations(this.taskTracker, this.agents).length === 0) {
+        return null;
+      }
 
-    this.saveData();
-    return this.agents.registry[agentId];
+      const backup = this.backups.create(
+        this.taskTracker,
+        this.agents,
+        "pre-migration",
+      );
+      const before = this.cloneState();
+      const result = runMigrations(this.taskTracker, this.agents);
+      this.recordStateChange(
+        "schema.migrated",
+        { from: result.from, to: result.to },
+        before,
+      );
+      this.saveData();
+
+      console.log(
+        `🔄 Migrated data schema v${result.from} → v${result.to} (backup: ${backup.name})`,
+      );
+      return { ...result, backup: backup.name };
+    });
   }
 
-  removeAgent(agentId) {
-    if (!this.agents.registry[agentId]) {
-      throw new Error(`Agent ${agentId} not found`);
+  /**
+   * Imports legacy data (unless the constructor already did) and runs pending
+   * migrations, or with dryRun reports what both would change
+   */
+  migrateData(options = {}) {
+    let legacy = this.legacyImport ? this.legacyImport.migrated : [];
+    if (
+      !this.legacyImport &&
+      !this.storage.hasTracker() &&
+      !this.storage.hasAgents()
+    ) {
+      legacy = this.importLegacyData(options).migrated;
+      if (legacy.length > 0 && !options.dryRun) {
+        this.loadData();
+      }
     }
 
-    // Unassign from all tasks
-    if (this.taskTracker && this.taskTracker.tasks) {
-      Object.values(this.taskTracker.tasks).forEach((task) => {
-        if (task.assignees) {
-          task.assignees = task.assignees.filter((a) => a.id !== agentId);
-        }
-      });
+    let { taskTracker, agents } = this;
+    if (options.dryRun) {
+      // Plan against the legacy files the import would copy
+      const readLegacy = (name) => {
+        const file = legacy.find((entry) => path.basename(entry.to) === name);
+        return file && JSON.parse(fs.readFileSync(file.from, "utf8"));
+      };
+      taskTracker = readLegacy("task-tracker.json") || taskTracker;
+      agents = readLegacy("agents.json") || agents;
     }
 
-    if (this.agents && this.agents.registry) {
-      delete this.agents.registry[agentId];
-    }
-    this.saveData();
+    const version = getSchemaVersion(taskTracker, agents);
+    const result = options.dryRun
+      ? planMigrations(taskTracker, agents)
+      : this.applySchemaMigrations() || { from: version, to: version };
 
-    console.log(`✅ Agent ${agentId} removed successfully`);
+    return {
+      dryRun: Boolean(options.dryRun),
+      from: result.from,
+      to: result.to,
+      current: getCurrentSchemaVersion(),
+      applied: result.applied || [],
+      backup: result.backup || null,
+      legacy,
+    };
   }
 
-  // ==================== TASK MANAGEMENT ====================
+  // ==================== CONCURRENCY ====================
 
-  createTask(taskData) {
-    const taskId = taskData.id || this.generateTaskId();
-
-    const task = {
-      id: taskId,
-      title: taskData.title,
-      category: taskData.category || "general",
-      phase: taskData.phase || this.taskTracker.current_state.active_phase,
-      status: taskData.status || "todo",
-      priority: taskData.priority || "medium",
-      assignees: this.normalizeAssignees(taskData.assignees || []),
-      created: new Date().toISOString(),
-      updated: new Date().toISOString(),
-      completed: null,
-      dependencies: taskData.dependencies || [],
-      blocks: taskData.blocks || [],
-      subtasks: taskData.subtasks || [],
-      files_affected: taskData.files_affected || [],
-      completion_criteria: taskData.completion_criteria || [],
-      description: taskData.description || "",
-      recommendation_score: 0,
-      risk_level: taskData.risk_level || "medium",
-      estimated_hours: taskData.estimated_hours || 0,
-      tags: taskData.tags || [],
-    };
+  /**
+   * Runs a mutation as a read-modify-write cycle under the data directory
+   * lock. The latest state on disk is reloaded first so that changes made by
+   * other processes are not overwritten. Nested calls reuse the held lock.
+   */
+  withLock(fn) {
+    if (this.asOf) {
+      throw new Error(
+        `Project is open read-only as of ${this.asOf}; changes are not allowed`,
+      );
+    }
 
-    if (!this.taskTracker) {
-      this.createInitialFiles();
-      this.loadData();
+    if (!this.config.autoSave) {
+      return fn();
     }
-    if (!this.taskTracker.tasks) {
-      this.taskTracker.tasks = {};
+    if (this.lockDepth > 0) {
+      return this.discardOnError(fn);
     }
-    this.taskTracker.tasks[taskId] = task;
-    this.updateProgress();
-    this.updateAgentWorkloads();
-    this.saveData();
 
-    console.log(`✅ Task ${taskId} created: ${task.title}`);
-    return task;
+    return withFileLock(
+      this.lockFile,
+      () => {
+        this.lockDepth++;
+        // Events recorded by one top-level call are undone together
+        this.currentBatch = uuidv4();
+        try {
+          this.refreshData();
+          return this.discardOnError(fn);
+        } finally {
+          this.lockDepth--;
+          this.currentBatch = null;
+        }
+      },
+      this.lockOptions,
+    );
   }
 
-  updateTask(taskId, updates) {
-    if (!this.taskTracker.tasks[taskId]) {
-      throw new Error(`Task ${taskId} not found`);
+  /**
+   * Keeps the data directory lock from being taken over as stale while this
+   * instance holds it for something slow
+   * @param {number} holdMs - How long the lock may go without another refresh
+   */
+  extendLock(holdMs) {
+    if (this.lockDepth > 0) {
+      refreshLock(this.lockFile, holdMs);
     }
+  }
 
-    const oldStatus = this.taskTracker.tasks[taskId].status;
-
-    this.taskTracker.tasks[taskId] = {
-      ...this.taskTracker.tasks[taskId],
-      ...updates,
-      updated: new Date().toISOString(),
-    };
-
-    // Handle status changes
-    if (updates.status && updates.status !== oldStatus) {
-      if (updates.status === "completed") {
-        this.taskTracker.tasks[taskId].completed = new Date().toISOString();
+  /**
+   * Runs a mutation and drops what it changed in memory if it throws. Every
+   * mutation saves before it returns, so the data on disk is the last good
+   * state; without this a half-done change would go out with the next save.
+   */
+  discardOnError(fn) {
+    try {
+      return fn();
+    } catch (error) {
+      this.pendingEvents = [];
+      try {
+        this.loadData();
+      } catch (reloadError) {
+        // Reload on the next withLock instead
+        this.dataStamp = null;
       }
+      throw error;
     }
+  }
 
-    // Handle assignee changes
-    if (updates.assignees) {
-      this.taskTracker.tasks[taskId].assignees = this.normalizeAssignees(
-        updates.assignees,
-      );
+  refreshData() {
+    if (this.storage.getStamp() !== this.dataStamp) {
+      this.loadData();
     }
+  }
 
-    this.updateProgress();
-    this.updateAgentWorkloads();
-    this.saveData();
-
-    console.log(`✅ Task ${taskId} updated`);
-    return this.taskTracker.tasks[taskId];
+  recordDataStamp() {
+    this.dataStamp = this.storage.getStamp();
   }
 
-  deleteTask(taskId) {
-    if (!this.taskTracker.tasks[taskId]) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+  // ==================== EVENT JOURNAL ====================
+
+  /**
+   * Queues a journal event for the current mutation. The event stores the
+   * resulting version of every task, agent and notification list it touched,
+   * so replaying the journal reproduces the state without re-running logic.
+   * Call after mutating and before saveData.
+   */
+  recordEvent(type, details = {}, touched = {}) {
+    if (!this.config.journal) return;
+
+    const snapshot = (collection, ids = []) => {
+      if (ids.length === 0) return undefined;
+      const records = {};
+      ids.forEach((id) => {
+        records[id] =
+          collection && collection[id]
+            ? JSON.parse(JSON.stringify(collection[id]))
+            : null;
+      });
+      return records;
+    };
 
-    // Remove from dependencies and blocks
-    Object.values(this.taskTracker.tasks).forEach((task) => {
-      task.dependencies = task.dependencies.filter((dep) => dep !== taskId);
-      task.blocks = task.blocks.filter((block) => block !== taskId);
+    this.pendingEvents.push({
+      type,
+      timestamp: new Date().toISOString(),
+      actor: this.currentAgentId,
+      batch: this.currentBatch || null,
+      tasks: snapshot(this.taskTracker.tasks, touched.tasks),
+      agents: snapshot(this.agents.registry, touched.agents),
+      notifications: snapshot(
+        this.taskTracker.notifications,
+        touched.notifications,
+      ),
+      milestones: snapshot(this.taskTracker.milestones, touched.milestones),
+      epics: snapshot(this.taskTracker.epics, touched.epics),
+      phases: snapshot(this.taskTracker.phases, touched.phases),
+      recurring: snapshot(this.taskTracker.recurring, touched.recurring),
+      comments: snapshot(this.taskTracker.comments, touched.comments),
+      artifacts: snapshot(this.taskTracker.artifacts, touched.artifacts),
+      // Snapshot events carry the full agents document in details
+      ...details,
     });
-
-    delete this.taskTracker.tasks[taskId];
-    this.updateProgress();
-    this.updateAgentWorkloads();
-    this.saveData();
-
-    console.log(`✅ Task ${taskId} deleted`);
   }
 
-  getTask(taskId) {
-    return this.taskTracker.tasks[taskId] || null;
+  cloneState() {
+    return JSON.parse(
+      JSON.stringify({ taskTracker: this.taskTracker, agents: this.agents }),
+    );
   }
 
-  listTasks(filters = {}) {
-    let tasks = Object.values(this.taskTracker.tasks);
+  /**
+   * Journals a change that can touch any part of the project (a restore,
+   * a migration, a repair) as the records and top-level fields that differ
+   * from the state before it, rather than as a full copy of the project
+   * @param {Object} before - cloneState() taken before the change
+   */
+  recordStateChange(type, details, before) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const keysOf = (a, b) => [
+      ...new Set([...Object.keys(a || {}), ...Object.keys(b || {})]),
+    ];
+    const changedIds = (was = {}, now = {}) =>
+      keysOf(was, now).filter((id) => !same(was[id], now[id]));
+    const changedFields = (was, now, collections) => {
+      const fields = {};
+      keysOf(was, now).forEach((key) => {
+        if (collections.includes(key) || same(was[key], now[key])) return;
+        fields[key] =
+          now[key] === undefined ? null : JSON.parse(JSON.stringify(now[key]));
+      });
+      return fields;
+    };
 
-    if (filters.agent) {
-      tasks = tasks.filter(
-        (task) =>
-          task.assignees && task.assignees.some((a) => a.id === filters.agent),
-      );
-    }
+    const collections = [
+      "tasks",
+      "notifications",
+      "milestones",
+      "epics",
+      "phases",
+      "recurring",
+      "comments",
+      "artifacts",
+    ];
+    const touched = {
+      agents: changedIds(before.agents.registry, this.agents.registry),
+    };
+    collections.forEach((key) => {
+      touched[key] = changedIds(before.taskTracker[key], this.taskTracker[key]);
+    });
 
-    if (filters.status) {
-      tasks = tasks.filter((task) => task.status === filters.status);
-    }
+    this.recordEvent(
+      type,
+      {
+        ...details,
+        tracker_fields: changedFields(
+          before.taskTracker,
+          this.taskTracker,
+          collections,
+        ),
+        agents_fields: changedFields(before.agents, this.agents, ["registry"]),
+      },
+      touched,
+    );
+  }
 
-    if (filters.priority) {
-      tasks = tasks.filter((task) => task.priority === filters.priority);
+  /**
+   * Runs fn with its journal events attributed to the system instead of the
+   * current agent, for changes the Task Manager makes on its own. They are
+   * kept out of agents' undo histories.
+   */
+  asSystem(fn) {
+    const agentId = this.currentAgentId;
+    this.currentAgentId = null;
+    try {
+      return fn();
+    } finally {
+      this.currentAgentId = agentId;
     }
+  }
 
-    if (filters.phase) {
-      tasks = tasks.filter((task) => task.phase === filters.phase);
+  flushEvents() {
+    if (this.pendingEvents.length === 0) return;
+
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+
+    // A new journal starts from the state currently on disk
+    if (!this.journal.exists()) {
+      const base = this.storage.load();
+      events.unshift({
+        type: SNAPSHOT_EVENT,
+        timestamp:
+          (base.taskTracker.project && base.taskTracker.project.updated) ||
+          new Date().toISOString(),
+        actor: null,
+        taskTracker: base.taskTracker,
+        agents: base.agents,
+      });
     }
 
-    return tasks;
+    this.taskTracker.last_event_seq = this.journal.append(events);
   }
 
-  // ==================== TASK ASSIGNMENT ====================
+  getJournalEvents(options = {}) {
+    return this.journal.read(options);
+  }
 
-  assignAgentToTask(taskId, agentInfo) {
-    const task = this.getTask(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+  /**
+   * Replays the journal up to a timestamp and switches this instance to a
+   * read-only view of the project at that moment
+   */
+  viewAsOf(timestamp) {
+    const asOf = new Date(timestamp);
+    if (isNaN(asOf.getTime())) {
+      throw new Error(`Invalid timestamp: ${timestamp}`);
     }
 
-    const normalizedAgent = this.normalizeAssignee(agentInfo);
-
-    // Check if agent is already assigned
-    const isAlreadyAssigned = task.assignees.some(
-      (a) => a.id === normalizedAgent.id,
-    );
-    if (isAlreadyAssigned) {
-      console.log(
-        `⚠️  Agent ${normalizedAgent.id} is already assigned to task ${taskId}`,
-      );
-      return task;
+    const state = this.journal.replay({ asOf });
+    if (!state.taskTracker) {
+      throw new Error(`No journal history at or before ${asOf.toISOString()}`);
     }
 
-    task.assignees.push(normalizedAgent);
-    task.updated = new Date().toISOString();
-
+    this.taskTracker = state.taskTracker;
+    this.agents = state.agents;
+    runMigrations(this.taskTracker, this.agents);
+    this.updateProgress();
     this.updateAgentWorkloads();
-    this.saveData();
-
-    // Notify the assigned agent
-    try {
-      this.notifyAssignment(taskId, this.currentAgentId);
-    } catch (error) {
-      // Notification failed, but assignment succeeded
-      console.log(`⚠️  Assignment notification failed: ${error.message}`);
-    }
+    this.asOf = asOf.toISOString();
+    this.config.autoSave = false;
 
-    console.log(`✅ Agent ${normalizedAgent.name} assigned to task ${taskId}`);
-    return task;
+    return { asOf: this.asOf, lastSeq: state.lastSeq };
   }
 
-  unassignAgentFromTask(taskId, agentId) {
-    const task = this.getTask(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
-
-    task.assignees = task.assignees.filter((a) => a.id !== agentId);
-    task.updated = new Date().toISOString();
-
-    this.updateAgentWorkloads();
-    this.saveData();
+  /**
+   * Rebuilds the stored tracker and agents from the journal, e.g. after a
+   * crash between appending an event and saving the state it describes
+   */
+  rebuildFromJournal() {
+    return this.withLock(() => {
+      const state = this.journal.replay();
+      if (!state.taskTracker) {
+        throw new Error("Journal is empty; nothing to replay");
+      }
 
-    console.log(`✅ Agent ${agentId} unassigned from task ${taskId}`);
-    return task;
-  }
+      this.taskTracker = state.taskTracker;
+      this.agents = state.agents;
+      this.taskTracker.last_event_seq = state.lastSeq;
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.saveData();
 
-  transferTask(taskId, fromAgentId, toAgentInfo) {
-    this.unassignAgentFromTask(taskId, fromAgentId);
-    return this.assignAgentToTask(taskId, toAgentInfo);
+      console.log(`✅ Rebuilt project state from ${state.eventCount} events`);
+      return {
+        events: state.eventCount,
+        lastSeq: state.lastSeq,
+        tasks: Object.keys(this.taskTracker.tasks).length,
+        agents: Object.keys(this.agents.registry).length,
+      };
+    });
   }
 
-  // ==================== RECOMMENDATIONS ====================
-
-  getRecommendationsForAgent(agentId, limit = null) {
-    const agent = this.getAgent(agentId);
-    if (!agent) {
-      throw new Error(`Agent ${agentId} not found`);
-    }
-
-    const eligibleTasks = this.getEligibleTasksForAgent(agentId);
-    const scoredTasks = eligibleTasks.map((task) => ({
-      ...task,
-      recommendation_score: this.calculateTaskScore(task),
-    }));
+  // ==================== UNDO / REDO ====================
+
+  /**
+   * Splits an agent's journaled mutations into undo and redo stacks. Each
+   * entry is a batch: all events recorded by one top-level call, so that
+   * e.g. a transfer (unassign + assign) is undone as a whole.
+   */
+  getUndoStacks(agentId = this.currentAgentId, events = this.journal.read()) {
+    const actor = agentId || null;
+    const done = [];
+    const undone = [];
+
+    events.forEach((event) => {
+      // Snapshots and state-wide changes (backup restores, migrations,
+      // repairs, ...) cannot be undone, and comment threads and artifacts
+      // are append-only
+      if (
+        event.type === SNAPSHOT_EVENT ||
+        event.taskTracker ||
+        event.tracker_fields ||
+        [COMMENT_EVENT, ARTIFACT_EVENT].includes(event.type)
+      ) {
+        return;
+      }
 
-    // Sort by score (highest first)
-    scoredTasks.sort((a, b) => b.recommendation_score - a.recommendation_score);
+      if (event.type === "undo" || event.type === "redo") {
+        const [from, to] =
+          event.type === "undo" ? [done, undone] : [undone, done];
+        const index = from.findIndex(
+          (batch) => batch.id === event.target_batch,
+        );
+        if (index !== -1) {
+          to.push(...from.splice(index, 1));
+        }
+        return;
+      }
 
-    const recommendations = scoredTasks.slice(
-      0,
-      limit || this.config.maxRecommendations,
-    );
+      if ((event.actor || null) !== actor) return;
 
-    // Update recommendation history
-    this.addRecommendationHistory(agentId, recommendations);
+      const batchId = event.batch || `seq-${event.seq}`;
+      const last = done[done.length - 1];
+      if (last && last.id === batchId) {
+        last.events.push(event);
+      } else {
+        done.push({ id: batchId, events: [event] });
+        // A new mutation discards anything that could have been redone
+        undone.length = 0;
+      }
+    });
 
-    return recommendations.map((task) => ({
-      ...task,
-      recommendation_reason: this.generateRecommendationReason(task),
-    }));
+    return { done, undone };
   }
 
-  // ==================== AGENT-CENTRIC METHODS ====================
+  undo(agentId = this.currentAgentId, count = 1, options = {}) {
+    return this.withLock(() => {
+      // Read once: each undo only moves the next batch off the same stack
+      const events = this.journal.read();
+      const { done } = this.getUndoStacks(agentId, events);
+      const results = [];
+      for (let i = 0; i < count && done.length > 0; i++) {
+        results.push(
+          this.revertBatch(done.pop(), "undo", options, results, events),
+        );
+      }
+      return results;
+    });
+  }
 
-  getCurrentAgent() {
-    if (!this.currentAgentId) {
-      throw new Error(
-        "No current agent set. Set TASK_MANAGER_AGENT_ID environment variable or pass agentId in constructor.",
-      );
-    }
-    return this.getAgent(this.currentAgentId);
+  redo(agentId = this.currentAgentId, count = 1, options = {}) {
+    return this.withLock(() => {
+      const events = this.journal.read();
+      const { undone } = this.getUndoStacks(agentId, events);
+      const results = [];
+      for (let i = 0; i < count && undone.length > 0; i++) {
+        results.push(
+          this.revertBatch(undone.pop(), "redo", options, results, events),
+        );
+      }
+      return results;
+    });
   }
 
-  setCurrentAgent(agentId) {
-    const agent = this.getAgent(agentId);
-    if (!agent) {
-      throw new Error(`Agent ${agentId} not found`);
-    }
+  /**
+   * Moves every record touched by a batch back to its state before the batch
+   * (undo) or forward to its state after it (redo). Refuses to overwrite
+   * records that were changed in the meantime unless options.force is set.
+   */
+  revertBatch(
+    batch,
+    action,
+    options = {},
+    completed = [],
+    events = this.journal.read(),
+  ) {
+    const firstSeq = batch.events[0].seq;
+    const collections = {
+      tasks: { label: "Task", current: this.taskTracker.tasks },
+      agents: { label: "Agent", current: this.agents.registry },
+      notifications: {
+        label: "Notifications for",
+        current: this.taskTracker.notifications || {},
+      },
+    };
+    Object.entries(GROUP_TYPES).forEach(([type, { collection, label }]) => {
+      collections[collection] = {
+        label,
+        current: this.getGroupRecords(type),
+      };
+    });
+    collections.phases = { label: "Phase", current: this.getPhaseRecords() };
+    collections.recurring = {
+      label: "Recurring task",
+      current: this.getRecurringRecords(),
+    };
+    const recordKinds = [
+      "tasks",
+      "agents",
+      "milestones",
+      "epics",
+      "phases",
+      "recurring",
+    ];
+
+    // Pair the version each record had before and after the batch
+    const changes = {
+      tasks: {},
+      agents: {},
+      notifications: {},
+      milestones: {},
+      epics: {},
+      phases: {},
+      recurring: {},
+    };
+    batch.events.forEach((event) => {
+      Object.keys(changes).forEach((kind) => {
+        Object.entries(event[kind] || {}).forEach(([id, after]) => {
+          changes[kind][id] = { after };
+        });
+      });
+    });
+    const before = findRecordsBefore(
+      events,
+      firstSeq,
+      Object.fromEntries(
+        Object.entries(changes).map(([kind, records]) => [
+          kind,
+          Object.keys(records),
+        ]),
+      ),
+    );
+    Object.entries(changes).forEach(([kind, records]) => {
+      Object.entries(records).forEach(([id, change]) => {
+        change.before = before[kind][id];
+      });
+    });
+
+    const expectedKey = action === "undo" ? "after" : "before";
+    const targetKey = action === "undo" ? "before" : "after";
+    const summary = batch.events
+      .map((event) =>
+        [
+          event.type,
+          event.task_id ||
+            event.agent_id ||
+            event.milestone_id ||
+            event.epic_id ||
+            event.phase_id ||
+            event.recurring_id,
+        ].join(" "),
+      )
+      .join(", ");
+
+    const conflicts = [];
+    recordKinds.forEach((kind) => {
+      Object.entries(changes[kind]).forEach(([id, change]) => {
+        if (
+          this.canonicalRecord(collections[kind].current[id]) !==
+          this.canonicalRecord(change[expectedKey])
+        ) {
+          conflicts.push(`${collections[kind].label} ${id}`);
+        }
+      });
+    });
+    if (conflicts.length > 0 && !options.force) {
+      const error = new Error(
+        `Cannot ${action} ${summary} (#${firstSeq}): ${conflicts.join(", ")} changed since. Use force to override.`,
+      );
+      error.code = "UNDO_CONFLICT";
+      error.conflicts = conflicts;
+      error.completed = completed;
+      throw error;
+    }
+
+    const result = {
+      action,
+      batch: batch.id,
+      summary,
+      events: batch.events.map((event) => ({
+        seq: event.seq,
+        type: event.type,
+        timestamp: event.timestamp,
+        task_id: event.task_id,
+        agent_id: event.agent_id,
+      })),
+      tasks: [],
+      agents: [],
+      notifications: [],
+      milestones: [],
+      epics: [],
+      phases: [],
+      recurring: [],
+      conflicts,
+    };
+
+    recordKinds.forEach((kind) => {
+      Object.entries(changes[kind]).forEach(([id, change]) => {
+        const current = collections[kind].current[id] || null;
+        const target = change[targetKey];
+        result[kind].push(this.describeRestore(id, current, target));
+
+        if (!target) {
+          delete collections[kind].current[id];
+        } else {
+          const record = JSON.parse(JSON.stringify(target));
+          // Keep revisions increasing so stale expectedRevision checks fail
+          record.revision = Math.max(
+            current ? current.revision || 0 : 0,
+            target.revision || 0,
+          );
+          collections[kind].current[id] = this.bumpRevision(record);
+        }
+      });
+    });
+
+    // Notification lists are only rolled back if nothing was added since
+    Object.entries(changes.notifications).forEach(([agentId, change]) => {
+      const current = collections.notifications.current[agentId] || null;
+      if (JSON.stringify(current) !== JSON.stringify(change[expectedKey])) {
+        return;
+      }
+      if (!this.taskTracker.notifications) {
+        this.taskTracker.notifications = {};
+      }
+      if (change[targetKey]) {
+        this.taskTracker.notifications[agentId] = change[targetKey];
+      } else {
+        delete this.taskTracker.notifications[agentId];
+      }
+      result.notifications.push(agentId);
+    });
+
+    this.updateProgress();
+    this.updateAgentWorkloads();
+    this.recordEvent(
+      action,
+      {
+        target_batch: batch.id,
+        target_seqs: result.events.map((event) => event.seq),
+      },
+      {
+        tasks: Object.keys(changes.tasks),
+        agents: Object.keys(changes.agents),
+        notifications: result.notifications,
+        milestones: Object.keys(changes.milestones),
+        epics: Object.keys(changes.epics),
+        phases: Object.keys(changes.phases),
+        recurring: Object.keys(changes.recurring),
+      },
+    );
+    this.saveData();
+
+    return result;
+  }
+
+  /**
+   * Serializes a record for comparison, ignoring bookkeeping fields that
+   * change without a journaled mutation
+   */
+  canonicalRecord(record) {
+    if (!record) return null;
+
+    const { revision, updated, workload, ...content } = record;
+    const sortKeys = (value) => {
+      if (Array.isArray(value)) return value.map(sortKeys);
+      if (!value || typeof value !== "object") return value;
+      return Object.fromEntries(
+        Object.keys(value)
+          .sort()
+          .map((key) => [key, sortKeys(value[key])]),
+      );
+    };
+    return JSON.stringify(sortKeys(content));
+  }
+
+  describeRestore(id, current, target) {
+    if (!target) {
+      return { id, action: "removed" };
+    }
+    if (!current) {
+      return { id, action: "restored" };
+    }
+
+    const ignored = ["revision", "updated", "workload"];
+    const linkFields = ["dependencies", "blocks", "assignees"];
+    const fields = [];
+    const links = {};
+
+    new Set([...Object.keys(current), ...Object.keys(target)]).forEach(
+      (field) => {
+        if (ignored.includes(field)) return;
+        if (
+          this.canonicalRecord({ value: current[field] }) ===
+          this.canonicalRecord({ value: target[field] })
+        ) {
+          return;
+        }
+
+        if (linkFields.includes(field)) {
+          const ids = (list) =>
+            (list || []).map((item) => (item && item.id) || item);
+          const from = ids(current[field]);
+          const to = ids(target[field]);
+          links[field] = {
+            added: to.filter((linkId) => !from.includes(linkId)),
+            removed: from.filter((linkId) => !to.includes(linkId)),
+          };
+        } else {
+          fields.push(field);
+        }
+      },
+    );
+
+    return { id, action: "reverted", fields, links };
+  }
+
+  formatRevertResult(result) {
+    const icon = result.action === "undo" ? "↩️ " : "↪️ ";
+    const verb = result.action === "undo" ? "Undid" : "Redid";
+    const lines = [
+      `${icon} ${verb} ${result.summary} (#${result.events[0].seq})`,
+    ];
+
+    const describe = (label, change) => {
+      if (change.action !== "reverted") {
+        return `   ${label} ${change.id} ${change.action}`;
+      }
+      const parts = [...change.fields];
+      Object.entries(change.links).forEach(([field, link]) => {
+        const ids = [
+          ...link.added.map((linkId) => `+${linkId}`),
+          ...link.removed.map((linkId) => `-${linkId}`),
+        ];
+        parts.push(`${field} ${ids.join(" ")}`);
+      });
+      return `   ${label} ${change.id} reverted: ${parts.join("; ") || "no visible changes"}`;
+    };
+
+    result.tasks.forEach((change) => lines.push(describe("Task", change)));
+    result.agents.forEach((change) => lines.push(describe("Agent", change)));
+    result.milestones.forEach((change) =>
+      lines.push(describe("Milestone", change)),
+    );
+    result.epics.forEach((change) => lines.push(describe("Epic", change)));
+    result.phases.forEach((change) => lines.push(describe("Phase", change)));
+    result.recurring.forEach((change) =>
+      lines.push(describe("Recurring task", change)),
+    );
+    result.notifications.forEach((agentId) =>
+      lines.push(`   Notifications for ${agentId} restored`),
+    );
+    if (result.conflicts.length > 0) {
+      lines.push(
+        `   ⚠️  Overwrote newer changes: ${result.conflicts.join(", ")}`,
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  // ==================== BACKUPS ====================
+
+  listBackups() {
+    return this.backups.list();
+  }
+
+  createBackup(reason = "manual") {
+    return this.withLock(() => {
+      const backup = this.backups.create(this.taskTracker, this.agents, reason);
+      console.log(`✅ Backup created: ${backup.name}`);
+      return backup;
+    });
+  }
+
+  /**
+   * Replaces the project state with a validated backup. The current state is
+   * backed up first so the restore itself can be reverted.
+   */
+  restoreBackup(name) {
+    return this.withLock(() => {
+      const snapshot = this.backups.read(name);
+      const safetyBackup = this.backups.create(
+        this.taskTracker,
+        this.agents,
+        "pre-restore",
+        [name],
+      );
+
+      const before = this.cloneState();
+      this.taskTracker = snapshot.taskTracker;
+      this.agents = snapshot.agents;
+      runMigrations(this.taskTracker, this.agents);
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.recordStateChange("backup.restored", { backup: name }, before);
+      this.saveData();
+
+      console.log(`✅ Restored backup ${name}`);
+      return {
+        restored: name,
+        created: snapshot.created,
+        safetyBackup: safetyBackup.name,
+        tasks: Object.keys(this.taskTracker.tasks).length,
+        agents: Object.keys(this.agents.registry).length,
+      };
+    });
+  }
+
+  // ==================== INTEGRITY ====================
+
+  /**
+   * Checks the data for inconsistencies (dangling links, unmirrored blocks,
+   * unknown assignees, stale progress, ...). With options.fix, fixable issues
+   * are repaired under the lock after taking a backup.
+   * @returns {Object} { summary, issues, fixed, backup }
+   */
+  runDoctor(options = {}) {
+    const check = () =>
+      diagnose(this.taskTracker, this.agents, {
+        expectedProgress: this.calculateProgress(),
+        statuses: this.statusMachine.statuses,
+      });
+    const report = (issues, fixed = [], backup = null) => ({
+      summary: summarize(issues),
+      issues: issues.map(({ fix, ...issue }) => issue),
+      fixed: fixed.map(({ fix, ...issue }) => issue),
+      backup,
+    });
+
+    if (!options.fix) {
+      return report(check());
+    }
+
+    return this.withLock(() => {
+      let issues = check();
+      if (!issues.some((issue) => issue.fixable)) {
+        return report(issues);
+      }
+
+      const backup = this.backups.create(
+        this.taskTracker,
+        this.agents,
+        "pre-doctor",
+      );
+      const before = this.cloneState();
+      const fixed = [];
+
+      // Fixes can uncover further issues (e.g. a moved task with dangling
+      // links), so repeat until a pass finds nothing left to fix
+      for (let pass = 0; pass < 5; pass++) {
+        const fixable = issues.filter((issue) => issue.fixable);
+        if (fixable.length === 0) break;
+
+        fixable.forEach((issue) => {
+          issue.fix();
+          fixed.push(issue);
+        });
+        issues = check();
+      }
+
+      new Set(fixed.map((issue) => issue.taskId)).forEach((taskId) => {
+        const task = this.taskTracker.tasks[taskId];
+        if (task) this.bumpRevision(task);
+      });
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.recordStateChange(
+        "doctor.repaired",
+        { fixed: fixed.map((issue) => issue.code) },
+        before,
+      );
+      this.saveData();
+
+      return report(check(), fixed, backup.name);
+    });
+  }
+
+  // ==================== AGENT MANAGEMENT ====================
+
+  addAgent(agentInfo) {
+    return this.withLock(() => {
+      const agent = {
+        id: agentInfo.id || `agent-${Date.now()}`,
+        name: agentInfo.name,
+        type: agentInfo.type || "ai", // 'ai' or 'human'
+        capabilities: agentInfo.capabilities || [],
+        status: "active",
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        workload: {
+          active_tasks: 0,
+          completed_tasks: 0,
+          total_score: 0,
+        },
+        ...agentInfo,
+        revision: 1,
+      };
+
+      this.agents.registry[agent.id] = agent;
+      this.recordEvent(
+        "agent.added",
+        { agent_id: agent.id },
+        { agents: [agent.id] },
+      );
+      this.saveData();
+
+      console.log(`✅ Agent ${agent.name} (${agent.id}) added successfully`);
+      return agent;
+    });
+  }
+
+  getAgent(agentId) {
+    if (!this.agents || !this.agents.registry) {
+      return null;
+    }
+    return this.agents.registry[agentId] || null;
+  }
+
+  listAgents() {
+    if (!this.agents || !this.agents.registry) {
+      return [];
+    }
+    return Object.values(this.agents.registry);
+  }
+
+  updateAgent(agentId, updates) {
+    return this.withLock(() => {
+      if (!this.agents.registry[agentId]) {
+        throw new Error(`Agent ${agentId} not found`);
+      }
+
+      if (!this.agents || !this.agents.registry) {
+        throw new Error("Agents registry not initialized");
+      }
+
+      const { revision, ...changes } = updates;
+      this.agents.registry[agentId] = {
+        ...this.agents.registry[agentId],
+        ...changes,
+      };
+      this.bumpRevision(this.agents.registry[agentId]);
+
+      this.recordEvent(
+        "agent.updated",
+        { agent_id: agentId, changes: Object.keys(changes) },
+        { agents: [agentId] },
+      );
+      this.saveData();
+      return this.agents.registry[agentId];
+    });
+  }
+
+  removeAgent(agentId) {
+    return this.withLock(() => {
+      if (!this.agents.registry[agentId]) {
+        throw new Error(`Agent ${agentId} not found`);
+      }
+
+      // Unassign from all tasks
+      const unassignedTaskIds = [];
+      if (this.taskTracker && this.taskTracker.tasks) {
+        Object.values(this.taskTracker.tasks).forEach((task) => {
+          if (task.assignees && task.assignees.some((a) => a.id === agentId)) {
+            task.assignees = task.assignees.filter((a) => a.id !== agentId);
+            this.bumpRevision(task);
+            unassignedTaskIds.push(task.id);
+          }
+        });
+      }
+
+      if (this.agents && this.agents.registry) {
+        delete this.agents.registry[agentId];
+      }
+      this.recordEvent(
+        "agent.removed",
+        { agent_id: agentId },
+        { agents: [agentId], tasks: unassignedTaskIds },
+      );
+      this.saveData();
+
+      console.log(`✅ Agent ${agentId} removed successfully`);
+    });
+  }
+
+  // ==================== TASK MANAGEMENT ====================
+
+  createTask(taskData) {
+    return this.withLock(() => {
+      const taskId = taskData.id || this.generateTaskId();
+
+      const task = {
+        id: taskId,
+        title: taskData.title,
+        category: taskData.category || "general",
+        phase: taskData.phase || this.taskTracker.current_state.active_phase,
+        status: this.statusMachine.assertValid(
+          taskData.status || this.statusMachine.initial,
+        ),
+        priority: taskData.priority || "medium",
+        assignees: this.normalizeAssignees(taskData.assignees || []),
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        completed: null,
+        dependencies: [],
+        blocks: [],
+        parent_id: null,
+        subtasks: [],
+        milestone_id: this.assertGroupExists(
+          "milestone",
+          taskData.milestone_id,
+        ),
+        epic_id: this.assertGroupExists("epic", taskData.epic_id),
+        files_affected: taskData.files_affected || [],
+        completion_criteria: normalizeCriteria(
+          taskData.completion_criteria || [],
+          this.getCriteriaOptions(),
+        ),
+        description: taskData.description || "",
+        recommendation_score: 0,
+        risk_level: taskData.risk_level || "medium",
+        estimated_hours: taskData.estimated_hours || 0,
+        actual_hours: 0,
+        work_sessions: [],
+        start_date: this.normalizeDate(taskData.start_date, "start_date"),
+        due_date: this.normalizeDate(taskData.due_date, "due_date"),
+        recurring_id: taskData.recurring_id || null,
+        occurrence: taskData.occurrence || null,
+        missing_artifacts: null,
+        criteria_waiver: null,
+        tags: taskData.tags || [],
+        revision: 1,
+      };
+      this.assertDateOrder(task);
+
+      if (!this.taskTracker) {
+        this.createInitialFiles();
+        this.loadData();
+      }
+      if (!this.taskTracker.tasks) {
+        this.taskTracker.tasks = {};
+      }
+      const linkedTaskIds = this.setTaskLinks(task, {
+        dependencies: taskData.dependencies || [],
+        blocks: taskData.blocks || [],
+      });
+      linkedTaskIds.push(...this.setParent(task, taskData.parent_id));
+      this.taskTracker.tasks[taskId] = task;
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.recordEvent(
+        "task.created",
+        { task_id: taskId },
+        { tasks: [taskId, ...linkedTaskIds] },
+      );
+      this.saveData();
+
+      console.log(`✅ Task ${taskId} created: ${task.title}`);
+      return task;
+    });
+  }
+
+  updateTask(taskId, updates, options = {}) {
+    const verified =
+      options.verified ||
+      this.verifyBeforeCompleting(
+        taskId,
+        updates.status,
+        updates.completion_criteria,
+        options,
+      );
+
+    return this.withLock(() => {
+      if (!this.taskTracker.tasks[taskId]) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      this.checkRevision(
+        this.taskTracker.tasks[taskId],
+        options.expectedRevision,
+        `Task ${taskId}`,
+      );
+
+      const oldStatus = this.taskTracker.tasks[taskId].status;
+      const { revision, ...changes } = updates;
+      if (changes.status !== undefined) {
+        changes.status = this.statusMachine.assertTransition(
+          oldStatus,
+          changes.status,
+          `Task ${taskId}`,
+        );
+      }
+
+      const {
+        dependencies,
+        blocks,
+        parent_id: parentId,
+        subtasks,
+        ...fields
+      } = changes;
+      if (subtasks !== undefined) {
+        throw new Error(
+          "subtasks cannot be edited directly; set parent_id on the subtask instead",
+        );
+      }
+      if (
+        fields.work_sessions !== undefined ||
+        fields.actual_hours !== undefined
+      ) {
+        throw new Error(
+          "Logged time cannot be edited directly; use start, pause and resume",
+        );
+      }
+      delete fields.missing_artifacts;
+      delete fields.criteria_waiver;
+      if (fields.completion_criteria !== undefined) {
+        fields.completion_criteria = normalizeCriteria(
+          fields.completion_criteria,
+          this.getCriteriaOptions(),
+        );
+      }
+
+      // Completing runs the completion criteria and checks files_affected
+      // against the attached artifacts
+      if (
+        changes.status !== oldStatus &&
+        this.statusMachine.isIn(changes.status, "done")
+      ) {
+        fields.criteria_waiver = this.checkCompletionCriteria(
+          { ...this.taskTracker.tasks[taskId], ...fields },
+          options.waiver,
+          verified,
+        );
+        const missing = this.findMissingArtifacts(
+          this.taskTracker.tasks[taskId],
+        );
+        if (missing.length > 0 && options.requireArtifacts) {
+          throw new Error(
+            `Task ${taskId} has no artifact for files_affected: ${missing.join(", ")}`,
+          );
+        }
+        fields.missing_artifacts = missing;
+      }
+      Object.entries(GROUP_TYPES).forEach(([type, { field }]) => {
+        if (fields[field] !== undefined) {
+          fields[field] = this.assertGroupExists(type, fields[field]);
+        }
+      });
+      ["start_date", "due_date"].forEach((field) => {
+        if (fields[field] !== undefined) {
+          fields[field] = this.normalizeDate(fields[field], field);
+        }
+      });
+      this.assertDateOrder({ ...this.taskTracker.tasks[taskId], ...fields });
+
+      // Dependency and parent edits are validated and mirrored on the linked
+      // tasks before anything else changes
+      const linkedTaskIds =
+        dependencies !== undefined || blocks !== undefined
+          ? this.setTaskLinks(this.taskTracker.tasks[taskId], {
+              dependencies,
+              blocks,
+            })
+          : [];
+      if (parentId !== undefined) {
+        linkedTaskIds.push(
+          ...this.setParent(this.taskTracker.tasks[taskId], parentId),
+        );
+      }
+
+      // Parents are only done once all of their subtasks are
+      if (
+        changes.status !== oldStatus &&
+        this.statusMachine.isIn(changes.status, "done")
+      ) {
+        linkedTaskIds.push(
+          ...this.closeSubtasks(taskId, changes.status, options, verified),
+        );
+      }
+
+      this.taskTracker.tasks[taskId] = {
+        ...this.taskTracker.tasks[taskId],
+        ...fields,
+      };
+      this.bumpRevision(this.taskTracker.tasks[taskId]);
+
+      // Handle status changes
+      if (changes.status && changes.status !== oldStatus) {
+        this.taskTracker.tasks[taskId].completed = this.statusMachine.isIn(
+          changes.status,
+          "done",
+        )
+          ? new Date().toISOString()
+          : null;
+        // The clock stops for everyone once the task leaves an active status
+        if (!this.statusMachine.isIn(changes.status, "active")) {
+          this.closeWorkSessions(this.taskTracker.tasks[taskId]);
+        }
+      }
+      // startTask clocks the current agent in as part of the same change
+      if (options.startWork) {
+        this.openWorkSession(this.taskTracker.tasks[taskId]);
+      }
+
+      // Handle assignee changes
+      if (updates.assignees) {
+        this.taskTracker.tasks[taskId].assignees = this.normalizeAssignees(
+          updates.assignees,
+        );
+      }
+
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.recordEvent(
+        "task.updated",
+        { task_id: taskId, changes: Object.keys(changes) },
+        { tasks: [taskId, ...linkedTaskIds] },
+      );
+      this.saveData();
+
+      console.log(`✅ Task ${taskId} updated`);
+      return this.taskTracker.tasks[taskId];
+    });
+  }
+
+  /**
+   * Moves a task to a status that may be several transitions away, stepping
+   * through the shortest chain of allowed transitions
+   */
+  moveTask(taskId, status, options = {}) {
+    const verified =
+      options.verified ||
+      this.verifyBeforeCompleting(taskId, status, undefined, options);
+
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      const target = this.statusMachine.assertValid(status);
+      const steps = this.statusMachine.findPath(task.status, target);
+      if (!steps) {
+        throw this.statusMachine.transitionError(
+          this.statusMachine.resolve(task.status),
+          target,
+          `Task ${taskId}`,
+        );
+      }
+
+      const start = task.revision || 0;
+      return steps.slice(1).reduce((current, step) => {
+        // The steps before the last only change the status, so checks that
+        // ran against the starting revision still hold
+        const rebased =
+          verified[taskId] && verified[taskId].revision === start
+            ? {
+                ...verified,
+                [taskId]: {
+                  ...verified[taskId],
+                  revision: current.revision || 0,
+                },
+              }
+            : verified;
+        return this.updateTask(
+          taskId,
+          { status: step },
+          { ...options, verified: rebased },
+        );
+      }, task);
+    });
+  }
+
+  deleteTask(taskId) {
+    return this.withLock(() => {
+      if (!this.taskTracker.tasks[taskId]) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      // Subtasks move up to the deleted task's parent
+      const deletedTask = this.taskTracker.tasks[taskId];
+      const parent = this.taskTracker.tasks[deletedTask.parent_id] || null;
+      const childIds = (deletedTask.subtasks || []).filter(
+        (childId) => this.taskTracker.tasks[childId],
+      );
+      childIds.forEach((childId) => {
+        this.taskTracker.tasks[childId].parent_id = parent ? parent.id : null;
+        this.bumpRevision(this.taskTracker.tasks[childId]);
+      });
+      if (parent) {
+        parent.subtasks = [
+          ...parent.subtasks.filter((id) => id !== taskId),
+          ...childIds,
+        ];
+        this.bumpRevision(parent);
+      }
+      const touchedTaskIds = [
+        taskId,
+        ...(parent ? [parent.id] : []),
+        ...childIds,
+      ];
+
+      // Remove from dependencies and blocks
+      Object.values(this.taskTracker.tasks).forEach((task) => {
+        if (
+          task.dependencies.includes(taskId) ||
+          task.blocks.includes(taskId)
+        ) {
+          task.dependencies = task.dependencies.filter((dep) => dep !== taskId);
+          task.blocks = task.blocks.filter((block) => block !== taskId);
+          this.bumpRevision(task);
+          touchedTaskIds.push(task.id);
+        }
+      });
+
+      // Artifacts go with the task
+      const artifacts = Object.values(this.getArtifactRecords()).filter(
+        (artifact) => artifact.task_id === taskId,
+      );
+      artifacts.forEach((artifact) => {
+        delete this.taskTracker.artifacts[artifact.id];
+      });
+
+      delete this.taskTracker.tasks[taskId];
+      this.updateProgress();
+      this.updateAgentWorkloads();
+      this.recordEvent(
+        "task.deleted",
+        { task_id: taskId },
+        {
+          tasks: touchedTaskIds,
+          artifacts: artifacts.map((artifact) => artifact.id),
+        },
+      );
+      this.saveData();
+      // Stored content is only removed once the deletion is saved
+      artifacts.forEach((artifact) => this.artifactStore.remove(artifact));
+
+      console.log(`✅ Task ${taskId} deleted`);
+    });
+  }
+  /**
+   * Makes taskId depend on dependencyId and adds the mirrored blocks entry.
+   * Rejects unknown tasks and edges that would create a cycle.
+   */
+  addDependency(taskId, dependencyId, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      this.checkRevision(task, options.expectedRevision, `Task ${taskId}`);
+      if (task.dependencies.includes(dependencyId)) {
+        return task;
+      }
+
+      const linkedTaskIds = this.setTaskLinks(task, {
+        dependencies: [...task.dependencies, dependencyId],
+      });
+      this.bumpRevision(task);
+
+      this.recordEvent(
+        "task.dependency_added",
+        { task_id: taskId, dependency_id: dependencyId },
+        { tasks: [taskId, ...linkedTaskIds] },
+      );
+      this.saveData();
+
+      console.log(`✅ Task ${taskId} now depends on ${dependencyId}`);
+      return task;
+    });
+  }
+
+  removeDependency(taskId, dependencyId, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (!task.dependencies.includes(dependencyId)) {
+        throw new Error(`Task ${taskId} does not depend on ${dependencyId}`);
+      }
+      this.checkRevision(task, options.expectedRevision, `Task ${taskId}`);
+
+      const linkedTaskIds = this.setTaskLinks(task, {
+        dependencies: task.dependencies.filter((id) => id !== dependencyId),
+      });
+      this.bumpRevision(task);
+
+      this.recordEvent(
+        "task.dependency_removed",
+        { task_id: taskId, dependency_id: dependencyId },
+        { tasks: [taskId, ...linkedTaskIds] },
+      );
+      this.saveData();
+
+      console.log(`✅ Task ${taskId} no longer depends on ${dependencyId}`);
+      return task;
+    });
+  }
+
+  getTask(taskId) {
+    return this.taskTracker.tasks[taskId] || null;
+  }
+
+  /**
+   * @returns {string[]} Statuses the task may move to next
+   */
+  getNextStatuses(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    return this.statusMachine.getNextStatuses(task.status);
+  }
+
+  listTasks(filters = {}) {
+    // Let indexed backends narrow the candidates when memory matches storage
+    const taskIds =
+      this.config.autoSave && this.storage.getStamp() === this.dataStamp
+        ? this.storage.queryTaskIds(filters)
+        : null;
+
+    let tasks = taskIds
+      ? taskIds.map((id) => this.taskTracker.tasks[id]).filter(Boolean)
+      : Object.values(this.taskTracker.tasks);
+
+    if (filters.agent) {
+      tasks = tasks.filter(
+        (task) =>
+          task.assignees && task.assignees.some((a) => a.id === filters.agent),
+      );
+    }
+
+    if (filters.status) {
+      tasks = tasks.filter((task) => task.status === filters.status);
+    }
+
+    if (filters.priority) {
+      tasks = tasks.filter((task) => task.priority === filters.priority);
+    }
+
+    if (filters.phase) {
+      tasks = tasks.filter((task) => task.phase === filters.phase);
+    }
+
+    return tasks;
+  }
+
+  // ==================== SUBTASKS ====================
+
+  /**
+   * Creates a task under a parent. Category and phase default to the parent's.
+   */
+  createSubtask(parentId, taskData) {
+    const parent = this.getTask(parentId);
+    if (!parent) {
+      throw new Error(`Parent task ${parentId} not found`);
+    }
+
+    return this.createTask({
+      category: parent.category,
+      phase: parent.phase,
+      ...taskData,
+      parent_id: parentId,
+    });
+  }
+
+  /**
+   * @returns {Object[]} Subtasks at any depth that are neither done nor
+   *   cancelled, deepest first
+   */
+  getOpenSubtasks(taskId) {
+    const open = [];
+    const visit = (id, seen) => {
+      const task = this.taskTracker.tasks[id];
+      (task ? task.subtasks || [] : []).forEach((childId) => {
+        const child = this.taskTracker.tasks[childId];
+        if (!child || seen.has(childId)) return;
+        visit(childId, new Set([...seen, childId]));
+        if (!this.statusMachine.isIn(child.status, "done", "cancelled")) {
+          open.push(child);
+        }
+      });
+    };
+    visit(taskId, new Set([taskId]));
+    return open;
+  }
+
+  /**
+   * Progress rolled up from the task's leaf subtasks. Cancelled leaves do not
+   * count; a task without subtasks is either 0% or 100% done.
+   * @returns {Object} { completed, total, percentage }
+   */
+  getTaskProgress(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const leaves = [];
+    const collect = (current, seen) => {
+      const childIds = (current.subtasks || []).filter(
+        (id) => this.taskTracker.tasks[id] && !seen.has(id),
+      );
+      if (childIds.length === 0) {
+        leaves.push(current);
+        return;
+      }
+      childIds.forEach((id) =>
+        collect(this.taskTracker.tasks[id], new Set([...seen, id])),
+      );
+    };
+    collect(task, new Set([taskId]));
+
+    const counted = leaves.filter(
+      (leaf) => !this.statusMachine.isIn(leaf.status, "cancelled"),
+    );
+    const completed = counted.filter((leaf) =>
+      this.statusMachine.isIn(leaf.status, "done"),
+    ).length;
+
+    return {
+      completed,
+      total: counted.length,
+      percentage:
+        counted.length > 0 ? Math.round((completed / counted.length) * 100) : 0,
+    };
+  }
+
+  /**
+   * Builds the task hierarchy
+   * @param {string|null} taskId - Root task, or null for the whole project
+   * @param {Object} filters - listTasks filters; tasks that do not match are
+   *   left out and their matching subtasks move up a level
+   * @returns {Object|Object[]} The root's node, or the top-level nodes when no
+   *   root is given. Nodes are tasks with `progress` and `children` added.
+   */
+  getTaskTree(taskId = null, filters = {}) {
+    if (taskId && !this.getTask(taskId)) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const included = new Set(this.listTasks(filters).map((task) => task.id));
+    const childrenOf = (task, seen) =>
+      (task.subtasks || []).flatMap((id) => {
+        const child = this.taskTracker.tasks[id];
+        if (!child || seen.has(id)) return [];
+        const nextSeen = new Set([...seen, id]);
+        return included.has(id)
+          ? [buildNode(child, nextSeen)]
+          : childrenOf(child, nextSeen);
+      });
+    const buildNode = (task, seen) => ({
+      ...task,
+      progress: this.getTaskProgress(task.id),
+      children: childrenOf(task, seen),
+    });
+
+    if (taskId) {
+      return buildNode(this.getTask(taskId), new Set([taskId]));
+    }
+
+    // A task is a root when no included ancestor would list it
+    const hasIncludedAncestor = (task) => {
+      const seen = new Set([task.id]);
+      for (
+        let parent = this.taskTracker.tasks[task.parent_id];
+        parent && !seen.has(parent.id);
+        parent = this.taskTracker.tasks[parent.parent_id]
+      ) {
+        if (included.has(parent.id)) return true;
+        seen.add(parent.id);
+      }
+      return false;
+    };
+
+    return [...included]
+      .map((id) => this.taskTracker.tasks[id])
+      .filter((task) => !hasIncludedAncestor(task))
+      .map((task) => buildNode(task, new Set([task.id])));
+  }
+
+  // ==================== MILESTONES & EPICS ====================
+
+  createMilestone(data) {
+    return this.createGroup("milestone", data);
+  }
+
+  getMilestone(milestoneId) {
+    return this.getGroup("milestone", milestoneId);
+  }
+
+  listMilestones() {
+    return this.listGroups("milestone");
+  }
+
+  updateMilestone(milestoneId, updates, options = {}) {
+    return this.updateGroup("milestone", milestoneId, updates, options);
+  }
+
+  deleteMilestone(milestoneId) {
+    return this.deleteGroup("milestone", milestoneId);
+  }
+
+  createEpic(data) {
+    return this.createGroup("epic", data);
+  }
+
+  getEpic(epicId) {
+    return this.getGroup("epic", epicId);
+  }
+
+  listEpics() {
+    return this.listGroups("epic");
+  }
+
+  updateEpic(epicId, updates, options = {}) {
+    return this.updateGroup("epic", epicId, updates, options);
+  }
+
+  deleteEpic(epicId) {
+    return this.deleteGroup("epic", epicId);
+  }
+
+  /**
+   * @param {string} type - "milestone" or "epic"
+   * @param {Object} data - { id, title, description, target_date }
+   */
+  createGroup(type, data) {
+    return this.withLock(() => {
+      const { collection, prefix, label } = GROUP_TYPES[type];
+      const records = this.getGroupRecords(type);
+      const id = data.id || nextGroupId(records, prefix);
+      if (!data.title) {
+        throw new Error(`${label} title is required`);
+      }
+      if (records[id]) {
+        throw new Error(`${label} ${id} already exists`);
+      }
+
+      records[id] = {
+        id,
+        title: data.title,
+        description: data.description || "",
+        target_date: this.normalizeDate(data.target_date, "target_date"),
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        revision: 1,
+      };
+      this.recordEvent(
+        `${type}.created`,
+        { [`${type}_id`]: id },
+        { [collection]: [id] },
+      );
+      this.saveData();
+
+      console.log(`✅ ${label} ${id} created: ${data.title}`);
+      return this.getGroup(type, id);
+    });
+  }
+
+  /**
+   * @returns {Object|null} The record with its computed summary:
+   *   task_ids, task_count, completed_tasks, completion_percentage,
+   *   remaining_hours and status
+   */
+  getGroup(type, id) {
+    const record = this.getGroupRecords(type)[id];
+    if (!record) return null;
+
+    const tasks = Object.values(this.taskTracker.tasks).filter(
+      (task) => task[GROUP_TYPES[type].field] === id,
+    );
+    return {
+      ...record,
+      task_ids: tasks.map((task) => task.id),
+      ...summarizeGroup(record, tasks, {
+        categoryOf: (status) => this.statusMachine.getCategory(status),
+      }),
+    };
+  }
+
+  /**
+   * @returns {Object[]} Groups with their summaries, by target date (groups
+   *   without one last)
+   */
+  listGroups(type) {
+    return Object.keys(this.getGroupRecords(type))
+      .map((id) => this.getGroup(type, id))
+      .sort(
+        (a, b) =>
+          (a.target_date || "\uffff").localeCompare(
+            b.target_date || "\uffff",
+          ) || a.id.localeCompare(b.id),
+      );
+  }
+
+  updateGroup(type, id, updates, options = {}) {
+    return this.withLock(() => {
+      const { collection, label } = GROUP_TYPES[type];
+      const records = this.getGroupRecords(type);
+      if (!records[id]) {
+        throw new Error(`${label} ${id} not found`);
+      }
+      this.checkRevision(
+        records[id],
+        options.expectedRevision,
+        `${label} ${id}`,
+      );
+
+      const changes = {};
+      ["title", "description", "target_date"].forEach((field) => {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+      });
+      if (changes.title === "") {
+        throw new Error(`${label} title is required`);
+      }
+      if (changes.target_date !== undefined) {
+        changes.target_date = this.normalizeDate(
+          changes.target_date,
+          "target_date",
+        );
+      }
+
+      Object.assign(records[id], changes);
+      this.bumpRevision(records[id]);
+      this.recordEvent(
+        `${type}.updated`,
+        { [`${type}_id`]: id, changes: Object.keys(changes) },
+        { [collection]: [id] },
+      );
+      this.saveData();
+
+      console.log(`✅ ${label} ${id} updated`);
+      return this.getGroup(type, id);
+    });
+  }
+
+  /**
+   * Deletes a group; its tasks are kept and lose the link
+   */
+  deleteGroup(type, id) {
+    return this.withLock(() => {
+      const { collection, field, label } = GROUP_TYPES[type];
+      const records = this.getGroupRecords(type);
+      if (!records[id]) {
+        throw new Error(`${label} ${id} not found`);
+      }
+
+      const unlinkedTaskIds = [];
+      Object.values(this.taskTracker.tasks).forEach((task) => {
+        if (task[field] !== id) return;
+        task[field] = null;
+        this.bumpRevision(task);
+        unlinkedTaskIds.push(task.id);
+      });
+
+      delete records[id];
+      this.recordEvent(
+        `${type}.deleted`,
+        { [`${type}_id`]: id },
+        { [collection]: [id], tasks: unlinkedTaskIds },
+      );
+      this.saveData();
+
+      console.log(`✅ ${label} ${id} deleted`);
+    });
+  }
+
+  getGroupRecords(type) {
+    const { collection } = GROUP_TYPES[type];
+    if (!this.taskTracker[collection]) {
+      this.taskTracker[collection] = {};
+    }
+    return this.taskTracker[collection];
+  }
+
+  /**
+   * @returns {string|null} The group ID if it exists, null if none was given
+   * @throws {Error} If the group does not exist
+   */
+  assertGroupExists(type, id) {
+    if (id === undefined || id === null || id === "") return null;
+    if (!this.getGroupRecords(type)[id]) {
+      throw new Error(`${GROUP_TYPES[type].label} ${id} not found`);
+    }
+    return id;
+  }
+
+  // ==================== PHASES ====================
+
+  /**
+   * @param {Object} data - { id, name, description, deliverables, position }
+   *   (position defaults to the end of the phase list)
+   */
+  createPhase(data) {
+    return this.withLock(() => {
+      const phases = this.getPhaseRecords();
+      const id = data.id || nextPhaseId(phases);
+      if (!data.name) {
+        throw new Error("Phase name is required");
+      }
+      if (phases[id]) {
+        throw new Error(`Phase ${id} already exists`);
+      }
+
+      phases[id] = {
+        id,
+        name: data.name,
+        description: data.description || "",
+        status: "todo",
+        order: Object.keys(phases).length,
+        deliverables: data.deliverables || [],
+        start_date: null,
+        end_date: null,
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        revision: 1,
+      };
+      const movedPhaseIds = this.placePhase(
+        id,
+        data.position !== undefined ? data.position : phases[id].order,
+      );
+      this.recordEvent(
+        "phase.created",
+        { phase_id: id },
+        { phases: [...new Set([id, ...movedPhaseIds])] },
+      );
+      this.saveData();
+
+      console.log(`✅ Phase ${id} created: ${data.name}`);
+      return this.getPhase(id);
+    });
+  }
+
+  /**
+   * @returns {Object|null} The phase with its tasks' progress: task_ids,
+   *   task_count, completed_tasks, completion_percentage, remaining_hours,
+   *   open_required_tasks (what blocks advancing) and active
+   */
+  getPhase(phaseId) {
+    const phase = this.getPhaseRecords()[phaseId];
+    if (!phase) return null;
+
+    const tasks = Object.values(this.taskTracker.tasks).filter(
+      (task) => task.phase === phaseId,
+    );
+    const { status, ...summary } = summarizeGroup(phase, tasks, {
+      categoryOf: (taskStatus) => this.statusMachine.getCategory(taskStatus),
+    });
+
+    return {
+      ...phase,
+      task_ids: tasks.map((task) => task.id),
+      ...summary,
+      open_required_tasks: this.getOpenRequiredTasks(phaseId).map(
+        (task) => task.id,
+      ),
+      active: this.taskTracker.current_state.active_phase === phaseId,
+    };
+  }
+
+  /**
+   * @returns {Object[]} Phases in order, with progress
+   */
+  listPhases() {
+    return sortPhases(this.getPhaseRecords()).map((phase) =>
+      this.getPhase(phase.id),
+    );
+  }
+
+  /**
+   * Updates name, description or deliverables; `position` moves the phase
+   */
+  updatePhase(phaseId, updates, options = {}) {
+    return this.withLock(() => {
+      const phase = this.getPhaseRecords()[phaseId];
+      if (!phase) {
+        throw new Error(`Phase ${phaseId} not found`);
+      }
+      this.checkRevision(phase, options.expectedRevision, `Phase ${phaseId}`);
+
+      const changes = {};
+      ["name", "description", "deliverables"].forEach((field) => {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+      });
+      if (changes.name === "") {
+        throw new Error("Phase name is required");
+      }
+
+      Object.assign(phase, changes);
+      this.bumpRevision(phase);
+      const movedPhaseIds =
+        updates.position !== undefined
+          ? this.placePhase(phaseId, updates.position)
+          : [];
+      this.recordEvent(
+        "phase.updated",
+        {
+          phase_id: phaseId,
+          changes: [
+            ...Object.keys(changes),
+            ...(updates.position !== undefined ? ["position"] : []),
+          ],
+        },
+        { phases: [...new Set([phaseId, ...movedPhaseIds])] },
+      );
+      this.saveData();
+
+      console.log(`✅ Phase ${phaseId} updated`);
+      return this.getPhase(phaseId);
+    });
+  }
+
+  /**
+   * Moves a phase to a zero-based position in the phase order
+   */
+  movePhase(phaseId, position, options = {}) {
+    return this.updatePhase(phaseId, { position }, options);
+  }
+
+  /**
+   * Deletes a phase that is neither active nor used by any task
+   */
+  deletePhase(phaseId) {
+    return this.withLock(() => {
+      const phases = this.getPhaseRecords();
+      if (!phases[phaseId]) {
+        throw new Error(`Phase ${phaseId} not found`);
+      }
+      if (this.taskTracker.current_state.active_phase === phaseId) {
+        throw new Error(`Phase ${phaseId} is the active phase`);
+      }
+      const taskIds = Object.values(this.taskTracker.tasks)
+        .filter((task) => task.phase === phaseId)
+        .map((task) => task.id);
+      if (taskIds.length > 0) {
+        throw new Error(
+          `Phase ${phaseId} still has tasks (${taskIds.join(", ")}); move them to another phase first`,
+        );
+      }
+
+      delete phases[phaseId];
+      const movedPhaseIds = this.renumberPhases(sortPhases(phases));
+      this.recordEvent(
+        "phase.deleted",
+        { phase_id: phaseId },
+        { phases: [phaseId, ...movedPhaseIds] },
+      );
+      this.saveData();
+
+      console.log(`✅ Phase ${phaseId} deleted`);
+    });
+  }
+
+  /**
+   * Completes the active phase and activates the next one. Refuses while
+   * required tasks of the active phase (all but those tagged optional) are
+   * neither done nor cancelled, unless options.force is set.
+   * @returns {Object} { from, to, forced } where to is null after the last phase
+   * @throws {Error} PHASE_INCOMPLETE with the open task IDs in error.tasks
+   */
+  advancePhase(options = {}) {
+    return this.withLock(() => {
+      const phases = this.getPhaseRecords();
+      const currentId = this.taskTracker.current_state.active_phase;
+      const current = phases[currentId];
+      if (!current) {
+        throw new Error(
+          `Active phase ${currentId} is not defined; create it with createPhase`,
+        );
+      }
+
+      const openTaskIds = this.getOpenRequiredTasks(currentId).map(
+        (task) => task.id,
+      );
+      if (openTaskIds.length > 0 && !options.force) {
+        const error = new Error(
+          `Phase ${currentId} still has open required tasks (${openTaskIds.join(", ")}); finish them, tag them optional, or use force`,
+        );
+        error.code = "PHASE_INCOMPLETE";
+        error.tasks = openTaskIds;
+        throw error;
+      }
+
+      const before = this.cloneState();
+      const now = new Date().toISOString();
+      const next = getNextPhase(phases, currentId);
+      current.status = "completed";
+      current.end_date = now;
+      this.bumpRevision(current);
+      if (next) {
+        next.status = "active";
+        next.start_date = now;
+        this.bumpRevision(next);
+        this.taskTracker.current_state.active_phase = next.id;
+      }
+
+      // Diffed, since the active phase lives outside any record
+      this.recordStateChange(
+        "phase.advanced",
+        {
+          phase_id: currentId,
+          next_phase_id: next ? next.id : null,
+          forced: openTaskIds,
+        },
+        before,
+      );
+      this.saveData();
+
+      console.log(
+        next
+          ? `✅ Phase ${currentId} completed; ${next.id} (${next.name}) is now active`
+          : `🎉 Phase ${currentId} completed; it was the last phase`,
+      );
+      return {
+        from: currentId,
+        to: next ? next.id : null,
+        forced: openTaskIds,
+      };
+    });
+  }
+
+  getPhaseRecords() {
+    if (!this.taskTracker.phases) {
+      this.taskTracker.phases = {};
+    }
+    return this.taskTracker.phases;
+  }
+
+  /**
+   * @returns {Object[]} Tasks in the phase that block advancing it
+   */
+  getOpenRequiredTasks(phaseId) {
+    return Object.values(this.taskTracker.tasks).filter(
+      (task) =>
+        task.phase === phaseId &&
+        isRequired(task) &&
+        !this.statusMachine.isIn(task.status, "done", "cancelled"),
+    );
+  }
+
+  /**
+   * Moves a phase to a position and renumbers the phase order
+   * @returns {string[]} IDs of the phases whose order changed
+   */
+  placePhase(phaseId, position) {
+    const ordered = sortPhases(this.getPhaseRecords()).filter(
+      (phase) => phase.id !== phaseId,
+    );
+    const index = Math.max(
+      0,
+      Math.min(parseInt(position, 10) || 0, ordered.length),
+    );
+    ordered.splice(index, 0, this.getPhaseRecords()[phaseId]);
+    return this.renumberPhases(ordered);
+  }
+
+  renumberPhases(ordered) {
+    const changed = [];
+    ordered.forEach((phase, index) => {
+      if (phase.order === index) return;
+      phase.order = index;
+      this.bumpRevision(phase);
+      changed.push(phase.id);
+    });
+    return changed;
+  }
+
+  // ==================== RECURRING TASKS ====================
+
+  /**
+   * Defines a task that is created again on a schedule (see materializeRecurring)
+   * @param {Object} data - { id, title, description, category, priority, tags,
+   *   assignees, estimated_hours, phase, start_date, schedule: { every } | { cron } }
+   *   (`every` and `cron` may also be given at the top level)
+   */
+  createRecurring(data) {
+    return this.withLock(() => {
+      const records = this.getRecurringRecords();
+      const id = data.id || nextGroupId(records, "REC");
+      if (!data.title) {
+        throw new Error("Recurring task title is required");
+      }
+      if (records[id]) {
+        throw new Error(`Recurring task ${id} already exists`);
+      }
+
+      const startDate =
+        this.normalizeDate(data.start_date, "start_date") ||
+        new Date().toISOString();
+      const definition = {
+        id,
+        title: data.title,
+        description: data.description || "",
+        category: data.category || "general",
+        priority: data.priority || "medium",
+        tags: data.tags || [],
+        assignees: this.normalizeAssignees(data.assignees || []).map(
+          (assignee) => assignee.id,
+        ),
+        estimated_hours: data.estimated_hours || 0,
+        phase: data.phase || null,
+        schedule: normalizeSchedule(
+          data.schedule || { every: data.every, cron: data.cron },
+        ),
+        start_date: startDate,
+        active: true,
+        next_run: null,
+        last_run: null,
+        last_task_id: null,
+        created: new Date().toISOString(),
+        updated: new Date().toISOString(),
+        revision: 1,
+      };
+      // The start date itself is the first occurrence if the schedule allows it
+      definition.next_run = this.scheduleNextRun(
+        definition,
+        new Date(new Date(startDate).getTime() - 1),
+      );
+      records[id] = definition;
+      this.recordEvent(
+        "recurring.created",
+        { recurring_id: id },
+        { recurring: [id] },
+      );
+      this.saveData();
+
+      console.log(`✅ Recurring task ${id} created: ${data.title}`);
+      return this.getRecurring(id);
+    });
+  }
+
+  /**
+   * @returns {Object|null} The definition with the IDs of the tasks created from it
+   */
+  getRecurring(recurringId) {
+    const definition = this.getRecurringRecords()[recurringId];
+    if (!definition) return null;
+
+    return {
+      ...definition,
+      task_ids: Object.values(this.taskTracker.tasks)
+        .filter((task) => task.recurring_id === recurringId)
+        .map((task) => task.id),
+    };
+  }
+
+  /**
+   * @returns {Object[]} Definitions by next run; paused ones last
+   */
+  listRecurring() {
+    return Object.values(this.getRecurringRecords())
+      .sort(
+        (a, b) =>
+          (a.active && a.next_run ? 0 : 1) - (b.active && b.next_run ? 0 : 1) ||
+          String(a.next_run).localeCompare(String(b.next_run)) ||
+          a.id.localeCompare(b.id, undefined, { numeric: true }),
+      )
+      .map((definition) => this.getRecurring(definition.id));
+  }
+
+  /**
+   * Updates the task template, the schedule or `active` (false pauses it).
+   * A new schedule, or resuming, schedules the next run after now.
+   */
+  updateRecurring(recurringId, updates, options = {}) {
+    return this.withLock(() => {
+      const definition = this.getRecurringRecords()[recurringId];
+      if (!definition) {
+        throw new Error(`Recurring task ${recurringId} not found`);
+      }
+      this.checkRevision(
+        definition,
+        options.expectedRevision,
+        `Recurring task ${recurringId}`,
+      );
+
+      const changes = {};
+      [
+        "title",
+        "description",
+        "category",
+        "priority",
+        "tags",
+        "estimated_hours",
+        "phase",
+      ].forEach((field) => {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+      });
+      if (changes.title === "") {
+        throw new Error("Recurring task title is required");
+      }
+      if (updates.assignees !== undefined) {
+        changes.assignees = this.normalizeAssignees(updates.assignees).map(
+          (assignee) => assignee.id,
+        );
+      }
+      const schedule =
+        updates.schedule ||
+        (updates.every || updates.cron
+          ? { every: updates.every, cron: updates.cron }
+          : null);
+      if (schedule) {
+        changes.schedule = normalizeSchedule(schedule);
+      }
+      if (updates.active !== undefined) {
+        changes.active = Boolean(updates.active);
+      }
+
+      const resumed = changes.active === true && !definition.active;
+      Object.assign(definition, changes);
+      if (changes.schedule || resumed) {
+        definition.next_run = this.scheduleNextRun(definition, new Date());
+      }
+      this.bumpRevision(definition);
+      this.recordEvent(
+        "recurring.updated",
+        { recurring_id: recurringId, changes: Object.keys(changes) },
+        { recurring: [recurringId] },
+      );
+      this.saveData();
+
+      console.log(`✅ Recurring task ${recurringId} updated`);
+      return this.getRecurring(recurringId);
+    });
+  }
+
+  /**
+   * Deletes a definition. Tasks already created from it are kept and unlinked.
+   */
+  deleteRecurring(recurringId) {
+    return this.withLock(() => {
+      const records = this.getRecurringRecords();
+      if (!records[recurringId]) {
+        throw new Error(`Recurring task ${recurringId} not found`);
+      }
+
+      const unlinked = Object.values(this.taskTracker.tasks).filter(
+        (task) => task.recurring_id === recurringId,
+      );
+      unlinked.forEach((task) => {
+        task.recurring_id = null;
+        this.bumpRevision(task);
+      });
+      delete records[recurringId];
+      this.recordEvent(
+        "recurring.deleted",
+        { recurring_id: recurringId },
+        {
+          recurring: [recurringId],
+          tasks: unlinked.map((task) => task.id),
+        },
+      );
+      this.saveData();
+
+      console.log(`✅ Recurring task ${recurringId} deleted`);
+    });
+  }
+
+  /**
+   * Creates a task for every active definition whose next run has come,
+   * with a fresh ID and the definition's assignees and tags. The task is due
+   * at the following occurrence. Occurrences missed while nothing ran are
+   * collapsed into one task, and an occurrence that already has a task is
+   * never created twice, even when several processes materialize at once.
+   * Each definition is saved on its own, so one that fails (e.g. its phase
+   * was deleted) does not hold back the others. Runs as the system (see
+   * asSystem).
+   * @returns {Object} { created: tasks created, failed: [{ recurring_id,
+   *   title, error }] }
+   */
+  materializeRecurring(now = new Date()) {
+    // Historical views are read-only
+    if (this.asOf) return { created: [], failed: [] };
+
+    return this.asSystem(() =>
+      this.withLock(() => {
+        const created = [];
+        const failed = [];
+        // A failure reloads the data, so definitions are looked up by ID
+        Object.keys(this.getRecurringRecords()).forEach((recurringId) => {
+          const definition = this.getRecurringRecords()[recurringId];
+          if (!definition.active || !definition.next_run) return;
+          if (new Date(definition.next_run) > now) return;
+
+          try {
+            // Nested, so a failure only discards this definition's changes
+            const task = this.withLock(() =>
+              this.materializeOccurrence(definition, now),
+            );
+            if (task) created.push(task);
+          } catch (error) {
+            console.log(
+              `⚠️  Recurring task ${recurringId} failed: ${error.message}`,
+            );
+            failed.push({
+              recurring_id: recurringId,
+              title: definition.title,
+              error: error.message,
+            });
+          }
+        });
+        return { created, failed };
+      }),
+    );
+  }
+
+  /**
+   * Creates the task for a definition's due occurrence and moves the
+   * definition on to its next run
+   * @returns {Object|null} The task, or null if the occurrence already had one
+   */
+  materializeOccurrence(definition, now) {
+    const occurrence = definition.next_run;
+    const following = this.scheduleNextRun(definition, now);
+    const existing = Object.values(this.taskTracker.tasks).find(
+      (task) =>
+        task.recurring_id === definition.id && task.occurrence === occurrence,
+    );
+    const task =
+      existing ||
+      this.createTask({
+        title: definition.title,
+        description: definition.description,
+        category: definition.category,
+        priority: definition.priority,
+        tags: [...definition.tags],
+        assignees: [...definition.assignees],
+        estimated_hours: definition.estimated_hours,
+        phase: definition.phase || undefined,
+        due_date: following,
+        recurring_id: definition.id,
+        occurrence,
+      });
+
+    definition.last_run = occurrence;
+    definition.last_task_id = task.id;
+    definition.next_run = following;
+    this.bumpRevision(definition);
+    this.recordEvent(
+      "recurring.materialized",
+      { recurring_id: definition.id, task_id: task.id, occurrence },
+      { recurring: [definition.id] },
+    );
+    this.saveData();
+    return existing ? null : task;
+  }
+
+  getRecurringRecords() {
+    if (!this.taskTracker.recurring) {
+      this.taskTracker.recurring = {};
+    }
+    return this.taskTracker.recurring;
+  }
+
+  /**
+   * @returns {string|null} The definition's first occurrence after `after`, or
+   *   null if its schedule never matches again
+   */
+  scheduleNextRun(definition, after) {
+    const next = nextOccurrence(
+      definition.schedule,
+      after,
+      new Date(definition.start_date),
+    );
+    return next ? next.toISOString() : null;
+  }
+
+  // ==================== TASK ASSIGNMENT ====================
+
+  assignAgentToTask(taskId, agentInfo, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      this.checkRevision(task, options.expectedRevision, `Task ${taskId}`);
+
+      const normalizedAgent = this.normalizeAssignee(agentInfo);
+
+      // Check if agent is already assigned
+      const isAlreadyAssigned = task.assignees.some(
+        (a) => a.id === normalizedAgent.id,
+      );
+      if (isAlreadyAssigned) {
+        console.log(
+          `⚠️  Agent ${normalizedAgent.id} is already assigned to task ${taskId}`,
+        );
+        return task;
+      }
+
+      task.assignees.push(normalizedAgent);
+      this.bumpRevision(task);
+
+      this.updateAgentWorkloads();
+      this.recordEvent(
+        "task.assigned",
+        { task_id: taskId, agent_id: normalizedAgent.id },
+        { tasks: [taskId] },
+      );
+      this.saveData();
+
+      // Notify the assigned agent
+      try {
+        this.notifyAssignment(taskId, this.currentAgentId);
+      } catch (error) {
+        // Notification failed, but assignment succeeded
+        console.log(`⚠️  Assignment notification failed: ${error.message}`);
+      }
+
+      console.log(
+        `✅ Agent ${normalizedAgent.name} assigned to task ${taskId}`,
+      );
+      return task;
+    });
+  }
+
+  unassignAgentFromTask(taskId, agentId) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      task.assignees = task.assignees.filter((a) => a.id !== agentId);
+      this.bumpRevision(task);
+
+      this.updateAgentWorkloads();
+      this.recordEvent(
+        "task.unassigned",
+        { task_id: taskId, agent_id: agentId },
+        { tasks: [taskId] },
+      );
+      this.saveData();
+
+      console.log(`✅ Agent ${agentId} unassigned from task ${taskId}`);
+      return task;
+    });
+  }
+
+  /**
+   * Moves a task from one agent to another. A note is left as a comment by
+   * the current agent (or the previous assignee) that mentions the new one.
+   */
+  transferTask(taskId, fromAgentId, toAgentInfo, note = null) {
+    return this.withLock(() => {
+      this.unassignAgentFromTask(taskId, fromAgentId);
+      const task = this.assignAgentToTask(taskId, toAgentInfo);
+      if (note) {
+        const toAgentId =
+          typeof toAgentInfo === "string" ? toAgentInfo : toAgentInfo.id;
+        this.addComment(taskId, note, {
+          authorId: this.currentAgentId || fromAgentId,
+          mentions: [toAgentId],
+        });
+      }
+      return task;
+    });
+  }
+
+  // ==================== COMMENTS & ACTIVITY ====================
+
+  /**
+   * Appends a comment to a task's thread. Agents mentioned as @agent-id in
+   * the body or listed in options.mentions are notified; @words that are not
+   * agent IDs are left alone.
+   * @param {Object} options - { mentions, authorId } (author defaults to the current agent)
+   * @returns {Object} { id, task_id, author, body, mentions, created }
+   */
+  addComment(taskId, body, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      const authorId = options.authorId || this.currentAgentId;
+      if (!authorId) {
+        throw new Error("No current agent set");
+      }
+      if (!this.getAgent(authorId)) {
+        throw new Error(`Agent ${authorId} not found`);
+      }
+      if (!body || !String(body).trim()) {
+        throw new Error("Comment body is required");
+      }
+
+      (options.mentions || []).forEach((agentId) => {
+        if (!this.getAgent(agentId)) {
+          throw new Error(`Agent ${agentId} not found`);
+        }
+      });
+      const mentions = [
+        ...new Set([
+          ...(options.mentions || []),
+          ...parseMentions(body).filter((agentId) => this.getAgent(agentId)),
+        ]),
+      ];
+
+      const comments = this.getCommentRecords();
+      const thread = comments[taskId] || (comments[taskId] = []);
+      const comment = {
+        id: thread.length + 1,
+        task_id: taskId,
+        author: authorId,
+        body: String(body).trim(),
+        mentions,
+        created: new Date().toISOString(),
+      };
+      thread.push(comment);
+
+      const author = this.getAgent(authorId);
+      const notifiedAgentIds = mentions.filter(
+        (agentId) => agentId !== authorId,
+      );
+      if (!this.taskTracker.notifications) {
+        this.taskTracker.notifications = {};
+      }
+      notifiedAgentIds.forEach((agentId) => {
+        if (!this.taskTracker.notifications[agentId]) {
+          this.taskTracker.notifications[agentId] = [];
+        }
+        this.taskTracker.notifications[agentId].push({
+          type: "task_mention",
+          task_id: taskId,
+          task_title: task.title,
+          comment_id: comment.id,
+          mentioned_by: author.name,
+          created_at: comment.created,
+          priority: task.priority,
+          message: `${author.name} mentioned you on task ${taskId}: ${comment.body}`,
+        });
+      });
+
+      this.recordEvent(
+        COMMENT_EVENT,
+        { task_id: taskId, comment_id: comment.id },
+        { comments: [taskId], notifications: notifiedAgentIds },
+      );
+      this.saveData();
+
+      console.log(`💬 Comment added to task ${taskId}`);
+      return comment;
+    });
+  }
+
+  /**
+   * @returns {Object[]} The task's comments, oldest first
+   */
+  getComments(taskId) {
+    if (!this.getTask(taskId)) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    return this.getCommentRecords()[taskId] || [];
+  }
+
+  /**
+   * Full history of a task, oldest first: its comments interleaved with the
+   * changes recorded in the event journal. Works for deleted tasks too, as
+   * long as the journal still has them.
+   * @param {Object} options - { limit } to only return the latest entries
+   * @returns {Object[]} Entries with kind 'comment' (a comment) or 'change'
+   *   ({ seq, timestamp, actor, type, action, changes: [{ field, from, to }] })
+   */
+  getTaskActivity(taskId, options = {}) {
+    const changes = this.config.journal
+      ? buildActivity(this.getJournalEvents(), taskId)
+      : [];
+    const comments = this.getCommentRecords()[taskId] || [];
+    if (
+      !this.getTask(taskId) &&
+      changes.length === 0 &&
+      comments.length === 0
+    ) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const entries = [
+      ...changes.map((change) => ({ kind: "change", ...change })),
+      ...comments.map((comment) => ({
+        kind: "comment",
+        timestamp: comment.created,
+        ...comment,
+      })),
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return options.limit ? entries.slice(-options.limit) : entries;
+  }
+
+  // ==================== ARTIFACTS ====================
+
+  /**
+   * Attaches an output to a task: either a file in the project (`path`) or
+   * inline `content`, which is stored under tasks-data/artifacts. The
+   * producing agent is the current agent.
+   * @param {Object} data - { path | content, name, type, description, files }
+   *   where files lists the project files the artifact covers (taken from
+   *   the diff for patches, or the path itself for files)
+   * @returns {Object} The artifact record
+   */
+  attachArtifact(taskId, data = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (!this.currentAgentId) {
+        throw new Error("No current agent set");
+      }
+      const hasContent = data.content !== undefined && data.content !== null;
+      if (Boolean(data.path) === hasContent) {
+        throw new Error("An artifact needs either a path or inline content");
+      }
+
+      const records = this.getArtifactRecords();
+      const id = nextGroupId(records, "ART");
+      const type =
+        data.type ||
+        (data.path
+          ? "file"
+          : extractPatchFiles(data.content).length > 0
+            ? "patch"
+            : "other");
+      if (!ARTIFACT_TYPES.includes(type)) {
+        throw new Error(
+          `Invalid artifact type "${type}" (expected ${ARTIFACT_TYPES.join(", ")})`,
+        );
+      }
+
+      const name =
+        data.name ||
+        (data.path
+          ? path.basename(data.path)
+          : `${id}.${type === "patch" ? "patch" : "txt"}`);
+      const stored = data.path
+        ? this.artifactStore.inspect(data.path)
+        : this.artifactStore.write(taskId, id, name, String(data.content));
+      const files = data.files
+        ? data.files.map(normalizeProjectPath)
+        : data.path
+          ? [stored.path]
+          : type === "patch"
+            ? extractPatchFiles(data.content)
+            : [];
+
+      const artifact = {
+        id,
+        task_id: taskId,
+        name,
+        type,
+        description: data.description || "",
+        path: stored.path || null,
+        stored_path: stored.stored_path || null,
+        size: stored.size,
+        checksum: stored.checksum,
+        files,
+        agent_id: this.currentAgentId,
+        created: new Date().toISOString(),
+      };
+      records[id] = artifact;
+
+      this.recordEvent(
+        ARTIFACT_EVENT,
+        { task_id: taskId, artifact_id: id },
+        { artifacts: [id] },
+      );
+      this.saveData();
+
+      console.log(`📎 Artifact ${id} attached to task ${taskId}: ${name}`);
+      return artifact;
+    });
+  }
+
+  /**
+   * @returns {Object[]} The task's artifacts, oldest first
+   */
+  listArtifacts(taskId) {
+    if (!this.getTask(taskId)) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    return Object.values(this.getArtifactRecords())
+      .filter((artifact) => artifact.task_id === taskId)
+      .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+  }
+
+  getArtifact(artifactId) {
+    return this.getArtifactRecords()[artifactId] || null;
+  }
+
+  /**
+   * @returns {Object} { artifact, content, checksum, modified } where modified
+   *   means the content no longer matches the checksum taken when attached
+   *   (content is null if the file is gone)
+   */
+  readArtifact(artifactId) {
+    const artifact = this.getArtifact(artifactId);
+    if (!artifact) {
+      throw new Error(`Artifact ${artifactId} not found`);
+    }
+    return { artifact, ...this.artifactStore.read(artifact) };
+  }
+
+  /**
+   * @returns {string[]} Entries of the task's files_affected that none of its
+   *   artifacts cover
+   */
+  findMissingArtifacts(task) {
+    return findUncoveredFiles(
+      task.files_affected,
+      Object.values(this.getArtifactRecords()).filter(
+        (artifact) => artifact.task_id === task.id,
+      ),
+    );
+  }
+
+  getArtifactRecords() {
+    if (!this.taskTracker.artifacts) {
+      this.taskTracker.artifacts = {};
+    }
+    return this.taskTracker.artifacts;
+  }
+
+  getCommentRecords() {
+    if (!this.taskTracker.comments) {
+      this.taskTracker.comments = {};
+    }
+    return this.taskTracker.comments;
+  }
+
+  // ==================== COMPLETION CRITERIA ====================
+
+  /**
+   * Runs a task's completion criteria without changing anything
+   * @returns {Object} { task_id, passed, failed, manual, results }
+   */
+  verifyTask(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    return {
+      task_id: taskId,
+      ...verifyCriteria(task.completion_criteria, this.getCriteriaOptions()),
+    };
+  }
+
+  /**
+   * @returns {Object} { projectDir, allowCommands, beforeCommand } for
+   *   running task criteria
+   */
+  getCriteriaOptions() {
+    return {
+      projectDir: this.getProjectDir(),
+      allowCommands: this.config.allowCommandCriteria,
+      // Checks run under the lock when a change is nested in another one
+      beforeCommand: (timeout) => this.extendLock(timeout),
+    };
+  }
+
+  /**
+   * Checks the criteria of a task that is being completed
+   * @param {Object} task - The task with the pending changes
+   * @param {string} waiver - Reason to complete it even though checks fail
+   * @param {Object} verified - Results of verifyBeforeCompleting by task ID,
+   *   used instead of running the checks again
+   * @returns {Object|null} The waiver to record, or null if every check passed
+   * @throws {Error} If a check fails and no waiver is given, or the task
+   *   changed since its checks ran
+   */
+  checkCompletionCriteria(task, waiver, verified = {}) {
+    let verification = verified[task.id];
+    if (verification && verification.revision !== (task.revision || 0)) {
+      const error = new Error(
+        `Task ${task.id} was modified while its completion criteria ran; try again`,
+      );
+      error.code = "REVISION_CONFLICT";
+      throw error;
+    }
+    if (!verification) {
+      verification = this.runCompletionCriteria(task);
+    }
+    if (verification.passed) {
+      return null;
+    }
+
+    const { failed } = verification;
+    if (!waiver) {
+      throw new Error(
+        `Task ${task.id} fails its completion criteria: ${failed.join("; ")}. Fix them or give a waiver reason`,
+      );
+    }
+    return {
+      reason: waiver,
+      agent_id: this.currentAgentId || null,
+      waived_at: new Date().toISOString(),
+      failed,
+    };
+  }
+
+  /**
+   * @returns {Object} { revision, passed, failed } where failed describes
+   *   each failed check
+   */
+  runCompletionCriteria(task) {
+    const verification = verifyCriteria(
+      task.completion_criteria,
+      this.getCriteriaOptions(),
+    );
+    return {
+      revision: task.revision || 0,
+      passed: verification.passed,
+      failed: verification.results
+        .filter((result) => result.status === "failed")
+        .map((result) => `${result.description} (${result.message})`),
+    };
+  }
+
+  /**
+   * Runs the criteria of a task that a status change would complete (and,
+   * with options.cascade, of its open subtasks) before the data lock is
+   * taken. Checks can run commands for longer than other processes wait for
+   * the lock, or than they take it to be held.
+   * @param {*} criteria - Criteria that the change sets, if any
+   * @param {Object} options - updateTask options; only cascade is read
+   * @returns {Object} { revision, passed, failed } by task ID, for
+   *   checkCompletionCriteria; empty if the change completes nothing or the
+   *   lock is already held
+   */
+  verifyBeforeCompleting(taskId, status, criteria, options = {}) {
+    if (this.lockDepth > 0 || this.asOf || !this.config.autoSave) return {};
+    if (status === undefined) return {};
+
+    this.refreshData();
+    const task = this.taskTracker.tasks[taskId];
+    const target = this.statusMachine.resolve(status);
+    if (
+      !task ||
+      target === this.statusMachine.resolve(task.status) ||
+      !this.statusMachine.isIn(target, "done")
+    ) {
+      return {};
+    }
+
+    let pending = task;
+    if (criteria !== undefined) {
+      try {
+        pending = {
+          ...task,
+          completion_criteria: normalizeCriteria(
+            criteria,
+            this.getCriteriaOptions(),
+          ),
+        };
+      } catch (error) {
+        // updateTask reports invalid criteria
+        return {};
+      }
+    }
+    const tasks = [
+      pending,
+      ...(options.cascade ? this.getOpenSubtasks(taskId) : []),
+    ];
+    return Object.fromEntries(
+      tasks.map((entry) => [entry.id, this.runCompletionCriteria(entry)]),
+    );
+  }
+
+  /**
+   * Finds open tasks whose checks (from tasks-data/completion-rules.json and
+   * their own completion criteria) all pass
+   * @param {Object} options - { apply: move the tasks to the proposed status }
+   * @returns {Object[]} Proposals: { task_id, title, from, to, rules, checks,
+   *   applied, error }
+   */
+  detectCompletions(options = {}) {
+    if (!options.apply) {
+      return this.proposeCompletions();
+    }
+
+    // The checks run before the lock is taken; a task that changes in the
+    // meantime is not moved
+    if (this.lockDepth === 0 && !this.asOf) {
+      this.refreshData();
+    }
+    const proposals = this.proposeCompletions();
+    const revisions = Object.fromEntries(
+      proposals.map((proposal) => [
+        proposal.task_id,
+        this.taskTracker.tasks[proposal.task_id].revision || 0,
+      ]),
+    );
+
+    return this.withLock(() => {
+      proposals
+        .filter((proposal) => !proposal.error)
+        .forEach((proposal) => {
+          try {
+            // Passing its checks means passing the task's own criteria too
+            this.moveTask(proposal.task_id, proposal.to, {
+              verified: {
+                [proposal.task_id]: {
+                  revision: revisions[proposal.task_id],
+                  passed: true,
+                  failed: [],
+                },
+              },
+            });
+            proposal.applied = true;
+          } catch (error) {
+            proposal.error = error.message;
+          }
+        });
+      return proposals;
+    });
+  }
+
+  proposeCompletions() {
+    const rules = loadCompletionRules(this.dataDir);
+    const doneStatus = this.statusMachine.getStatusesIn("done")[0];
+
+    return Object.values(this.taskTracker.tasks || {})
+      .filter(
+        (task) =>
+          !this.statusMachine.isTerminal(task.status) &&
+          !this.statusMachine.isIn(task.status, "done", "cancelled"),
+      )
+      .map((task) => {
+        const detection = detectCompletion(
+          task,
+          rules,
+          this.getCriteriaOptions(),
+        );
+        if (!detection || !detection.passed) return null;
+
+        const to = this.statusMachine.resolve(detection.status || doneStatus);
+        if (this.statusMachine.resolve(task.status) === to) return null;
+        const statusPath = this.statusMachine.isValid(to)
+          ? this.statusMachine.findPath(task.status, to)
+          : null;
+        return {
+          task_id: task.id,
+          title: task.title,
+          from: task.status,
+          to,
+          rules: detection.rules,
+          checks: detection.results.map((result) => result.description),
+          path: statusPath,
+          applied: false,
+          error: statusPath
+            ? null
+            : `No transition from ${task.status} to ${to}`,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // ==================== RECOMMENDATIONS ====================
+
+  /**
+   * @param {Object} options - { strategy, weights } to score with instead of
+   *   the project's default strategy and weights; explain: true returns the
+   *   report of getRecommendationReport instead of the tasks alone
+   * @returns {Object[]|Object} The recommended tasks, or the report
+   */
+  getRecommendationsForAgent(agentId, limit = null, options = {}) {
+    const report = this.getRecommendationReport(agentId, limit, options);
+
+    // Update recommendation history
+    this.addRecommendationHistory(agentId, report.recommendations);
+
+    return options.explain ? report : report.recommendations;
+  }
+
+  /**
+   * Recommendations for an agent, and the open tasks left out with why
+   * @returns {Object} { agent_id, strategy, recommendations, excluded } where
+   *   excluded holds { task_id, title, status, score, reasons }; score is
+   *   null for tasks the agent cannot take up
+   */
+  getRecommendationReport(agentId, limit = null, options = {}) {
+    const agent = this.getAgent(agentId);
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
+
+    const eligible = [];
+    const unavailable = [];
+    Object.values(this.taskTracker.tasks).forEach((task) => {
+      if (this.statusMachine.isIn(task.status, "done", "cancelled")) return;
+      const reasons = this.getExclusionReasons(task, agent);
+      if (reasons.length === 0) {
+        eligible.push(task);
+      } else {
+        unavailable.push({
+          task_id: task.id,
+          title: task.title,
+          status: task.status,
+          score: null,
+          reasons,
+        });
+      }
+    });
+
+    const { recommendations, skipped } = this.selectTasks(eligible, limit, {
+      ...options,
+      agent,
+    });
+
+    return {
+      agent_id: agentId,
+      strategy: options.strategy || this.recommendationRules.strategy,
+      recommendations,
+      excluded: [
+        ...skipped.map(({ task, reason }) => ({
+          task_id: task.id,
+          title: task.title,
+          status: task.status,
+          score: task.recommendation_score,
+          reasons: [reason],
+        })),
+        ...unavailable,
+      ],
+    };
+  }
+
+  /**
+   * Why a task is or is not recommended to an agent
+   * @param {Object} options - { strategy, weights }, see getTaskScore
+   * @returns {Object} { task_id, title, agent_id, strategy, recommended, rank,
+   *   score, factors, reason, excluded_because } where factors are
+   *   { factor, points, detail }
+   */
+  explainRecommendation(taskId, agentId, options = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const report = this.getRecommendationReport(agentId, null, options);
+    const index = report.recommendations.findIndex(
+      (recommended) => recommended.id === taskId,
+    );
+    const exclusion = report.excluded.find((entry) => entry.task_id === taskId);
+    const criticalPath = this.getCriticalPath();
+    const score = this.getTaskScore(task, criticalPath, options);
+
+    return {
+      task_id: task.id,
+      title: task.title,
+      agent_id: agentId,
+      strategy: score.strategy,
+      recommended: index !== -1,
+      rank: index !== -1 ? index + 1 : null,
+      score: score.total,
+      factors: this.getScoreFactors(
+        task,
+        score,
+        criticalPath,
+        this.getAgent(agentId),
+      ),
+      reason: this.generateRecommendationReason(task, criticalPath),
+      excluded_because:
+        index !== -1
+          ? []
+          : exclusion
+            ? exclusion.reasons
+            : this.getExclusionReasons(task, this.getAgent(agentId)),
+    };
+  }
+
+  /**
+   * Recommendations for the project as a whole: ready tasks, whoever they
+   * are assigned to
+   */
+  getProjectRecommendations(limit = null, options = {}) {
+    return this.rankTasks(
+      Object.values(this.taskTracker.tasks).filter((task) =>
+        this.isTaskReady(task),
+      ),
+      limit,
+      options,
+    );
+  }
+
+  /**
+   * Stores the project recommendations in current_state.next_recommended_tasks
+   * @returns {Object[]} The recommendations
+   */
+  refreshRecommendations() {
+    return this.withLock(() => {
+      const before = this.cloneState();
+      const recommendations = this.getProjectRecommendations();
+      const now = new Date().toISOString();
+      const state = this.taskTracker.current_state;
+      state.next_recommended_tasks = recommendations.map((task, index) => ({
+        task_id: task.id,
+        score: task.recommendation_score,
+        rank: index + 1,
+        reason: task.recommendation_reason,
+      }));
+      state.latest_update = now;
+      state.recommendation_algorithm = {
+        version: ALGORITHM_VERSION,
+        last_calculated: now,
+        strategy: this.recommendationRules.strategy,
+        max_recommendations: this.recommendationRules.max_recommendations,
+      };
+      this.addRecommendationHistory(null, recommendations);
+
+      // Diffed, since current_state lives outside any record
+      this.recordStateChange(
+        "recommendations.refreshed",
+        { task_ids: recommendations.map((task) => task.id) },
+        before,
+      );
+      this.saveData();
+      return recommendations;
+    });
+  }
+
+  /**
+   * Scores tasks and applies the recommendation rules (high-risk limit,
+   * active phase first)
+   * @param {Object} options - { strategy, weights }, see getTaskScore, and
+   *   the agent the tasks are for, whose capability fit is explained
+   * @returns {Object[]} The recommended tasks with recommendation_score,
+   *   recommendation_strategy, score_breakdown, score_factors and
+   *   recommendation_reason
+   */
+  rankTasks(tasks, limit = null, options = {}) {
+    return this.selectTasks(tasks, limit, options).recommendations;
+  }
+
+  /**
+   * Same as rankTasks, along with the scored tasks the rules left out
+   * @returns {Object} { recommendations, skipped: [{ task, reason }] }
+   */
+  selectTasks(tasks, limit = null, options = {}) {
+    if (options.strategy) {
+      getScoringStrategy(options.strategy);
+    }
+    const criticalPath = this.getCriticalPath();
+    const scored = tasks.map((task) => {
+      const score = this.getTaskScore(task, criticalPath, options);
+      return {
+        task,
+        score: score.total,
+        strategy: score.strategy,
+        breakdown: score.breakdown,
+      };
+    });
+
+    const { selected, skipped } = selectRecommendations(scored, {
+      rules: this.recommendationRules,
+      limit,
+      currentPhase: this.taskTracker.current_state.active_phase,
+      activeHighRisk: Object.values(this.taskTracker.tasks).filter(
+        (task) =>
+          task.risk_level === "high" &&
+          this.statusMachine.isIn(task.status, "active"),
+      ).length,
+    });
+
+    const toRecommendation = ({ task, score, strategy, breakdown }) => ({
+      ...task,
+      recommendation_score: score,
+      recommendation_strategy: strategy,
+      score_breakdown: breakdown,
+      score_factors: this.getScoreFactors(
+        task,
+        { total: score, strategy, breakdown },
+        criticalPath,
+        options.agent,
+      ),
+      recommendation_reason: this.generateRecommendationReason(
+        task,
+        criticalPath,
+      ),
+    });
+
+    return {
+      recommendations: selected.map(toRecommendation),
+      skipped: skipped.map((entry) => ({
+        task: toRecommendation(entry),
+        reason: entry.reason,
+      })),
+    };
+  }
+
+  // ==================== CRITICAL PATH ====================
+
+  /**
+   * Critical path over the remaining (not done or cancelled) tasks, using
+   * estimated_hours as durations (a default for tasks without one)
+   * @returns {Object} { duration, path, chain, tasks, unresolved,
+   *   unestimated } where tasks maps each task ID to its earliest/latest
+   *   start and finish and slack
+   */
+  getCriticalPath() {
+    const analysis = analyzeCriticalPath(this.taskTracker.tasks, {
+      isClosed: (task) =>
+        this.statusMachine.isIn(task.status, "done", "cancelled"),
+    });
+
+    return {
+      ...analysis,
+      chain: analysis.path.map((id) => ({
+        id,
+        title: this.taskTracker.tasks[id].title,
+        status: this.taskTracker.tasks[id].status,
+        ...analysis.tasks[id],
+      })),
+    };
+  }
+
+  // ==================== DEADLINES ====================
+
+  /**
+   * @returns {Object|null} { task_id, due_date, source, hours_left, late_start, state }
+   *   for an open task with a due date, SLA or planned start; null otherwise
+   */
+  getDeadline(taskId, now = new Date()) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    return this.assessDeadline(task, now);
+  }
+
+  /**
+   * Open tasks that are overdue or at risk, most urgent first
+   * @param {Object} filters - { agentId } to only include an agent's tasks
+   * @returns {Object} { overdue: [...], at_risk: [...] }
+   */
+  getDeadlines(filters = {}, now = new Date()) {
+    const assessments = Object.values(this.taskTracker.tasks)
+      .filter(
+        (task) =>
+          !filters.agentId ||
+          (task.assignees || []).some((a) => a.id === filters.agentId),
+      )
+      .map((task) => this.assessDeadline(task, now))
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          (a.hours_left ?? -Infinity) - (b.hours_left ?? -Infinity) ||
+          a.task_id.localeCompare(b.task_id),
+      );
+
+    return {
+      overdue: assessments.filter((entry) => entry.state === "overdue"),
+      at_risk: assessments.filter((entry) => entry.state === "at-risk"),
+    };
+  }
+
+  /**
+   * Notifies the assignees of every overdue task, once per deadline. Runs
+   * automatically on check-in and when agents read their notifications.
+   * Escalations are recorded as system events, outside any agent's undo history.
+   * Nothing is locked or written unless a task is newly overdue.
+   * @returns {string[]} IDs of the tasks that were escalated
+   */
+  escalateOverdueTasks(now = new Date()) {
+    // Historical views are read-only
+    if (this.asOf) return [];
+
+    const findEscalations = () =>
+      this.getDeadlines({}, now).overdue.filter((entry) => {
+        const task = this.taskTracker.tasks[entry.task_id];
+        return (
+          task.assignees.length > 0 &&
+          task.overdue_notified_for !== entry.due_date
+        );
+      });
+    if (this.lockDepth === 0) {
+      this.refreshData();
+      if (findEscalations().length === 0) return [];
+    }
+
+    return this.asSystem(() =>
+      this.withLock(() => {
+        const escalated = findEscalations();
+        if (escalated.length === 0) return [];
+
+        if (!this.taskTracker.notifications) {
+          this.taskTracker.notifications = {};
+        }
+        const notifiedAgentIds = new Set();
+        escalated.forEach((entry) => {
+          const task = this.taskTracker.tasks[entry.task_id];
+          const notification = {
+            type: "task_overdue",
+            task_id: task.id,
+            task_title: task.title,
+            due_date: entry.due_date,
+            created_at: now.toISOString(),
+            priority: task.priority,
+            message: `Task ${task.id} is overdue (was due ${entry.due_date}): ${task.title}`,
+          };
+          task.assignees.forEach((assignee) => {
+            if (!this.taskTracker.notifications[assignee.id]) {
+              this.taskTracker.notifications[assignee.id] = [];
+            }
+            this.taskTracker.notifications[assignee.id].push(notification);
+            notifiedAgentIds.add(assignee.id);
+          });
+          // Bookkeeping only: the revision stays, so agents holding the
+          // task can still update it
+          task.overdue_notified_for = entry.due_date;
+        });
+
+        const taskIds = escalated.map((entry) => entry.task_id);
+        this.recordEvent(
+          "task.overdue",
+          { task_ids: taskIds },
+          { tasks: taskIds, notifications: [...notifiedAgentIds] },
+        );
+        this.saveData();
+        return taskIds;
+      }),
+    );
+  }
+
+  assessDeadline(task, now = new Date()) {
+    return assessDeadline(task, this.sla, {
+      categoryOf: (status) => this.statusMachine.getCategory(status),
+      now,
+    });
+  }
+
+  // ==================== TIME TRACKING ====================
+
+  /**
+   * @returns {Object} { task_id, estimated_hours, actual_hours, variance_hours,
+   *   running, by_agent, sessions } where actual_hours includes running sessions
+   */
+  getTimeTracking(taskId, now = new Date()) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const sessions = (task.work_sessions || []).map((session) => ({
+      ...session,
+      hours: roundHours(sessionHours(session, now)),
+    }));
+    const byAgent = {};
+    sessions.forEach((session) => {
+      byAgent[session.agent_id] = roundHours(
+        (byAgent[session.agent_id] || 0) + sessionHours(session, now),
+      );
+    });
+    const actualHours = getActualHours(task, { now });
+
+    return {
+      task_id: task.id,
+      estimated_hours: task.estimated_hours || 0,
+      actual_hours: actualHours,
+      variance_hours: roundHours(actualHours - (task.estimated_hours || 0)),
+      running: sessions
+        .filter((session) => !session.ended)
+        .map((session) => session.agent_id),
+      by_agent: byAgent,
+      sessions,
+    };
+  }
+
+  /**
+   * Work sessions in a time window, oldest first. Sessions overlapping the
+   * window's edges only count the hours inside it.
+   * @param {Object} filters - { agentId, since, until }
+   * @returns {Object} { since, until, entries, total_hours, by_agent, by_task }
+   */
+  getTimesheet(filters = {}, now = new Date()) {
+    const since = this.normalizeDate(filters.since, "since");
+    const until = this.normalizeDate(filters.until, "until");
+    const window = {
+      since: since ? new Date(since) : null,
+      until: until ? new Date(until) : null,
+    };
+
+    const entries = [];
+    Object.values(this.taskTracker.tasks).forEach((task) => {
+      (task.work_sessions || []).forEach((session) => {
+        if (filters.agentId && session.agent_id !== filters.agentId) return;
+        const hours = sessionHours(session, now, window);
+        if (hours <= 0) return;
+        entries.push({
+          agent_id: session.agent_id,
+          task_id: task.id,
+          task_title: task.title,
+          category: task.category,
+          started: session.started,
+          ended: session.ended,
+          hours: roundHours(hours),
+        });
+      });
+    });
+    entries.sort(
+      (a, b) =>
+        new Date(a.started) - new Date(b.started) ||
+        a.task_id.localeCompare(b.task_id),
+    );
+
+    const sumBy = (key) =>
+      entries.reduce((totals, entry) => {
+        totals[entry[key]] = roundHours(
+          (totals[entry[key]] || 0) + entry.hours,
+        );
+        return totals;
+      }, {});
+
+    return {
+      since,
+      until,
+      entries,
+      total_hours: roundHours(
+        entries.reduce((sum, entry) => sum + entry.hours, 0),
+      ),
+      by_agent: sumBy("agent_id"),
+      by_task: sumBy("task_id"),
+    };
+  }
+
+  /**
+   * Compares estimated with actual hours on completed tasks that have both.
+   * For agent and agent-type groups, a task's estimate is split between the
+   * agents who worked on it in proportion to their logged hours, so humans
+   * and AI agents sharing a task are measured against the same estimate.
+   * @param {Object} options - { groupBy: 'agent' | 'type' | 'category' }
+   * @returns {Object} { group_by, overall, groups: [{ key, ...summary }] } where a
+   *   summary is { tasks, estimated_hours, actual_hours, ratio, mean_error_percent }
+   */
+  getEstimateAccuracy(options = {}, now = new Date()) {
+    const groupBy = options.groupBy || "agent";
+    if (!["agent", "type", "category"].includes(groupBy)) {
+      throw new Error(
+        `Invalid groupBy "${groupBy}" (expected agent, type or category)`,
+      );
+    }
+
+    const overall = [];
+    const samplesByKey = new Map();
+    const addSample = (key, sample) => {
+      if (!samplesByKey.has(key)) samplesByKey.set(key, []);
+      samplesByKey.get(key).push(sample);
+    };
+
+    Object.values(this.taskTracker.tasks).forEach((task) => {
+      const actualHours = getActualHours(task, { now });
+      if (
+        !this.statusMachine.isIn(task.status, "done") ||
+        !(task.estimated_hours > 0) ||
+        !(actualHours > 0)
+      ) {
+        return;
+      }
+      overall.push({
+        estimated_hours: task.estimated_hours,
+        actual_hours: actualHours,
+      });
+
+      if (groupBy === "category") {
+        addSample(task.category, {
+          estimated_hours: task.estimated_hours,
+          actual_hours: actualHours,
+        });
+        return;
+      }
+
+      const agentIds = [
+        ...new Set(task.work_sessions.map((session) => session.agent_id)),
+      ];
+      const samplesByGroup = new Map();
+      agentIds.forEach((agentId) => {
+        const agentHours = getActualHours(task, { agentId, now });
+        if (!(agentHours > 0)) return;
+        const agent = this.getAgent(agentId);
+        const key =
+          groupBy === "type" ? (agent ? agent.type : "unknown") : agentId;
+        const sample = samplesByGroup.get(key) || {
+          estimated_hours: 0,
+          actual_hours: 0,
+        };
+        sample.estimated_hours +=
+          (task.estimated_hours * agentHours) / actualHours;
+        sample.actual_hours += agentHours;
+        samplesByGroup.set(key, sample);
+      });
+      samplesByGroup.forEach((sample, key) => addSample(key, sample));
+    });
+
+    const groups = [...samplesByKey.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, samples]) => {
+        const group = { key, ...summarizeAccuracy(samples) };
+        if (groupBy === "agent") {
+          const agent = this.getAgent(key);
+          group.name = agent ? agent.name : key;
+          group.type = agent ? agent.type : "unknown";
+        }
+        return group;
+      });
+
+    return {
+      group_by: groupBy,
+      overall: summarizeAccuracy(overall),
+      groups,
+    };
+  }
+
+  /**
+   * Starts a work session for the current agent unless one is running.
+   * The caller records the change.
+   */
+  openWorkSession(task) {
+    if (
+      !this.currentAgentId ||
+      task.work_sessions.some(
+        (session) => session.agent_id === this.currentAgentId && !session.ended,
+      )
+    ) {
+      return;
+    }
+
+    task.work_sessions.push({
+      agent_id: this.currentAgentId,
+      started: new Date().toISOString(),
+      ended: null,
+    });
+  }
+
+  /**
+   * Ends the running work sessions on a task (only agentId's if given) and
+   * updates its actual_hours. The caller records the change.
+   * @returns {number} Number of sessions ended
+   */
+  closeWorkSessions(task, agentId = null) {
+    const ended = new Date().toISOString();
+    const running = (task.work_sessions || []).filter(
+      (session) => !session.ended && (!agentId || session.agent_id === agentId),
+    );
+    running.forEach((session) => {
+      session.ended = ended;
+    });
+    if (running.length > 0) {
+      task.actual_hours = getActualHours(task, { finishedOnly: true });
+    }
+    return running.length;
+  }
+
+  // ==================== AGENT-CENTRIC METHODS ====================
+
+  getCurrentAgent() {
+    if (!this.currentAgentId) {
+      throw new Error(
+        "No current agent set. Set TASK_MANAGER_AGENT_ID environment variable or pass agentId in constructor.",
+      );
+    }
+    return this.getAgent(this.currentAgentId);
+  }
+
+  setCurrentAgent(agentId) {
+    const agent = this.getAgent(agentId);
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
     this.currentAgentId = agentId;
     return agent;
   }
@@ -1293,18 +4780,22 @@ Happy task managing! 🚀
   }
 
   getMyActiveTasks() {
-    return this.getMyTasks({ status: "in-progress" });
+    return this.getMyTasks().filter((task) =>
+      this.statusMachine.isIn(task.status, "active"),
+    );
   }
 
   getMyTodoTasks() {
-    return this.getMyTasks({ status: "todo" });
+    return this.getMyTasks().filter((task) =>
+      this.statusMachine.isIn(task.status, "open"),
+    );
   }
 
-  getMyRecommendations(limit = null) {
+  getMyRecommendations(limit = null, options = {}) {
     if (!this.currentAgentId) {
       throw new Error("No current agent set");
     }
-    return this.getRecommendationsForAgent(this.currentAgentId, limit);
+    return this.getRecommendationsForAgent(this.currentAgentId, limit, options);
   }
 
   getMyWorkload() {
@@ -1314,51 +4805,171 @@ Happy task managing! 🚀
     return this.getAgentWorkload(this.currentAgentId);
   }
 
-  startTask(taskId) {
-    const task = this.getTask(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+  startTask(taskId, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
 
-    // Check if current agent is assigned to this task
-    const isAssigned =
-      task.assignees &&
-      task.assignees.some((a) => a.id === this.currentAgentId);
-    if (!isAssigned) {
-      throw new Error(`Current agent is not assigned to task ${taskId}`);
-    }
+      // Check if current agent is assigned to this task
+      const isAssigned =
+        task.assignees &&
+        task.assignees.some((a) => a.id === this.currentAgentId);
+      if (!isAssigned) {
+        throw new Error(`Current agent is not assigned to task ${taskId}`);
+      }
 
-    return this.updateTask(taskId, { status: "in-progress" });
+      const status = this.statusMachine.resolveNext(
+        task.status,
+        "active",
+        `Task ${taskId}`,
+      );
+      return this.updateTask(
+        taskId,
+        { status },
+        { ...options, startWork: true },
+      );
+    });
   }
 
-  completeTask(taskId) {
-    const task = this.getTask(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+  completeTask(taskId, options = {}) {
+    // The checks run before the lock is taken, see verifyBeforeCompleting
+    let verified = options.verified || {};
+    if (!options.verified && this.lockDepth === 0 && !this.asOf) {
+      this.refreshData();
+      const pending = this.getTask(taskId);
+      verified = this.verifyBeforeCompleting(
+        taskId,
+        pending &&
+          this.statusMachine
+            .getNextStatuses(pending.status)
+            .find((status) => this.statusMachine.isIn(status, "done")),
+        undefined,
+        options,
+      );
     }
 
-    // Check if current agent is assigned to this task
-    const isAssigned =
-      task.assignees &&
-      task.assignees.some((a) => a.id === this.currentAgentId);
-    if (!isAssigned) {
-      throw new Error(`Current agent is not assigned to task ${taskId}`);
-    }
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+
+      // Check if current agent is assigned to this task
+      const isAssigned =
+        task.assignees &&
+        task.assignees.some((a) => a.id === this.currentAgentId);
+      if (!isAssigned) {
+        throw new Error(`Current agent is not assigned to task ${taskId}`);
+      }
+
+      const status = this.statusMachine.resolveNext(
+        task.status,
+        "done",
+        `Task ${taskId}`,
+      );
+      return this.updateTask(taskId, { status }, { ...options, verified });
+    });
+  }
+
+  /**
+   * Stops the current agent's clock on a task without changing its status
+   */
+  pauseTask(taskId, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (!this.currentAgentId) {
+        throw new Error("No current agent set");
+      }
+      this.checkRevision(task, options.expectedRevision, `Task ${taskId}`);
+
+      if (this.closeWorkSessions(task, this.currentAgentId) === 0) {
+        throw new Error(
+          `Task ${taskId} has no running work session for ${this.currentAgentId}`,
+        );
+      }
+      this.bumpRevision(task);
+      this.recordEvent(
+        "task.work_paused",
+        { task_id: taskId, agent_id: this.currentAgentId },
+        { tasks: [taskId] },
+      );
+      this.saveData();
+
+      console.log(`⏸️  Paused work on task ${taskId}`);
+      return task;
+    });
+  }
 
-    return this.updateTask(taskId, { status: "completed" });
+  /**
+   * Restarts the current agent's clock on a paused task. Like startTask, a
+   * task that is not active yet is moved to an active status.
+   */
+  resumeTask(taskId, options = {}) {
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (
+        (task.work_sessions || []).some(
+          (session) =>
+            session.agent_id === this.currentAgentId && !session.ended,
+        )
+      ) {
+        throw new Error(`Task ${taskId} is already running`);
+      }
+      return this.startTask(taskId, options);
+    });
   }
 
-  takeSelfAssignedTask(taskId) {
+  /**
+   * Makes the current agent the task's primary assignee. The task is checked
+   * against the latest data under the lock, so when two agents race for it
+   * only the first is assigned and the other gets a TASK_TAKEN error.
+   * @param {Object} options - { expectedRevision } to also require the
+   *   revision the agent last saw
+   */
+  takeSelfAssignedTask(taskId, options = {}) {
     if (!this.currentAgentId) {
       throw new Error("No current agent set");
     }
 
-    const currentAgent = this.getCurrentAgent();
-    return this.assignAgentToTask(taskId, {
-      id: this.currentAgentId,
-      name: currentAgent.name,
-      type: currentAgent.type,
-      role: "primary",
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      this.checkRevision(task, options.expectedRevision, `Task ${taskId}`);
+
+      const holder = task.assignees.find(
+        (a) => (a.role || "primary") === "primary",
+      );
+      if (holder && holder.id === this.currentAgentId) {
+        return task;
+      }
+      const reason = holder
+        ? `already taken by ${holder.id}`
+        : !this.statusMachine.isIn(task.status, "open")
+          ? `${task.status}, not open`
+          : null;
+      if (reason) {
+        const error = new Error(`Task ${taskId} is ${reason}`);
+        error.code = "TASK_TAKEN";
+        throw error;
+      }
+
+      const currentAgent = this.getCurrentAgent();
+      return this.assignAgentToTask(taskId, {
+        id: this.currentAgentId,
+        name: currentAgent.name,
+        type: currentAgent.type,
+        role: "primary",
+      });
     });
   }
 
@@ -1367,10 +4978,12 @@ Happy task managing! 🚀
       throw new Error("No current agent set");
     }
 
+    this.escalateOverdueTasks();
     const agent = this.getCurrentAgent();
     const activeTasks = this.getMyActiveTasks();
     const todoTasks = this.getMyTodoTasks();
     const recommendations = this.getMyRecommendations(3);
+    const deadlines = this.getDeadlines({ agentId: this.currentAgentId });
 
     return {
       agent: agent,
@@ -1378,51 +4991,62 @@ Happy task managing! 🚀
         active_tasks: activeTasks.length,
         todo_tasks: todoTasks.length,
         pending_recommendations: recommendations.length,
+        overdue_tasks: deadlines.overdue.length,
+        at_risk_tasks: deadlines.at_risk.length,
       },
       active_tasks: activeTasks,
       todo_tasks: todoTasks,
       recommendations: recommendations,
+      deadlines: deadlines,
     };
   }
 
   notifyAssignment(taskId, assignedByAgentId = null) {
-    const task = this.getTask(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+    return this.withLock(() => {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
 
-    const assignedBy = assignedByAgentId
-      ? this.getAgent(assignedByAgentId)
-      : null;
-    const notification = {
-      type: "task_assignment",
-      task_id: taskId,
-      task_title: task.title,
-      assigned_by: assignedBy ? assignedBy.name : "System",
-      assigned_at: new Date().toISOString(),
-      priority: task.priority,
-      message: `You have been assigned to task: ${task.title}`,
-    };
+      const assignedBy = assignedByAgentId
+        ? this.getAgent(assignedByAgentId)
+        : null;
+      const notification = {
+        type: "task_assignment",
+        task_id: taskId,
+        task_title: task.title,
+        assigned_by: assignedBy ? assignedBy.name : "System",
+        assigned_at: new Date().toISOString(),
+        priority: task.priority,
+        message: `You have been assigned to task: ${task.title}`,
+      };
 
-    // Store notification for the assigned agents
-    task.assignees.forEach((assignee) => {
-      if (!this.taskTracker.notifications) {
-        this.taskTracker.notifications = {};
-      }
-      if (!this.taskTracker.notifications[assignee.id]) {
-        this.taskTracker.notifications[assignee.id] = [];
-      }
-      this.taskTracker.notifications[assignee.id].push(notification);
-    });
+      // Store notification for the assigned agents
+      task.assignees.forEach((assignee) => {
+        if (!this.taskTracker.notifications) {
+          this.taskTracker.notifications = {};
+        }
+        if (!this.taskTracker.notifications[assignee.id]) {
+          this.taskTracker.notifications[assignee.id] = [];
+        }
+        this.taskTracker.notifications[assignee.id].push(notification);
+      });
 
-    this.saveData();
-    return notification;
+      this.recordEvent(
+        "notification.sent",
+        { task_id: taskId },
+        { notifications: task.assignees.map((assignee) => assignee.id) },
+      );
+      this.saveData();
+      return notification;
+    });
   }
 
   getMyNotifications() {
     if (!this.currentAgentId) {
       throw new Error("No current agent set");
     }
+    this.escalateOverdueTasks();
 
     if (
       !this.taskTracker.notifications ||
@@ -1435,56 +5059,113 @@ Happy task managing! 🚀
   }
 
   clearMyNotifications() {
-    if (!this.currentAgentId) {
-      throw new Error("No current agent set");
-    }
+    return this.withLock(() => {
+      if (!this.currentAgentId) {
+        throw new Error("No current agent set");
+      }
 
-    if (
-      this.taskTracker.notifications &&
-      this.taskTracker.notifications[this.currentAgentId]
-    ) {
-      this.taskTracker.notifications[this.currentAgentId] = [];
-      this.saveData();
-    }
+      if (
+        this.taskTracker.notifications &&
+        this.taskTracker.notifications[this.currentAgentId]
+      ) {
+        this.taskTracker.notifications[this.currentAgentId] = [];
+        this.recordEvent(
+          "notification.cleared",
+          { agent_id: this.currentAgentId },
+          { notifications: [this.currentAgentId] },
+        );
+        this.saveData();
+      }
+    });
   }
 
   getEligibleTasksForAgent(agentId) {
     const agent = this.getAgent(agentId);
     if (!agent) return [];
 
-    return Object.values(this.taskTracker.tasks).filter((task) => {
-      // Must be todo or unassigned
-      if (task.status !== "todo" && task.status !== "blocked") return false;
+    return Object.values(this.taskTracker.tasks).filter(
+      (task) => this.getExclusionReasons(task, agent).length === 0,
+    );
+  }
 
-      // Check if agent is already assigned
-      const isAssigned =
-        task.assignees && task.assignees.some((a) => a.id === agentId);
-      if (isAssigned) return false;
+  /**
+   * @returns {string[]} Why the agent cannot take up the task, none if it can
+   */
+  getExclusionReasons(task, agent) {
+    const reasons = this.getReadinessIssues(task);
 
-      // Check dependencies
-      const hasUnmetDependencies = task.dependencies.some((depId) => {
-        const depTask = this.taskTracker.tasks[depId];
-        return !depTask || depTask.status !== "completed";
-      });
-      if (hasUnmetDependencies) return false;
+    // Tasks the agent already has are not recommended again
+    if (task.assignees && task.assignees.some((a) => a.id === agent.id)) {
+      reasons.push(`Already assigned to ${agent.id}`);
+    }
 
-      // Check agent capabilities (for AI agents)
-      if (
-        agent.type === "ai" &&
-        agent.capabilities &&
-        agent.capabilities.length > 0
-      ) {
-        const taskRequiresCapability = this.getRequiredCapabilities(task);
-        if (taskRequiresCapability.length > 0) {
-          const hasRequiredCapability = taskRequiresCapability.some((cap) =>
-            agent.capabilities.includes(cap),
-          );
-          if (!hasRequiredCapability) return false;
-        }
-      }
+    const fit = this.getCapabilityFit(task, agent);
+    if (!fit.fits) {
+      reasons.push(
+        `Needs ${fit.required.join(" or ")}, which ${agent.id} does not have`,
+      );
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Capabilities are only checked for AI agents that list some
+   * @returns {Object} { required, matched, checked, fits }
+   */
+  getCapabilityFit(task, agent) {
+    const required = this.getRequiredCapabilities(task);
+    const capabilities = agent.capabilities || [];
+    const checked = agent.type === "ai" && capabilities.length > 0;
+    const matched = required.filter((cap) => capabilities.includes(cap));
+
+    return {
+      required,
+      matched,
+      checked,
+      fits: !checked || required.length === 0 || matched.length > 0,
+    };
+  }
+
+  /**
+   * @returns {boolean} Whether work on the task can start: it is not started
+   *   or closed, has no open subtasks and all of its dependencies are done
+   */
+  isTaskReady(task) {
+    return this.getReadinessIssues(task).length === 0;
+  }
+
+  /**
+   * @returns {string[]} What keeps work on the task from starting, see isTaskReady
+   */
+  getReadinessIssues(task) {
+    const issues = [];
+
+    // Must not be started or closed yet
+    if (!this.statusMachine.isIn(task.status, "open", "blocked")) {
+      issues.push(
+        this.statusMachine.isIn(task.status, "active")
+          ? `Already in progress (${task.status})`
+          : `Closed (${task.status})`,
+      );
+    }
+
+    // Umbrella tasks are worked on through their subtasks
+    const openSubtasks = this.getOpenSubtasks(task.id);
+    if (openSubtasks.length > 0) {
+      issues.push(`Has ${openSubtasks.length} open subtask(s)`);
+    }
 
-      return true;
+    task.dependencies.forEach((depId) => {
+      const depTask = this.taskTracker.tasks[depId];
+      if (!depTask) {
+        issues.push(`Depends on missing task ${depId}`);
+      } else if (!this.statusMachine.isIn(depTask.status, "done")) {
+        issues.push(`Waits on ${depId} (${depTask.status})`);
+      }
     });
+
+    return issues;
   }
 
   getRequiredCapabilities(task) {
@@ -1506,57 +5187,93 @@ Happy task managing! 🚀
     return capabilities;
   }
 
-  calculateTaskScore(task) {
-    let score = 0;
-
-    // Priority score
-    score += this.scoring.priority[task.priority] || 0;
-
-    // Dependency score
-    const dependencyCount = task.blocks ? task.blocks.length : 0;
-    score +=
-      dependencyCount > 0
-        ? this.scoring.dependency.blocking
-        : this.scoring.dependency.independent;
-
-    // Risk score
-    score += this.scoring.risk[task.risk_level] || 0;
-
-    // Phase score
-    const currentPhase = this.taskTracker.current_state.active_phase;
-    if (task.phase === currentPhase) {
-      score += this.scoring.phase.active;
-    } else {
-      score += this.scoring.phase.future;
-    }
-
-    return Math.round(score);
+  calculateTaskScore(
+    task,
+    criticalPath = this.getCriticalPath(),
+    options = {},
+  ) {
+    return this.getTaskScore(task, criticalPath, options).total;
   }
 
-  generateRecommendationReason(task) {
-    const reasons = [];
+  /**
+   * Scores a task with the project's scoring strategy (recommendations.strategy
+   * in config.json), or the one given
+   * @param {Object} options - { strategy, weights } where weights add to the
+   *   project's weights
+   * @returns {Object} { strategy, total, breakdown } with the weighted points
+   *   of every factor the strategy scores
+   */
+  getTaskScore(task, criticalPath = this.getCriticalPath(), options = {}) {
+    return scoreTask(task, {
+      ...this.getScoringContext(task, criticalPath),
+      strategy: options.strategy || this.recommendationRules.strategy,
+      weights: {
+        ...this.recommendationRules.weights,
+        ...normalizeWeights(options.weights),
+      },
+    });
+  }
 
-    if (this.scoring.priority[task.priority] >= 7) {
-      reasons.push(`High priority (${task.priority})`);
-    }
+  generateRecommendationReason(task, criticalPath = this.getCriticalPath()) {
+    return (
+      describeScore(task, this.getScoringContext(task, criticalPath)).join(
+        ", ",
+      ) || "Good fit for current workflow"
+    );
+  }
 
-    if (task.blocks && task.blocks.length > 0) {
-      reasons.push(`Blocks ${task.blocks.length} other task(s)`);
-    }
+  /**
+   * @param {Object} score - Result of getTaskScore
+   * @param {Object} agent - Agent the task is scored for; adds its capability
+   *   fit, which decides eligibility and scores no points
+   * @returns {Object[]} { factor, points, detail } per factor
+   */
+  getScoreFactors(task, score, criticalPath, agent = null) {
+    const factors = explainFactors(
+      task,
+      score,
+      this.getScoringContext(task, criticalPath),
+    );
 
-    if (task.phase === this.taskTracker.current_state.active_phase) {
-      reasons.push("In active phase");
+    if (agent) {
+      const fit = this.getCapabilityFit(task, agent);
+      factors.push({
+        factor: "capability_fit",
+        points: 0,
+        detail:
+          fit.required.length === 0
+            ? "No capability required"
+            : !fit.checked
+              ? `Needs ${fit.required.join(" or ")} (not checked for ${agent.id})`
+              : fit.fits
+                ? `Has ${fit.matched.join(", ")}`
+                : `Lacks ${fit.required.join(" or ")}`,
+      });
     }
 
-    if (task.risk_level === "high") {
-      reasons.push("High risk - needs attention");
-    }
+    return factors;
+  }
 
-    return reasons.join(", ") || "Good fit for current workflow";
+  getScoringContext(task, criticalPath) {
+    return {
+      scoring: this.scoring,
+      criticalPath,
+      currentPhase: this.taskTracker.current_state.active_phase,
+      phases: this.getPhaseRecords(),
+      deadline: this.assessDeadline(task),
+    };
   }
 
   // ==================== HELPER METHODS ====================
 
+  /**
+   * @returns {string} The project directory, which holds the data directory;
+   *   completion criteria paths and commands are relative to it
+   */
+  getProjectDir() {
+    return path.dirname(path.resolve(this.dataDir));
+  }
+
   normalizeAssignees(assignees) {
     if (!Array.isArray(assignees)) {
       assignees = [assignees];
@@ -1598,6 +5315,56 @@ Happy task managing! 🚀
     };
   }
 
+  /**
+   * @returns {string|null} Date as given (date or ISO timestamp)
+   * @throws {Error} If the value is not a date
+   */
+  normalizeDate(value, field) {
+    if (value === undefined || value === null || value === "") return null;
+    if (Number.isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${field} "${value}"`);
+    }
+    return String(value);
+  }
+
+  /**
+   * @throws {Error} If the task is planned to start after it is due
+   */
+  assertDateOrder(task) {
+    if (
+      task.start_date &&
+      task.due_date &&
+      new Date(task.start_date) > new Date(task.due_date)
+    ) {
+      throw new Error(
+        `Task ${task.id} cannot start (${task.start_date}) after it is due (${task.due_date})`,
+      );
+    }
+  }
+
+  bumpRevision(record) {
+    record.revision = (record.revision || 0) + 1;
+    record.updated = new Date().toISOString();
+    return record;
+  }
+
+  checkRevision(record, expectedRevision, label) {
+    if (expectedRevision === undefined || expectedRevision === null) {
+      return;
+    }
+
+    const actualRevision = record.revision || 0;
+    if (actualRevision !== Number(expectedRevision)) {
+      const error = new Error(
+        `${label} was modified concurrently (expected revision ${expectedRevision}, found ${actualRevision})`,
+      );
+      error.code = "REVISION_CONFLICT";
+      error.expectedRevision = Number(expectedRevision);
+      error.actualRevision = actualRevision;
+      throw error;
+    }
+  }
+
   generateTaskId() {
     if (!this.taskTracker || !this.taskTracker.tasks) {
       return "TASK-001";
@@ -1620,20 +5387,206 @@ Happy task managing! 🚀
     return `TASK-${String(maxId + 1).padStart(3, "0")}`;
   }
 
+  /**
+   * Replaces a task's dependencies and/or blocks. The new edges are validated
+   * against the dependency graph first (unknown tasks, self-dependencies and
+   * cycles are rejected), then the change is mirrored on every linked task so
+   * `dependencies` and `blocks` stay consistent.
+   * @param {Object} task - Task to update (may not be stored yet)
+   * @param {Object} links - { dependencies, blocks }; omitted lists are kept
+   * @returns {string[]} IDs of the other tasks whose links changed
+   */
+  setTaskLinks(task, links) {
+    const tasks = this.taskTracker.tasks;
+    const current = {
+      dependencies: task.dependencies || [],
+      blocks: task.blocks || [],
+    };
+    const next = {
+      dependencies: links.dependencies
+        ? [...new Set(links.dependencies)]
+        : current.dependencies,
+      blocks: links.blocks ? [...new Set(links.blocks)] : current.blocks,
+    };
+
+    // Only the lists being replaced are validated, so a stale entry in the
+    // other list does not block the edit
+    const graph = new DependencyGraph(tasks).addTask(task.id);
+    if (links.dependencies) {
+      graph.setDependencies(task.id, next.dependencies);
+    }
+    if (links.blocks) {
+      current.blocks.forEach((id) => graph.removeDependency(id, task.id));
+      next.blocks.forEach((id) => graph.addDependency(id, task.id));
+    }
+
+    const linked = new Set();
+    const mirror = (ids, field, add) => {
+      ids.forEach((id) => {
+        const other = tasks[id];
+        if (!other || id === task.id) return;
+
+        const list = other[field] || [];
+        if (add === list.includes(task.id)) return;
+        other[field] = add
+          ? [...list, task.id]
+          : list.filter((linkedId) => linkedId !== task.id);
+        this.bumpRevision(other);
+        linked.add(id);
+      });
+    };
+    const removed = (field) =>
+      current[field].filter((id) => !next[field].includes(id));
+
+    if (links.dependencies) {
+      mirror(removed("dependencies"), "blocks", false);
+      mirror(next.dependencies, "blocks", true);
+    }
+    if (links.blocks) {
+      mirror(removed("blocks"), "dependencies", false);
+      mirror(next.blocks, "dependencies", true);
+    }
+
+    task.dependencies = next.dependencies;
+    task.blocks = next.blocks;
+    return [...linked];
+  }
+
+  /**
+   * Moves a task under a new parent (null for the top level) and keeps the
+   * parents' subtasks lists in sync
+   * @returns {string[]} IDs of the parents that changed
+   */
+  setParent(task, parentId) {
+    const tasks = this.taskTracker.tasks;
+    const previousId = task.parent_id || null;
+    const nextId = parentId || null;
+    if (previousId === nextId) return [];
+
+    if (nextId) {
+      const parent = tasks[nextId];
+      if (!parent) {
+        throw new Error(`Parent task ${nextId} not found`);
+      }
+      const seen = new Set();
+      for (let id = nextId; id && !seen.has(id); id = tasks[id].parent_id) {
+        if (id === task.id) {
+          const error = new Error(
+            `${task.id} cannot be a subtask of ${nextId}: ${nextId} is already below it`,
+          );
+          error.code = "HIERARCHY_CYCLE";
+          throw error;
+        }
+        seen.add(id);
+        if (!tasks[id]) break;
+      }
+      if (this.statusMachine.isIn(parent.status, "done", "cancelled")) {
+        throw new Error(
+          `Task ${nextId} is ${parent.status}; reopen it before adding subtasks`,
+        );
+      }
+    }
+
+    const changed = [];
+    const previous = tasks[previousId];
+    if (previous) {
+      previous.subtasks = (previous.subtasks || []).filter(
+        (id) => id !== task.id,
+      );
+      this.bumpRevision(previous);
+      changed.push(previousId);
+    }
+    if (nextId) {
+      tasks[nextId].subtasks = [...(tasks[nextId].subtasks || []), task.id];
+      this.bumpRevision(tasks[nextId]);
+      changed.push(nextId);
+    }
+
+    task.parent_id = nextId;
+    return changed;
+  }
+
+  /**
+   * Checks that a task can move to a done status. Open subtasks block this
+   * unless options.cascade is set, in which case they are moved to the same
+   * status first.
+   * @param {Object} verified - Results of verifyBeforeCompleting by task ID
+   * @returns {string[]} IDs of the subtasks that were closed
+   * @throws {Error} OPEN_SUBTASKS if subtasks are open and cascade is not set
+   */
+  closeSubtasks(taskId, status, options = {}, verified = {}) {
+    const openSubtasks = this.getOpenSubtasks(taskId);
+    if (openSubtasks.length === 0) return [];
+
+    if (!options.cascade) {
+      const error = new Error(
+        `Task ${taskId} has open subtasks (${openSubtasks
+          .map((task) => task.id)
+          .join(", ")}); complete them first or use cascade`,
+      );
+      error.code = "OPEN_SUBTASKS";
+      error.subtasks = openSubtasks.map((task) => task.id);
+      throw error;
+    }
+
+    // Validate every subtask before changing any of them. Each is completed
+    // the way updateTask completes a task, and a waiver for the parent covers
+    // the subtasks' criteria too.
+    const completions = openSubtasks.map((task) => {
+      if (!this.statusMachine.findPath(task.status, status)) {
+        throw this.statusMachine.transitionError(
+          this.statusMachine.resolve(task.status),
+          status,
+          `Task ${task.id}`,
+        );
+      }
+      const missing = this.findMissingArtifacts(task);
+      if (missing.length > 0 && options.requireArtifacts) {
+        throw new Error(
+          `Task ${task.id} has no artifact for files_affected: ${missing.join(", ")}`,
+        );
+      }
+      return {
+        task,
+        criteria_waiver: this.checkCompletionCriteria(
+          task,
+          options.waiver,
+          verified,
+        ),
+        missing_artifacts: missing,
+      };
+    });
+
+    const completed = new Date().toISOString();
+    completions.forEach(({ task, ...fields }) => {
+      Object.assign(task, fields, { status, completed });
+      this.closeWorkSessions(task);
+      this.bumpRevision(task);
+    });
+    return openSubtasks.map((task) => task.id);
+  }
+
   updateProgress() {
+    this.taskTracker.progress = this.calculateProgress();
+  }
+
+  calculateProgress() {
     const tasks = Object.values(this.taskTracker.tasks);
+    const count = (category) =>
+      tasks.filter((t) => this.statusMachine.isIn(t.status, category)).length;
     const total = tasks.length;
-    const completed = tasks.filter((t) => t.status === "completed").length;
-    const inProgress = tasks.filter((t) => t.status === "in-progress").length;
-    const todo = tasks.filter((t) => t.status === "todo").length;
+    const completed = count("done");
+    // Cancelled tasks are closed without being done, so they do not count
+    // against completion
+    const counted = total - count("cancelled");
 
-    this.taskTracker.progress = {
+    return {
       total_tasks: total,
       completed: completed,
-      in_progress: inProgress,
-      todo: todo,
+      in_progress: count("active"),
+      todo: count("open"),
       completion_percentage:
-        total > 0 ? Math.round((completed / total) * 100) : 0,
+        counted > 0 ? Math.round((completed / counted) * 100) : 0,
     };
   }
 
@@ -1661,12 +5614,9 @@ Happy task managing! 🚀
         task.assignees.forEach((assignee) => {
           const agent = this.agents.registry[assignee.id];
           if (agent) {
-            if (task.status === "completed") {
+            if (this.statusMachine.isIn(task.status, "done")) {
               agent.workload.completed_tasks++;
-            } else if (
-              task.status === "in-progress" ||
-              task.status === "todo"
-            ) {
+            } else if (this.statusMachine.isIn(task.status, "active", "open")) {
               agent.workload.active_tasks++;
               agent.workload.total_score += task.recommendation_score || 0;
             }
@@ -1680,7 +5630,10 @@ Happy task managing! 🚀
     const historyEntry = {
       agent_id: agentId,
       date: new Date().toISOString(),
-      algorithm_version: "2.0.0",
+      algorithm_version: ALGORITHM_VERSION,
+      strategy: recommendations.length
+        ? recommendations[0].recommendation_strategy
+        : null,
       recommendations: recommendations.map((task) => ({
         task_id: task.id,
         score: task.recommendation_score,
@@ -1721,12 +5674,26 @@ Happy task managing! 🚀
       },
       tasks: {
         total: tasks.length,
+        // Counts for the default statuses, kept for existing callers
         by_status: {
           todo: tasks.filter((t) => t.status === "todo").length,
           in_progress: tasks.filter((t) => t.status === "in-progress").length,
           completed: tasks.filter((t) => t.status === "completed").length,
           blocked: tasks.filter((t) => t.status === "blocked").length,
         },
+        by_status_name: Object.fromEntries(
+          this.statusMachine.statuses.map((status) => [
+            status,
+            tasks.filter((t) => t.status === status).length,
+          ]),
+        ),
+        by_category: Object.fromEntries(
+          CATEGORIES.map((category) => [
+            category,
+            tasks.filter((t) => this.statusMachine.isIn(t.status, category))
+              .length,
+          ]),
+        ),
         by_priority: {
           critical: tasks.filter((t) => t.priority === "critical").length,
           high: tasks.filter((t) => t.priority === "high").length,
@@ -1734,6 +5701,23 @@ Happy task managing! 🚀
           low: tasks.filter((t) => t.priority === "low").length,
         },
       },
+      phases: this.listPhases().map((phase) => ({
+        id: phase.id,
+        name: phase.name,
+        status: phase.status,
+        active: phase.active,
+        completion_percentage: phase.completion_percentage,
+        open_required_tasks: phase.open_required_tasks.length,
+      })),
+      deadlines: this.getDeadlines(),
+      milestones: this.listMilestones().map((milestone) => ({
+        id: milestone.id,
+        title: milestone.title,
+        target_date: milestone.target_date,
+        status: milestone.status,
+        completion_percentage: milestone.completion_percentage,
+        remaining_hours: milestone.remaining_hours,
+      })),
     };
   }
 
@@ -1749,11 +5733,15 @@ Happy task managing! 🚀
       agent: agent,
       workload: agent.workload,
       tasks: {
-        active: tasks.filter(
-          (t) => t.status === "in-progress" || t.status === "todo",
+        active: tasks.filter((t) =>
+          this.statusMachine.isIn(t.status, "active", "open"),
+        ),
+        completed: tasks.filter((t) =>
+          this.statusMachine.isIn(t.status, "done"),
+        ),
+        blocked: tasks.filter((t) =>
+          this.statusMachine.isIn(t.status, "blocked"),
         ),
-        completed: tasks.filter((t) => t.status === "completed"),
-        blocked: tasks.filter((t) => t.status === "blocked"),
       },
     };
   }
@@ -1779,6 +5767,19 @@ Happy task managing! 🚀
     return parsed;
   }
 
+  /**
+   * Parses --criteria: a JSON array of criteria, or a single check object
+   */
+  static parseCriteriaOption(value) {
+    let criteria;
+    try {
+      criteria = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`--criteria must be JSON: ${error.message}`);
+    }
+    return Array.isArray(criteria) ? criteria : [criteria];
+  }
+
   static async promptForTask() {
     const readline = require("readline");
     const rl = readline.createInterface({
@@ -1884,25 +5885,154 @@ Happy task managing! 🚀
       console.log("Commands:");
       console.log("  init [--dir PATH] [--current]  - Initialize task manager");
       console.log("  list [--agent ID] [--status]   - List tasks");
+      console.log(
+        "    [--tree]                     - Show subtasks under their parents",
+      );
       console.log("  create [--interactive]         - Create a new task");
+      console.log(
+        "    [--depends <IDS>] [--hours N]  - Dependencies and estimated hours",
+      );
+      console.log("    [--parent <ID>]              - Create as a subtask");
+      console.log(
+        "    [--milestone <ID>] [--epic <ID>] - Group under a milestone or epic",
+      );
+      console.log(
+        "    [--start <DATE>] [--due <DATE>] - Planned start and due date",
+      );
+      console.log(
+        "    [--criteria <JSON>]          - Completion criteria: text or checks (see verify)",
+      );
       console.log("  update <ID> --status <STATUS>  - Update task status");
+      console.log(
+        "    [--expected-revision N]      - Reject if the task changed since revision N",
+      );
+      console.log(
+        "    [--parent <ID|none>]         - Move under another task (or to the top level)",
+      );
+      console.log(
+        "    [--cascade]                  - Completing a parent also completes its subtasks",
+      );
+      console.log(
+        "    [--milestone <ID|none>] [--epic <ID|none>] - Change the task's milestone or epic",
+      );
+      console.log(
+        "    [--start <DATE|none>] [--due <DATE|none>] - Change the planned start or due date",
+      );
+      console.log(
+        '    [--criteria <JSON>] [--waive "<REASON>"] - Replace the completion criteria; complete despite failing checks',
+      );
       console.log("  assign <TASK_ID> <AGENT_ID>    - Assign agent to task");
-      console.log("  recommend [--agent <ID>]       - Get recommendations");
+      console.log(
+        "  add-dependency <TASK_ID> <DEP_ID>    - Make a task depend on another",
+      );
+      console.log(
+        "  remove-dependency <TASK_ID> <DEP_ID> - Remove a dependency",
+      );
+      console.log(
+        `  recommend [--agent <ID>] [--strategy <NAME>] - Get recommendations (strategies: ${listScoringStrategies()
+          .map((strategy) => strategy.name)
+          .join(", ")})`,
+      );
+      console.log(
+        "  explain <TASK_ID> [--agent <ID>] [--strategy <NAME>] - Show why a task is or isn't recommended to an agent",
+      );
+      console.log(
+        "  critical-path                  - Show the longest chain of remaining work",
+      );
+      console.log(
+        "  deadlines [--agent <ID>]       - Show overdue and at-risk tasks and notify assignees",
+      );
+      console.log(
+        '  comment <TASK_ID> "<TEXT>" [--mention <IDS>] - Comment on a task (@agent-id notifies)',
+      );
+      console.log(
+        "  activity <TASK_ID> [--limit N] - Show a task's comments and change history",
+      );
+      console.log(
+        "  artifacts <TASK_ID> [attach <PATH> [--type T] [--name N]|show <ART_ID>] - List, attach or read task artifacts",
+      );
+      console.log(
+        "  verify <TASK_ID>               - Run a task's completion criteria and report each result",
+      );
+      console.log(
+        "  detect [--apply]               - Propose status changes from completion-rules.json checks (and apply them)",
+      );
+      console.log(
+        "  timesheet [--agent <ID>] [--since <DATE>] [--until <DATE>] - Show logged work and estimate accuracy",
+      );
+      console.log("    [--by agent|type|category]   - Group estimate accuracy");
+      console.log(
+        "  milestones [list|add|update <ID>|delete <ID>] - Manage milestones (--title, --target-date)",
+      );
+      console.log(
+        "  epics [list|add|update <ID>|delete <ID>]      - Manage epics (--title, --description)",
+      );
+      console.log(
+        "  phases [list|add|update <ID>|move <ID> <POS>|delete <ID>] - Manage phases (--name, --position)",
+      );
+      console.log(
+        "  advance-phase [--force]        - Complete the active phase and start the next",
+      );
+      console.log(
+        "  recurring [list|add|update <ID>|pause <ID>|resume <ID>|delete <ID>] - Manage recurring tasks (--every 7d | --cron EXPR)",
+      );
+      console.log(
+        "  materialize                    - Create the recurring tasks that are due",
+      );
       console.log("  agents [add]                   - List or add agents");
       console.log("  status                         - Show project status");
       console.log("  workload [AGENT_ID]            - Show agent workload");
       console.log("  export                         - Export project data");
+      console.log("  journal [--limit N] [--type T] - Show the event journal");
+      console.log(
+        "  journal rebuild                - Rebuild state by replaying the journal",
+      );
+      console.log(
+        "  <command> --as-of <TIMESTAMP>  - Read-only view of the project at a point in time",
+      );
+      console.log(
+        "  backup [list|create|restore <NAME>] - Manage snapshots in tasks-data/backups",
+      );
+      console.log(
+        "  migrate [--dry-run]            - Upgrade the data schema (or report changes)",
+      );
+      console.log(
+        "  doctor [--fix]                 - Check data integrity (and repair fixable issues)",
+      );
+      console.log(
+        "  workflow                       - Show task statuses and allowed transitions",
+      );
+      console.log(
+        "  undo [N] [--agent ID] [--force] - Undo an agent's last N changes",
+      );
+      console.log(
+        "  redo [N] [--agent ID] [--force] - Redo an agent's last N undone changes",
+      );
       console.log(
         "\n🤖 Agent-Centric Commands (use TASK_MANAGER_AGENT_ID env var):",
       );
       console.log("  my-tasks                       - List my tasks");
-      console.log("  my-recommendations             - Get my recommendations");
+      console.log(
+        "  my-recommendations [--strategy <NAME>] - Get my recommendations",
+      );
       console.log("  my-workload                    - Show my workload");
       console.log("  check-in                       - Agent check-in status");
       console.log(
         "  start <TASK_ID>                - Start working on my task",
       );
-      console.log("  complete <TASK_ID>             - Complete my task");
+      console.log(
+        "  complete <TASK_ID> [--cascade] - Complete my task (and its subtasks)",
+      );
+      console.log(
+        "    [--require-artifacts]        - Refuse if files_affected lack artifacts",
+      );
+      console.log(
+        '    [--waive "<REASON>"]         - Complete despite failing criteria (the reason is recorded)',
+      );
+      console.log("  pause <TASK_ID>                - Stop my clock on a task");
+      console.log(
+        "  resume <TASK_ID>               - Restart my clock on a task",
+      );
       console.log("  take <TASK_ID>                 - Self-assign to task");
       console.log("  notifications                  - Show my notifications");
       console.log("\nEnvironment Variables:");
@@ -1927,7 +6057,23 @@ Happy task managing! 🚀
       return;
     }
 
-    const tm = new TaskManager();
+    // `migrate` imports legacy data and runs migrations itself so that
+    // --dry-run can report them without writing
+    const tm = new TaskManager(
+      parsed.command === "migrate" ? { autoMigrate: false } : {},
+    );
+
+    if (parsed.options["as-of"]) {
+      try {
+        const view = tm.viewAsOf(parsed.options["as-of"]);
+        console.log(
+          `🕰️  Viewing project as of ${view.asOf} (journal event #${view.lastSeq})`,
+        );
+      } catch (error) {
+        console.error("❌", error.message);
+        return;
+      }
+    }
 
     switch (parsed.command) {
       case "init":
@@ -1971,6 +6117,26 @@ Happy task managing! 🚀
         if (parsed.options.status) filters.status = parsed.options.status;
         if (parsed.options.priority) filters.priority = parsed.options.priority;
 
+        if (parsed.flags.includes("tree")) {
+          console.log("\n🌳 Task Tree:");
+          const roots = tm.getTaskTree(null, filters);
+          if (roots.length === 0) {
+            console.log("  No tasks found");
+          }
+          const printNode = (node, depth) => {
+            const progress =
+              node.children.length > 0
+                ? ` (${node.progress.completed}/${node.progress.total} done)`
+                : "";
+            console.log(
+              `${"  ".repeat(depth + 1)}${node.id}: ${node.title} [${node.status}]${progress}`,
+            );
+            node.children.forEach((child) => printNode(child, depth + 1));
+          };
+          roots.forEach((root) => printNode(root, 0));
+          break;
+        }
+
         const tasks = tm.listTasks(filters);
         const filterDesc =
           Object.keys(filters).length > 0
@@ -2022,6 +6188,14 @@ Happy task managing! 🚀
             dependencies: parsed.options.depends
               ? parsed.options.depends.split(",")
               : [],
+            estimated_hours: parsed.options.hours
+              ? Number(parsed.options.hours)
+              : undefined,
+            parent_id: parsed.options.parent,
+            milestone_id: parsed.options.milestone,
+            epic_id: parsed.options.epic,
+            start_date: parsed.options.start,
+            due_date: parsed.options.due,
           };
 
           if (!taskData.title) {
@@ -2030,6 +6204,11 @@ Happy task managing! 🚀
           }
 
           try {
+            if (parsed.options.criteria) {
+              taskData.completion_criteria = TaskManager.parseCriteriaOption(
+                parsed.options.criteria,
+              );
+            }
             const task = tm.createTask(taskData);
             console.log(`✅ Task created: ${task.id} - ${task.title}`);
           } catch (error) {
@@ -2051,17 +6230,54 @@ Happy task managing! 🚀
         if (parsed.options.assign) {
           updates.assignees = [parsed.options.assign];
         }
+        if (parsed.options.parent) {
+          updates.parent_id =
+            parsed.options.parent === "none" ? null : parsed.options.parent;
+        }
+        if (parsed.options.milestone) {
+          updates.milestone_id =
+            parsed.options.milestone === "none"
+              ? null
+              : parsed.options.milestone;
+        }
+        if (parsed.options.epic) {
+          updates.epic_id =
+            parsed.options.epic === "none" ? null : parsed.options.epic;
+        }
+        ["start", "due"].forEach((option) => {
+          if (parsed.options[option]) {
+            updates[`${option}_date`] =
+              parsed.options[option] === "none" ? null : parsed.options[option];
+          }
+        });
+
+        if (parsed.options.criteria) {
+          try {
+            updates.completion_criteria = TaskManager.parseCriteriaOption(
+              parsed.options.criteria,
+            );
+          } catch (error) {
+            console.error("❌", error.message);
+            return;
+          }
+        }
 
         if (Object.keys(updates).length === 0) {
           console.error(
-            "❌ No updates specified. Use --status, --priority, or --assign",
+            "❌ No updates specified. Use --status, --priority, --assign, --parent, --milestone, --epic, --start, --due or --criteria",
           );
           return;
         }
 
         try {
-          const task = tm.updateTask(taskId, updates);
-          console.log(`✅ Task ${taskId} updated: ${task.title}`);
+          const task = tm.updateTask(taskId, updates, {
+            expectedRevision: parsed.options["expected-revision"],
+            cascade: parsed.flags.includes("cascade"),
+            waiver: parsed.options.waive,
+          });
+          console.log(
+            `✅ Task ${taskId} updated: ${task.title} (revision ${task.revision})`,
+          );
         } catch (error) {
           console.error("❌", error.message);
         }
@@ -2077,7 +6293,11 @@ Happy task managing! 🚀
         }
 
         try {
-          tm.assignAgentToTask(assignTaskId, { id: assignAgentId });
+          tm.assignAgentToTask(
+            assignTaskId,
+            { id: assignAgentId },
+            { expectedRevision: parsed.options["expected-revision"] },
+          );
           console.log(
             `✅ Agent ${assignAgentId} assigned to task ${assignTaskId}`,
           );
@@ -2086,6 +6306,216 @@ Happy task managing! 🚀
         }
         break;
 
+      case "add-dependency":
+      case "remove-dependency":
+        const linkTaskId = args[1];
+        const linkDependencyId = args[2];
+
+        if (!linkTaskId || !linkDependencyId) {
+          console.error(
+            `❌ Usage: ${parsed.command} <TASK_ID> <DEPENDENCY_TASK_ID>`,
+          );
+          return;
+        }
+
+        try {
+          const linkOptions = {
+            expectedRevision: parsed.options["expected-revision"],
+          };
+          if (parsed.command === "add-dependency") {
+            tm.addDependency(linkTaskId, linkDependencyId, linkOptions);
+          } else {
+            tm.removeDependency(linkTaskId, linkDependencyId, linkOptions);
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "milestones":
+      case "epics":
+        try {
+          const groupType =
+            parsed.command === "milestones" ? "milestone" : "epic";
+          const groupAction = args[1] || "list";
+          const groupId = args[2];
+          const groupData = {
+            title: parsed.options.title,
+            description: parsed.options.description,
+            target_date: parsed.options["target-date"],
+          };
+          const usage = `❌ Usage: ${parsed.command} [list|add|update <ID>|delete <ID>] [--title T] [--target-date YYYY-MM-DD]`;
+
+          if (groupAction === "list") {
+            const groups = tm.listGroups(groupType);
+            console.log(
+              `\n${groupType === "milestone" ? "🏁 Milestones" : "🗂️  Epics"}:`,
+            );
+            if (groups.length === 0) {
+              console.log("  None defined");
+            }
+            groups.forEach((group) => {
+              const due = group.target_date ? `, due ${group.target_date}` : "";
+              console.log(
+                `  ${group.id}: ${group.title} [${group.status}] ${group.completion_percentage}% of ${group.task_count} tasks, ${group.remaining_hours}h remaining${due}`,
+              );
+            });
+          } else if (groupAction === "add") {
+            tm.createGroup(groupType, groupData);
+          } else if (groupAction === "update" && groupId) {
+            tm.updateGroup(groupType, groupId, groupData, {
+              expectedRevision: parsed.options["expected-revision"],
+            });
+          } else if (groupAction === "delete" && groupId) {
+            tm.deleteGroup(groupType, groupId);
+          } else {
+            console.error(usage);
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "recurring":
+        try {
+          const recurringAction = args[1] || "list";
+          const recurringId = args[2];
+          const recurringData = {
+            title: parsed.options.title,
+            description: parsed.options.description,
+            category: parsed.options.category,
+            priority: parsed.options.priority,
+            tags: parsed.options.tags
+              ? parsed.options.tags.split(",")
+              : undefined,
+            assignees: parsed.options.assign
+              ? parsed.options.assign.split(",")
+              : undefined,
+            estimated_hours: parsed.options.hours
+              ? Number(parsed.options.hours)
+              : undefined,
+            phase: parsed.options.phase,
+            every: parsed.options.every,
+            cron: parsed.options.cron,
+          };
+
+          if (recurringAction === "list") {
+            console.log("\n🔁 Recurring tasks:");
+            const definitions = tm.listRecurring();
+            if (definitions.length === 0) {
+              console.log("  None defined");
+            }
+            definitions.forEach((definition) => {
+              const next = definition.active
+                ? `next ${definition.next_run || "never"}`
+                : "paused";
+              console.log(
+                `  ${definition.id}: ${definition.title} (${describeSchedule(definition.schedule)}, ${next}) - ${definition.task_ids.length} created`,
+              );
+            });
+          } else if (recurringAction === "add") {
+            tm.createRecurring({
+              ...recurringData,
+              start_date: parsed.options.start,
+            });
+          } else if (recurringAction === "update" && recurringId) {
+            tm.updateRecurring(recurringId, recurringData, {
+              expectedRevision: parsed.options["expected-revision"],
+            });
+          } else if (
+            ["pause", "resume"].includes(recurringAction) &&
+            recurringId
+          ) {
+            tm.updateRecurring(recurringId, {
+              active: recurringAction === "resume",
+            });
+          } else if (recurringAction === "delete" && recurringId) {
+            tm.deleteRecurring(recurringId);
+          } else {
+            console.error(
+              "❌ Usage: recurring [list|add|update <ID>|pause <ID>|resume <ID>|delete <ID>] [--title T] [--every 7d | --cron EXPR] [--tags a,b] [--assign ID]",
+            );
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "materialize":
+        try {
+          const { created, failed } = tm.materializeRecurring();
+          if (created.length === 0 && failed.length === 0) {
+            console.log("🔁 No recurring tasks due");
+          }
+          failed.forEach((failure) =>
+            console.error(
+              `❌ ${failure.recurring_id} (${failure.title}): ${failure.error}`,
+            ),
+          );
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "phases":
+        try {
+          const phaseAction = args[1] || "list";
+          const phaseId = args[2];
+          const phaseData = {
+            name: parsed.options.name,
+            description: parsed.options.description,
+            position: parsed.options.position,
+          };
+
+          if (phaseAction === "list") {
+            console.log("\n📋 Phases:");
+            const phases = tm.listPhases();
+            if (phases.length === 0) {
+              console.log("  None defined");
+            }
+            phases.forEach((phase, index) => {
+              const icon = phase.active
+                ? "▶️ "
+                : phase.status === "completed"
+                  ? "✅"
+                  : "⏳";
+              console.log(
+                `  ${index + 1}. ${icon} ${phase.id}: ${phase.name} [${phase.status}] ${phase.completion_percentage}% of ${phase.task_count} tasks`,
+              );
+              if (phase.active && phase.open_required_tasks.length > 0) {
+                console.log(
+                  `     Open required: ${phase.open_required_tasks.join(", ")}`,
+                );
+              }
+            });
+          } else if (phaseAction === "add") {
+            tm.createPhase({ ...phaseData, id: parsed.options.id });
+          } else if (phaseAction === "update" && phaseId) {
+            tm.updatePhase(phaseId, phaseData, {
+              expectedRevision: parsed.options["expected-revision"],
+            });
+          } else if (phaseAction === "move" && phaseId && args[3]) {
+            tm.movePhase(phaseId, args[3]);
+          } else if (phaseAction === "delete" && phaseId) {
+            tm.deletePhase(phaseId);
+          } else {
+            console.error(
+              "❌ Usage: phases [list|add|update <ID>|move <ID> <POSITION>|delete <ID>] [--name N] [--description D] [--position N]",
+            );
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "advance-phase":
+        try {
+          tm.advancePhase({ force: parsed.flags.includes("force") });
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
       case "agents":
         if (args[1] === "add") {
           TaskManager.promptForAgent()
@@ -2119,41 +6549,261 @@ Happy task managing! 🚀
         }
         break;
 
-      case "status":
-        const status = tm.getProjectStatus();
-        console.log("\n📊 Project Status:");
-        console.log(
-          `  📈 Progress: ${status.progress.completion_percentage}% (${status.progress.completed}/${status.progress.total_tasks} tasks)`,
-        );
-        console.log(
-          `  👥 Agents: ${status.agents.total} (${status.agents.by_type.human} human, ${status.agents.by_type.ai} AI)`,
-        );
-        console.log(
-          `  📋 Tasks: ${status.tasks.by_status.in_progress} active, ${status.tasks.by_status.todo} todo, ${status.tasks.by_status.completed} completed`,
-        );
+      case "status":
+        const status = tm.getProjectStatus();
+        console.log("\n📊 Project Status:");
+        console.log(
+          `  📈 Progress: ${status.progress.completion_percentage}% (${status.progress.completed}/${status.progress.total_tasks} tasks)`,
+        );
+        console.log(
+          `  👥 Agents: ${status.agents.total} (${status.agents.by_type.human} human, ${status.agents.by_type.ai} AI)`,
+        );
+        console.log(
+          `  📋 Tasks: ${status.tasks.by_category.active} active, ${status.tasks.by_category.open} todo, ${status.tasks.by_category.done} completed`,
+        );
+
+        if (status.tasks.by_priority.critical > 0) {
+          console.log(
+            `  🔴 Critical: ${status.tasks.by_priority.critical} tasks need immediate attention`,
+          );
+        }
+        if (
+          status.deadlines.overdue.length > 0 ||
+          status.deadlines.at_risk.length > 0
+        ) {
+          console.log(
+            `  ⏰ Deadlines: ${status.deadlines.overdue.length} overdue, ${status.deadlines.at_risk.length} at risk`,
+          );
+        }
+        status.phases.forEach((phase) => {
+          if (!phase.active) return;
+          console.log(
+            `  ▶️  Phase: ${phase.name} (${phase.id}) ${phase.completion_percentage}%, ${phase.open_required_tasks} required task(s) open`,
+          );
+        });
+        status.milestones.forEach((milestone) => {
+          const due = milestone.target_date
+            ? ` due ${milestone.target_date}`
+            : "";
+          console.log(
+            `  🏁 ${milestone.id}: ${milestone.title} [${milestone.status}] ${milestone.completion_percentage}%, ${milestone.remaining_hours}h remaining${due}`,
+          );
+        });
+        break;
+
+      case "export":
+        const exportData = {
+          project: tm.taskTracker.project,
+          agents: tm.agents,
+          tasks: tm.taskTracker.tasks,
+          progress: tm.taskTracker.progress,
+          exported: new Date().toISOString(),
+        };
+
+        const filename = `project-export-${new Date().toISOString().split("T")[0]}.json`;
+        require("fs").writeFileSync(
+          filename,
+          JSON.stringify(exportData, null, 2),
+        );
+        console.log(`✅ Project data exported to ${filename}`);
+        break;
+
+      case "journal":
+        if (args[1] === "rebuild") {
+          try {
+            const rebuilt = tm.rebuildFromJournal();
+            console.log(
+              `   ${rebuilt.tasks} tasks, ${rebuilt.agents} agents (through event #${rebuilt.lastSeq})`,
+            );
+          } catch (error) {
+            console.error("❌", error.message);
+          }
+          break;
+        }
+
+        const events = tm.getJournalEvents({
+          asOf: tm.asOf,
+          type: parsed.options.type,
+        });
+        const limit = parseInt(parsed.options.limit) || 20;
+
+        console.log(`\n📜 Journal (${events.length} events):`);
+        if (events.length === 0) {
+          console.log("  No events recorded");
+        } else {
+          events.slice(-limit).forEach((event) => {
+            const subject = [
+              event.task_id,
+              event.agent_id,
+              event.milestone_id,
+              event.epic_id,
+              event.phase_id,
+              event.recurring_id,
+              event.backup,
+              event.target_seqs &&
+                event.target_seqs.map((seq) => `#${seq}`).join(","),
+            ]
+              .filter(Boolean)
+              .join(" ");
+            const actor = event.actor ? ` by ${event.actor}` : "";
+            console.log(
+              `  #${event.seq} ${event.timestamp} ${event.type}${subject ? ` ${subject}` : ""}${actor}`,
+            );
+          });
+        }
+        break;
+
+      case "backup":
+        try {
+          const backupAction = args[1] || "list";
+
+          if (backupAction === "create") {
+            const backup = tm.createBackup();
+            if (backup.pruned.length > 0) {
+              console.log(`   Pruned: ${backup.pruned.join(", ")}`);
+            }
+          } else if (backupAction === "restore") {
+            if (!args[2]) {
+              console.error("❌ Usage: backup restore <NAME>");
+              return;
+            }
+            const restored = tm.restoreBackup(args[2]);
+            console.log(
+              `   ${restored.tasks} tasks, ${restored.agents} agents from ${restored.created}`,
+            );
+            console.log(`   Previous state saved as ${restored.safetyBackup}`);
+          } else if (backupAction === "list") {
+            const backups = tm.listBackups();
+            console.log(`\n💾 Backups (${tm.backups.dir}):`);
+            if (backups.length === 0) {
+              console.log("  No backups found");
+            } else {
+              backups.forEach((backup) => {
+                const status = backup.valid ? "✅" : "❌";
+                console.log(
+                  `  ${status} ${backup.name} - ${backup.created} [${backup.reason || "unknown"}] ${backup.tasks || 0} tasks, ${backup.agents || 0} agents`,
+                );
+              });
+            }
+          } else {
+            console.error("❌ Usage: backup [list|create|restore <NAME>]");
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "migrate":
+        try {
+          const migration = tm.migrateData({
+            dryRun: parsed.flags.includes("dry-run"),
+          });
+
+          migration.legacy.forEach((file) =>
+            console.log(
+              `📦 ${migration.dryRun ? "Would import" : "Imported"} legacy file ${file.from}`,
+            ),
+          );
+
+          if (migration.applied.length === 0) {
+            console.log(`✅ Data schema is up to date (v${migration.current})`);
+            break;
+          }
+
+          console.log(
+            `\n🔄 Schema v${migration.from} → v${migration.to}${migration.dryRun ? " (dry run, nothing written)" : ""}:`,
+          );
+          migration.applied.forEach((step) => {
+            console.log(`  v${step.version}: ${step.description}`);
+            step.changes
+              .slice(0, 10)
+              .forEach((change) => console.log(`     - ${change}`));
+            if (step.changes.length > 10) {
+              console.log(`     ... and ${step.changes.length - 10} more`);
+            }
+            if (step.changes.length === 0) {
+              console.log("     (no changes needed)");
+            }
+          });
+          if (migration.backup) {
+            console.log(`\n💾 Previous data backed up as ${migration.backup}`);
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "doctor":
+        try {
+          const doctor = tm.runDoctor({ fix: parsed.flags.includes("fix") });
+          const icons = { error: "🔴", warning: "🟡", info: "🔵" };
 
-        if (status.tasks.by_priority.critical > 0) {
+          if (doctor.fixed.length > 0) {
+            console.log(`\n🔧 Fixed ${doctor.fixed.length} issue(s):`);
+            doctor.fixed.forEach((issue) =>
+              console.log(`  ${icons[issue.severity]} ${issue.message}`),
+            );
+            console.log(`\n💾 Previous data backed up as ${doctor.backup}`);
+          }
+
+          if (doctor.issues.length === 0) {
+            console.log("✅ No integrity issues found");
+            break;
+          }
+
+          const { error, warning, info } = doctor.summary;
           console.log(
-            `  🔴 Critical: ${status.tasks.by_priority.critical} tasks need immediate attention`,
+            `\n🩺 ${doctor.issues.length} issue(s): ${error} error(s), ${warning} warning(s), ${info} info`,
           );
+          doctor.issues.forEach((issue) => {
+            const hint = issue.fixable ? " (fixable)" : "";
+            console.log(
+              `  ${icons[issue.severity]} [${issue.code}] ${issue.message}${hint}`,
+            );
+          });
+          if (doctor.issues.some((issue) => issue.fixable)) {
+            console.log("\n💡 Run 'doctor --fix' to repair fixable issues");
+          }
+        } catch (error) {
+          console.error("❌", error.message);
         }
         break;
 
-      case "export":
-        const exportData = {
-          project: tm.taskTracker.project,
-          agents: tm.agents,
-          tasks: tm.taskTracker.tasks,
-          progress: tm.taskTracker.progress,
-          exported: new Date().toISOString(),
-        };
+      case "workflow":
+        const workflow = tm.getWorkflow();
+        console.log(`\n🔀 Workflow (new tasks start as ${workflow.initial}):`);
+        Object.entries(workflow.statuses).forEach(([status, definition]) => {
+          const terminal = definition.terminal ? ", terminal" : "";
+          const next =
+            definition.next.length > 0
+              ? ` → ${definition.next.join(", ")}`
+              : "";
+          console.log(`  ${status} [${definition.category}${terminal}]${next}`);
+        });
+        break;
 
-        const filename = `project-export-${new Date().toISOString().split("T")[0]}.json`;
-        require("fs").writeFileSync(
-          filename,
-          JSON.stringify(exportData, null, 2),
-        );
-        console.log(`✅ Project data exported to ${filename}`);
+      case "undo":
+      case "redo":
+        try {
+          const revertAgentId = parsed.options.agent || tm.currentAgentId;
+          const revertCount = parseInt(args[1]) || 1;
+          const revertOptions = { force: parsed.flags.includes("force") };
+          const results =
+            parsed.command === "undo"
+              ? tm.undo(revertAgentId, revertCount, revertOptions)
+              : tm.redo(revertAgentId, revertCount, revertOptions);
+
+          if (results.length === 0) {
+            console.log(
+              `ℹ️  Nothing to ${parsed.command}${revertAgentId ? ` for ${revertAgentId}` : ""}`,
+            );
+          }
+          results.forEach((result) =>
+            console.log(tm.formatRevertResult(result)),
+          );
+        } catch (error) {
+          console.error("❌", error.message);
+        }
         break;
 
       case "my-tasks":
@@ -2177,13 +6827,12 @@ Happy task managing! 🚀
                       ? "🟡"
                       : "🟢";
               const statusIcon =
-                task.status === "completed"
-                  ? "✅"
-                  : task.status === "in-progress"
-                    ? "⚡"
-                    : task.status === "blocked"
-                      ? "🚫"
-                      : "📋";
+                {
+                  done: "✅",
+                  active: "⚡",
+                  blocked: "🚫",
+                  cancelled: "✖️",
+                }[tm.statusMachine.getCategory(task.status)] || "📋";
               console.log(
                 `  ${statusIcon} ${priority} ${task.id}: ${task.title} [${task.status}]`,
               );
@@ -2196,9 +6845,13 @@ Happy task managing! 🚀
 
       case "my-recommendations":
         try {
-          const recommendations = tm.getMyRecommendations();
+          const strategy =
+            parsed.options.strategy || tm.recommendationRules.strategy;
+          const recommendations = tm.getMyRecommendations(null, { strategy });
           const currentAgent = tm.getCurrentAgent();
-          console.log(`\n🎯 Recommendations for ${currentAgent.name}:`);
+          console.log(
+            `\n🎯 Recommendations for ${currentAgent.name} (${strategy}):`,
+          );
 
           if (recommendations.length === 0) {
             console.log("  No recommendations available");
@@ -2267,6 +6920,11 @@ Happy task managing! 🚀
           console.log(
             `  Pending recommendations: ${checkIn.status.pending_recommendations}`,
           );
+          if (checkIn.status.overdue_tasks + checkIn.status.at_risk_tasks > 0) {
+            console.log(
+              `  ⏰ Overdue: ${checkIn.status.overdue_tasks}, at risk: ${checkIn.status.at_risk_tasks}`,
+            );
+          }
 
           if (checkIn.recommendations.length > 0) {
             console.log("\n  🎯 Top Recommendations:");
@@ -2312,8 +6970,44 @@ Happy task managing! 🚀
         }
 
         try {
-          const task = tm.completeTask(completeTaskId);
+          const task = tm.completeTask(completeTaskId, {
+            cascade: parsed.flags.includes("cascade"),
+            requireArtifacts: parsed.flags.includes("require-artifacts"),
+            waiver: parsed.options.waive,
+          });
           console.log(`✅ Completed: ${task.title}`);
+          if (task.criteria_waiver) {
+            console.log(
+              `⚠️  Completion criteria waived (${task.criteria_waiver.reason}): ${task.criteria_waiver.failed.join("; ")}`,
+            );
+          }
+          if (task.missing_artifacts && task.missing_artifacts.length > 0) {
+            console.log(
+              `⚠️  No artifact attached for: ${task.missing_artifacts.join(", ")}`,
+            );
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "pause":
+      case "resume":
+        const clockTaskId = args[1];
+        if (!clockTaskId) {
+          console.error("❌ Task ID required");
+          return;
+        }
+
+        try {
+          const task =
+            parsed.command === "pause"
+              ? tm.pauseTask(clockTaskId)
+              : tm.resumeTask(clockTaskId);
+          const tracking = tm.getTimeTracking(task.id);
+          console.log(
+            `⏱️  ${task.title}: ${tracking.actual_hours}h logged of ${tracking.estimated_hours}h estimated`,
+          );
         } catch (error) {
           console.error("❌", error.message);
         }
@@ -2327,7 +7021,9 @@ Happy task managing! 🚀
         }
 
         try {
-          const task = tm.takeSelfAssignedTask(takeTaskId);
+          const task = tm.takeSelfAssignedTask(takeTaskId, {
+            expectedRevision: parsed.options["expected-revision"],
+          });
           console.log(`👍 Self-assigned to: ${task.title}`);
         } catch (error) {
           console.error("❌", error.message);
@@ -2344,9 +7040,15 @@ Happy task managing! 🚀
           } else {
             notifications.forEach((notification, index) => {
               console.log(`  ${index + 1}. ${notification.message}`);
-              console.log(
-                `     Assigned by: ${notification.assigned_by} at ${notification.assigned_at}`,
-              );
+              if (notification.type === "task_assignment") {
+                console.log(
+                  `     Assigned by: ${notification.assigned_by} at ${notification.assigned_at}`,
+                );
+              } else if (notification.type === "task_mention") {
+                console.log(
+                  `     Mentioned by: ${notification.mentioned_by} at ${notification.created_at}`,
+                );
+              }
             });
 
             console.log(
@@ -2377,8 +7079,14 @@ Happy task managing! 🚀
         }
 
         try {
-          const recommendations = tm.getRecommendationsForAgent(recAgentId);
-          console.log(`\n🎯 Recommendations for ${recAgentId}:`);
+          const strategy =
+            parsed.options.strategy || tm.recommendationRules.strategy;
+          const recommendations = tm.getRecommendationsForAgent(
+            recAgentId,
+            null,
+            { strategy },
+          );
+          console.log(`\n🎯 Recommendations for ${recAgentId} (${strategy}):`);
 
           if (recommendations.length === 0) {
             console.log("  No recommendations available");
@@ -2403,6 +7111,342 @@ Happy task managing! 🚀
         }
         break;
 
+      case "explain":
+        const explainTaskId = args[1];
+        const explainAgentId = parsed.options.agent || tm.currentAgentId;
+        if (!explainTaskId || explainTaskId.startsWith("--")) {
+          console.error("❌ Task ID required");
+          return;
+        }
+        if (!explainAgentId) {
+          console.error(
+            "❌ --agent flag required or set TASK_MANAGER_AGENT_ID",
+          );
+          return;
+        }
+
+        try {
+          const explanation = tm.explainRecommendation(
+            explainTaskId,
+            explainAgentId,
+            { strategy: parsed.options.strategy },
+          );
+          console.log(
+            `\n🔍 ${explanation.task_id}: ${explanation.title} for ${explanation.agent_id}`,
+          );
+          console.log(
+            explanation.recommended
+              ? `✅ Recommended (#${explanation.rank})`
+              : "⛔ Not recommended",
+          );
+          console.log(
+            `\n📊 Score: ${explanation.score} (${explanation.strategy})`,
+          );
+          explanation.factors.forEach((factor) => {
+            console.log(
+              `  ${factor.factor.padEnd(15)} ${String(factor.points).padStart(6)}  ${factor.detail || ""}`,
+            );
+          });
+          console.log(`\n💡 ${explanation.reason}`);
+          if (explanation.excluded_because.length > 0) {
+            console.log("\n🚫 Left out because:");
+            explanation.excluded_because.forEach((reason) => {
+              console.log(`  - ${reason}`);
+            });
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "deadlines":
+        try {
+          tm.escalateOverdueTasks();
+          const deadlines = tm.getDeadlines({ agentId: parsed.options.agent });
+          const describe = (entry) => {
+            const task = tm.getTask(entry.task_id);
+            const due = entry.due_date
+              ? `due ${entry.due_date}${entry.source === "sla" ? " (SLA)" : ""}`
+              : `planned start ${task.start_date}`;
+            return `  ${task.id}: ${task.title} [${task.status}] ${due}`;
+          };
+
+          console.log("\n⏰ Overdue:");
+          if (deadlines.overdue.length === 0) {
+            console.log("  None");
+          }
+          deadlines.overdue.forEach((entry) => console.log(describe(entry)));
+          console.log("\n⚠️  At risk:");
+          if (deadlines.at_risk.length === 0) {
+            console.log("  None");
+          }
+          deadlines.at_risk.forEach((entry) => console.log(describe(entry)));
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "comment":
+        const commentTaskId = args[1];
+        if (!commentTaskId || !args[2] || args[2].startsWith("--")) {
+          console.error(
+            '❌ Usage: comment <TASK_ID> "<TEXT>" [--mention <IDS>]',
+          );
+          return;
+        }
+
+        try {
+          tm.addComment(commentTaskId, args[2], {
+            mentions: parsed.options.mention
+              ? parsed.options.mention.split(",").map((id) => id.trim())
+              : [],
+          });
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "activity":
+        const activityTaskId = args[1];
+        if (!activityTaskId) {
+          console.error("❌ Task ID required");
+          return;
+        }
+
+        try {
+          const entries = tm.getTaskActivity(activityTaskId, {
+            limit: parsed.options.limit
+              ? parseInt(parsed.options.limit, 10)
+              : null,
+          });
+          console.log(`\n📜 Activity for ${activityTaskId}:`);
+          if (entries.length === 0) {
+            console.log("  No activity");
+          }
+          entries.forEach((entry) => {
+            if (entry.kind === "comment") {
+              console.log(
+                `  ${entry.timestamp} 💬 ${entry.author}: ${entry.body}`,
+              );
+              return;
+            }
+            console.log(
+              `  ${entry.timestamp} ${entry.actor || "system"} ${entry.action} (${entry.type})`,
+            );
+            entry.changes.forEach((change) =>
+              console.log(`     ${describeChange(change)}`),
+            );
+          });
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "detect":
+        try {
+          const apply = parsed.flags.includes("apply");
+          const proposals = tm.detectCompletions({ apply });
+          if (proposals.length === 0) {
+            console.log("📭 No task has passing checks to act on");
+            break;
+          }
+
+          console.log(
+            `\n🔍 ${apply ? "Status changes" : "Proposed status changes"}:`,
+          );
+          proposals.forEach((proposal) => {
+            const icon = proposal.error ? "❌" : proposal.applied ? "✅" : "💡";
+            console.log(
+              `${icon} ${proposal.task_id}: ${proposal.from} → ${proposal.to} - ${proposal.title}`,
+            );
+            console.log(
+              `   ${proposal.rules.length > 0 ? `Rules: ${proposal.rules.join(", ")}; ` : ""}Checks: ${proposal.checks.join("; ")}`,
+            );
+            if (proposal.error) {
+              console.log(`   ${proposal.error}`);
+            }
+          });
+          if (!apply) {
+            console.log("\nRun with --apply to make these changes");
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "verify":
+        const verifyTaskId = args[1];
+        if (!verifyTaskId) {
+          console.error("❌ Task ID required");
+          return;
+        }
+
+        try {
+          const verification = tm.verifyTask(verifyTaskId);
+          if (verification.results.length === 0) {
+            console.log(`📭 Task ${verifyTaskId} has no completion criteria`);
+            break;
+          }
+
+          console.log(`\n🔎 Completion criteria for ${verifyTaskId}:`);
+          const icons = { passed: "✅", failed: "❌", manual: "📝" };
+          verification.results.forEach((result) => {
+            console.log(
+              `${icons[result.status]} ${result.description} - ${result.message}`,
+            );
+          });
+          console.log(
+            verification.passed
+              ? `\nAll checks passed${verification.manual > 0 ? ` (${verification.manual} to check by hand)` : ""}`
+              : `\n${verification.failed} check(s) failed; complete with --waive "<REASON>" to override`,
+          );
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "artifacts":
+        const artifactTaskId = args[1];
+        if (!artifactTaskId) {
+          console.error("❌ Task ID required");
+          return;
+        }
+
+        try {
+          if (args[2] === "attach") {
+            if (!args[3] || args[3].startsWith("--")) {
+              console.error("❌ File path required");
+              return;
+            }
+            tm.attachArtifact(artifactTaskId, {
+              path: args[3],
+              type: parsed.options.type,
+              name: parsed.options.name,
+              description: parsed.options.description,
+            });
+          } else if (args[2] === "show") {
+            const { artifact, content, modified } = tm.readArtifact(args[3]);
+            if (artifact.task_id !== artifactTaskId) {
+              throw new Error(
+                `Artifact ${artifact.id} belongs to task ${artifact.task_id}`,
+              );
+            }
+            if (content === null) {
+              console.log(
+                `⚠️  ${artifact.path || artifact.stored_path} is gone`,
+              );
+            } else {
+              if (modified) {
+                console.log("⚠️  Changed since it was attached\n");
+              }
+              console.log(content);
+            }
+          } else {
+            const artifacts = tm.listArtifacts(artifactTaskId);
+            console.log(`\n📎 Artifacts for ${artifactTaskId}:`);
+            if (artifacts.length === 0) {
+              console.log("  None");
+            }
+            artifacts.forEach((artifact) => {
+              console.log(
+                `  ${artifact.id}: ${artifact.name} [${artifact.type}] ${artifact.size} bytes by ${artifact.agent_id}`,
+              );
+              if (artifact.files.length > 0) {
+                console.log(`     Files: ${artifact.files.join(", ")}`);
+              }
+            });
+            const missing = tm.findMissingArtifacts(tm.getTask(artifactTaskId));
+            if (missing.length > 0) {
+              console.log(`  ⚠️  Not covered: ${missing.join(", ")}`);
+            }
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "timesheet":
+        try {
+          const timesheet = tm.getTimesheet({
+            agentId: parsed.options.agent,
+            since: parsed.options.since,
+            until: parsed.options.until,
+          });
+          console.log("\n⏱️  Timesheet:");
+          if (timesheet.entries.length === 0) {
+            console.log("  No work logged");
+          }
+          timesheet.entries.forEach((entry) => {
+            console.log(
+              `  ${entry.started} ${entry.agent_id} ${entry.task_id}: ${entry.task_title} - ${entry.hours}h${entry.ended ? "" : " (running)"}`,
+            );
+          });
+          Object.entries(timesheet.by_agent).forEach(([agentId, hours]) => {
+            console.log(`  Total ${agentId}: ${hours}h`);
+          });
+          console.log(`  Total: ${timesheet.total_hours}h`);
+
+          const accuracy = tm.getEstimateAccuracy({
+            groupBy: parsed.options.by,
+          });
+          const describe = (summary) =>
+            summary.tasks === 0
+              ? "no completed tasks with estimates and logged time"
+              : `${summary.actual_hours}h actual vs ${summary.estimated_hours}h estimated over ${summary.tasks} tasks (x${summary.ratio}, ±${summary.mean_error_percent}%)`;
+          console.log(`\n🎯 Estimate accuracy by ${accuracy.group_by}:`);
+          accuracy.groups.forEach((group) => {
+            const label = group.name
+              ? `${group.name} (${group.key}, ${group.type})`
+              : group.key;
+            console.log(`  ${label}: ${describe(group)}`);
+          });
+          console.log(`  Overall: ${describe(accuracy.overall)}`);
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
+      case "critical-path":
+        try {
+          const criticalPath = tm.getCriticalPath();
+          console.log("\n🛤️  Critical Path:");
+
+          if (criticalPath.chain.length === 0) {
+            console.log("  No remaining tasks");
+          } else {
+            criticalPath.chain.forEach((task, index) => {
+              console.log(
+                `  ${index + 1}. ${task.id}: ${task.title} (${task.duration}h${task.estimated ? "" : " assumed"}, starts at ${task.earliest_start}h)`,
+              );
+            });
+          }
+          console.log(`\n  Total duration: ${criticalPath.duration}h`);
+
+          const nearPath = Object.entries(criticalPath.tasks).filter(
+            ([, schedule]) => schedule.position === "nearPath",
+          );
+          if (nearPath.length > 0) {
+            console.log(
+              `  Near the path: ${nearPath
+                .map(([id, schedule]) => `${id} (${schedule.slack}h slack)`)
+                .join(", ")}`,
+            );
+          }
+          if (criticalPath.unresolved.length > 0) {
+            console.log(
+              `  ⚠️  Skipped (dependency cycle): ${criticalPath.unresolved.join(", ")}`,
+            );
+          }
+          if (criticalPath.unestimated.length > 0) {
+            console.log(
+              `  ⚠️  No estimate, ${DEFAULT_DURATION}h assumed: ${criticalPath.unestimated.join(", ")}`,
+            );
+          }
+        } catch (error) {
+          console.error("❌", error.message);
+        }
+        break;
+
       case "workload":
         const workloadAgentId = args[1] || tm.currentAgentId;
         if (!workloadAgentId) {
@@ -19,6 +19,18 @@ const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
 const TaskManager = require("./task-manager.js");
+const {
+  registerScoringStrategy,
+  unregisterScoringStrategy,
+  listScoringStrategies,
+} = require("./src/workflow/recommendations.js");
+const {
+  acquireLock,
+  releaseLock,
+  refreshLock,
+  isLockStale,
+  removeStaleLock,
+} = require("./src/utils/file-lock.js");
 
 // Test configuration
 const TEST_CONFIG = {
@@ -289,6 +301,1553 @@ async function testTaskManagement() {
   cleanupTestDir();
 }
 
+async function testStatusTransitions() {
+  cleanupTestDir();
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "flow-agent",
+  });
+  tm.addAgent({ id: "flow-agent", name: "Flow Agent" });
+  const task = tm.createTask({ title: "Flow", assignees: ["flow-agent"] });
+
+  // Test 1: Illegal transitions are rejected with the allowed next states
+  try {
+    tm.completeTask(task.id);
+    assert(false, "todo → completed should be rejected");
+  } catch (error) {
+    assertEqual(error.code, "INVALID_TRANSITION", "Error should have a code");
+    assert(
+      error.allowed.includes("in-progress"),
+      "Error should list allowed statuses",
+    );
+  }
+  try {
+    tm.updateTask(task.id, { status: "shipped" });
+    assert(false, "Unknown status should be rejected");
+  } catch (error) {
+    assertEqual(error.code, "INVALID_STATUS", "Unknown status is invalid");
+  }
+
+  // Test 2: Legal transitions pass, and aliases are normalized
+  tm.updateTask(task.id, { status: "in_progress" });
+  assertEqual(tm.getTask(task.id).status, "in-progress", "Alias normalized");
+  tm.updateTask(task.id, { status: "review" });
+  assert(
+    tm.getNextStatuses(task.id).includes("completed"),
+    "review → completed should be allowed",
+  );
+  tm.completeTask(task.id);
+  assertExists(tm.getTask(task.id), "completed", "Completion date is set");
+
+  // Test 3: Blocked is reachable from open states; reopening clears completion
+  tm.updateTask(task.id, { status: "todo" });
+  assertEqual(tm.getTask(task.id).completed, null, "Reopen clears completed");
+  tm.updateTask(task.id, { status: "blocked" });
+
+  // Test 4: The transition graph is configurable
+  const strict = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    statusTransitions: {
+      todo: ["done"],
+      done: [],
+      blocked: ["todo"],
+    },
+  });
+  strict.updateTask(task.id, { status: "todo" });
+  strict.updateTask(task.id, { status: "done" });
+  assertEqual(
+    strict.getTask(task.id).status,
+    "completed",
+    "Custom graphs use canonical spellings",
+  );
+  assertArrayLength(
+    strict.getNextStatuses(task.id),
+    0,
+    "Terminal status has no next states",
+  );
+
+  cleanupTestDir();
+}
+
+async function testCustomWorkflow() {
+  cleanupTestDir();
+  const dataDir = path.join(TEST_CONFIG.testDir, "tasks-data");
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, "config.json"),
+    JSON.stringify({
+      workflow: {
+        initial: "backlog",
+        statuses: {
+          backlog: { category: "open", next: ["doing", "dropped"] },
+          doing: { category: "active", next: ["qa", "backlog"] },
+          qa: { category: "active", next: ["deployed", "doing"] },
+          deployed: { category: "done", terminal: true },
+          dropped: { category: "cancelled", next: ["backlog"] },
+        },
+      },
+    }),
+  );
+
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "wf-agent",
+  });
+  tm.addAgent({ id: "wf-agent", name: "Workflow Agent" });
+  const first = tm.createTask({ title: "Ship", assignees: ["wf-agent"] });
+  tm.createTask({ title: "Follow", dependencies: [first.id] });
+  tm.createTask({ title: "Drop" });
+
+  // Test 1: The configured workflow drives statuses and transitions
+  assertEqual(first.status, "backlog", "New tasks use the initial status");
+  assertEqual(tm.startTask(first.id).status, "doing", "Start moves to active");
+  try {
+    tm.completeTask(first.id);
+    assert(false, "doing has no done status to move to");
+  } catch (error) {
+    assertEqual(error.code, "INVALID_TRANSITION", "Complete must follow QA");
+  }
+  tm.updateTask(first.id, { status: "qa" });
+  tm.completeTask(first.id);
+  assertEqual(tm.getTask(first.id).status, "deployed", "Complete → deployed");
+  assertArrayLength(
+    tm.getNextStatuses(first.id),
+    0,
+    "Terminal status has no next states",
+  );
+
+  // Test 2: Counting, workloads and eligibility follow categories
+  tm.updateTask("TASK-003", { status: "dropped" });
+  const status = tm.getProjectStatus();
+  assertEqual(status.tasks.by_status_name.deployed, 1, "Counts per status");
+  assertEqual(status.tasks.by_category.done, 1, "Counts per category");
+  assertEqual(
+    tm.taskTracker.progress.completion_percentage,
+    50,
+    "Cancelled tasks do not count against completion",
+  );
+  assertEqual(
+    tm.getAgentWorkload("wf-agent").workload.completed_tasks,
+    1,
+    "Done tasks count as completed work",
+  );
+  assert(
+    tm.getEligibleTasksForAgent("wf-agent").some((t) => t.id === "TASK-002"),
+    "A done dependency unblocks its dependents",
+  );
+
+  // Test 3: Inconsistent workflows are rejected
+  fs.writeFileSync(
+    path.join(dataDir, "config.json"),
+    JSON.stringify({
+      workflow: { statuses: { todo: { category: "open", next: ["done"] } } },
+    }),
+  );
+  try {
+    new TaskManager({ dataDir: TEST_CONFIG.testDir });
+    assert(false, "Invalid workflow should be rejected");
+  } catch (error) {
+    assert(
+      error.message.includes("Invalid workflow"),
+      "Error should name the workflow",
+    );
+  }
+
+  cleanupTestDir();
+}
+
+async function testDependencies() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.createTask({ title: "A" });
+  tm.createTask({ title: "B", dependencies: ["TASK-001"] });
+  tm.createTask({ title: "C", dependencies: ["TASK-002"] });
+
+  // Test 1: dependencies and blocks are kept in sync
+  assertEqual(
+    tm.getTask("TASK-001").blocks.join(","),
+    "TASK-002",
+    "Creating a dependency should update blocks",
+  );
+  tm.addDependency("TASK-003", "TASK-001");
+  assert(
+    tm.getTask("TASK-001").blocks.includes("TASK-003"),
+    "add_dependency should mirror blocks",
+  );
+  tm.removeDependency("TASK-003", "TASK-001");
+  assert(
+    !tm.getTask("TASK-001").blocks.includes("TASK-003"),
+    "remove_dependency should mirror blocks",
+  );
+  tm.updateTask("TASK-002", { dependencies: [] });
+  assertArrayLength(tm.getTask("TASK-001").blocks, 0, "Update mirrors blocks");
+  tm.updateTask("TASK-002", { dependencies: ["TASK-001"] });
+
+  // Test 2: Cycles are rejected with the offending path
+  try {
+    tm.addDependency("TASK-001", "TASK-003");
+    assert(false, "Cycle should be rejected");
+  } catch (error) {
+    assertEqual(error.code, "DEPENDENCY_CYCLE", "Error should have a code");
+    assertEqual(
+      error.cycle.join(" → "),
+      "TASK-001 → TASK-003 → TASK-002 → TASK-001",
+      "Error should include the cycle path",
+    );
+  }
+  assertArrayLength(
+    tm.getTask("TASK-001").dependencies,
+    0,
+    "Rejected edits should not change the task",
+  );
+  for (const links of [
+    { dependencies: ["TASK-001"] },
+    { blocks: ["TASK-001"] },
+  ]) {
+    try {
+      tm.updateTask("TASK-001", links);
+      assert(false, "Self or cyclic links should be rejected");
+    } catch (error) {
+      assert(
+        /itself|cycle/.test(error.message),
+        "Error should explain the rejection",
+      );
+    }
+  }
+
+  // Test 3: Unknown tasks are rejected
+  try {
+    tm.createTask({ title: "D", dependencies: ["TASK-404"] });
+    assert(false, "Unknown dependency should be rejected");
+  } catch (error) {
+    assert(error.message.includes("TASK-404"), "Error names the task");
+  }
+  assertArrayLength(tm.listTasks(), 3, "Rejected task is not created");
+
+  cleanupTestDir();
+}
+
+async function testCriticalPath() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.createTask({ title: "Design", estimated_hours: 4 });
+  tm.createTask({
+    title: "Backend",
+    estimated_hours: 8,
+    dependencies: ["TASK-001"],
+  });
+  tm.createTask({
+    title: "Docs",
+    estimated_hours: 2,
+    dependencies: ["TASK-001"],
+  });
+  tm.createTask({
+    title: "Release",
+    estimated_hours: 1,
+    dependencies: ["TASK-002", "TASK-003"],
+  });
+  tm.createTask({ title: "Polish", estimated_hours: 12 });
+
+  // Test 1: Longest chain by estimated hours
+  let criticalPath = tm.getCriticalPath();
+  assertEqual(
+    criticalPath.path.join(","),
+    "TASK-001,TASK-002,TASK-004",
+    "Critical path should follow the longest chain",
+  );
+  assertEqual(criticalPath.duration, 13, "Duration should sum the chain");
+  assertEqual(criticalPath.chain[1].title, "Backend", "Chain has task details");
+
+  // Test 2: Earliest/latest start and slack
+  const docs = criticalPath.tasks["TASK-003"];
+  assertEqual(docs.earliest_start, 4, "Docs can start after Design");
+  assertEqual(docs.latest_start, 10, "Docs can start as late as hour 10");
+  assertEqual(docs.slack, 6, "Docs should have 6h slack");
+  assertEqual(criticalPath.tasks["TASK-005"].slack, 1, "Polish has 1h slack");
+  assertEqual(
+    criticalPath.tasks["TASK-005"].position,
+    "nearPath",
+    "Small slack counts as near the path",
+  );
+
+  // Test 3: Critical tasks score higher than the same task off the path
+  const scoreOnPath = tm.calculateTaskScore(tm.getTask("TASK-001"));
+  const scoreOffPath = tm.calculateTaskScore(tm.getTask("TASK-003"));
+  assertEqual(
+    scoreOnPath - scoreOffPath,
+    tm.scoring.criticalPath.onPath - tm.scoring.criticalPath.offPath,
+    "Critical path position should feed into the score",
+  );
+
+  // Test 4: Finished tasks drop out of the analysis
+  tm.updateTask("TASK-001", { status: "in-progress" });
+  tm.updateTask("TASK-001", { status: "completed" });
+  criticalPath = tm.getCriticalPath();
+  assertEqual(criticalPath.duration, 12, "Remaining work only");
+  assert(!criticalPath.tasks["TASK-001"], "Completed task is not scheduled");
+  assertEqual(criticalPath.path.join(","), "TASK-005", "Path moves to Polish");
+
+  // Test 5: Tasks without an estimate get the default duration and are reported
+  tm.createTask({ title: "Announce", dependencies: ["TASK-004"] });
+  criticalPath = tm.getCriticalPath();
+  assertEqual(criticalPath.unestimated.join(","), "TASK-006", "Unestimated");
+  assertEqual(criticalPath.tasks["TASK-006"].duration, 8, "Default duration");
+  assertEqual(criticalPath.tasks["TASK-005"].estimated, true, "Estimated");
+  assertEqual(
+    criticalPath.path.join(","),
+    "TASK-002,TASK-004,TASK-006",
+    "Assumed hours count toward the path",
+  );
+
+  cleanupTestDir();
+}
+
+async function testSubtasks() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", type: "human" });
+  const epic = tm.createTask({ title: "Checkout", category: "feature" });
+  const cart = tm.createSubtask(epic.id, { title: "Cart" });
+  const pay = tm.createSubtask(epic.id, { title: "Payment" });
+  const card = tm.createSubtask(pay.id, { title: "Card form" });
+
+  // Test 1: Subtasks are tasks linked both ways
+  assertEqual(cart.parent_id, epic.id, "Subtask should know its parent");
+  assertEqual(cart.category, "feature", "Subtask inherits the category");
+  assertEqual(
+    tm.getTask(epic.id).subtasks.join(","),
+    `${cart.id},${pay.id}`,
+    "Parent should list its subtasks",
+  );
+
+  // Test 2: Tree and rolled-up progress
+  const tree = tm.getTaskTree();
+  assertArrayLength(tree, 1, "Only the top-level task is a root");
+  assertEqual(tree[0].children[1].children[0].id, card.id, "Tree nests");
+  tm.updateTask(cart.id, { status: "in-progress" });
+  tm.updateTask(cart.id, { status: "completed" });
+  assertEqual(
+    tm.getTaskProgress(epic.id).percentage,
+    50,
+    "Progress should roll up from leaf subtasks",
+  );
+
+  // Test 3: Recommendations skip umbrella tasks
+  const eligible = tm.getEligibleTasksForAgent("dev").map((task) => task.id);
+  assertEqual(
+    eligible.join(","),
+    card.id,
+    "Only leaf tasks should be recommended",
+  );
+
+  // Test 4: Parents cannot be completed while subtasks are open
+  tm.updateTask(epic.id, { status: "in-progress" });
+  try {
+    tm.updateTask(epic.id, { status: "completed" });
+    assert(false, "Completing a parent with open subtasks should fail");
+  } catch (error) {
+    assertEqual(error.code, "OPEN_SUBTASKS", "Error should have a code");
+    assertEqual(
+      error.subtasks.join(","),
+      `${card.id},${pay.id}`,
+      "Error should list the open subtasks",
+    );
+  }
+  const docs = tm.createTask({ title: "Docs", dependencies: [epic.id] });
+  try {
+    tm.updateTask(
+      epic.id,
+      { status: "completed", dependencies: [docs.id] },
+      { cascade: true },
+    );
+    assert(false, "Dependency cycle should be rejected");
+  } catch (error) {
+    assertEqual(error.code, "DEPENDENCY_CYCLE", "Links are checked first");
+  }
+  tm.createTask({ title: "Unrelated" });
+  const reloaded = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  assertEqual(
+    [card.id, pay.id].map((id) => reloaded.getTask(id).status).join(","),
+    "todo,todo",
+    "A refused cascade leaves the subtasks open",
+  );
+  try {
+    tm.withLock(() => {
+      tm.getTask(card.id).title = "Half done";
+      throw new Error("Interrupted");
+    });
+  } catch (error) {
+    assertEqual(error.message, "Interrupted", "Error is passed on");
+  }
+  assertEqual(tm.getTask(card.id).title, "Card form", "Failed changes drop");
+  tm.updateTask(epic.id, { status: "completed" }, { cascade: true });
+  assertEqual(tm.getTask(card.id).status, "completed", "Cascade completes");
+  assert(tm.getTask(pay.id).completed, "Cascade sets completion date");
+
+  // Test 5: Hierarchy cycles are rejected; deleting promotes subtasks
+  tm.updateTask(epic.id, { status: "todo" });
+  try {
+    tm.updateTask(epic.id, { parent_id: card.id });
+    assert(false, "Parent cycle should be rejected");
+  } catch (error) {
+    assertEqual(error.code, "HIERARCHY_CYCLE", "Error should have a code");
+  }
+  tm.deleteTask(pay.id);
+  assertEqual(tm.getTask(card.id).parent_id, epic.id, "Subtask moves up");
+  assertEqual(
+    tm.getTask(epic.id).subtasks.join(","),
+    `${cart.id},${card.id}`,
+    "Grandparent adopts the subtask",
+  );
+  assertEqual(tm.runDoctor().issues.length, 0, "Hierarchy stays consistent");
+
+  cleanupTestDir();
+}
+
+async function testMilestonesAndEpics() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  const beta = tm.createMilestone({ title: "Beta", target_date: "2999-01-01" });
+  const late = tm.createMilestone({
+    title: "Alpha",
+    target_date: "2000-01-01",
+  });
+  const epic = tm.createEpic({ title: "Payments" });
+  tm.createTask({ title: "A", estimated_hours: 3, milestone_id: beta.id });
+  tm.createTask({
+    title: "B",
+    estimated_hours: 5,
+    milestone_id: beta.id,
+    epic_id: epic.id,
+    phase: "phase-2",
+  });
+  tm.createTask({ title: "C", milestone_id: late.id });
+
+  // Test 1: Computed completion, remaining hours and status
+  assertEqual(beta.id, "MS-001", "Milestones get sequential IDs");
+  assertEqual(tm.getMilestone(beta.id).status, "planned", "Nothing started");
+  tm.updateTask("TASK-001", { status: "in-progress" });
+  tm.updateTask("TASK-001", { status: "completed" });
+  let summary = tm.getMilestone(beta.id);
+  assertEqual(summary.completion_percentage, 50, "Half the tasks are done");
+  assertEqual(summary.remaining_hours, 5, "Only open tasks count as remaining");
+  assertEqual(summary.status, "in-progress", "Work has started");
+  assertEqual(tm.getMilestone(late.id).status, "overdue", "Past target date");
+  assertEqual(
+    tm.getEpic(epic.id).task_ids.join(","),
+    "TASK-002",
+    "Epics group tasks across phases",
+  );
+
+  // Test 2: Validation and project status summary
+  try {
+    tm.createTask({ title: "D", epic_id: "EPIC-404" });
+    assert(false, "Unknown epic should be rejected");
+  } catch (error) {
+    assert(error.message.includes("EPIC-404"), "Error names the epic");
+  }
+  try {
+    tm.updateMilestone(beta.id, { target_date: "someday" });
+    assert(false, "Invalid date should be rejected");
+  } catch (error) {
+    assert(error.message.includes("target_date"), "Error names the field");
+  }
+  assertEqual(
+    tm
+      .getProjectStatus()
+      .milestones.map((m) => m.id)
+      .join(","),
+    `${late.id},${beta.id}`,
+    "Project status lists milestones by target date",
+  );
+
+  // Test 3: Deleting unlinks tasks; undo and journal replay restore it
+  tm.deleteMilestone(beta.id);
+  assertEqual(tm.getTask("TASK-002").milestone_id, null, "Task is unlinked");
+  tm.undo(null);
+  assertEqual(tm.getMilestone(beta.id).title, "Beta", "Undo restores it");
+  assertEqual(tm.getTask("TASK-002").milestone_id, beta.id, "And the link");
+  tm.rebuildFromJournal();
+  assertEqual(tm.listMilestones().length, 2, "Journal replays milestones");
+  assertEqual(tm.listEpics()[0].title, "Payments", "Journal replays epics");
+
+  cleanupTestDir();
+}
+
+async function testPhases() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.createPhase({ name: "Build" });
+  tm.createPhase({ name: "Design", position: 1 });
+
+  // Test 1: Ordered phase list
+  assertEqual(
+    tm
+      .listPhases()
+      .map((phase) => phase.id)
+      .join(","),
+    "phase-1,phase-3,phase-2",
+    "Phases are listed in order",
+  );
+  tm.movePhase("phase-2", 1);
+  assertEqual(tm.listPhases()[1].name, "Build", "Move changes the order");
+  tm.undo(null);
+  assertEqual(tm.listPhases()[1].name, "Design", "Undo restores the order");
+
+  // Test 2: Completion computed from tasks
+  tm.createTask({ title: "A", phase: "phase-1" });
+  tm.createTask({ title: "B", phase: "phase-1" });
+  tm.createTask({ title: "Docs", phase: "phase-1", tags: ["optional"] });
+  tm.updateTask("TASK-001", { status: "in-progress" });
+  tm.updateTask("TASK-001", { status: "completed" });
+  let phase = tm.getPhase("phase-1");
+  assertEqual(phase.completion_percentage, 33, "One of three tasks is done");
+  assertEqual(
+    phase.open_required_tasks.join(","),
+    "TASK-002",
+    "Optional tasks do not block the phase",
+  );
+
+  // Test 3: Gated advancement
+  try {
+    tm.advancePhase();
+    assert(false, "Advancing with open required tasks should fail");
+  } catch (error) {
+    assertEqual(error.code, "PHASE_INCOMPLETE", "Error has a code");
+    assertEqual(error.tasks.join(","), "TASK-002", "Error lists open tasks");
+  }
+  tm.updateTask("TASK-002", { status: "cancelled" });
+  const result = tm.advancePhase();
+  assertEqual(result.to, "phase-3", "Next phase in order becomes active");
+  assertEqual(tm.getPhase("phase-1").status, "completed", "Old phase closed");
+  assert(tm.getPhase("phase-3").active, "New phase is active");
+
+  tm.createTask({ title: "Mockups", phase: "phase-3" });
+  assertEqual(
+    tm.advancePhase({ force: true }).forced.join(","),
+    "TASK-004",
+    "Force advances past open tasks and reports them",
+  );
+
+  // Test 4: Deleting is refused while the phase is in use
+  try {
+    tm.deletePhase("phase-2");
+    assert(false, "Deleting the active phase should fail");
+  } catch (error) {
+    assert(error.message.includes("active"), "Error explains why");
+  }
+  tm.createPhase({ name: "Spare" });
+  tm.deletePhase("phase-4");
+  assertEqual(tm.listPhases().length, 3, "Unused phase is deleted");
+
+  tm.rebuildFromJournal();
+  assertEqual(
+    tm.taskTracker.current_state.active_phase,
+    "phase-2",
+    "Journal replays phase advancement",
+  );
+
+  cleanupTestDir();
+}
+
+async function testDeadlines() {
+  cleanupTestDir();
+  const dataDir = path.join(TEST_CONFIG.testDir, "tasks-data");
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, "config.json"),
+    JSON.stringify({ sla: { priorities: { critical: 4 }, at_risk_hours: 12 } }),
+  );
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", type: "human" });
+  const soon = new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString();
+
+  tm.createTask({ title: "Late", due_date: "2020-01-01", assignees: ["dev"] });
+  tm.createTask({ title: "Soon", due_date: soon });
+  tm.createTask({ title: "Hotfix", priority: "critical" });
+  tm.createTask({ title: "Later", due_date: "2999-01-01" });
+  tm.createTask({ title: "Plain" });
+
+  // Test 1: Overdue, at-risk and SLA deadlines
+  assertEqual(tm.getDeadline("TASK-001").state, "overdue", "Past due date");
+  assertEqual(tm.getDeadline("TASK-002").state, "at-risk", "Due within 12h");
+  const sla = tm.getDeadline("TASK-003");
+  assertEqual(sla.source, "sla", "Critical tasks get the configured SLA");
+  assertEqual(sla.state, "at-risk", "A 4h SLA is within the at-risk window");
+  assertEqual(tm.getDeadline("TASK-004").state, "on-track", "Far off");
+  assertEqual(tm.getDeadline("TASK-005"), null, "No deadline at all");
+  const status = tm.getProjectStatus();
+  assertEqual(status.deadlines.overdue.length, 1, "Status counts overdue");
+  assertEqual(status.deadlines.at_risk.length, 2, "Status counts at risk");
+  assertEqual(status.tasks.by_status.todo, 5, "by_status keeps its keys");
+  assertEqual(status.tasks.by_status.in_progress, 0, "in_progress key kept");
+
+  // Test 2: Deadline proximity raises the score
+  assert(
+    tm.calculateTaskScore(tm.getTask("TASK-001")) >
+      tm.calculateTaskScore(tm.getTask("TASK-005")),
+    "Overdue tasks score higher",
+  );
+  try {
+    tm.updateTask("TASK-004", { start_date: "3000-01-01" });
+    assert(false, "Starting after the due date should be rejected");
+  } catch (error) {
+    assert(error.message.includes("after it is due"), "Error explains why");
+  }
+
+  // Test 3: Overdue tasks notify their assignees once
+  tm.setCurrentAgent("dev");
+  const lateRevision = tm.getTask("TASK-001").revision;
+  const checkIn = tm.checkIn();
+  assertEqual(checkIn.status.overdue_tasks, 1, "Check-in reports overdue");
+  assertEqual(
+    tm.getTask("TASK-001").revision,
+    lateRevision,
+    "Escalating does not change the task's revision",
+  );
+  const stamp = tm.storage.getStamp();
+  tm.escalateOverdueTasks();
+  const notifications = tm.getMyNotifications();
+  tm.checkIn();
+  assertEqual(tm.storage.getStamp(), stamp, "Repeated reads write nothing");
+  assertArrayLength(notifications, 1, "Assignee is notified once");
+  assertEqual(notifications[0].type, "task_overdue", "Notification type");
+  assertEqual(
+    tm.getUndoStacks("dev").done.length,
+    0,
+    "Escalations are not part of the agent's undo history",
+  );
+
+  cleanupTestDir();
+}
+
+async function testRecurringTasks() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  const other = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "bot", name: "Bot", type: "ai" });
+  tm.setCurrentAgent("bot");
+  const audit = tm.createRecurring({
+    title: "Dependency audit",
+    every: "7d",
+    start_date: "2020-01-01T00:00:00Z",
+    tags: ["maintenance"],
+    assignees: ["bot"],
+  });
+
+  // Test 1: Due occurrences become tasks, once
+  assertEqual(audit.next_run, "2020-01-01T00:00:00.000Z", "Starts on start");
+  const { created } = tm.materializeRecurring(new Date("2020-01-02T00:00:00Z"));
+  assertArrayLength(created, 1, "The due occurrence is created");
+  assertEqual(created[0].tags.join(","), "maintenance", "Tags carry over");
+  assertEqual(created[0].assignees[0].id, "bot", "Assignees carry over");
+  assertEqual(
+    created[0].due_date,
+    "2020-01-08T00:00:00.000Z",
+    "Due at the next occurrence",
+  );
+  assertArrayLength(
+    other.materializeRecurring(new Date("2020-01-02T00:00:00Z")).created,
+    0,
+    "Another process does not create it again",
+  );
+
+  // Test 2: Missed occurrences collapse into one task with a fresh ID
+  const later = tm.materializeRecurring(
+    new Date("2020-02-01T00:00:00Z"),
+  ).created;
+  assertArrayLength(later, 1, "Missed occurrences are collapsed");
+  assert(later[0].id !== created[0].id, "Each occurrence gets a fresh ID");
+  assertEqual(
+    tm.getRecurring(audit.id).next_run,
+    "2020-02-05T00:00:00.000Z",
+    "Next run is after now",
+  );
+  assertEqual(
+    tm.getUndoStacks("bot").done.length,
+    1,
+    "Materialized tasks are not part of the agent's undo history",
+  );
+
+  // Test 3: Cron schedules, pausing and validation
+  const triage = tm.createRecurring({
+    title: "Weekly triage",
+    cron: "0 9 * * 1",
+    start_date: "2025-01-01T00:00:00Z",
+  });
+  assertEqual(triage.next_run, "2025-01-06T09:00:00.000Z", "Next Monday 9:00");
+  tm.updateRecurring(triage.id, { active: false });
+  assertArrayLength(
+    tm
+      .materializeRecurring(new Date("2025-01-07T00:00:00Z"))
+      .created.filter((task) => task.recurring_id === triage.id),
+    0,
+    "Paused definitions are skipped",
+  );
+  try {
+    tm.createRecurring({ title: "Bad", cron: "0 25 * * *" });
+    assert(false, "Invalid cron expression should be rejected");
+  } catch (error) {
+    assert(error.message.includes("hour"), "Error names the field");
+  }
+
+  tm.rebuildFromJournal();
+  assertEqual(tm.listRecurring().length, 2, "Journal replays definitions");
+
+  // Test 4: A failing definition is reported without holding back the others
+  const healthy = tm.createRecurring({
+    title: "Healthy",
+    every: "1d",
+    start_date: "2020-01-01T00:00:00Z",
+  });
+  const broken = tm.createRecurring({
+    title: "Broken",
+    every: "1d",
+    start_date: "2020-01-01T00:00:00Z",
+  });
+  const trackerPath = path.join(tm.dataDir, "task-tracker.json");
+  const tracker = JSON.parse(fs.readFileSync(trackerPath, "utf8"));
+  tracker.recurring[broken.id].tags = null;
+  fs.writeFileSync(trackerPath, JSON.stringify(tracker));
+  const result = tm.materializeRecurring(new Date("2020-01-01T12:00:00Z"));
+  assertEqual(
+    result.failed.map((failure) => failure.recurring_id).join(","),
+    broken.id,
+    "The failing definition is reported",
+  );
+  assertEqual(
+    result.created.map((task) => task.recurring_id).join(","),
+    healthy.id,
+    "Other definitions are still materialized",
+  );
+  assertEqual(
+    new TaskManager({ dataDir: TEST_CONFIG.testDir }).getRecurring(healthy.id)
+      .last_task_id,
+    result.created[0].id,
+    "Their progress is saved",
+  );
+
+  cleanupTestDir();
+}
+
+async function testTimeTracking() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", type: "human" });
+  tm.addAgent({ id: "bot", name: "Bot", type: "ai" });
+  const task = tm.createTask({
+    title: "Pair on parser",
+    category: "coding",
+    estimated_hours: 2,
+    assignees: ["dev", "bot"],
+  });
+  const hoursAgo = (hours) =>
+    new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  // Test 1: start opens a session per agent; pause closes only your own
+  tm.setCurrentAgent("dev");
+  tm.startTask(task.id);
+  tm.setCurrentAgent("bot");
+  tm.startTask(task.id);
+  const sessions = tm.getTask(task.id).work_sessions;
+  assertEqual(sessions.length, 2, "One session per agent");
+  sessions[0].started = hoursAgo(2);
+  sessions[1].started = hoursAgo(1);
+  tm.saveData();
+
+  tm.setCurrentAgent("dev");
+  tm.pauseTask(task.id);
+  assertEqual(tm.getTask(task.id).actual_hours, 2, "Paused session is logged");
+  assertEqual(
+    tm.getTask(task.id).status,
+    "in-progress",
+    "Pausing keeps the status",
+  );
+  assertEqual(
+    tm.getTimeTracking(task.id).running.join(","),
+    "bot",
+    "The other agent's clock keeps running",
+  );
+  try {
+    tm.pauseTask(task.id);
+    assert(false, "Pausing twice should fail");
+  } catch (error) {
+    assert(error.message.includes("no running"), "Error explains why");
+  }
+  tm.resumeTask(task.id);
+  try {
+    tm.resumeTask(task.id);
+    assert(false, "Resuming a running task should fail");
+  } catch (error) {
+    assert(error.message.includes("already running"), "Error explains why");
+  }
+
+  // Test 2: completing stops every clock
+  tm.completeTask(task.id);
+  const tracking = tm.getTimeTracking(task.id);
+  assertEqual(tracking.running.length, 0, "No sessions left running");
+  assertEqual(tracking.actual_hours, 3, "Actual hours add up all sessions");
+  assertEqual(tracking.variance_hours, 1, "One hour over the estimate");
+  assertEqual(tracking.by_agent.dev, 2, "Hours per agent");
+  assertEqual(tracking.by_agent.bot, 1, "Hours per agent");
+
+  // Test 3: Timesheet and estimate accuracy
+  const timesheet = tm.getTimesheet({ agentId: "bot" });
+  assertEqual(timesheet.total_hours, 1, "Timesheet filters by agent");
+  assertEqual(
+    tm.getTimesheet({ since: new Date().toISOString() }).total_hours,
+    0,
+    "Sessions before the window are left out",
+  );
+  const byAgent = tm.getEstimateAccuracy();
+  assertEqual(byAgent.overall.ratio, 1.5, "Overall actual / estimated");
+  const dev = byAgent.groups.find((group) => group.key === "dev");
+  assertEqual(dev.estimated_hours, 1.33, "Estimate split by share of hours");
+  assertEqual(dev.mean_error_percent, 50, "Dev's estimate error");
+  const byType = tm.getEstimateAccuracy({ groupBy: "type" });
+  assertEqual(
+    byType.groups.map((group) => group.key).join(","),
+    "ai,human",
+    "Humans and AI agents are reported separately",
+  );
+  assertEqual(
+    tm.getEstimateAccuracy({ groupBy: "category" }).groups[0].key,
+    "coding",
+    "Grouped by category",
+  );
+  try {
+    tm.updateTask(task.id, { actual_hours: 1 });
+    assert(false, "Logged time should not be editable");
+  } catch (error) {
+    assert(error.message.includes("cannot be edited"), "Error explains why");
+  }
+}
+
+async function testCommentsAndActivity() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", type: "human" });
+  tm.addAgent({ id: "bot-1", name: "Bot", type: "ai" });
+  tm.setCurrentAgent("dev");
+  const task = tm.createTask({ title: "Parser", assignees: ["dev"] });
+  tm.updateTask(task.id, { status: "in-progress", priority: "high" });
+
+  // Test 1: Comments are threaded per task and mentions notify
+  const comment = tm.addComment(
+    task.id,
+    "Ping @bot-1 (cc dev@example.com, @nobody)",
+  );
+  assertEqual(comment.author, "dev", "Author is the current agent");
+  assertEqual(comment.mentions.join(","), "bot-1", "Only known agents count");
+  tm.transferTask(task.id, "dev", "bot-1", "Lexer is done, parser is next");
+  assertEqual(tm.getComments(task.id).length, 2, "Handoff note is a comment");
+  tm.setCurrentAgent("bot-1");
+  const mentions = tm
+    .getMyNotifications()
+    .filter((notification) => notification.type === "task_mention");
+  assertEqual(mentions.length, 2, "Mentioned agent is notified each time");
+  try {
+    tm.addComment(task.id, "   ");
+    assert(false, "Empty comments should be rejected");
+  } catch (error) {
+    assert(error.message.includes("required"), "Error explains why");
+  }
+
+  // Test 2: Activity interleaves comments with field changes
+  const activity = tm.getTaskActivity(task.id);
+  assertEqual(activity[0].action, "created", "History starts at creation");
+  const update = activity.find((entry) => entry.type === "task.updated");
+  assertEqual(
+    update.changes
+      .map((change) => change.field)
+      .sort()
+      .join(","),
+    "priority,status",
+    "Changed fields are listed",
+  );
+  assertEqual(update.actor, "dev", "Changes record who made them");
+  assertEqual(
+    activity.filter((entry) => entry.kind === "comment").length,
+    2,
+    "Comments are part of the activity",
+  );
+  assertEqual(
+    tm.getTaskActivity(task.id, { limit: 1 })[0].kind,
+    "comment",
+    "Limit keeps the latest",
+  );
+
+  // Test 3: Comments are append-only and survive a journal rebuild
+  tm.setCurrentAgent("dev");
+  tm.undo("dev");
+  assertEqual(
+    tm.getComments(task.id).length,
+    2,
+    "Undoing the transfer keeps the handoff note",
+  );
+  assertEqual(
+    tm
+      .getTask(task.id)
+      .assignees.map((a) => a.id)
+      .join(","),
+    "dev",
+    "The transfer itself is undone",
+  );
+  tm.rebuildFromJournal();
+  assertEqual(tm.getComments(task.id).length, 2, "Comments are journaled");
+}
+
+async function testArtifacts() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "bot", name: "Bot", type: "ai" });
+  tm.setCurrentAgent("bot");
+  const task = tm.createTask({
+    title: "Fix parser",
+    assignees: ["bot"],
+    files_affected: ["src/parser.js", "src/lexer.js", "docs"],
+  });
+  fs.mkdirSync(path.join(TEST_CONFIG.testDir, "src"), { recursive: true });
+  fs.writeFileSync(path.join(TEST_CONFIG.testDir, "src", "lexer.js"), "ok");
+
+  // Test 1: Files in the project and inline content
+  const file = tm.attachArtifact(task.id, { path: "./src/lexer.js" });
+  assertEqual(file.type, "file", "Paths are file artifacts");
+  assertEqual(file.path, "src/lexer.js", "Path is stored project-relative");
+  assertEqual(file.agent_id, "bot", "Producing agent is recorded");
+  const patch = tm.attachArtifact(task.id, {
+    content: "--- a/src/parser.js\n+++ b/src/parser.js\n@@ -1 +1 @@\n-a\n+b\n",
+  });
+  assertEqual(patch.type, "patch", "Diffs are recognized as patches");
+  assertEqual(patch.files.join(","), "src/parser.js", "Patch covers its files");
+  assert(
+    fs.existsSync(
+      path.join(TEST_CONFIG.testDir, "tasks-data", patch.stored_path),
+    ),
+    "Inline content is stored under tasks-data",
+  );
+  assert(patch.checksum.startsWith("sha256:"), "Artifacts are checksummed");
+  assertEqual(tm.listArtifacts(task.id).length, 2, "Listed per task");
+  try {
+    tm.attachArtifact(task.id, { path: "../outside.txt" });
+    assert(false, "Files outside the project should be rejected");
+  } catch (error) {
+    assert(error.message.includes("outside the project"), "Error explains why");
+  }
+
+  // Test 2: Reading detects changes since attaching
+  assertEqual(tm.readArtifact(patch.id).modified, false, "Unchanged patch");
+  fs.writeFileSync(path.join(TEST_CONFIG.testDir, "src", "lexer.js"), "new");
+  const changed = tm.readArtifact(file.id);
+  assertEqual(changed.content, "new", "Reads the current content");
+  assertEqual(changed.modified, true, "Checksum mismatch is reported");
+
+  // Test 3: Completion cross-checks files_affected
+  tm.startTask(task.id);
+  try {
+    tm.completeTask(task.id, { requireArtifacts: true });
+    assert(false, "Uncovered files should block a strict completion");
+  } catch (error) {
+    assert(error.message.includes("docs"), "Error lists the missing files");
+  }
+  const completed = tm.completeTask(task.id);
+  assertEqual(
+    completed.missing_artifacts.join(","),
+    "docs",
+    "Uncovered files are recorded on the task",
+  );
+  assertEqual(
+    tm.getUndoStacks("bot").done.length,
+    3,
+    "Attaching is not undoable",
+  );
+
+  // Test 4: Deleting the task removes its artifacts
+  const other = tm.createTask({ title: "Other" });
+  const kept = tm.attachArtifact(other.id, { content: "report" });
+  tm.deleteTask(task.id);
+  assertEqual(tm.getArtifact(patch.id), null, "Records are removed");
+  assertEqual(tm.getArtifact(file.id), null, "File records are removed");
+  assert(
+    !fs.existsSync(
+      path.join(TEST_CONFIG.testDir, "tasks-data", "artifacts", task.id),
+    ),
+    "Stored content is removed",
+  );
+  assert(
+    fs.existsSync(path.join(TEST_CONFIG.testDir, "src", "lexer.js")),
+    "Project files are left alone",
+  );
+  assertEqual(tm.readArtifact(kept.id).content, "report", "Others are kept");
+  tm.rebuildFromJournal();
+  assertEqual(tm.getArtifact(patch.id), null, "Replay removes them too");
+}
+
+async function testCompletionCriteria() {
+  cleanupTestDir();
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    allowCommandCriteria: true,
+  });
+  tm.addAgent({ id: "bot", name: "Bot", type: "ai" });
+  tm.setCurrentAgent("bot");
+  const task = tm.createTask({
+    title: "Ship parser",
+    assignees: ["bot"],
+    completion_criteria: [
+      "Reviewed by a human",
+      { type: "file_exists", path: "src/parser.js" },
+      {
+        type: "file_contains",
+        path: "src/parser.js",
+        pattern: "^module\\.exports",
+      },
+      { type: "command", command: 'node -e "process.exit(0)"' },
+      { type: "test_report", path: "report.json" },
+    ],
+  });
+  try {
+    tm.createTask({ title: "Bad", completion_criteria: [{ type: "magic" }] });
+    assert(false, "Unknown check types should be rejected");
+  } catch (error) {
+    assert(error.message.includes("file_exists"), "Error lists the types");
+  }
+
+  // Test 1: Failing checks block completion
+  let verification = tm.verifyTask(task.id);
+  assertEqual(verification.passed, false, "Missing files fail");
+  assertEqual(verification.results[0].status, "manual", "Text is manual");
+  assertEqual(
+    verification.results[3].status,
+    "passed",
+    "Command exit 0 passes",
+  );
+  assertEqual(verification.failed, 3, "Both file checks and the report fail");
+  tm.startTask(task.id);
+  try {
+    tm.completeTask(task.id);
+    assert(false, "Completion should be refused while checks fail");
+  } catch (error) {
+    assert(
+      error.message.includes("src/parser.js exists"),
+      "Failures are named",
+    );
+  }
+  assertEqual(tm.getTask(task.id).status, "in-progress", "Task stays open");
+
+  // Test 2: Passing checks allow completion
+  fs.mkdirSync(path.join(TEST_CONFIG.testDir, "src"), { recursive: true });
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "src", "parser.js"),
+    "module.exports = {};\n",
+  );
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "report.json"),
+    JSON.stringify({ numPassedTests: 4, numFailedTests: 1 }),
+  );
+  verification = tm.verifyTask(task.id);
+  assertEqual(
+    verification.results[4].message,
+    "4 passed, 1 failed",
+    "Report counts",
+  );
+  assertEqual(verification.failed, 1, "Failing tests fail the report check");
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "report.json"),
+    '<testsuites><testsuite tests="3" failures="0" errors="0"></testsuite></testsuites>',
+  );
+  assertEqual(tm.verifyTask(task.id).passed, true, "JUnit reports are read");
+  const completed = tm.completeTask(task.id);
+  assertEqual(completed.status, "completed", "Completed once checks pass");
+  assertEqual(completed.criteria_waiver, null, "No waiver needed");
+
+  // Test 3: A waiver completes despite failures and is recorded
+  const flaky = tm.createTask({
+    title: "Flaky",
+    assignees: ["bot"],
+    completion_criteria: [{ type: "command", command: "exit 3" }],
+  });
+  assertEqual(
+    tm.verifyTask(flaky.id).results[0].message,
+    "Exited with 3",
+    "Exit code is reported",
+  );
+  tm.startTask(flaky.id);
+  const waived = tm.updateTask(
+    flaky.id,
+    { status: "completed" },
+    { waiver: "CI is down" },
+  );
+  assertEqual(waived.status, "completed", "Waiver allows completion");
+  assertEqual(waived.criteria_waiver.reason, "CI is down", "Reason recorded");
+  assertEqual(waived.criteria_waiver.agent_id, "bot", "Agent recorded");
+  assertEqual(
+    waived.criteria_waiver.failed.length,
+    1,
+    "Failed checks recorded",
+  );
+
+  // Test 4: Cascading to subtasks checks and completes them the same way
+  const release = tm.createTask({ title: "Release", assignees: ["bot"] });
+  const changelog = tm.createSubtask(release.id, {
+    title: "Changelog",
+    assignees: ["bot"],
+    completion_criteria: [{ type: "file_exists", path: "CHANGELOG.md" }],
+  });
+  tm.startTask(changelog.id);
+  tm.startTask(release.id);
+  try {
+    tm.updateTask(release.id, { status: "completed" }, { cascade: true });
+    assert(false, "Cascade should be refused while a subtask's checks fail");
+  } catch (error) {
+    assert(error.message.includes("CHANGELOG.md"), "Subtask failure named");
+  }
+  assertEqual(
+    tm.getTask(changelog.id).status,
+    "in-progress",
+    "Subtask stays open",
+  );
+  tm.updateTask(
+    release.id,
+    { status: "completed" },
+    { cascade: true, waiver: "Changelog follows" },
+  );
+  const cascaded = tm.getTask(changelog.id);
+  assertEqual(cascaded.status, "completed", "Waiver covers the subtask");
+  assertEqual(
+    cascaded.criteria_waiver.reason,
+    "Changelog follows",
+    "Subtask waiver recorded",
+  );
+  assert(
+    cascaded.work_sessions.every((session) => session.ended),
+    "Subtask work sessions closed",
+  );
+  assert(
+    tm
+      .getTaskActivity(changelog.id)
+      .some(
+        (entry) =>
+          entry.kind === "change" &&
+          entry.changes.some(
+            (change) => change.field === "status" && change.to === "completed",
+          ),
+      ),
+    "Subtask completion in its activity",
+  );
+
+  // Test 5: Command checks in task data need the opt-in
+  const guarded = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  try {
+    guarded.createTask({
+      title: "Planted",
+      completion_criteria: [{ type: "command", command: "touch planted" }],
+    });
+    assert(false, "Command checks should be refused by default");
+  } catch (error) {
+    assert(error.message.includes("disabled"), "Refusal names the opt-in");
+  }
+  const planted = guarded.getTask(flaky.id);
+  planted.completion_criteria = [{ type: "command", command: "touch planted" }];
+  const refused = guarded.verifyTask(flaky.id);
+  assertEqual(refused.passed, false, "Stored commands fail without the opt-in");
+  assert(
+    !fs.existsSync(path.join(TEST_CONFIG.testDir, "planted")),
+    "Stored commands are not run",
+  );
+  const ruled = guarded.createTask({ title: "Ruled" });
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "tasks-data", "completion-rules.json"),
+    JSON.stringify({
+      rules: [
+        {
+          match: { task: ruled.id },
+          checks: [{ type: "command", command: 'node -e "process.exit(0)"' }],
+        },
+      ],
+    }),
+  );
+  assertEqual(
+    guarded
+      .detectCompletions()
+      .map((proposal) => proposal.task_id)
+      .join(","),
+    ruled.id,
+    "Command checks from the rules file still run",
+  );
+}
+
+async function testSlowCompletionCriteria() {
+  cleanupTestDir();
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    lockStaleMs: 300,
+    allowCommandCriteria: true,
+  });
+  // Outlasts the stale window, checks the lock is free and writes meanwhile
+  const cli = (command) =>
+    `node -e "setTimeout(() => {}, 600)" && test ! -e tasks-data/.task-manager.lock && TASK_MANAGER_DATA_DIR=${JSON.stringify(path.resolve(TEST_CONFIG.testDir))} node ${JSON.stringify(path.resolve(__dirname, "task-manager.js"))} ${command}`;
+  const slow = tm.createTask({
+    title: "Slow",
+    completion_criteria: [
+      { type: "command", command: cli("create --title Meanwhile") },
+    ],
+  });
+  tm.updateTask(slow.id, { status: "in-progress" });
+
+  // Test 1: Checks run without the lock, and writes made meanwhile survive
+  const done = tm.updateTask(slow.id, { status: "completed" });
+  assertEqual(done.status, "completed", "Slow check passed");
+  const fresh = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  assert(fresh.getTask("TASK-002"), "Task created during the check kept");
+  assertEqual(fresh.getTask(slow.id).status, "completed", "Completion saved");
+
+  // Test 2: A task changed while its checks ran is not completed
+  const raced = tm.createTask({
+    title: "Raced",
+    completion_criteria: [
+      { type: "command", command: cli("update TASK-003 --priority high") },
+    ],
+  });
+  tm.updateTask(raced.id, { status: "in-progress" });
+  try {
+    tm.updateTask(raced.id, { status: "completed" });
+    assert(false, "Completion should be refused after a concurrent change");
+  } catch (error) {
+    assertEqual(error.code, "REVISION_CONFLICT", "Reported as a conflict");
+  }
+  assertEqual(tm.getTask(raced.id).priority, "high", "Other change kept");
+  assertEqual(tm.getTask(raced.id).status, "in-progress", "Not completed");
+}
+
+async function testCompletionDetection() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  const migration = tm.createTask({ title: "Migration", category: "database" });
+  const docs = tm.createTask({ title: "Docs", tags: ["docs"] });
+  const other = tm.createTask({ title: "Other", category: "database" });
+  const dropped = tm.createTask({ title: "Old docs", tags: ["docs"] });
+  tm.updateTask(dropped.id, { status: "cancelled" });
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "tasks-data", "completion-rules.json"),
+    JSON.stringify({
+      rules: [
+        {
+          name: "Migration file",
+          match: { task: migration.id, category: "database" },
+          checks: [{ type: "file_exists", path: "db/001.sql" }],
+        },
+        {
+          match: { tag: ["docs", "guide"] },
+          checks: [
+            { type: "file_contains", path: "README.md", pattern: "Usage" },
+          ],
+          status: "in-progress",
+        },
+      ],
+    }),
+  );
+  assertEqual(tm.detectCompletions().length, 0, "Nothing passes yet");
+
+  // Test 1: Proposals without changes
+  fs.mkdirSync(path.join(TEST_CONFIG.testDir, "db"), { recursive: true });
+  fs.writeFileSync(path.join(TEST_CONFIG.testDir, "db", "001.sql"), "");
+  fs.writeFileSync(path.join(TEST_CONFIG.testDir, "README.md"), "## Usage\n");
+  const proposals = tm.detectCompletions();
+  assertEqual(
+    proposals.map((proposal) => proposal.task_id).join(","),
+    `${migration.id},${docs.id}`,
+    "Only tasks matching every selector of a rule are proposed",
+  );
+  assertEqual(proposals[0].to, "completed", "Default target is done");
+  assertEqual(proposals[0].rules[0], "Migration file", "Rule is named");
+  assertEqual(proposals[1].to, "in-progress", "Rules can set the status");
+  assertEqual(tm.getTask(migration.id).status, "todo", "Nothing applied");
+
+  // Test 2: Applying walks the workflow to the proposed status
+  const applied = tm.detectCompletions({ apply: true });
+  assert(
+    applied.every((proposal) => proposal.applied),
+    "All applied",
+  );
+  assertEqual(tm.getTask(migration.id).status, "completed", "Completed");
+  assertEqual(tm.getTask(docs.id).status, "in-progress", "Moved on");
+  assertEqual(tm.getTask(other.id).status, "todo", "Unmatched task untouched");
+  assertEqual(tm.getTask(dropped.id).status, "cancelled", "Cancelled stays");
+  assertEqual(tm.detectCompletions().length, 0, "Nothing left to propose");
+
+  // Test 3: Invalid rules are reported
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "tasks-data", "completion-rules.json"),
+    JSON.stringify([{ name: "Empty", match: { tag: "x" }, checks: [] }]),
+  );
+  try {
+    tm.detectCompletions();
+    assert(false, "Rules without checks should be rejected");
+  } catch (error) {
+    assert(error.message.includes('"Empty"'), "Error names the rule");
+  }
+}
+
+async function testRecommendationRules() {
+  cleanupTestDir();
+  const dataDir = path.join(TEST_CONFIG.testDir, "tasks-data");
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, "config.json"),
+    JSON.stringify({ recommendations: { max_recommendations: 5 } }),
+  );
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.createPhase({ name: "Build" });
+  tm.createTask({ title: "Risky", priority: "critical", risk_level: "high" });
+  tm.createTask({ title: "Also risky", priority: "high", risk_level: "high" });
+  tm.createTask({ title: "Safe", priority: "low", risk_level: "low" });
+  tm.createTask({
+    title: "Next phase",
+    priority: "critical",
+    phase: "phase-2",
+  });
+  assertEqual(tm.recommendationRules.max_recommendations, 5, "Config applies");
+  assertEqual(tm.recommendationRules.max_parallel_high_risk, 1, "Default cap");
+
+  // Test 1: One high-risk task at a time, active phase first
+  let ids = tm.getProjectRecommendations().map((task) => task.id);
+  assertEqual(ids.join(","), "TASK-001,TASK-003", "Rules filter the ranking");
+  tm.updateTask("TASK-001", { status: "in-progress" });
+  ids = tm.getProjectRecommendations().map((task) => task.id);
+  assertEqual(ids.join(","), "TASK-003", "Active high-risk tasks count");
+
+  // Test 2: Scores come with their breakdown
+  const [safe] = tm.getProjectRecommendations();
+  const points = Object.values(safe.score_breakdown);
+  assertEqual(
+    points.reduce((sum, value) => sum + value, 0),
+    safe.recommendation_score,
+    "Breakdown adds up to the score",
+  );
+  assertEqual(
+    tm.getTaskScore(tm.getTask("TASK-004")).breakdown.phase,
+    tm.scoring.phase.next,
+    "The next phase scores between active and future",
+  );
+
+  // Test 3: Rules can be turned off per instance, and are validated
+  const relaxed = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    recommendations: {
+      max_parallel_high_risk: null,
+      require_current_phase: false,
+    },
+  });
+  ids = relaxed.getProjectRecommendations().map((task) => task.id);
+  assertEqual(ids.join(","), "TASK-002,TASK-004,TASK-003", "No rules");
+  try {
+    new TaskManager({
+      dataDir: TEST_CONFIG.testDir,
+      recommendations: { max_recommendations: 0 },
+    });
+    assert(false, "Invalid rules should be rejected");
+  } catch (error) {
+    assert(error.message.includes("max_recommendations"), "Names the rule");
+  }
+}
+
+async function testScoringStrategies() {
+  cleanupTestDir();
+  const dataDir = path.join(TEST_CONFIG.testDir, "tasks-data");
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, "config.json"),
+    JSON.stringify({ recommendations: { strategy: "wsjf" } }),
+  );
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", capabilities: ["coding"] });
+  tm.createTask({
+    title: "Big",
+    category: "coding",
+    priority: "critical",
+    estimated_hours: 40,
+  });
+  tm.createTask({
+    title: "Small",
+    category: "coding",
+    priority: "low",
+    estimated_hours: 1,
+  });
+  tm.createTask({
+    title: "Medium",
+    category: "coding",
+    priority: "high",
+    estimated_hours: 4,
+  });
+  const ranking = (options) =>
+    tm
+      .getRecommendationsForAgent("dev", null, options)
+      .map((task) => task.id)
+      .join(",");
+
+  // Test 1: The project's default strategy, overridable per call
+  assertEqual(tm.recommendationRules.strategy, "wsjf", "Config applies");
+  assertEqual(ranking(), "TASK-002,TASK-003,TASK-001", "WSJF by default");
+  assertEqual(
+    ranking({ strategy: "priority" }),
+    "TASK-001,TASK-003,TASK-002",
+    "Pure priority",
+  );
+  assertEqual(
+    ranking({ strategy: "shortest-job-first" }),
+    "TASK-002,TASK-003,TASK-001",
+    "Shortest job first",
+  );
+  assertEqual(
+    ranking({ strategy: "balanced" }),
+    "TASK-001,TASK-003,TASK-002",
+    "Balanced",
+  );
+
+  // Test 2: Each strategy has its own factors, and weights scale them
+  const [small] = tm.getRecommendationsForAgent("dev");
+  assertEqual(small.recommendation_strategy, "wsjf", "Strategy reported");
+  assertEqual(
+    Object.keys(small.score_breakdown).sort().join(","),
+    "deadline,dependency,priority,risk",
+    "WSJF scores cost of delay",
+  );
+  const score = tm.getTaskScore(tm.getTask("TASK-002"), undefined, {
+    strategy: "priority",
+    weights: { priority: 3 },
+  });
+  assertEqual(score.breakdown.priority, 6, "Weights scale the factor");
+  assertEqual(score.total, 6, "Total follows the breakdown");
+  assertEqual(
+    tm.calculateTaskScore(tm.getTask("TASK-002")),
+    tm.getTaskScore(tm.getTask("TASK-002")).total,
+    "calculateTaskScore delegates to the strategy",
+  );
+
+  // Test 3: Strategies can be registered, and names are checked
+  registerScoringStrategy({
+    name: "test-oldest-first",
+    score: (task) => ({ age: 100 - Number(task.id.split("-")[1]) }),
+  });
+  try {
+    assertEqual(
+      ranking({ strategy: "test-oldest-first" }),
+      "TASK-001,TASK-002,TASK-003",
+      "Registered strategy is used",
+    );
+  } finally {
+    unregisterScoringStrategy("test-oldest-first");
+  }
+  assert(
+    !listScoringStrategies().some(
+      (strategy) => strategy.name === "test-oldest-first",
+    ),
+    "Strategies can be unregistered",
+  );
+  try {
+    unregisterScoringStrategy("balanced");
+    assert(false, "The default strategy should stay registered");
+  } catch (error) {
+    assert(error.message.includes("default"), "Explains the refusal");
+  }
+  try {
+    registerScoringStrategy({ name: "wsjf", score: () => ({}) });
+    assert(false, "Duplicate strategies should be rejected");
+  } catch (error) {
+    assert(error.message.includes("already registered"), "Names the clash");
+  }
+  try {
+    ranking({ strategy: "nope" });
+    assert(false, "Unknown strategies should be rejected");
+  } catch (error) {
+    assert(error.message.includes("available"), "Lists the strategies");
+  }
+  try {
+    new TaskManager({
+      dataDir: TEST_CONFIG.testDir,
+      recommendations: { weights: { priority: -1 } },
+    });
+    assert(false, "Negative weights should be rejected");
+  } catch (error) {
+    assert(error.message.includes("weights.priority"), "Names the weight");
+  }
+}
+
+async function testRecommendationExplanations() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "dev", name: "Dev", type: "ai", capabilities: ["coding"] });
+  tm.createTask({ title: "Code", category: "coding", priority: "high" });
+  tm.createTask({ title: "Docs", category: "documentation" });
+  tm.createTask({
+    title: "Follow-up",
+    category: "coding",
+    dependencies: ["TASK-001"],
+  });
+  tm.createTask({ title: "Mine", category: "coding" });
+  tm.assignAgentToTask("TASK-004", { id: "dev" });
+  tm.createTask({ title: "Later", category: "coding", priority: "low" });
+
+  // Test 1: Recommendations carry their factors, capability fit included
+  const report = tm.getRecommendationsForAgent("dev", 1, { explain: true });
+  const [top] = report.recommendations;
+  assertEqual(top.id, "TASK-001", "Best task recommended");
+  assertEqual(
+    top.score_factors.map((factor) => factor.factor).join(","),
+    "priority,dependency,critical_path,risk,phase,deadline,capability_fit",
+    "Every factor explained",
+  );
+  assertEqual(
+    top.score_factors.reduce((sum, factor) => sum + factor.points, 0),
+    top.recommendation_score,
+    "Factors add up to the score",
+  );
+  assertEqual(
+    top.score_factors.find((factor) => factor.factor === "capability_fit")
+      .detail,
+    "Has coding",
+    "Capability fit explained",
+  );
+  assert(
+    Array.isArray(tm.getRecommendationsForAgent("dev")),
+    "Plain calls still return the tasks",
+  );
+
+  // Test 2: Every open task left out says why
+  const reasons = Object.fromEntries(
+    report.excluded.map((entry) => [entry.task_id, entry.reasons.join("; ")]),
+  );
+  assertEqual(
+    reasons["TASK-002"],
+    "Needs documentation, which dev does not have",
+    "Capability mismatch",
+  );
+  assertEqual(reasons["TASK-003"], "Waits on TASK-001 (todo)", "Dependency");
+  assertEqual(reasons["TASK-004"], "Already assigned to dev", "Assigned");
+  assertEqual(
+    reasons["TASK-005"],
+    "Outranked (only 1 recommended)",
+    "Recommendation rules",
+  );
+  assertEqual(report.excluded.length, 4, "Only open tasks are listed");
+
+  // Test 3: Explaining a single task
+  const recommended = tm.explainRecommendation("TASK-001", "dev");
+  assertEqual(recommended.recommended, true, "Recommended task");
+  assertEqual(recommended.rank, 1, "With its rank");
+  const left = tm.explainRecommendation("TASK-002", "dev");
+  assertEqual(left.recommended, false, "Excluded task");
+  assertEqual(left.excluded_because.length, 1, "With its reasons");
+  assertEqual(left.factors.length, 7, "And its factors");
+  try {
+    tm.explainRecommendation("TASK-999", "dev");
+    assert(false, "Unknown tasks should be rejected");
+  } catch (error) {
+    assert(error.message.includes("not found"), "Names the task");
+  }
+}
+
 async function testRecommendationSystem() {
   cleanupTestDir();
   const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
@@ -405,6 +1964,7 @@ async function testWorkloadTracking() {
   );
 
   // Test 2: Complete a task and check workload
+  tm.updateTask(task1.id, { status: "in-progress" });
   tm.updateTask(task1.id, { status: "completed" });
   const updatedWorkload = tm.getAgentWorkload("workload-agent");
   assertEqual(
@@ -501,6 +2061,643 @@ async function testDataPersistence() {
   cleanupTestDir();
 }
 
+async function testConcurrentAccess() {
+  cleanupTestDir();
+  const tm1 = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm1.smartInit({ dataDir: TEST_CONFIG.testDir });
+  const tm2 = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+
+  // Test 1: Each instance reloads the other's writes before mutating
+  tm1.createTask({ title: "From instance 1" });
+  tm2.createTask({ title: "From instance 2" });
+  tm1.updateTask("TASK-001", { priority: "high" });
+
+  const tm3 = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  assertEqual(
+    tm3.listTasks().length,
+    2,
+    "Both instances' tasks should persist",
+  );
+  assertEqual(
+    tm3.getTask("TASK-002").title,
+    "From instance 2",
+    "Second task should not be clobbered",
+  );
+  assertEqual(
+    tm3.getTask("TASK-001").priority,
+    "high",
+    "Update should be applied on top of latest state",
+  );
+
+  // Test 2: Lock is released and no temp files are left behind
+  const leftovers = fs
+    .readdirSync(tm1.dataDir)
+    .filter((f) => f.endsWith(".tmp") || f === ".task-manager.lock");
+  assertArrayLength(leftovers, 0, "No lock or temp files should remain");
+
+  // Test 3: Stale locks are taken over
+  fs.writeFileSync(
+    tm1.lockFile,
+    JSON.stringify({ pid: 0, hostname: "elsewhere", acquired: "" }),
+  );
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(tm1.lockFile, old, old);
+  const task = tm1.createTask({ title: "After stale lock" });
+  assertEqual(task.id, "TASK-003", "Mutation should succeed past a stale lock");
+
+  // Test 4: A holder refreshing its lock keeps it from going stale
+  acquireLock(tm1.lockFile);
+  fs.utimesSync(tm1.lockFile, old, old);
+  assert(isLockStale(tm1.lockFile, 1000), "An unrefreshed lock goes stale");
+  refreshLock(tm1.lockFile, 60000);
+  assert(!isLockStale(tm1.lockFile, 1000), "A refreshed lock stays live");
+
+  // Test 5: A lock replaced since it was found stale is left in place
+  removeStaleLock(tm1.lockFile, 1000);
+  assert(fs.existsSync(tm1.lockFile), "A live lock should be put back");
+  releaseLock(tm1.lockFile);
+  fs.writeFileSync(
+    tm1.lockFile,
+    JSON.stringify({ pid: 0, hostname: "elsewhere", acquired: "" }),
+  );
+  fs.utimesSync(tm1.lockFile, old, old);
+  removeStaleLock(tm1.lockFile, 1000);
+  assertArrayLength(
+    fs.readdirSync(tm1.dataDir).filter((f) => f.includes(".lock")),
+    0,
+    "A stale lock is removed without leftovers",
+  );
+
+  cleanupTestDir();
+}
+
+async function testOptimisticConcurrency() {
+  cleanupTestDir();
+  const setup = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  setup.smartInit({ dataDir: TEST_CONFIG.testDir });
+  setup.addAgent({ id: "bot-a", name: "Bot A", type: "ai" });
+  setup.addAgent({ id: "bot-b", name: "Bot B", type: "ai" });
+  const task = setup.createTask({ title: "Contended Task" });
+  assertEqual(task.revision, 1, "New task should start at revision 1");
+
+  // Test 1: Two agents racing to take the same task - one loses
+  const botA = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "bot-a",
+  });
+  const botB = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "bot-b",
+  });
+  botA.takeSelfAssignedTask(task.id);
+
+  let conflict = null;
+  try {
+    botB.takeSelfAssignedTask(task.id);
+  } catch (error) {
+    conflict = error;
+  }
+  assert(conflict !== null, "Second take should be rejected");
+  assertEqual(conflict.code, "TASK_TAKEN", "Rejection should say it is taken");
+  assertArrayLength(
+    botB.getTask(task.id).assignees,
+    1,
+    "Only the winning agent should be assigned",
+  );
+  const late = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "bot-b",
+  });
+  try {
+    late.takeSelfAssignedTask(task.id);
+    assert(false, "A take after loading the winner's data should fail too");
+  } catch (error) {
+    assertEqual(error.code, "TASK_TAKEN", "Late take is refused");
+  }
+  const other = setup.createTask({ title: "Edited Elsewhere" });
+  const stale = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "bot-b",
+  });
+  setup.updateTask(other.id, { priority: "high" });
+  assertEqual(
+    stale.takeSelfAssignedTask(other.id).assignees[0].id,
+    "bot-b",
+    "Unrelated edits elsewhere do not make a take conflict",
+  );
+
+  // Test 2: Stale expectedRevision is rejected, current one is accepted
+  const current = botB.getTask(task.id).revision;
+  try {
+    botB.updateTask(task.id, { priority: "high" }, { expectedRevision: 1 });
+    assert(false, "Stale revision should be rejected");
+  } catch (error) {
+    assertEqual(
+      error.code,
+      "REVISION_CONFLICT",
+      "Stale update should conflict",
+    );
+  }
+  const updated = botB.updateTask(
+    task.id,
+    { priority: "high" },
+    { expectedRevision: current },
+  );
+  assertEqual(updated.revision, current + 1, "Revision should increment");
+
+  // Test 3: Agent records carry revisions too
+  const agent = setup.updateAgent("bot-a", { capabilities: ["coding"] });
+  assertEqual(agent.revision, 2, "Agent revision should increment on update");
+
+  cleanupTestDir();
+}
+
+async function testEventJournal() {
+  cleanupTestDir();
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "journal-agent",
+  });
+  tm.addAgent({ id: "journal-agent", name: "Journal Agent", type: "ai" });
+  tm.createTask({ title: "First Task", assignees: ["journal-agent"] });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const checkpoint = new Date().toISOString();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  tm.createTask({ title: "Second Task" });
+  tm.startTask("TASK-001");
+  tm.completeTask("TASK-001");
+  tm.deleteTask("TASK-002");
+
+  // Test 1: Every mutation is journaled in order
+  const events = tm.getJournalEvents();
+  assertEqual(
+    events.map((event) => event.type).join(","),
+    "journal.started,agent.added,task.created,task.created,task.updated,task.updated,task.deleted",
+    "Journal should record each mutation",
+  );
+  assertEqual(
+    tm.taskTracker.last_event_seq,
+    events[events.length - 1].seq,
+    "Tracker should record the last applied event",
+  );
+  assertEqual(events[4].actor, "journal-agent", "Events should record actor");
+
+  // Test 2: As-of view shows the project at a point in time, read-only
+  const past = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  past.viewAsOf(checkpoint);
+  assertArrayLength(past.listTasks(), 1, "Only the first task existed then");
+  assertEqual(
+    past.getTask("TASK-001").status,
+    "todo",
+    "Task status should be historical",
+  );
+  try {
+    past.createTask({ title: "Rewrite History" });
+    assert(false, "As-of view should reject changes");
+  } catch (error) {
+    assert(
+      error.message.includes("read-only"),
+      "As-of view should be read-only",
+    );
+  }
+
+  // Test 3: Rebuild recovers state lost after the journal was written
+  const trackerPath = path.join(tm.dataDir, "task-tracker.json");
+  const tracker = JSON.parse(fs.readFileSync(trackerPath, "utf8"));
+  tracker.tasks = {};
+  fs.writeFileSync(trackerPath, JSON.stringify(tracker));
+
+  const recovered = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  const result = recovered.rebuildFromJournal();
+  assertEqual(result.tasks, 1, "Replay should restore surviving tasks");
+  assertEqual(
+    recovered.getTask("TASK-001").status,
+    "completed",
+    "Replay should restore the latest task state",
+  );
+  assertEqual(
+    recovered.getAgent("journal-agent").workload.completed_tasks,
+    1,
+    "Replay should recompute agent workloads",
+  );
+
+  // Test 4: State-wide changes journal only what they changed
+  recovered.createTask({ title: "Ready Task" });
+  recovered.refreshRecommendations();
+  const [refreshed] = recovered.getJournalEvents({
+    type: "recommendations.refreshed",
+  });
+  assert(!refreshed.taskTracker, "Refresh should not journal a full copy");
+  assertEqual(
+    Object.keys(refreshed.tracker_fields).sort().join(","),
+    "current_state,recommendation_history",
+    "Refresh should journal only the fields it changed",
+  );
+  assertEqual(
+    JSON.stringify(recovered.journal.replay().taskTracker.current_state),
+    JSON.stringify(recovered.taskTracker.current_state),
+    "Replay should apply diffed fields",
+  );
+
+  cleanupTestDir();
+}
+
+async function testUndoRedo() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir, agentId: "bot" });
+  tm.addAgent({ id: "bot", name: "Bot", type: "ai" });
+  tm.addAgent({ id: "helper", name: "Helper", type: "ai" });
+  tm.createTask({ title: "Base", assignees: ["helper"] });
+  tm.createTask({ title: "Follow-up", dependencies: ["TASK-001"] });
+
+  // Test 1: Undoing deleteTask restores the task and stripped links
+  tm.deleteTask("TASK-001");
+  const [undone] = tm.undo("bot");
+  assertExists(tm.getTask("TASK-001"), "title", "Deleted task is restored");
+  assertEqual(
+    tm.getTask("TASK-002").dependencies.join(","),
+    "TASK-001",
+    "Dependency link is restored",
+  );
+  const followUp = undone.tasks.find((change) => change.id === "TASK-002");
+  assertEqual(
+    followUp.links.dependencies.added.join(","),
+    "TASK-001",
+    "Report lists the restored dependency link",
+  );
+
+  // Test 2: Redo re-applies the deletion
+  tm.redo("bot");
+  assertEqual(tm.getTask("TASK-001"), null, "Redo deletes the task again");
+  tm.undo("bot");
+
+  // Test 3: Undoing removeAgent restores the agent and its assignments
+  tm.removeAgent("helper");
+  tm.undo("bot");
+  assertExists(tm.getAgent("helper"), "name", "Removed agent is restored");
+  assertEqual(
+    tm.getTask("TASK-001").assignees[0].id,
+    "helper",
+    "Assignment is restored",
+  );
+
+  // Test 4: Undo only touches the given agent's changes and detects conflicts
+  tm.updateTask("TASK-002", { priority: "high" });
+  const other = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    agentId: "helper",
+  });
+  other.updateTask("TASK-002", { status: "in-progress" });
+  assertArrayLength(other.undo("nobody"), 0, "Nothing to undo for others");
+  try {
+    tm.undo("bot");
+    assert(false, "Undo over a newer change should be refused");
+  } catch (error) {
+    assertEqual(error.code, "UNDO_CONFLICT", "Conflict should be reported");
+  }
+  other.undo("helper");
+  tm.undo("bot");
+  assertEqual(
+    tm.getTask("TASK-002").priority,
+    "medium",
+    "Undo succeeds once the newer change is undone",
+  );
+
+  // Test 5: Several steps are undone in one call, newest first
+  tm.updateTask("TASK-002", { priority: "low" });
+  tm.updateTask("TASK-002", { priority: "critical" });
+  assertArrayLength(tm.undo("bot", 2), 2, "Both updates should be undone");
+  assertEqual(
+    tm.getTask("TASK-002").priority,
+    "medium",
+    "Undo should step back past both updates",
+  );
+
+  cleanupTestDir();
+}
+
+async function testBackups() {
+  cleanupTestDir();
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    backupInterval: 0,
+    backupCount: 3,
+  });
+  tm.createTask({ title: "Keep Me" });
+
+  // Test 1: Snapshots are taken on save and pruned to the retention count
+  for (let i = 0; i < 4; i++) {
+    tm.createTask({ title: `Filler ${i}` });
+  }
+  const backups = tm.listBackups();
+  assertArrayLength(backups, 3, "Old backups should be pruned");
+  assert(
+    backups.every((backup) => backup.name.startsWith("backup_")),
+    "Backups should use the backup_ prefix",
+  );
+
+  // Test 2: Restore swaps in the snapshot and keeps the replaced state
+  const manual = tm.createBackup();
+  tm.deleteTask("TASK-001");
+  const restored = tm.restoreBackup(manual.name);
+  assertEqual(restored.tasks, 5, "Restored backup should have all tasks");
+  assertEqual(
+    new TaskManager({ dataDir: TEST_CONFIG.testDir }).getTask("TASK-001").title,
+    "Keep Me",
+    "Restored state should be saved",
+  );
+  assert(
+    tm.listBackups().some((backup) => backup.name === restored.safetyBackup),
+    "Pre-restore backup should exist",
+  );
+
+  // Test 3: Invalid or unsafe backups are rejected before touching state
+  const corrupt = path.join(tm.backups.dir, "backup_corrupt.json");
+  fs.writeFileSync(corrupt, JSON.stringify({ taskTracker: { tasks: [] } }));
+  for (const name of ["backup_corrupt", "../task-tracker.json"]) {
+    try {
+      tm.restoreBackup(name);
+      assert(false, `Restoring ${name} should fail`);
+    } catch (error) {
+      assert(
+        /failed validation|Invalid backup name/.test(error.message),
+        `Restoring ${name} should be rejected`,
+      );
+    }
+  }
+  assertArrayLength(tm.listTasks(), 5, "State should be unchanged");
+
+  // Test 4: Routine backups do not push out safety backups, and the backup
+  // being restored survives the pre-restore backup's pruning
+  for (let i = 0; i < 4; i++) {
+    tm.createTask({ title: `More ${i}` });
+  }
+  const safetyNames = () =>
+    tm
+      .listBackups()
+      .filter((backup) => backup.reason === "pre-restore")
+      .map((backup) => backup.name);
+  assert(
+    safetyNames().includes(restored.safetyBackup),
+    "Safety backups are rotated separately",
+  );
+  for (let i = 0; i < 3; i++) {
+    tm.restoreBackup(restored.safetyBackup);
+  }
+  assertArrayLength(safetyNames(), 3, "Safety backups are pruned too");
+  assert(
+    safetyNames().includes(restored.safetyBackup),
+    "The backup being restored is kept",
+  );
+
+  cleanupTestDir();
+}
+
+async function testSchemaMigrations() {
+  cleanupTestDir();
+
+  // Legacy layout: data files in the project root, no schema_version
+  fs.mkdirSync(TEST_CONFIG.testDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "task-tracker.json"),
+    JSON.stringify({
+      project: { name: "Old Project" },
+      current_state: { active_phase: "phase-1" },
+      tasks: {
+        "TASK-001": { id: "TASK-001", title: "Old Task", status: "todo" },
+      },
+    }),
+  );
+  fs.writeFileSync(
+    path.join(TEST_CONFIG.testDir, "agents.json"),
+    JSON.stringify({ registry: { old: { id: "old", name: "Old Agent" } } }),
+  );
+
+  // Test 1: Dry run reports changes without writing them
+  const preview = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    autoMigrate: false,
+  });
+  const plan = preview.migrateData({ dryRun: true });
+  assertArrayLength(plan.legacy, 2, "Dry run should list legacy files");
+  assertEqual(plan.from, 0, "Legacy data should start at schema 0");
+  assert(plan.applied.length > 0, "Dry run should list pending migrations");
+  assert(
+    plan.applied.some((step) =>
+      step.changes.some((change) => change.includes("blocks")),
+    ),
+    "Dry run should report missing task fields",
+  );
+  const trackerPath = path.join(preview.dataDir, "task-tracker.json");
+  assert(!fs.existsSync(trackerPath), "Dry run should not import");
+  assert(
+    !fs.existsSync(path.join(preview.dataDir, "agents.json")),
+    "Dry run should not import agents",
+  );
+  assertEqual(
+    JSON.parse(
+      fs.readFileSync(
+        path.join(TEST_CONFIG.testDir, "task-tracker.json"),
+        "utf8",
+      ),
+    ).schema_version,
+    undefined,
+    "Dry run should not write the legacy file",
+  );
+
+  // Test 2: Legacy files are only imported on request
+  const plain = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  assertArrayLength(plain.listTasks(), 0, "Legacy data is not imported");
+  fs.rmSync(plain.dataDir, { recursive: true, force: true });
+
+  // Test 3: Loading migrates after backing up
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    importLegacy: true,
+  });
+  const stored = JSON.parse(fs.readFileSync(trackerPath, "utf8"));
+  assertEqual(
+    stored.schema_version,
+    tm.migrateData().current,
+    "Tracker should be at the current schema",
+  );
+  assertArrayLength(stored.tasks["TASK-001"].blocks, 0, "blocks is filled");
+  assertExists(stored, "notifications", "notifications is filled");
+  assertEqual(tm.getAgent("old").revision, 1, "Agent revision is filled");
+  assertEqual(
+    tm.listBackups()[0].reason,
+    "pre-migration",
+    "Data should be backed up before migrating",
+  );
+  tm.createTask({ title: "New Task" });
+  tm.rebuildFromJournal();
+  assertExists(
+    tm.agents.registry,
+    "old",
+    "Journal replay should keep the migrated agents",
+  );
+
+  // Test 4: Data from a newer schema is refused
+  stored.schema_version = 999;
+  fs.writeFileSync(trackerPath, JSON.stringify(stored));
+  const agentsPath = path.join(tm.dataDir, "agents.json");
+  const agents = JSON.parse(fs.readFileSync(agentsPath, "utf8"));
+  agents.schema_version = 999;
+  fs.writeFileSync(agentsPath, JSON.stringify(agents));
+  try {
+    new TaskManager({ dataDir: TEST_CONFIG.testDir });
+    assert(false, "Newer schema should be rejected");
+  } catch (error) {
+    assert(error.message.includes("newer"), "Error should explain the cause");
+  }
+
+  cleanupTestDir();
+}
+
+async function testDoctor() {
+  cleanupTestDir();
+  const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  tm.addAgent({ id: "doc-agent", name: "Doc Agent" });
+  tm.createTask({ title: "Base" });
+  tm.createTask({ title: "Follow-up", dependencies: ["TASK-001"] });
+
+  // Test 1: Data written through the API is clean
+  assertArrayLength(tm.runDoctor().issues, 0, "Fresh data should be clean");
+
+  // Test 2: Corruptions are reported with a severity
+  const trackerPath = path.join(tm.dataDir, "task-tracker.json");
+  const tracker = JSON.parse(fs.readFileSync(trackerPath, "utf8"));
+  tracker.tasks["TASK-001"].blocks = [];
+  tracker.tasks["TASK-002"].dependencies.push("TASK-404");
+  tracker.tasks["TASK-002"].assignees = [{ id: "ghost", name: "Ghost" }];
+  tracker.progress.total_tasks = 7;
+  tracker["TASK-003"] = { id: "TASK-003", title: "Stray", status: "todo" };
+  fs.writeFileSync(trackerPath, JSON.stringify(tracker));
+
+  const checked = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  const report = checked.runDoctor();
+  const codes = report.issues.map((issue) => issue.code);
+  [
+    "dangling_link",
+    "unmirrored_link",
+    "unknown_assignee",
+    "stale_progress",
+    "top_level_task",
+  ].forEach((code) => assert(codes.includes(code), `Should report ${code}`));
+  assertEqual(report.issues[0].severity, "error", "Errors should come first");
+  assert(report.summary.warning > 0, "Summary should count warnings");
+
+  // Test 3: --fix repairs the data after backing it up
+  const fixed = checked.runDoctor({ fix: true });
+  assertArrayLength(fixed.issues, 0, "All fixable issues should be repaired");
+  assertEqual(
+    checked.listBackups()[0].name,
+    fixed.backup,
+    "Data should be backed up before repairing",
+  );
+
+  const repaired = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  assertEqual(
+    repaired.getTask("TASK-003").title,
+    "Stray",
+    "Top-level task should move into tasks",
+  );
+  assertEqual(
+    repaired.getTask("TASK-001").blocks[0],
+    "TASK-002",
+    "blocks should mirror dependencies",
+  );
+  assertArrayLength(
+    repaired.getTask("TASK-002").dependencies,
+    1,
+    "Dangling dependency should be removed",
+  );
+  assertArrayLength(
+    repaired.getTask("TASK-002").assignees,
+    0,
+    "Unknown assignee should be removed",
+  );
+  assertEqual(
+    repaired.taskTracker.progress.total_tasks,
+    3,
+    "Progress should be recomputed",
+  );
+
+  cleanupTestDir();
+}
+
+async function testSqliteStorage() {
+  try {
+    require.resolve("better-sqlite3");
+  } catch (error) {
+    log("⏭️  better-sqlite3 not installed - skipping", "yellow");
+    testStats.skipped++;
+    return;
+  }
+
+  cleanupTestDir();
+
+  // Seed JSON data that the SQLite backend should import
+  const jsonTm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
+  jsonTm.addAgent({ id: "sql-agent", name: "SQL Agent", type: "ai" });
+  jsonTm.createTask({ title: "Imported Task", assignees: ["sql-agent"] });
+
+  const tm = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    storage: "sqlite",
+  });
+  assert(
+    fs.existsSync(path.join(tm.dataDir, "tasks.db")),
+    "tasks.db should be created",
+  );
+  assertEqual(
+    tm.getTask("TASK-001").title,
+    "Imported Task",
+    "Existing JSON data should be imported",
+  );
+
+  // Test 1: Mutations persist through the SQLite backend
+  tm.createTask({ title: "High Task", priority: "high" });
+  tm.createTask({ title: "Done Task", status: "completed" });
+  tm.updateTask("TASK-002", { status: "in-progress" });
+
+  const reopened = new TaskManager({
+    dataDir: TEST_CONFIG.testDir,
+    storage: "sqlite",
+  });
+  assertEqual(reopened.listTasks().length, 3, "All tasks should persist");
+  assertEqual(
+    reopened.getAgent("sql-agent").name,
+    "SQL Agent",
+    "Agents should persist",
+  );
+
+  // Test 2: Filters are answered by indexed queries
+  assertArrayLength(
+    reopened.listTasks({ status: "in-progress", priority: "high" }),
+    1,
+    "Status and priority filters should combine",
+  );
+  assertArrayLength(
+    reopened.listTasks({ agent: "sql-agent" }),
+    1,
+    "Agent filter should use the assignee index",
+  );
+
+  // Test 3: Deletes are applied row by row
+  reopened.deleteTask("TASK-003");
+  assertEqual(
+    new TaskManager({
+      dataDir: TEST_CONFIG.testDir,
+      storage: "sqlite",
+    }).listTasks().length,
+    2,
+    "Deleted task should be removed from the database",
+  );
+
+  cleanupTestDir();
+}
+
 async function testErrorHandling() {
   cleanupTestDir();
   const tm = new TaskManager({ dataDir: TEST_CONFIG.testDir });
@@ -579,10 +2776,36 @@ async function runAllTests() {
     ["TaskManager Initialization", testTaskManagerInitialization],
     ["Agent Management", testAgentManagement],
     ["Task Management", testTaskManagement],
+    ["Status Transitions", testStatusTransitions],
+    ["Custom Workflow", testCustomWorkflow],
+    ["Dependencies", testDependencies],
+    ["Critical Path", testCriticalPath],
+    ["Subtasks", testSubtasks],
+    ["Milestones and Epics", testMilestonesAndEpics],
+    ["Phases", testPhases],
+    ["Deadlines", testDeadlines],
+    ["Recurring Tasks", testRecurringTasks],
+    ["Time Tracking", testTimeTracking],
+    ["Comments and Activity", testCommentsAndActivity],
+    ["Artifacts", testArtifacts],
+    ["Completion Criteria", testCompletionCriteria],
+    ["Slow Completion Criteria", testSlowCompletionCriteria],
+    ["Completion Detection", testCompletionDetection],
+    ["Recommendation Rules", testRecommendationRules],
+    ["Scoring Strategies", testScoringStrategies],
+    ["Recommendation Explanations", testRecommendationExplanations],
     ["Recommendation System", testRecommendationSystem],
     ["Workload Tracking", testWorkloadTracking],
     ["Project Status", testProjectStatus],
     ["Data Persistence", testDataPersistence],
+    ["Concurrent Access", testConcurrentAccess],
+    ["Optimistic Concurrency", testOptimisticConcurrency],
+    ["SQLite Storage", testSqliteStorage],
+    ["Event Journal", testEventJournal],
+    ["Undo / Redo", testUndoRedo],
+    ["Backups", testBackups],
+    ["Schema Migrations", testSchemaMigrations],
+    ["Doctor", testDoctor],
     ["Error Handling", testErrorHandling],
     ["CLI Basics", testCLIBasics],
   ];
@@ -670,10 +2893,36 @@ module.exports = {
   testTaskManagerInitialization,
   testAgentManagement,
   testTaskManagement,
+  testStatusTransitions,
+  testCustomWorkflow,
+  testDependencies,
+  testCriticalPath,
+  testSubtasks,
+  testMilestonesAndEpics,
+  testPhases,
+  testDeadlines,
+  testRecurringTasks,
+  testTimeTracking,
+  testCommentsAndActivity,
+  testArtifacts,
+  testCompletionCriteria,
+  testSlowCompletionCriteria,
+  testCompletionDetection,
+  testRecommendationRules,
+  testScoringStrategies,
+  testRecommendationExplanations,
   testRecommendationSystem,
   testWorkloadTracking,
   testProjectStatus,
   testDataPersistence,
+  testConcurrentAccess,
+  testOptimisticConcurrency,
+  testSqliteStorage,
+  testEventJournal,
+  testUndoRedo,
+  testBackups,
+  testSchemaMigrations,
+  testDoctor,
   testErrorHandling,
   testCLIBasics,
 };